@@ -9,13 +9,14 @@ import {
   Dimensions,
   ActivityIndicator,
   Alert,
-  RefreshControl
+  RefreshControl,
+  TextInput
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { SafeAreaView } from "react-native-safe-area-context";
 import Animated, { FadeIn, SlideInRight } from "react-native-reanimated";
 import { useRouter } from "expo-router";
-import { getUserProjects, getAllActivities, getLiveSessions } from "../utils/api";
+import { getProjects, getAllActivities, getLiveSessions } from "../utils/api";
 import socketUtils from "../utils/socket";
 
 const { width } = Dimensions.get("window");
@@ -23,6 +24,18 @@ const { width } = Dimensions.get("window");
 const DEFAULT_AVATAR = require("../../assets/images/avatars/user.jpeg");
 const DEFAULT_IMAGE = require("../../assets/images/code-preview.png");
 
+const PROJECT_SCOPES = [
+  { value: "joined", label: "My projects" },
+  { value: "recruiting", label: "Recruiting" },
+  { value: "all", label: "All" },
+];
+
+const PROJECT_SORTS = [
+  { value: "active", label: "Most active" },
+  { value: "newest", label: "Newest" },
+  { value: "members", label: "Most members" },
+];
+
 // Helper function to format time
 const formatTimeAgo = (timestamp) => {
   const now = new Date();
@@ -57,6 +70,8 @@ const getActionText = (actionType) => {
     case 'issue': return 'created an issue in';
     case 'join': return 'joined';
     case 'update': return 'updated';
+    case 'task': return 'updated tasks in';
+    case 'milestone': return 'updated the roadmap of';
     default: return 'interacted with';
   }
 };
@@ -65,6 +80,11 @@ export default function CollaborateScreen() {
   const router = useRouter();
   const [activeTab, setActiveTab] = useState("projects");
   const [projects, setProjects] = useState([]);
+  const [projectScope, setProjectScope] = useState("joined");
+  const [projectSort, setProjectSort] = useState("active");
+  const [projectQuery, setProjectQuery] = useState("");
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [activities, setActivities] = useState([]);
   const [liveSessions, setLiveSessions] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -114,24 +134,69 @@ export default function CollaborateScreen() {
     fetchData();
   }, []);
 
-  const fetchData = async () => {
+  // Reload the list when the scope or sort changes
+  useEffect(() => {
+    if (!loading) {
+      fetchProjects();
+    }
+  }, [projectScope, projectSort]);
+
+  // Search results come back by relevance; otherwise use the chosen sort
+  const projectFilters = (cursor = null) => ({
+    scope: projectScope,
+    q: projectQuery.trim() || undefined,
+    sort: projectQuery.trim() ? undefined : projectSort,
+    cursor: cursor || undefined,
+  });
+
+  const fetchProjects = async () => {
     try {
-      setLoading(true);
-      
-      // Fetch projects
-      const projectsResponse = await getUserProjects();
+      const projectsResponse = await getProjects(projectFilters());
+      if (!projectsResponse.success) {
+        Alert.alert('Error', projectsResponse.message || 'Failed to load projects.');
+        return;
+      }
+
       setProjects(projectsResponse.data);
-      
+      setNextCursor(projectsResponse.nextCursor);
+
       // Set stats based on projects data
       setStats({
         projectCount: projectsResponse.count || 0,
         commitCount: projectsResponse.data.reduce((total, project) => total + (project.commitCount || 0), 0),
-        collaboratorCount: new Set(
-          projectsResponse.data.flatMap(project => 
-            project.collaborators ? project.collaborators.map(c => c._id) : []
-          )
-        ).size
+        collaboratorCount: projectsResponse.data.reduce(
+          (total, project) => total + Math.max((project.memberCount || 0) - 1, 0),
+          0
+        )
       });
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+    }
+  };
+
+  const loadMoreProjects = async () => {
+    if (!nextCursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const projectsResponse = await getProjects(projectFilters(nextCursor));
+      if (projectsResponse.success) {
+        setProjects((current) => [...current, ...projectsResponse.data]);
+        setNextCursor(projectsResponse.nextCursor);
+      }
+    } catch (error) {
+      console.error('Error loading more projects:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      
+      // Fetch projects
+      await fetchProjects();
       
       // Fetch activities
       const activitiesResponse = await getAllActivities();
@@ -234,6 +299,49 @@ export default function CollaborateScreen() {
               </View>
             </View>
 
+            <View style={styles.searchContainer}>
+              <Ionicons name="search-outline" size={18} color="#64748b" />
+              <TextInput
+                style={styles.searchInput}
+                placeholder="Search projects by name, description or skill"
+                placeholderTextColor="#94a3b8"
+                value={projectQuery}
+                onChangeText={setProjectQuery}
+                onSubmitEditing={fetchProjects}
+                returnKeyType="search"
+              />
+            </View>
+
+            <View style={styles.filterRow}>
+              {PROJECT_SCOPES.map((option) => (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.filterChip, projectScope === option.value && styles.filterChipSelected]}
+                  onPress={() => setProjectScope(option.value)}
+                >
+                  <Text style={[styles.filterChipText, projectScope === option.value && styles.filterChipTextSelected]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {!projectQuery.trim() && (
+              <View style={styles.filterRow}>
+                {PROJECT_SORTS.map((option) => (
+                  <TouchableOpacity
+                    key={option.value}
+                    style={[styles.filterChip, projectSort === option.value && styles.filterChipSelected]}
+                    onPress={() => setProjectSort(option.value)}
+                  >
+                    <Text style={[styles.filterChipText, projectSort === option.value && styles.filterChipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+
             {projects.length > 0 ? (
               projects.map((project, index) => (
                 <Animated.View
@@ -288,15 +396,25 @@ export default function CollaborateScreen() {
                       />
                       <Text style={styles.creatorName}>{project.creator?.name || 'Unknown'}</Text>
                     </View>
-                    <View style={styles.collaboratorsContainer}>
+                    <TouchableOpacity
+                      style={styles.collaboratorsContainer}
+                      onPress={() => router.push(`/projects/${project._id}/members`)}
+                    >
                       <Ionicons name="people-outline" size={16} color="#64748b" />
                       <Text style={styles.collaboratorsText}>
-                        {project.collaborators?.length || 0} collaborators
+                        {project.memberCount || 0} members
                       </Text>
-                    </View>
+                    </TouchableOpacity>
                   </View>
 
                   <View style={styles.actionButtons}>
+                    <TouchableOpacity 
+                      style={styles.actionButton}
+                      onPress={() => router.push(`/projects/${project._id}/board`)}
+                    >
+                      <Ionicons name="albums-outline" size={18} color="#3b82f6" />
+                      <Text style={styles.actionButtonText}>Tasks</Text>
+                    </TouchableOpacity>
                     <TouchableOpacity 
                       style={styles.actionButton}
                       onPress={() => router.push(`/projects/${project._id}/code`)}
@@ -329,6 +447,16 @@ export default function CollaborateScreen() {
                 </TouchableOpacity>
               </View>
             )}
+
+            {nextCursor && (
+              <TouchableOpacity style={styles.loadMoreButton} onPress={loadMoreProjects} disabled={loadingMore}>
+                {loadingMore ? (
+                  <ActivityIndicator color="#3b82f6" />
+                ) : (
+                  <Text style={styles.loadMoreText}>Load more projects</Text>
+                )}
+              </TouchableOpacity>
+            )}
           </View>
         ) : (
           <View style={styles.activityContainer}>
@@ -563,6 +691,58 @@ const styles = StyleSheet.create({
   activeTabText: {
     color: "#1e293b",
   },
+  searchContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    marginBottom: 12,
+  },
+  searchInput: {
+    flex: 1,
+    height: 44,
+    fontSize: 14,
+    color: "#1e293b",
+    marginLeft: 8,
+    fontFamily: "Inter-Regular",
+  },
+  filterRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 8,
+  },
+  filterChip: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  filterChipSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  filterChipText: {
+    fontSize: 13,
+    color: "#475569",
+    fontFamily: "Inter-Medium",
+  },
+  filterChipTextSelected: {
+    color: "#ffffff",
+  },
+  loadMoreButton: {
+    alignItems: "center",
+    paddingVertical: 14,
+  },
+  loadMoreText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
   projectsContainer: {
     marginBottom: 20,
   },
@@ -18,6 +18,7 @@ import Animated, { FadeInDown } from "react-native-reanimated";
 import * as api from "../utils/api";
 import socketUtils from "../utils/socket";
 import { useAuth } from "../contexts/AuthContext";
+import { pickAndUploadImage } from "../utils/imagePicker";
 import { format } from "date-fns";
 
 const { width } = Dimensions.get("window");
@@ -38,8 +39,10 @@ export default function CommunityScreen() {
   const [newCommunity, setNewCommunity] = useState({
     name: "",
     description: "",
-    tags: []
+    tags: [],
+    image: ""
   });
+  const [uploadingImage, setUploadingImage] = useState(false);
   const [newEvent, setNewEvent] = useState({
     title: "",
     description: "",
@@ -173,7 +176,7 @@ export default function CommunityScreen() {
       await api.createCommunity(newCommunity);
       
       // Reset form and close modal
-      setNewCommunity({ name: "", description: "", tags: [] });
+      setNewCommunity({ name: "", description: "", tags: [], image: "" });
       setShowCreateModal(false);
       
       // Update local state
@@ -186,6 +189,16 @@ export default function CommunityScreen() {
     }
   };
 
+  // Pick and upload a cover image for the new community
+  const handlePickCommunityImage = async () => {
+    setUploadingImage(true);
+    const url = await pickAndUploadImage("community");
+    setUploadingImage(false);
+    if (url) {
+      setNewCommunity({ ...newCommunity, image: url });
+    }
+  };
+
   // Filter communities and events based on search query
   const filteredCommunities = communities.filter(community => 
     community.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -521,6 +534,23 @@ export default function CommunityScreen() {
               </TouchableOpacity>
             </View>
             
+            <TouchableOpacity
+              style={styles.imagePicker}
+              onPress={handlePickCommunityImage}
+              disabled={uploadingImage}
+            >
+              {uploadingImage ? (
+                <ActivityIndicator color="#3b82f6" />
+              ) : newCommunity.image ? (
+                <Image source={{ uri: newCommunity.image }} style={styles.imagePreview} />
+              ) : (
+                <View style={styles.imagePlaceholder}>
+                  <Ionicons name="image-outline" size={24} color="#64748b" />
+                  <Text style={styles.imagePlaceholderText}>Add cover image</Text>
+                </View>
+              )}
+            </TouchableOpacity>
+            
             <TextInput
               style={styles.modalInput}
               placeholder="Community Name"
@@ -636,6 +666,27 @@ const styles = StyleSheet.create({
   closeButton: {
     padding: 4,
   },
+  imagePicker: {
+    height: 120,
+    backgroundColor: '#f1f5f9',
+    borderRadius: 8,
+    marginBottom: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+    overflow: 'hidden',
+  },
+  imagePreview: {
+    width: '100%',
+    height: '100%',
+  },
+  imagePlaceholder: {
+    alignItems: 'center',
+  },
+  imagePlaceholderText: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
   modalInput: {
     backgroundColor: '#f1f5f9',
     borderRadius: 8,
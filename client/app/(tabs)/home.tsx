@@ -1,4 +1,4 @@
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import {
   View,
   Text,
@@ -13,38 +13,33 @@ import { SafeAreaView } from "react-native-safe-area-context";
 import Animated, { FadeInDown } from "react-native-reanimated";
 import { useRouter } from "expo-router";
 import { useAuth } from "../contexts/AuthContext";
+import { getRecommendations, getMentors } from "../utils/api";
 
-// Sample data
-const suggestedMentors = [
-  {
-    id: "1",
-    name: "Emma Wilson",
-    role: "Senior Frontend Engineer",
-    avatar: require("../../assets/images/avatars/avatar3.png"),
-    skills: ["React", "TypeScript", "Node.js"],
-    rating: 4.9,
-    reviews: 28,
-  },
-  {
-    id: "2",
-    name: "James Rodriguez",
-    role: "Mobile Developer",
-    avatar: require("../../assets/images/avatars/avatar1.png"),
-    skills: ["React Native", "Swift", "Kotlin"],
-    rating: 4.7,
-    reviews: 19,
-  },
-  {
-    id: "3",
-    name: "Sarah Chen",
-    role: "DevOps Engineer",
-    avatar: require("../../assets/images/avatars/avatar4.png"),
-    skills: ["AWS", "Docker", "Kubernetes"],
-    rating: 4.8,
-    reviews: 32,
-  },
-];
+type Recommendation = {
+  user: {
+    _id: string;
+    name: string;
+    avatar?: string;
+    skills: string[];
+    availability: boolean;
+  };
+  score: number;
+  reasons: string[];
+};
 
+type Mentor = {
+  _id: string;
+  name: string;
+  avatar?: string;
+  mentorProfile: {
+    headline: string;
+    expertise: string[];
+    ratingAverage: number;
+    ratingCount: number;
+  };
+};
+
+// Sample data
 const upcomingEvents = [
   {
     id: "1",
@@ -87,7 +82,41 @@ export default function HomeScreen() {
   const router = useRouter();
   const { user } = useAuth(); // Get user from auth context
   const [searchQuery, setSearchQuery] = useState("");
+  const [recommendations, setRecommendations] = useState<Recommendation[]>([]);
+  const [mentors, setMentors] = useState<Mentor[]>([]);
+
+  useEffect(() => {
+    const loadRecommendations = async () => {
+      try {
+        const result = await getRecommendations();
+        if (result.success) {
+          setRecommendations(result.data);
+        }
+      } catch (err) {
+        console.error("Failed to load recommendations:", err);
+      }
+    };
+
+    const loadMentors = async () => {
+      try {
+        const result = await getMentors({ sort: "rating", limit: 5 });
+        if (result.success) {
+          setMentors(result.data);
+        }
+      } catch (err) {
+        console.error("Failed to load mentors:", err);
+      }
+    };
+
+    loadRecommendations();
+    loadMentors();
+  }, []);
   
+  // Search runs on the people directory screen
+  const openPeopleSearch = () => {
+    router.push({ pathname: "/people", params: { q: searchQuery.trim() } });
+  };
+
   // Helper function to get greeting based on time of day
   const getGreeting = () => {
     const hour = new Date().getHours();
@@ -125,8 +154,10 @@ export default function HomeScreen() {
             placeholderTextColor="#94a3b8"
             value={searchQuery}
             onChangeText={setSearchQuery}
+            returnKeyType="search"
+            onSubmitEditing={openPeopleSearch}
           />
-          <TouchableOpacity style={styles.filterButton}>
+          <TouchableOpacity style={styles.filterButton} onPress={openPeopleSearch}>
             <Ionicons name="options-outline" size={20} color="#3b82f6" />
           </TouchableOpacity>
         </View>
@@ -136,44 +167,101 @@ export default function HomeScreen() {
           style={styles.section}
         >
           <View style={styles.sectionHeader}>
-            <Text style={styles.sectionTitle}>Suggested Mentors</Text>
-            <TouchableOpacity>
+            <Text style={styles.sectionTitle}>Suggested Collaborators</Text>
+            <TouchableOpacity onPress={() => router.push("/people")}>
               <Text style={styles.seeAllText}>See all</Text>
             </TouchableOpacity>
           </View>
 
-          <ScrollView
-            horizontal
-            showsHorizontalScrollIndicator={false}
-            contentContainerStyle={styles.mentorsContainer}
-          >
-            {suggestedMentors.map((mentor, index) => (
-              <TouchableOpacity
-                key={mentor.id}
-                style={styles.mentorCard}
-                onPress={() => router.push("/mentors/" + mentor.id as any)}
-              >
-                <Image source={mentor.avatar} style={styles.mentorAvatar} />
-                <Text style={styles.mentorName}>{mentor.name}</Text>
-                <Text style={styles.mentorRole}>{mentor.role}</Text>
-                <View style={styles.mentorSkills}>
-                  {mentor.skills.map((skill, idx) => (
-                    <View key={idx} style={styles.skillBadge}>
-                      <Text style={styles.skillText}>{skill}</Text>
+          {recommendations.length === 0 ? (
+            <Text style={styles.emptyText}>
+              Add skills to your profile or join a project to get suggestions.
+            </Text>
+          ) : (
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.mentorsContainer}
+            >
+              {recommendations.map(({ user: match, reasons }) => (
+                <TouchableOpacity
+                  key={match._id}
+                  style={styles.mentorCard}
+                  onPress={() => router.push(`/users/${match._id}`)}
+                >
+                  <Image
+                    source={match.avatar ? { uri: match.avatar } : require("../../assets/images/avatars/user.jpeg")}
+                    style={styles.mentorAvatar}
+                  />
+                  <Text style={styles.mentorName}>{match.name}</Text>
+                  <Text style={styles.mentorRole} numberOfLines={2}>{reasons[0]}</Text>
+                  <View style={styles.mentorSkills}>
+                    {match.skills.slice(0, 3).map((skill, idx) => (
+                      <View key={idx} style={styles.skillBadge}>
+                        <Text style={styles.skillText}>{skill}</Text>
+                      </View>
+                    ))}
+                  </View>
+                  {match.availability && (
+                    <View style={styles.ratingContainer}>
+                      <Ionicons name="checkmark-circle" size={16} color="#10b981" />
+                      <Text style={styles.ratingText}>Available</Text>
                     </View>
-                  ))}
-                </View>
-                <View style={styles.ratingContainer}>
-                  <Ionicons name="star" size={16} color="#f59e0b" />
-                  <Text style={styles.ratingText}>
-                    {mentor.rating} ({mentor.reviews})
-                  </Text>
-                </View>
-              </TouchableOpacity>
-            ))}
-          </ScrollView>
+                  )}
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
         </Animated.View>
 
+        {mentors.length > 0 && (
+          <Animated.View
+            entering={FadeInDown.delay(250).springify()}
+            style={styles.section}
+          >
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Top Mentors</Text>
+              <TouchableOpacity onPress={() => router.push("/mentors")}>
+                <Text style={styles.seeAllText}>See all</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.mentorsContainer}
+            >
+              {mentors.map((mentor) => (
+                <TouchableOpacity
+                  key={mentor._id}
+                  style={styles.mentorCard}
+                  onPress={() => router.push(`/mentors/${mentor._id}`)}
+                >
+                  <Image
+                    source={mentor.avatar ? { uri: mentor.avatar } : require("../../assets/images/avatars/user.jpeg")}
+                    style={styles.mentorAvatar}
+                  />
+                  <Text style={styles.mentorName}>{mentor.name}</Text>
+                  <Text style={styles.mentorRole} numberOfLines={2}>{mentor.mentorProfile.headline}</Text>
+                  <View style={styles.mentorSkills}>
+                    {mentor.mentorProfile.expertise.slice(0, 3).map((area, idx) => (
+                      <View key={idx} style={styles.skillBadge}>
+                        <Text style={styles.skillText}>{area}</Text>
+                      </View>
+                    ))}
+                  </View>
+                  <View style={styles.ratingContainer}>
+                    <Ionicons name="star" size={16} color="#f59e0b" />
+                    <Text style={styles.ratingText}>
+                      {mentor.mentorProfile.ratingAverage.toFixed(1)} ({mentor.mentorProfile.ratingCount})
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </Animated.View>
+        )}
+
         <Animated.View
           entering={FadeInDown.delay(300).springify()}
           style={styles.eventsSection}
@@ -369,6 +457,12 @@ const styles = StyleSheet.create({
     fontWeight: "500",
     fontFamily: "Inter-Medium",
   },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+    paddingHorizontal: 20,
+    fontFamily: "Inter-Regular",
+  },
   mentorsContainer: {
     paddingHorizontal: 12,
     paddingBottom: 8,
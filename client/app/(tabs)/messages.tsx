@@ -155,7 +155,7 @@ export default function MessagesScreen() {
         messagesScrollRef.current?.scrollToEnd({ animated: true });
       }, 100);
     } catch (error) {
-      Alert.alert("Error", "Failed to send message");
+      Alert.alert("Error", error.message || "Failed to send message");
       console.error("Failed to send message:", error);
     } finally {
       setSending(false);
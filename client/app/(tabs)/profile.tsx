@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useCallback } from "react";
 import {
   View,
   Text,
@@ -13,16 +13,31 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 import { SafeAreaView } from "react-native-safe-area-context";
 import Animated, { FadeInDown } from "react-native-reanimated";
-import { useRouter } from "expo-router";
+import { useFocusEffect, useRouter } from "expo-router";
 import { useAuth } from "../contexts/AuthContext";
-import { getCurrentProfile, updateProfile, getUserStats } from "../utils/api";
+import {
+  getCurrentProfile,
+  updateProfile,
+  getUserStats,
+  resendVerificationEmail,
+  cancelAccountDeletion,
+  getEndorsements
+} from "../utils/api";
+import { pickAndUploadImage } from "../utils/imagePicker";
 
 // Menu items
 const MENU_ITEMS = [
   { icon: "person-outline", label: "Edit Profile", route: "/edit-profile" },
   { icon: "bookmark-outline", label: "Saved Items", route: "/saved" },
   { icon: "settings-outline", label: "Settings", route: "/settings" },
+  { icon: "key-outline", label: "Change Password", route: "/change-password" },
+  { icon: "shield-checkmark-outline", label: "Two-Factor Authentication", route: "/two-factor" },
+  { icon: "mail-unread-outline", label: "Project Invitations", route: "/invite" },
+  { icon: "school-outline", label: "Mentor Profile", route: "/mentor-settings" },
+  { icon: "code-slash-outline", label: "Access Tokens", route: "/access-tokens" },
+  { icon: "download-outline", label: "Your Data & Account", route: "/account-data" },
   { icon: "shield-outline", label: "Privacy", route: "/privacy" },
+  { icon: "ban-outline", label: "Blocked & Muted", route: "/blocked-users" },
   { icon: "help-circle-outline", label: "Help & Support", route: "/help" },
 ];
 
@@ -31,22 +46,23 @@ const DEFAULT_AVATAR = require("../../assets/images/avatars/user.jpeg");
 
 export default function ProfileScreen() {
   const router = useRouter();
-  const { logout, user } = useAuth();
+  const { logout, logoutEverywhere, user } = useAuth();
   const [availableSwitch, setAvailableSwitch] = useState(true);
   const [activeTab, setActiveTab] = useState("skills");
   const [loading, setLoading] = useState(true);
   const [profile, setProfile] = useState(null);
+  const [endorsements, setEndorsements] = useState([]);
   const [stats, setStats] = useState({
     projectCount: 0,
     communityCount: 0,
     upcomingEventsCount: 0
   });
 
-  // Fetch user profile and stats when component mounts
-  useEffect(() => {
+  // Fetch user profile and stats whenever the tab is shown, so changes made
+  // on other screens (e.g. the availability schedule) show up
+  useFocusEffect(useCallback(() => {
     const fetchProfile = async () => {
       try {
-        setLoading(true);
         const profileData = await getCurrentProfile();
         setProfile(profileData);
         setAvailableSwitch(profileData.availability);
@@ -54,6 +70,11 @@ export default function ProfileScreen() {
         // Also fetch user stats
         const statsData = await getUserStats();
         setStats(statsData);
+
+        const endorsementsResult = await getEndorsements(profileData._id);
+        if (endorsementsResult.success) {
+          setEndorsements(endorsementsResult.data);
+        }
       } catch (error) {
         console.error('Failed to fetch profile:', error);
         Alert.alert('Error', 'Failed to load profile data');
@@ -63,7 +84,10 @@ export default function ProfileScreen() {
     };
 
     fetchProfile();
-  }, []);
+  }, []));
+
+  // With a weekly schedule, "available now" is derived and can't be toggled
+  const followsSchedule = Boolean(profile?.availabilitySchedule?.enabled);
 
   // Handle availability toggle
   const handleAvailabilityChange = async (value) => {
@@ -78,20 +102,81 @@ export default function ProfileScreen() {
     }
   };
 
+  // Pick a new profile picture, upload it and make it the avatar
+  const handleChangeAvatar = async () => {
+    const url = await pickAndUploadImage("avatar");
+    if (!url) return;
+
+    try {
+      const updated = await updateProfile({ avatar: url });
+      setProfile({ ...profile, avatar: updated.avatar });
+    } catch (error) {
+      console.error('Failed to update avatar:', error);
+      Alert.alert('Error', 'Failed to update profile picture');
+    }
+  };
+
+  const handleResendVerification = async () => {
+    try {
+      const result = await resendVerificationEmail();
+      Alert.alert(
+        result.success ? 'Email Sent' : 'Error',
+        result.message || 'Failed to send verification email'
+      );
+    } catch (error) {
+      console.error('Failed to resend verification email:', error);
+      Alert.alert('Error', 'Failed to send verification email');
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      const result = await cancelAccountDeletion();
+      if (!result.success) {
+        Alert.alert('Error', result.message || 'Failed to cancel account deletion');
+        return;
+      }
+      setProfile({ ...profile, deletionScheduledFor: null });
+      Alert.alert('Deletion Cancelled', 'Your account will not be deleted.');
+    } catch (error) {
+      console.error('Failed to cancel account deletion:', error);
+      Alert.alert('Error', 'Failed to cancel account deletion');
+    }
+  };
+
   const handleLogout = async () => {
     await logout();
   };
 
-  // Format skills array for display
+  const handleLogoutEverywhere = () => {
+    Alert.alert(
+      "Log out everywhere",
+      "This will sign you out on all of your devices, including this one.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Log Out", style: "destructive", onPress: () => logoutEverywhere() }
+      ]
+    );
+  };
+
+  // Pair each listed skill with its endorsements; bars are relative to the
+  // most endorsed skill
   const formatSkills = (skills) => {
     if (!skills || !Array.isArray(skills)) return [];
-    
-    // Map skills to include a level based on index (for demo purposes)
-    const levels = ["Beginner", "Intermediate", "Advanced"];
-    return skills.map((skill, index) => ({
-      name: skill,
-      level: levels[index % 3]
-    }));
+
+    const bySkill = new Map(endorsements.map((entry) => [entry.skill, entry]));
+    const maxCount = Math.max(1, ...endorsements.map((entry) => entry.count));
+
+    return skills.map((skill) => {
+      const entry = bySkill.get(skill);
+      const count = entry ? entry.count : 0;
+      return {
+        name: skill,
+        count,
+        share: count / maxCount,
+        topEndorsers: entry ? entry.topEndorsers : []
+      };
+    });
   };
 
   // Show loading indicator while fetching data
@@ -118,10 +203,15 @@ export default function ProfileScreen() {
           entering={FadeInDown.delay(200).springify()}
           style={styles.profileHeader}
         >
-          <Image 
-            source={profile.avatar ? { uri: profile.avatar } : DEFAULT_AVATAR} 
-            style={styles.avatar} 
-          />
+          <TouchableOpacity onPress={handleChangeAvatar}>
+            <Image 
+              source={profile.avatar ? { uri: profile.avatar } : DEFAULT_AVATAR} 
+              style={styles.avatar} 
+            />
+            <View style={styles.avatarEditBadge}>
+              <Ionicons name="camera" size={14} color="#ffffff" />
+            </View>
+          </TouchableOpacity>
           <View style={styles.profileInfo}>
             <Text style={styles.name}>{profile.name}</Text>
             <Text style={styles.username}>@{profile.name.toLowerCase().replace(/\s+/g, '')}</Text>
@@ -132,6 +222,49 @@ export default function ProfileScreen() {
           </View>
         </Animated.View>
 
+        {profile.deletionScheduledFor && (
+          <Animated.View
+            entering={FadeInDown.delay(250).springify()}
+            style={[styles.verifyCard, styles.deletionCard]}
+          >
+            <Ionicons name="trash-outline" size={20} color="#b91c1c" />
+            <View style={styles.verifyInfo}>
+              <Text style={[styles.verifyTitle, styles.deletionText]}>Account scheduled for deletion</Text>
+              <Text style={[styles.verifyText, styles.deletionText]}>
+                Your account and personal data will be deleted on {new Date(profile.deletionScheduledFor).toDateString()}.
+              </Text>
+              <View style={styles.verifyActions}>
+                <TouchableOpacity onPress={handleCancelDeletion}>
+                  <Text style={styles.verifyLink}>Keep my account</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Animated.View>
+        )}
+
+        {!profile.emailVerified && (
+          <Animated.View
+            entering={FadeInDown.delay(250).springify()}
+            style={styles.verifyCard}
+          >
+            <Ionicons name="mail-unread-outline" size={20} color="#b45309" />
+            <View style={styles.verifyInfo}>
+              <Text style={styles.verifyTitle}>Verify your email</Text>
+              <Text style={styles.verifyText}>
+                Some features, like messaging and creating communities, are locked until you confirm {profile.email}.
+              </Text>
+              <View style={styles.verifyActions}>
+                <TouchableOpacity onPress={handleResendVerification}>
+                  <Text style={styles.verifyLink}>Resend email</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => router.push("/verify-email")}>
+                  <Text style={styles.verifyLink}>Enter code</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          </Animated.View>
+        )}
+
         <Animated.View
           entering={FadeInDown.delay(300).springify()}
           style={styles.availabilityCard}
@@ -143,13 +276,21 @@ export default function ProfileScreen() {
                 {availableSwitch ? "Available for collaborations" : "Not available"}
               </Text>
             </View>
-            <Switch
-              value={availableSwitch}
-              onValueChange={handleAvailabilityChange}
-              trackColor={{ false: "#cbd5e1", true: "#bfdbfe" }}
-              thumbColor={availableSwitch ? "#3b82f6" : "#94a3b8"}
-            />
+            {!followsSchedule && (
+              <Switch
+                value={availableSwitch}
+                onValueChange={handleAvailabilityChange}
+                trackColor={{ false: "#cbd5e1", true: "#bfdbfe" }}
+                thumbColor={availableSwitch ? "#3b82f6" : "#94a3b8"}
+              />
+            )}
           </View>
+          <TouchableOpacity style={styles.scheduleLink} onPress={() => router.push("/availability")}>
+            <Ionicons name="calendar-outline" size={16} color="#3b82f6" />
+            <Text style={styles.scheduleLinkText}>
+              {followsSchedule ? "Follows your weekly schedule · Edit" : "Set a weekly schedule"}
+            </Text>
+          </TouchableOpacity>
         </Animated.View>
 
         <Animated.View
@@ -172,6 +313,35 @@ export default function ProfileScreen() {
           </View>
         </Animated.View>
 
+        <Animated.View
+          entering={FadeInDown.delay(450).springify()}
+          style={styles.statsCard}
+        >
+          <TouchableOpacity
+            style={styles.statItem}
+            onPress={() => router.push({ pathname: "/connections", params: { list: "followers" } })}
+          >
+            <Text style={styles.statValue}>{profile.followerCount || 0}</Text>
+            <Text style={styles.statLabel}>Followers</Text>
+          </TouchableOpacity>
+          <View style={styles.statDivider} />
+          <TouchableOpacity
+            style={styles.statItem}
+            onPress={() => router.push({ pathname: "/connections", params: { list: "following" } })}
+          >
+            <Text style={styles.statValue}>{profile.followingCount || 0}</Text>
+            <Text style={styles.statLabel}>Following</Text>
+          </TouchableOpacity>
+          <View style={styles.statDivider} />
+          <TouchableOpacity
+            style={styles.statItem}
+            onPress={() => router.push({ pathname: "/connections", params: { list: "connections" } })}
+          >
+            <Text style={styles.statValue}>{profile.connectionCount || 0}</Text>
+            <Text style={styles.statLabel}>Connections</Text>
+          </TouchableOpacity>
+        </Animated.View>
+
         <Animated.View
           entering={FadeInDown.delay(500).springify()}
           style={styles.bioCard}
@@ -234,23 +404,32 @@ export default function ProfileScreen() {
                 <View key={index} style={styles.skillItem}>
                   <View style={styles.skillInfo}>
                     <Text style={styles.skillName}>{skill.name}</Text>
-                    <Text style={styles.skillLevel}>{skill.level}</Text>
+                    <Text style={styles.skillLevel}>
+                      {skill.count === 1 ? "1 endorsement" : `${skill.count} endorsements`}
+                    </Text>
                   </View>
                   <View style={styles.skillBar}>
                     <View
                       style={[
                         styles.skillProgress,
-                        {
-                          width:
-                            skill.level === "Advanced"
-                              ? "90%"
-                              : skill.level === "Intermediate"
-                              ? "60%"
-                              : "30%",
-                        },
+                        { width: `${Math.round(skill.share * 100)}%` },
                       ]}
                     />
                   </View>
+                  {skill.topEndorsers.length > 0 && (
+                    <View style={styles.endorsersRow}>
+                      {skill.topEndorsers.map((endorser) => (
+                        <Image
+                          key={endorser._id}
+                          source={endorser.avatar ? { uri: endorser.avatar } : DEFAULT_AVATAR}
+                          style={styles.endorserAvatar}
+                        />
+                      ))}
+                      <Text style={styles.endorsersText} numberOfLines={1}>
+                        {skill.topEndorsers.map((endorser) => endorser.name).join(", ")}
+                      </Text>
+                    </View>
+                  )}
                 </View>
               ))
             ) : (
@@ -319,6 +498,9 @@ export default function ProfileScreen() {
             <Ionicons name="log-out-outline" size={20} color="#ef4444" />
             <Text style={styles.logoutText}>Log Out</Text>
           </TouchableOpacity>
+          <TouchableOpacity style={styles.logoutAllButton} onPress={handleLogoutEverywhere}>
+            <Text style={styles.logoutAllText}>Log out of all devices</Text>
+          </TouchableOpacity>
         </Animated.View>
       </ScrollView>
     </SafeAreaView>
@@ -362,6 +544,19 @@ const styles = StyleSheet.create({
     paddingHorizontal: 16,
     marginBottom: 16,
   },
+  avatarEditBadge: {
+    position: "absolute",
+    right: 16,
+    bottom: 0,
+    backgroundColor: "#3b82f6",
+    borderRadius: 12,
+    width: 24,
+    height: 24,
+    justifyContent: "center",
+    alignItems: "center",
+    borderWidth: 2,
+    borderColor: "#ffffff",
+  },
   avatar: {
     width: 80,
     height: 80,
@@ -391,6 +586,45 @@ const styles = StyleSheet.create({
     color: "#64748b",
     marginLeft: 4,
   },
+  verifyCard: {
+    flexDirection: "row",
+    backgroundColor: "#fef3c7",
+    borderRadius: 16,
+    padding: 16,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  verifyInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  verifyTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#92400e",
+    marginBottom: 4,
+  },
+  verifyText: {
+    fontSize: 13,
+    color: "#92400e",
+    lineHeight: 18,
+  },
+  verifyActions: {
+    flexDirection: "row",
+    marginTop: 8,
+  },
+  verifyLink: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3b82f6",
+    marginRight: 16,
+  },
+  deletionCard: {
+    backgroundColor: "#fee2e2",
+  },
+  deletionText: {
+    color: "#b91c1c",
+  },
   availabilityCard: {
     backgroundColor: "#ffffff",
     borderRadius: 16,
@@ -423,6 +657,16 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: "#1e293b",
   },
+  scheduleLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 12,
+  },
+  scheduleLinkText: {
+    fontSize: 13,
+    color: "#3b82f6",
+    marginLeft: 6,
+  },
   statsCard: {
     backgroundColor: "#ffffff",
     borderRadius: 16,
@@ -536,6 +780,23 @@ const styles = StyleSheet.create({
     backgroundColor: "#3b82f6",
     borderRadius: 3,
   },
+  endorsersRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 6,
+  },
+  endorserAvatar: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    marginRight: 4,
+  },
+  endorsersText: {
+    flex: 1,
+    fontSize: 12,
+    color: "#64748b",
+    marginLeft: 2,
+  },
   addSkillButton: {
     flexDirection: "row",
     alignItems: "center",
@@ -636,4 +897,12 @@ const styles = StyleSheet.create({
     color: "#ef4444",
     marginLeft: 8,
   },
+  logoutAllButton: {
+    alignItems: "center",
+    paddingVertical: 12,
+  },
+  logoutAllText: {
+    fontSize: 14,
+    color: "#64748b",
+  },
 });
\ No newline at end of file
@@ -96,6 +96,166 @@ export default function RootLayout() {
               headerTitleAlign: "center",
             }}
           />
+          <Stack.Screen 
+            name="forgot-password" 
+            options={{
+              title: "Forgot Password",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="reset-password" 
+            options={{
+              title: "Reset Password",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="change-password" 
+            options={{
+              title: "Change Password",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="verify-email" 
+            options={{
+              title: "Verify Email",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="two-factor" 
+            options={{
+              title: "Two-Factor Authentication",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="access-tokens" 
+            options={{
+              title: "Access Tokens",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="people" 
+            options={{
+              title: "People",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="mentors/index" 
+            options={{
+              title: "Mentors",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="mentors/[id]" 
+            options={{
+              title: "Mentor",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="mentor-settings" 
+            options={{
+              title: "Mentor Profile",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="users/[id]" 
+            options={{
+              title: "Profile",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="projects/[id]/members" 
+            options={{
+              title: "Members",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="projects/[id]/board" 
+            options={{
+              title: "Task Board",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="projects/[id]/roadmap" 
+            options={{
+              title: "Roadmap",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="connections" 
+            options={{
+              title: "Connections",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="privacy" 
+            options={{
+              title: "Privacy",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="blocked-users" 
+            options={{
+              title: "Blocked & Muted",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="availability" 
+            options={{
+              title: "Availability",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="invite" 
+            options={{
+              title: "Invitation",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
+          <Stack.Screen 
+            name="account-data" 
+            options={{
+              title: "Your Data & Account",
+              headerShown: true,
+              headerTitleAlign: "center",
+            }}
+          />
           <Stack.Screen 
             name="(tabs)" 
             options={{
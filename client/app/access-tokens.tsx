@@ -0,0 +1,423 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  Alert,
+  Share,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { format, formatDistanceToNow } from "date-fns";
+import { fonts } from "./constants/theme";
+import { getAccessTokens, createAccessToken, revokeAccessToken } from "./utils/api";
+
+type AccessToken = {
+  _id: string;
+  name: string;
+  tokenPrefix: string;
+  scopes: string[];
+  expiresAt: string;
+  lastUsedAt?: string;
+  createdAt: string;
+};
+
+const EXPIRY_OPTIONS = [7, 30, 90, 365];
+
+export default function AccessTokensScreen() {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [tokens, setTokens] = useState<AccessToken[]>([]);
+  const [availableScopes, setAvailableScopes] = useState<string[]>([]);
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState<string[]>([]);
+  const [expiresInDays, setExpiresInDays] = useState(30);
+  const [newToken, setNewToken] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadTokens = async () => {
+    try {
+      const result = await getAccessTokens();
+      if (!result.success) {
+        setError(result.message || "Failed to load access tokens");
+        return;
+      }
+      setTokens(result.data);
+      setAvailableScopes(result.availableScopes);
+    } catch (err) {
+      console.error("Failed to load access tokens:", err);
+      setError("Failed to load access tokens");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadTokens();
+  }, []);
+
+  const toggleScope = (scope: string) => {
+    setScopes((current) =>
+      current.includes(scope) ? current.filter((s) => s !== scope) : [...current, scope]
+    );
+  };
+
+  const handleCreate = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const result = await createAccessToken(name.trim(), scopes, expiresInDays);
+
+      if (!result.success) {
+        setError(result.message || "Could not create token");
+        return;
+      }
+
+      // The token is only returned once, so keep it on screen until dismissed
+      setNewToken(result.data.token);
+      setName("");
+      setScopes([]);
+      await loadTokens();
+    } catch (err: any) {
+      setError(err.message || "Could not create token");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRevoke = (token: AccessToken) => {
+    Alert.alert(
+      "Revoke token",
+      `Scripts using "${token.name}" will stop working immediately.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Revoke",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              const result = await revokeAccessToken(token._id);
+              if (!result.success) {
+                setError(result.message || "Could not revoke token");
+                return;
+              }
+              setTokens((current) => current.filter((t) => t._id !== token._id));
+            } catch (err: any) {
+              setError(err.message || "Could not revoke token");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  const canCreate = name.trim().length > 0 && scopes.length > 0 && !submitting;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {newToken && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Copy your new token</Text>
+            <Text style={styles.cardText}>
+              Use it as a Bearer token in the Authorization header. It will not be shown again.
+            </Text>
+            <Text selectable style={styles.secret}>{newToken}</Text>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => Share.share({ message: newToken })}
+            >
+              <Text style={styles.secondaryButtonText}>Save or share token</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setNewToken(null)}>
+              <Text style={styles.dismissText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>New token</Text>
+          <View style={styles.inputContainer}>
+            <Ionicons name="pricetag-outline" size={20} color="#64748b" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Token name, e.g. CI sync script"
+              placeholderTextColor="#94a3b8"
+              value={name}
+              onChangeText={setName}
+              editable={!submitting}
+            />
+          </View>
+
+          <Text style={styles.label}>Scopes</Text>
+          <View style={styles.chips}>
+            {availableScopes.map((scope) => (
+              <TouchableOpacity
+                key={scope}
+                style={[styles.chip, scopes.includes(scope) && styles.chipSelected]}
+                onPress={() => toggleScope(scope)}
+              >
+                <Text style={[styles.chipText, scopes.includes(scope) && styles.chipTextSelected]}>
+                  {scope}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.label}>Expires in</Text>
+          <View style={styles.chips}>
+            {EXPIRY_OPTIONS.map((days) => (
+              <TouchableOpacity
+                key={days}
+                style={[styles.chip, expiresInDays === days && styles.chipSelected]}
+                onPress={() => setExpiresInDays(days)}
+              >
+                <Text style={[styles.chipText, expiresInDays === days && styles.chipTextSelected]}>
+                  {days} days
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.primaryButton, !canCreate && styles.disabledButton]}
+            onPress={handleCreate}
+            disabled={!canCreate}
+          >
+            {submitting ? (
+              <ActivityIndicator color="#ffffff" size="small" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Create token</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.sectionTitle}>Your tokens</Text>
+        {tokens.length === 0 ? (
+          <Text style={styles.emptyText}>You have no access tokens yet.</Text>
+        ) : (
+          tokens.map((token) => {
+            const expired = new Date(token.expiresAt) <= new Date();
+            return (
+              <View key={token._id} style={styles.tokenRow}>
+                <View style={styles.tokenInfo}>
+                  <Text style={styles.tokenName}>{token.name}</Text>
+                  <Text style={styles.tokenMeta}>{token.tokenPrefix}…  ·  {token.scopes.join(", ")}</Text>
+                  <Text style={[styles.tokenMeta, expired && styles.expiredText]}>
+                    {expired ? "Expired" : "Expires"} {format(new Date(token.expiresAt), "MMM d, yyyy")}
+                    {"  ·  "}
+                    {token.lastUsedAt
+                      ? `Last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}`
+                      : "Never used"}
+                  </Text>
+                </View>
+                <TouchableOpacity onPress={() => handleRevoke(token)} style={styles.revokeButton}>
+                  <Ionicons name="trash-outline" size={20} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+            );
+          })
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: "#64748b",
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  secret: {
+    fontFamily: "monospace",
+    fontSize: 13,
+    color: "#1e293b",
+    backgroundColor: "#f1f5f9",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  dismissText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#64748b",
+    textAlign: "center",
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#475569",
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 12,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  chipText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  chipTextSelected: {
+    color: "#ffffff",
+  },
+  inputContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    height: 52,
+    marginBottom: 12,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    height: 52,
+    fontSize: 16,
+    color: "#1e293b",
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 12,
+    height: 50,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+    borderRadius: 12,
+    height: 46,
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  sectionTitle: {
+    fontSize: 17,
+    ...fonts.semiBold,
+    color: "#1e293b",
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+  },
+  tokenRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+  },
+  tokenInfo: {
+    flex: 1,
+  },
+  tokenName: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 4,
+  },
+  tokenMeta: {
+    fontSize: 12,
+    color: "#64748b",
+    marginBottom: 2,
+  },
+  expiredText: {
+    color: "#ef4444",
+  },
+  revokeButton: {
+    padding: 8,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,258 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  Alert,
+  Share,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { useAuth } from "./contexts/AuthContext";
+import { exportMyData, requestAccountDeletion } from "./utils/api";
+
+export default function AccountDataScreen() {
+  const router = useRouter();
+  const { user } = useAuth();
+  const [exporting, setExporting] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [error, setError] = useState<string | null>(null);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError(null);
+      const archive = await exportMyData();
+
+      if (archive.success === false) {
+        setError(archive.message || "Could not export your data");
+        return;
+      }
+
+      await Share.share({
+        title: "MetaConnect data export",
+        message: JSON.stringify(archive, null, 2),
+      });
+    } catch (err: any) {
+      setError(err.message || "Could not export your data");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const scheduleDeletion = async () => {
+    try {
+      setDeleting(true);
+      setError(null);
+      const result = await requestAccountDeletion(password, code.trim() || undefined);
+
+      if (!result.success) {
+        setError(result.message || "Could not delete your account");
+        return;
+      }
+
+      setPassword("");
+      setCode("");
+      Alert.alert("Account deletion scheduled", result.message, [
+        { text: "OK", onPress: () => router.back() },
+      ]);
+    } catch (err: any) {
+      setError(err.message || "Could not delete your account");
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      "Delete account",
+      "Your profile will be removed and your messages and activity anonymized. You can cancel during the grace period.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Delete", style: "destructive", onPress: scheduleDeletion },
+      ]
+    );
+  };
+
+  const needsCode = Boolean(user?.twoFactorEnabled);
+  const canDelete = password.length > 0 && (!needsCode || code.trim().length > 0) && !deleting;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Download your data</Text>
+          <Text style={styles.cardText}>
+            Get a JSON copy of your profile, messages, projects, activity, communities, events and
+            live sessions.
+          </Text>
+          <TouchableOpacity
+            style={[styles.secondaryButton, exporting && styles.disabledButton]}
+            onPress={handleExport}
+            disabled={exporting}
+          >
+            {exporting ? (
+              <ActivityIndicator color="#3b82f6" size="small" />
+            ) : (
+              <Text style={styles.secondaryButtonText}>Export my data</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Delete your account</Text>
+          <Text style={styles.cardText}>
+            After a grace period your account is deleted for good: you are removed from every
+            project, community, event and session, and content you wrote is shown as
+            "Deleted User".
+          </Text>
+
+          <View style={styles.inputContainer}>
+            <Ionicons name="lock-closed-outline" size={20} color="#64748b" style={styles.inputIcon} />
+            <TextInput
+              style={styles.input}
+              placeholder="Password"
+              placeholderTextColor="#94a3b8"
+              value={password}
+              onChangeText={setPassword}
+              secureTextEntry
+              autoCapitalize="none"
+              editable={!deleting}
+            />
+          </View>
+
+          {needsCode && (
+            <View style={styles.inputContainer}>
+              <Ionicons name="shield-checkmark-outline" size={20} color="#64748b" style={styles.inputIcon} />
+              <TextInput
+                style={styles.input}
+                placeholder="6-digit code"
+                placeholderTextColor="#94a3b8"
+                value={code}
+                onChangeText={setCode}
+                keyboardType="number-pad"
+                maxLength={6}
+                editable={!deleting}
+              />
+            </View>
+          )}
+
+          <TouchableOpacity
+            style={[styles.dangerButton, !canDelete && styles.disabledButton]}
+            onPress={handleDelete}
+            disabled={!canDelete}
+          >
+            {deleting ? (
+              <ActivityIndicator color="#ef4444" size="small" />
+            ) : (
+              <Text style={styles.dangerButtonText}>Delete my account</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: "#64748b",
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  inputContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    height: 52,
+    marginBottom: 12,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    height: 52,
+    fontSize: 16,
+    color: "#1e293b",
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+    borderRadius: 12,
+    height: 46,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  dangerButton: {
+    backgroundColor: "#fff1f2",
+    borderRadius: 12,
+    height: 50,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  dangerButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#ef4444",
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
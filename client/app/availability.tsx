@@ -0,0 +1,511 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Switch,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { format } from "date-fns";
+import { getMyAvailability, updateAvailability } from "./utils/api";
+
+type Slot = { start: string; end: string };
+type WeeklySlot = Slot & { day: number };
+type Override = { date: string; slots: Slot[] };
+type Vacation = { start: string; end: string; note?: string };
+type Interval = { start: string; end: string };
+
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const DEFAULT_SLOT: Slot = { start: "09:00", end: "17:00" };
+
+const deviceTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const today = () => format(new Date(), "yyyy-MM-dd");
+
+// Start and end inputs for one slot, with a remove button
+function SlotRow({
+  slot,
+  onChange,
+  onRemove,
+}: {
+  slot: Slot;
+  onChange: (slot: Slot) => void;
+  onRemove: () => void;
+}) {
+  return (
+    <View style={styles.slotRow}>
+      <TextInput
+        style={styles.timeInput}
+        value={slot.start}
+        onChangeText={(start) => onChange({ ...slot, start })}
+        placeholder="09:00"
+        placeholderTextColor="#94a3b8"
+        maxLength={5}
+      />
+      <Text style={styles.slotDash}>–</Text>
+      <TextInput
+        style={styles.timeInput}
+        value={slot.end}
+        onChangeText={(end) => onChange({ ...slot, end })}
+        placeholder="17:00"
+        placeholderTextColor="#94a3b8"
+        maxLength={5}
+      />
+      <TouchableOpacity onPress={onRemove} style={styles.removeButton}>
+        <Ionicons name="close-circle-outline" size={20} color="#ef4444" />
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+export default function AvailabilityScreen() {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [saved, setSaved] = useState(false);
+
+  const [enabled, setEnabled] = useState(false);
+  const [timeZone, setTimeZone] = useState(deviceTimeZone());
+  const [weeklySlots, setWeeklySlots] = useState<WeeklySlot[]>([]);
+  const [overrides, setOverrides] = useState<Override[]>([]);
+  const [vacations, setVacations] = useState<Vacation[]>([]);
+  const [availableNow, setAvailableNow] = useState(false);
+  const [free, setFree] = useState<Interval[]>([]);
+
+  const applyResult = (data: any) => {
+    setEnabled(data.schedule.enabled);
+    if (data.schedule.enabled) {
+      setTimeZone(data.schedule.timeZone);
+    }
+    setWeeklySlots(data.schedule.weeklySlots || []);
+    setOverrides(data.schedule.overrides || []);
+    setVacations(data.schedule.vacations || []);
+    setAvailableNow(data.availableNow);
+    setFree(data.free || []);
+  };
+
+  useEffect(() => {
+    const loadAvailability = async () => {
+      try {
+        const result = await getMyAvailability();
+        if (!result.success) {
+          setError(result.message || "Failed to load availability");
+          return;
+        }
+        applyResult(result.data);
+      } catch (err) {
+        console.error("Failed to load availability:", err);
+        setError("Failed to load availability");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAvailability();
+  }, []);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSaved(false);
+      const result = await updateAvailability({ enabled, timeZone, weeklySlots, overrides, vacations });
+
+      if (!result.success) {
+        setError(result.message || "Could not save availability");
+        return;
+      }
+
+      applyResult(result.data);
+      setSaved(true);
+    } catch (err: any) {
+      setError(err.message || "Could not save availability");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateWeeklySlot = (index: number, slot: Slot) =>
+    setWeeklySlots((current) => current.map((s, i) => (i === index ? { ...s, ...slot } : s)));
+
+  const updateOverride = (index: number, changes: Partial<Override>) =>
+    setOverrides((current) => current.map((o, i) => (i === index ? { ...o, ...changes } : o)));
+
+  const updateVacation = (index: number, changes: Partial<Vacation>) =>
+    setVacations((current) => current.map((v, i) => (i === index ? { ...v, ...changes } : v)));
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        <View style={styles.card}>
+          <View style={styles.switchRow}>
+            <Text style={styles.cardTitle}>Use a weekly schedule</Text>
+            <Switch value={enabled} onValueChange={setEnabled} />
+          </View>
+          <Text style={styles.cardText}>
+            Your "available" badge then follows your schedule instead of the switch on your
+            profile, and others can find times when you are both free.
+          </Text>
+          <View style={styles.statusRow}>
+            <View style={[styles.statusDot, { backgroundColor: availableNow ? "#10b981" : "#94a3b8" }]} />
+            <Text style={styles.statusText}>{availableNow ? "Available now" : "Not available now"}</Text>
+          </View>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Time zone</Text>
+          <TextInput
+            style={styles.textInput}
+            value={timeZone}
+            onChangeText={setTimeZone}
+            placeholder="Europe/Berlin"
+            placeholderTextColor="#94a3b8"
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+          {timeZone !== deviceTimeZone() && (
+            <TouchableOpacity onPress={() => setTimeZone(deviceTimeZone())}>
+              <Text style={styles.linkText}>Use this device's time zone ({deviceTimeZone()})</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Weekly hours</Text>
+          {DAYS.map((dayName, day) => (
+            <View key={dayName} style={styles.dayBlock}>
+              <View style={styles.dayHeader}>
+                <Text style={styles.dayName}>{dayName}</Text>
+                <TouchableOpacity onPress={() => setWeeklySlots((current) => [...current, { day, ...DEFAULT_SLOT }])}>
+                  <Ionicons name="add-circle-outline" size={20} color="#3b82f6" />
+                </TouchableOpacity>
+              </View>
+              {weeklySlots.every((slot) => slot.day !== day) && (
+                <Text style={styles.mutedText}>Unavailable</Text>
+              )}
+              {weeklySlots.map((slot, index) =>
+                slot.day === day ? (
+                  <SlotRow
+                    key={index}
+                    slot={slot}
+                    onChange={(changes) => updateWeeklySlot(index, changes)}
+                    onRemove={() => setWeeklySlots((current) => current.filter((_, i) => i !== index))}
+                  />
+                ) : null
+              )}
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.dayHeader}>
+            <Text style={styles.cardTitle}>Date overrides</Text>
+            <TouchableOpacity onPress={() => setOverrides((current) => [...current, { date: today(), slots: [] }])}>
+              <Ionicons name="add-circle-outline" size={20} color="#3b82f6" />
+            </TouchableOpacity>
+          </View>
+          <Text style={styles.cardText}>Replace your weekly hours on a specific date. No hours means unavailable.</Text>
+          {overrides.map((override, index) => (
+            <View key={index} style={styles.dayBlock}>
+              <View style={styles.dayHeader}>
+                <TextInput
+                  style={styles.dateInput}
+                  value={override.date}
+                  onChangeText={(date) => updateOverride(index, { date })}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor="#94a3b8"
+                  maxLength={10}
+                />
+                <View style={styles.inlineActions}>
+                  <TouchableOpacity
+                    onPress={() => updateOverride(index, { slots: [...override.slots, DEFAULT_SLOT] })}
+                  >
+                    <Ionicons name="add-circle-outline" size={20} color="#3b82f6" />
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => setOverrides((current) => current.filter((_, i) => i !== index))}
+                    style={styles.removeButton}
+                  >
+                    <Ionicons name="trash-outline" size={20} color="#ef4444" />
+                  </TouchableOpacity>
+                </View>
+              </View>
+              {override.slots.length === 0 && <Text style={styles.mutedText}>Unavailable all day</Text>}
+              {override.slots.map((slot, slotIndex) => (
+                <SlotRow
+                  key={slotIndex}
+                  slot={slot}
+                  onChange={(changes) =>
+                    updateOverride(index, {
+                      slots: override.slots.map((s, i) => (i === slotIndex ? changes : s)),
+                    })
+                  }
+                  onRemove={() =>
+                    updateOverride(index, { slots: override.slots.filter((_, i) => i !== slotIndex) })
+                  }
+                />
+              ))}
+            </View>
+          ))}
+        </View>
+
+        <View style={styles.card}>
+          <View style={styles.dayHeader}>
+            <Text style={styles.cardTitle}>Vacations</Text>
+            <TouchableOpacity
+              onPress={() => setVacations((current) => [...current, { start: today(), end: today(), note: "" }])}
+            >
+              <Ionicons name="add-circle-outline" size={20} color="#3b82f6" />
+            </TouchableOpacity>
+          </View>
+          {vacations.length === 0 && <Text style={styles.mutedText}>No vacations planned.</Text>}
+          {vacations.map((vacation, index) => (
+            <View key={index} style={styles.dayBlock}>
+              <View style={styles.slotRow}>
+                <TextInput
+                  style={styles.dateInput}
+                  value={vacation.start}
+                  onChangeText={(start) => updateVacation(index, { start })}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor="#94a3b8"
+                  maxLength={10}
+                />
+                <Text style={styles.slotDash}>–</Text>
+                <TextInput
+                  style={styles.dateInput}
+                  value={vacation.end}
+                  onChangeText={(end) => updateVacation(index, { end })}
+                  placeholder="YYYY-MM-DD"
+                  placeholderTextColor="#94a3b8"
+                  maxLength={10}
+                />
+                <TouchableOpacity
+                  onPress={() => setVacations((current) => current.filter((_, i) => i !== index))}
+                  style={styles.removeButton}
+                >
+                  <Ionicons name="trash-outline" size={20} color="#ef4444" />
+                </TouchableOpacity>
+              </View>
+              <TextInput
+                style={styles.textInput}
+                value={vacation.note}
+                onChangeText={(note) => updateVacation(index, { note })}
+                placeholder="Note (optional)"
+                placeholderTextColor="#94a3b8"
+                maxLength={100}
+              />
+            </View>
+          ))}
+        </View>
+
+        <TouchableOpacity
+          style={[styles.primaryButton, saving && styles.disabledButton]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          {saving ? (
+            <ActivityIndicator color="#ffffff" size="small" />
+          ) : (
+            <Text style={styles.primaryButtonText}>{saved ? "Saved" : "Save availability"}</Text>
+          )}
+        </TouchableOpacity>
+
+        {enabled && (
+          <View style={[styles.card, styles.previewCard]}>
+            <Text style={styles.cardTitle}>Free in the next 7 days</Text>
+            {free.length === 0 ? (
+              <Text style={styles.mutedText}>No free time in the next 7 days.</Text>
+            ) : (
+              free.map((interval) => (
+                <Text key={interval.start} style={styles.previewText}>
+                  {format(new Date(interval.start), "EEE MMM d, HH:mm")} – {format(new Date(interval.end), "HH:mm")}
+                </Text>
+              ))
+            )}
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  previewCard: {
+    marginTop: 16,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: "#64748b",
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  statusRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  statusDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  statusText: {
+    fontSize: 14,
+    color: "#1e293b",
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    height: 44,
+    fontSize: 15,
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  linkText: {
+    fontSize: 13,
+    color: "#3b82f6",
+  },
+  dayBlock: {
+    borderTopWidth: 1,
+    borderTopColor: "#f1f5f9",
+    paddingVertical: 8,
+  },
+  dayHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  dayName: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#475569",
+  },
+  inlineActions: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  mutedText: {
+    fontSize: 13,
+    color: "#94a3b8",
+    marginTop: 4,
+  },
+  slotRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  timeInput: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    height: 40,
+    width: 72,
+    fontSize: 15,
+    color: "#1e293b",
+    textAlign: "center",
+  },
+  dateInput: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 10,
+    paddingHorizontal: 10,
+    height: 40,
+    width: 120,
+    fontSize: 15,
+    color: "#1e293b",
+  },
+  slotDash: {
+    fontSize: 15,
+    color: "#64748b",
+    marginHorizontal: 8,
+  },
+  removeButton: {
+    marginLeft: 12,
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 12,
+    height: 50,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  previewText: {
+    fontSize: 14,
+    color: "#1e293b",
+    marginBottom: 4,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,278 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  Image,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { formatDistanceToNow } from "date-fns";
+import { getRestrictedUsers, unblockUser, unmuteUser } from "./utils/api";
+
+type RestrictedEntry = {
+  user: {
+    _id: string;
+    name: string;
+    avatar?: string;
+  };
+  blockedAt?: string;
+  mutedAt?: string;
+};
+
+const LISTS = [
+  {
+    value: "blocked",
+    label: "Blocked",
+    description: "Blocked people can't see your profile, message you or join your sessions, and you won't see theirs.",
+  },
+  {
+    value: "muted",
+    label: "Muted",
+    description: "Muted people's community chat messages and activity are hidden from you. They aren't told.",
+  },
+];
+
+const DEFAULT_AVATAR = require("../assets/images/avatars/user.jpeg");
+
+export default function BlockedUsersScreen() {
+  const [list, setList] = useState("blocked");
+  const [entries, setEntries] = useState<RestrictedEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadList = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await getRestrictedUsers(list);
+
+      if (!result.success) {
+        setError(result.message || "Failed to load list");
+        return;
+      }
+
+      setEntries(result.data);
+      setNextCursor(result.nextCursor);
+    } catch (err: any) {
+      setError(err.message || "Failed to load list");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadList();
+  }, [list]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore || loading) return;
+
+    try {
+      setLoadingMore(true);
+      const result = await getRestrictedUsers(list, nextCursor);
+      if (result.success) {
+        setEntries((current) => [...current, ...result.data]);
+        setNextCursor(result.nextCursor);
+      }
+    } catch (err) {
+      console.error("Failed to load more:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const restore = async (entry: RestrictedEntry) => {
+    try {
+      const result = list === "blocked" ? await unblockUser(entry.user._id) : await unmuteUser(entry.user._id);
+      if (!result.success) {
+        setError(result.message || "Could not update list");
+        return;
+      }
+      setEntries((current) => current.filter((e) => e.user._id !== entry.user._id));
+    } catch (err: any) {
+      setError(err.message || "Could not update list");
+    }
+  };
+
+  const renderEntry = ({ item }: { item: RestrictedEntry }) => {
+    const since = item.blockedAt || item.mutedAt;
+    return (
+      <View style={styles.row}>
+        <Image source={item.user.avatar ? { uri: item.user.avatar } : DEFAULT_AVATAR} style={styles.avatar} />
+        <View style={styles.info}>
+          <Text style={styles.name}>{item.user.name}</Text>
+          {!!since && (
+            <Text style={styles.meta}>
+              {list === "blocked" ? "Blocked" : "Muted"} {formatDistanceToNow(new Date(since), { addSuffix: true })}
+            </Text>
+          )}
+        </View>
+        <TouchableOpacity style={styles.restoreButton} onPress={() => restore(item)}>
+          <Text style={styles.restoreText}>{list === "blocked" ? "Unblock" : "Unmute"}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const current = LISTS.find((option) => option.value === list);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.tabs}>
+        {LISTS.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.tab, list === option.value && styles.tabSelected]}
+            onPress={() => setList(option.value)}
+          >
+            <Text style={[styles.tabText, list === option.value && styles.tabTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.description}>{current?.description}</Text>
+
+      {error && (
+        <View style={styles.errorContainer}>
+          <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      {loading ? (
+        <ActivityIndicator style={styles.loader} size="large" color="#3b82f6" />
+      ) : (
+        <FlatList
+          data={entries}
+          keyExtractor={(item) => item.user._id}
+          renderItem={renderEntry}
+          contentContainerStyle={styles.list}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              {list === "blocked" ? "You haven't blocked anyone." : "You haven't muted anyone."}
+            </Text>
+          }
+          ListFooterComponent={loadingMore ? <ActivityIndicator color="#3b82f6" /> : null}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  tabs: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    padding: 16,
+    paddingBottom: 8,
+  },
+  tab: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  tabSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  tabText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  tabTextSelected: {
+    color: "#ffffff",
+  },
+  description: {
+    fontSize: 13,
+    color: "#64748b",
+    lineHeight: 18,
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+  },
+  avatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    marginRight: 12,
+  },
+  info: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  meta: {
+    fontSize: 12,
+    color: "#64748b",
+    marginTop: 2,
+  },
+  restoreButton: {
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  restoreText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+    textAlign: "center",
+    marginTop: 40,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  Alert,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { fonts } from "./constants/theme";
+import { changePassword } from "./utils/api";
+
+export default function ChangePasswordScreen() {
+  const router = useRouter();
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleChange = async () => {
+    if (!currentPassword || !newPassword || !confirmPassword) {
+      setError("Please fill in all fields");
+      return;
+    }
+
+    if (newPassword.length < 6) {
+      setError("Password must be at least 6 characters");
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      setError("New passwords do not match");
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      const result = await changePassword(currentPassword, newPassword);
+
+      if (!result.success) {
+        setError(result.message || "Could not change password");
+        return;
+      }
+
+      Alert.alert(
+        "Password Updated",
+        "Your password was changed. Other devices have been signed out.",
+        [{ text: "OK", onPress: () => router.back() }]
+      );
+    } catch (err: any) {
+      setError(err.message || "Could not change password");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: "#ffffff" }}>
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <ScrollView
+          contentContainerStyle={styles.container}
+          showsVerticalScrollIndicator={false}
+        >
+          <Text style={styles.title}>Change password</Text>
+
+          {error && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+              <Text style={styles.errorText}>{error}</Text>
+            </View>
+          )}
+
+          {[
+            { placeholder: "Current Password", value: currentPassword, onChange: setCurrentPassword },
+            { placeholder: "New Password", value: newPassword, onChange: setNewPassword },
+            { placeholder: "Confirm New Password", value: confirmPassword, onChange: setConfirmPassword },
+          ].map((field) => (
+            <View key={field.placeholder} style={styles.inputContainer}>
+              <Ionicons
+                name="lock-closed-outline"
+                size={20}
+                color="#64748b"
+                style={styles.inputIcon}
+              />
+              <TextInput
+                style={styles.input}
+                placeholder={field.placeholder}
+                placeholderTextColor="#94a3b8"
+                value={field.value}
+                onChangeText={field.onChange}
+                secureTextEntry
+                autoCapitalize="none"
+                editable={!isLoading}
+              />
+            </View>
+          ))}
+
+          <TouchableOpacity
+            style={[styles.primaryButton, isLoading && styles.disabledButton]}
+            onPress={handleChange}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="#ffffff" size="small" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Update Password</Text>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: "#ffffff",
+    paddingHorizontal: 24,
+    paddingTop: 24,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 24,
+    ...fonts.bold,
+    color: "#1e293b",
+    marginBottom: 24,
+  },
+  inputContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    height: 60,
+    marginBottom: 16,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    height: 60,
+    fontSize: 16,
+    color: "#1e293b",
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 16,
+    height: 60,
+    justifyContent: "center",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  disabledButton: {
+    backgroundColor: "#93c5fd",
+  },
+  primaryButtonText: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
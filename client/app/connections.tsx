@@ -0,0 +1,280 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  Image,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { useAuth } from "./contexts/AuthContext";
+import { getUserList, getConnectionRequests, acceptConnection, removeConnection } from "./utils/api";
+
+type ListEntry = {
+  _id?: string;
+  user: {
+    _id: string;
+    name: string;
+    avatar?: string;
+    location?: string;
+  };
+};
+
+const LISTS = [
+  { value: "followers", label: "Followers" },
+  { value: "following", label: "Following" },
+  { value: "connections", label: "Connections" },
+];
+
+const DEFAULT_AVATAR = require("../assets/images/avatars/user.jpeg");
+
+export default function ConnectionsScreen() {
+  const router = useRouter();
+  const { user } = useAuth();
+  const params = useLocalSearchParams<{ userId?: string; list?: string }>();
+  const userId = params.userId || user?._id || "";
+  const isSelf = userId === user?._id;
+
+  const [list, setList] = useState(params.list || "followers");
+  const [entries, setEntries] = useState<ListEntry[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Pending requests are private, so only offer them on your own lists
+  const lists = isSelf ? [...LISTS, { value: "requests", label: "Requests" }] : LISTS;
+
+  const fetchPage = (cursor?: string) =>
+    list === "requests" ? getConnectionRequests("incoming", cursor) : getUserList(userId, list, cursor);
+
+  const loadList = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await fetchPage();
+
+      if (!result.success) {
+        setError(result.message || "Failed to load list");
+        return;
+      }
+
+      setEntries(result.data);
+      setNextCursor(result.nextCursor);
+    } catch (err: any) {
+      setError(err.message || "Failed to load list");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadList();
+  }, [list, userId]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore || loading) return;
+
+    try {
+      setLoadingMore(true);
+      const result = await fetchPage(nextCursor);
+      if (result.success) {
+        setEntries((current) => [...current, ...result.data]);
+        setNextCursor(result.nextCursor);
+      }
+    } catch (err) {
+      console.error("Failed to load more:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const respond = async (entry: ListEntry, accept: boolean) => {
+    try {
+      const result = accept ? await acceptConnection(entry.user._id) : await removeConnection(entry.user._id);
+      if (!result.success) {
+        setError(result.message || "Could not update request");
+        return;
+      }
+      setEntries((current) => current.filter((e) => e.user._id !== entry.user._id));
+    } catch (err: any) {
+      setError(err.message || "Could not update request");
+    }
+  };
+
+  const renderEntry = ({ item }: { item: ListEntry }) => (
+    <TouchableOpacity style={styles.row} onPress={() => router.push(`/users/${item.user._id}`)}>
+      <Image source={item.user.avatar ? { uri: item.user.avatar } : DEFAULT_AVATAR} style={styles.avatar} />
+      <View style={styles.info}>
+        <Text style={styles.name}>{item.user.name}</Text>
+        {!!item.user.location && <Text style={styles.meta}>{item.user.location}</Text>}
+      </View>
+      {list === "requests" ? (
+        <View style={styles.requestActions}>
+          <TouchableOpacity style={styles.acceptButton} onPress={() => respond(item, true)}>
+            <Ionicons name="checkmark" size={18} color="#ffffff" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.declineButton} onPress={() => respond(item, false)}>
+            <Ionicons name="close" size={18} color="#ef4444" />
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <Ionicons name="chevron-forward" size={20} color="#94a3b8" />
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.tabs}>
+        {lists.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.tab, list === option.value && styles.tabSelected]}
+            onPress={() => setList(option.value)}
+          >
+            <Text style={[styles.tabText, list === option.value && styles.tabTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {error && (
+        <View style={styles.errorContainer}>
+          <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      {loading ? (
+        <ActivityIndicator style={styles.loader} size="large" color="#3b82f6" />
+      ) : (
+        <FlatList
+          data={entries}
+          keyExtractor={(item) => item.user._id}
+          renderItem={renderEntry}
+          contentContainerStyle={styles.list}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={<Text style={styles.emptyText}>Nobody here yet.</Text>}
+          ListFooterComponent={loadingMore ? <ActivityIndicator color="#3b82f6" /> : null}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  tabs: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    padding: 16,
+    paddingBottom: 8,
+  },
+  tab: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  tabSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  tabText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  tabTextSelected: {
+    color: "#ffffff",
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+  },
+  avatar: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    marginRight: 12,
+  },
+  info: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  meta: {
+    fontSize: 12,
+    color: "#64748b",
+    marginTop: 2,
+  },
+  requestActions: {
+    flexDirection: "row",
+  },
+  acceptButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 16,
+    width: 32,
+    height: 32,
+    justifyContent: "center",
+    alignItems: "center",
+    marginLeft: 8,
+  },
+  declineButton: {
+    backgroundColor: "#fff1f2",
+    borderRadius: 16,
+    width: 32,
+    height: 32,
+    justifyContent: "center",
+    alignItems: "center",
+    marginLeft: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+    textAlign: "center",
+    marginTop: 40,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -1,17 +1,23 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
 import { useRouter } from "expo-router";
 import AsyncStorage from "@react-native-async-storage/async-storage";
-import api from "../utils/api";
+import { Platform } from "react-native";
+import api, { setAuthFailureHandler, revokeAllAuthSessions } from "../utils/api";
+
+// Sent with login/signup so the device shows up in the active sessions list
+const DEVICE_NAME = `MetaConnect ${Platform.OS} app`;
 
 type UserType = {
   _id: string;
   name: string;
   email: string;
+  emailVerified: boolean;
   skills: string[];
   bio: string;
   location: string;
   availability: boolean;
   avatar: string;
+  twoFactorEnabled?: boolean;
 };
 
 type AuthContextType = {
@@ -26,6 +32,10 @@ type AuthContextType = {
     skills?: string[]
   ) => Promise<void>;
   logout: () => Promise<void>;
+  logoutEverywhere: () => Promise<void>;
+  twoFactorPending: boolean;
+  verifyTwoFactor: (code: string, isRecoveryCode?: boolean) => Promise<void>;
+  cancelTwoFactor: () => void;
   error: string | null;
   updateUser: (userData: Partial<UserType>) => Promise<void>;
 };
@@ -45,6 +55,8 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  // Challenge token returned by login when the account has 2FA enabled
+  const [challengeToken, setChallengeToken] = useState<string | null>(null);
   const router = useRouter();
 
   // Load user from storage on app start
@@ -56,11 +68,14 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
           // Validate token and get user data
           try {
             const response = await api.get("/auth/me");
+            if (!response.data?.success) {
+              throw new Error(response.data?.message || "Session expired");
+            }
             setUser(response.data.data);
             setIsAuthenticated(true);
           } catch (err) {
-            // Token is invalid, clear it
-            await AsyncStorage.removeItem("token");
+            // Token is invalid and could not be refreshed, clear it
+            await AsyncStorage.multiRemove(["token", "refreshToken"]);
           }
         }
       } catch (err) {
@@ -73,6 +88,22 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     loadUser();
   }, []);
 
+  // Drop back to the login screen once the refresh token is rejected
+  useEffect(() => {
+    setAuthFailureHandler(() => {
+      setUser(null);
+      setIsAuthenticated(false);
+      router.replace("/login");
+    });
+
+    return () => setAuthFailureHandler(null);
+  }, [router]);
+
+  const saveTokens = async (token: string, refreshToken: string) => {
+    await AsyncStorage.setItem("token", token);
+    await AsyncStorage.setItem("refreshToken", refreshToken);
+  };
+
   const login = async (email: string, password: string) => {
     try {
       setIsLoading(true);
@@ -80,22 +111,23 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
       
       const response = await api.post("/auth/login", {
         email,
-        password
+        password,
+        deviceName: DEVICE_NAME
       });
 
-      const { token, user } = response.data;
-      
-      // Save token to storage
-      await AsyncStorage.setItem("token", token);
-      
-      // Set user and authentication state
-      setUser(user);
-      setIsAuthenticated(true);
-      
-      // Navigate to home screen
-      router.replace("/(tabs)/home");
+      if (!response.data?.success) {
+        throw new Error(response.data?.message || "Invalid credentials");
+      }
+
+      // Password accepted, but a second factor is still needed
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
+
+      await completeLogin(response.data);
     } catch (err: any) {
-      const errorMessage = err.response?.data?.message || "An error occurred during login";
+      const errorMessage = err.response?.data?.message || err.message || "An error occurred during login";
       setError(errorMessage);
       console.error("Login error:", err);
     } finally {
@@ -103,6 +135,52 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
+  const verifyTwoFactor = async (code: string, isRecoveryCode = false) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const response = await api.post("/auth/2fa/verify", {
+        challengeToken,
+        deviceName: DEVICE_NAME,
+        ...(isRecoveryCode ? { recoveryCode: code } : { code })
+      });
+
+      if (!response.data?.success) {
+        // An expired challenge means starting over from the password step
+        if (response.status === 401 && response.data?.message?.includes("expired")) {
+          setChallengeToken(null);
+        }
+        throw new Error(response.data?.message || "Invalid verification code");
+      }
+
+      setChallengeToken(null);
+      await completeLogin(response.data);
+    } catch (err: any) {
+      setError(err.message || "An error occurred during login");
+      console.error("Two-factor error:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setError(null);
+  };
+
+  const completeLogin = async ({ token, refreshToken, user }: { token: string; refreshToken: string; user: UserType }) => {
+    // Save tokens to storage
+    await saveTokens(token, refreshToken);
+    
+    // Set user and authentication state
+    setUser(user);
+    setIsAuthenticated(true);
+    
+    // Navigate to home screen
+    router.replace("/(tabs)/home");
+  };
+
   const signup = async (
     name: string,
     email: string,
@@ -117,13 +195,14 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         name,
         email,
         password,
-        skills
+        skills,
+        deviceName: DEVICE_NAME
       });
 
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
       
-      // Save token to storage
-      await AsyncStorage.setItem("token", token);
+      // Save tokens to storage
+      await saveTokens(token, refreshToken);
       
       // Set user and authentication state
       setUser(user);
@@ -144,15 +223,14 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     try {
       setIsLoading(true);
       
-      // Clear token from storage
-      await AsyncStorage.removeItem("token");
-      
-      // Reset state
-      setUser(null);
-      setIsAuthenticated(false);
+      // Revoke this device's session on the server (best effort)
+      try {
+        await api.post("/auth/logout");
+      } catch (err) {
+        console.warn("Could not revoke session on server:", err);
+      }
       
-      // Navigate to login screen
-      router.replace("/login");
+      await clearSession();
     } catch (err: any) {
       setError("An error occurred during logout");
       console.error("Logout error:", err);
@@ -161,6 +239,32 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
+  const logoutEverywhere = async () => {
+    try {
+      setIsLoading(true);
+      
+      await revokeAllAuthSessions();
+      await clearSession();
+    } catch (err: any) {
+      setError("An error occurred while logging out of all devices");
+      console.error("Logout everywhere error:", err);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const clearSession = async () => {
+    // Clear tokens from storage
+    await AsyncStorage.multiRemove(["token", "refreshToken"]);
+    
+    // Reset state
+    setUser(null);
+    setIsAuthenticated(false);
+    
+    // Navigate to login screen
+    router.replace("/login");
+  };
+
   const updateUser = async (userData: Partial<UserType>) => {
     try {
       setIsLoading(true);
@@ -195,6 +299,10 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         login,
         signup,
         logout,
+        logoutEverywhere,
+        twoFactorPending: Boolean(challengeToken),
+        verifyTwoFactor,
+        cancelTwoFactor,
         error,
         updateUser
       }}
@@ -0,0 +1,239 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  StatusBar,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import Animated, { FadeInDown } from "react-native-reanimated";
+import { fonts } from "./constants/theme";
+import { requestPasswordReset } from "./utils/api";
+
+export default function ForgotPasswordScreen() {
+  const router = useRouter();
+  const [email, setEmail] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [sent, setSent] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!email) {
+      setError("Please enter your email address");
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      const result = await requestPasswordReset(email.trim());
+
+      if (!result.success) {
+        setError(result.message || "Could not send reset link");
+        return;
+      }
+
+      setSent(true);
+    } catch (err: any) {
+      setError(err.message || "Could not send reset link");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: "#ffffff" }}>
+      <StatusBar barStyle="dark-content" />
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <ScrollView
+          contentContainerStyle={styles.container}
+          showsVerticalScrollIndicator={false}
+        >
+          <Animated.View
+            entering={FadeInDown.delay(200).springify()}
+            style={styles.formContainer}
+          >
+            <Text style={styles.title}>Forgot password?</Text>
+            <Text style={styles.subtitle}>
+              Enter the email you signed up with and we'll send you a link to
+              reset your password.
+            </Text>
+
+            {error && (
+              <View style={styles.errorContainer}>
+                <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+                <Text style={styles.errorText}>{error}</Text>
+              </View>
+            )}
+
+            {sent ? (
+              <View style={styles.successContainer}>
+                <Ionicons name="mail-open-outline" size={20} color="#10b981" />
+                <Text style={styles.successText}>
+                  If an account exists for {email}, a reset link is on its way.
+                  It expires shortly, so use it soon.
+                </Text>
+              </View>
+            ) : (
+              <View style={styles.inputContainer}>
+                <Ionicons
+                  name="mail-outline"
+                  size={20}
+                  color="#64748b"
+                  style={styles.inputIcon}
+                />
+                <TextInput
+                  style={styles.input}
+                  placeholder="Email Address"
+                  placeholderTextColor="#94a3b8"
+                  value={email}
+                  onChangeText={setEmail}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoComplete="email"
+                  editable={!isLoading}
+                />
+              </View>
+            )}
+
+            {sent ? (
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={() => router.push("/reset-password")}
+              >
+                <Text style={styles.primaryButtonText}>I have a reset code</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={[styles.primaryButton, (!email || isLoading) && styles.disabledButton]}
+                onPress={handleSubmit}
+                disabled={!email || isLoading}
+              >
+                {isLoading ? (
+                  <ActivityIndicator color="#ffffff" size="small" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>Send Reset Link</Text>
+                )}
+              </TouchableOpacity>
+            )}
+
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={() => router.replace("/login")}
+            >
+              <Text style={styles.secondaryButtonText}>Back to Log In</Text>
+            </TouchableOpacity>
+          </Animated.View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexGrow: 1,
+    backgroundColor: "#ffffff",
+    paddingHorizontal: 24,
+    paddingTop: 32,
+    paddingBottom: 40,
+  },
+  formContainer: {
+    width: "100%",
+  },
+  title: {
+    fontSize: 28,
+    ...fonts.bold,
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    ...fonts.regular,
+    color: "#64748b",
+    marginBottom: 24,
+    lineHeight: 22,
+  },
+  inputContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    height: 60,
+    marginBottom: 24,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    height: 60,
+    fontSize: 16,
+    color: "#1e293b",
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 16,
+    height: 60,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  disabledButton: {
+    backgroundColor: "#93c5fd",
+  },
+  primaryButtonText: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  secondaryButton: {
+    alignItems: "center",
+    paddingVertical: 16,
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+  successContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#d1fae5",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 24,
+  },
+  successText: {
+    fontSize: 14,
+    color: "#047857",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,375 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Image,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { useRouter, useLocalSearchParams } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { formatDistanceToNow } from "date-fns";
+import { fonts } from "./constants/theme";
+import { useAuth } from "./contexts/AuthContext";
+import {
+  previewInviteLink,
+  acceptInviteLink,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+} from "./utils/api";
+
+type Inviter = {
+  _id: string;
+  name: string;
+  avatar?: string;
+};
+
+type LinkPreview = {
+  project: {
+    _id: string;
+    title: string;
+    description: string;
+    skills: string[];
+    memberCount: number;
+  };
+  role: string;
+  invitedBy: Inviter;
+  status: "pending" | "accepted" | "declined" | "revoked" | "expired" | "used_up";
+  expiresAt: string;
+  alreadyMember: boolean;
+};
+
+type Invitation = {
+  _id: string;
+  project: { _id: string; title: string; description: string };
+  role: string;
+  invitedBy: Inviter;
+  message?: string;
+  expiresAt: string;
+};
+
+const UNAVAILABLE: Record<string, string> = {
+  revoked: "This invite link has been revoked.",
+  expired: "This invite link has expired.",
+  used_up: "This invite link has been used too many times.",
+};
+
+const DEFAULT_AVATAR = require("../assets/images/avatars/user.jpeg");
+
+export default function InviteScreen() {
+  const router = useRouter();
+  const { isAuthenticated, isLoading: authLoading } = useAuth();
+  // Opened from a shared link (metaclient://invite?token=...), or without a
+  // token to list the invitations sent to you
+  const params = useLocalSearchParams<{ token?: string }>();
+  const [preview, setPreview] = useState<LinkPreview | null>(null);
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = params.token ? await previewInviteLink(params.token) : await getMyInvitations();
+
+      if (!result.success) {
+        setError(result.message || "Failed to load invitation");
+        return;
+      }
+
+      if (params.token) {
+        setPreview(result.data);
+      } else {
+        setInvitations(result.data);
+      }
+    } catch (err: any) {
+      setError(err.message || "Failed to load invitation");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!authLoading && isAuthenticated) {
+      load();
+    }
+  }, [authLoading, isAuthenticated, params.token]);
+
+  // Run an accept or decline and open the project when joining
+  const respond = async (action: () => Promise<any>, openProject?: string) => {
+    try {
+      setUpdating(true);
+      setError(null);
+      const result = await action();
+
+      if (!result.success) {
+        setError(result.message || "Something went wrong");
+        return;
+      }
+
+      if (openProject) {
+        router.replace(`/projects/${openProject}/members`);
+      } else {
+        await load();
+      }
+    } catch (err: any) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  if (authLoading || (isAuthenticated && loading)) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!isAuthenticated) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.centered}>
+          <Ionicons name="people-outline" size={64} color="#3b82f6" />
+          <Text style={styles.title}>You've been invited</Text>
+          <Text style={styles.subtitle}>Log in or create an account, then open the invite link again to join.</Text>
+          <TouchableOpacity style={styles.primaryButton} onPress={() => router.push("/login")}>
+            <Text style={styles.primaryButtonText}>Log In</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const renderInviter = (inviter: Inviter, when: string) => (
+    <View style={styles.inviter}>
+      <Image source={inviter.avatar ? { uri: inviter.avatar } : DEFAULT_AVATAR} style={styles.avatar} />
+      <Text style={styles.meta}>
+        Invited by {inviter.name} · expires {formatDistanceToNow(new Date(when), { addSuffix: true })}
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {preview && (
+          <View style={styles.card}>
+            <Text style={styles.title}>{preview.project.title}</Text>
+            <Text style={styles.subtitle}>
+              {preview.project.memberCount} {preview.project.memberCount === 1 ? "member" : "members"} · join as{" "}
+              {preview.role}
+            </Text>
+            {!!preview.project.description && <Text style={styles.description}>{preview.project.description}</Text>}
+            {renderInviter(preview.invitedBy, preview.expiresAt)}
+
+            {preview.alreadyMember ? (
+              <TouchableOpacity
+                style={styles.primaryButton}
+                onPress={() => router.replace(`/projects/${preview.project._id}/members`)}
+              >
+                <Text style={styles.primaryButtonText}>Open project</Text>
+              </TouchableOpacity>
+            ) : preview.status !== "pending" ? (
+              <Text style={styles.unavailable}>{UNAVAILABLE[preview.status] || "This invite link is no longer valid."}</Text>
+            ) : (
+              <TouchableOpacity
+                style={[styles.primaryButton, updating && styles.disabledButton]}
+                onPress={() => respond(() => acceptInviteLink(params.token as string), preview.project._id)}
+                disabled={updating}
+              >
+                {updating ? (
+                  <ActivityIndicator color="#ffffff" size="small" />
+                ) : (
+                  <Text style={styles.primaryButtonText}>Join project</Text>
+                )}
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        {!params.token && (
+          <>
+            <Text style={styles.title}>Project invitations</Text>
+            {invitations.length === 0 && <Text style={styles.subtitle}>You don't have any invitations.</Text>}
+            {invitations.map((invitation) => (
+              <View key={invitation._id} style={styles.card}>
+                <Text style={styles.cardTitle}>{invitation.project.title}</Text>
+                <Text style={styles.meta}>Join as {invitation.role}</Text>
+                {!!invitation.message && <Text style={styles.description}>{invitation.message}</Text>}
+                {renderInviter(invitation.invitedBy, invitation.expiresAt)}
+                <View style={styles.actions}>
+                  <TouchableOpacity
+                    style={styles.secondaryButton}
+                    onPress={() => respond(() => declineInvitation(invitation._id))}
+                    disabled={updating}
+                  >
+                    <Text style={styles.secondaryButtonText}>Decline</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[styles.smallPrimaryButton, styles.acceptButton]}
+                    onPress={() => respond(() => acceptInvitation(invitation._id), invitation.project._id)}
+                    disabled={updating}
+                  >
+                    <Text style={styles.smallPrimaryButtonText}>Accept</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            ))}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  centered: {
+    alignItems: "center",
+    paddingTop: 40,
+    paddingHorizontal: 24,
+  },
+  title: {
+    fontSize: 22,
+    ...fonts.bold,
+    color: "#1e293b",
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  subtitle: {
+    fontSize: 15,
+    ...fonts.regular,
+    color: "#64748b",
+    marginBottom: 16,
+    lineHeight: 22,
+    textAlign: "center",
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 12,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  description: {
+    fontSize: 14,
+    color: "#475569",
+    lineHeight: 20,
+    marginVertical: 8,
+  },
+  inviter: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 12,
+  },
+  avatar: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    marginRight: 8,
+  },
+  meta: {
+    flex: 1,
+    fontSize: 12,
+    color: "#64748b",
+    marginTop: 2,
+  },
+  unavailable: {
+    fontSize: 14,
+    color: "#ef4444",
+    textAlign: "center",
+  },
+  actions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+  },
+  primaryButton: {
+    alignSelf: "stretch",
+    backgroundColor: "#3b82f6",
+    borderRadius: 16,
+    height: 52,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  disabledButton: {
+    backgroundColor: "#93c5fd",
+  },
+  primaryButtonText: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  smallPrimaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    alignItems: "center",
+  },
+  smallPrimaryButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  acceptButton: {
+    marginLeft: 8,
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    alignItems: "center",
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
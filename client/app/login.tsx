@@ -26,7 +26,14 @@ import NetworkConfig from "./components/NetworkConfig";
 
 export default function LoginScreen() {
   const router = useRouter();
-  const { login, error: authError, isLoading: authLoading } = useAuth();
+  const {
+    login,
+    twoFactorPending,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    error: authError,
+    isLoading: authLoading,
+  } = useAuth();
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
@@ -34,6 +41,8 @@ export default function LoginScreen() {
   const { height } = useWindowDimensions();
   const [showNetworkModal, setShowNetworkModal] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [twoFactorCode, setTwoFactorCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   // Calculate dynamic top padding based on screen height
   const dynamicTopPadding = Math.max(height * 0.03, 20);
@@ -104,99 +113,184 @@ export default function LoginScreen() {
             </Text>
           </Animated.View>
 
-          <Animated.View
-            entering={FadeInDown.delay(400).springify()}
-            style={styles.formContainer}
-          >
-            <Text style={styles.welcomeText}>Welcome back</Text>
-            <Text style={styles.subtitle}>Log in to your account</Text>
+          {twoFactorPending ? (
+            <Animated.View
+              entering={FadeInDown.delay(200).springify()}
+              style={styles.formContainer}
+            >
+              <Text style={styles.welcomeText}>Two-factor check</Text>
+              <Text style={styles.subtitle}>
+                {useRecoveryCode
+                  ? "Enter one of your saved recovery codes"
+                  : "Enter the 6-digit code from your authenticator app"}
+              </Text>
+
+              {error && (
+                <View style={styles.errorContainer}>
+                  <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+                  <Text style={styles.errorText}>{error}</Text>
+                </View>
+              )}
 
-            {error && (
-              <View style={styles.errorContainer}>
-                <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
-                <Text style={styles.errorText}>{error}</Text>
+              <View style={styles.inputContainer}>
+                <Ionicons
+                  name="shield-checkmark-outline"
+                  size={20}
+                  color="#64748b"
+                  style={styles.inputIcon}
+                />
+                <TextInput
+                  style={styles.input}
+                  placeholder={useRecoveryCode ? "xxxx-xxxx" : "123456"}
+                  placeholderTextColor="#94a3b8"
+                  value={twoFactorCode}
+                  onChangeText={setTwoFactorCode}
+                  keyboardType={useRecoveryCode ? "default" : "number-pad"}
+                  autoCapitalize="none"
+                  autoComplete={useRecoveryCode ? "off" : "one-time-code"}
+                  maxLength={useRecoveryCode ? 9 : 6}
+                  editable={!authLoading}
+                />
               </View>
-            )}
 
-            <View style={styles.inputContainer}>
-              <Ionicons
-                name="mail-outline"
-                size={20}
-                color="#64748b"
-                style={styles.inputIcon}
-              />
-              <TextInput
-                style={styles.input}
-                placeholder="Email Address"
-                placeholderTextColor="#94a3b8"
-                value={email}
-                onChangeText={setEmail}
-                keyboardType="email-address"
-                autoCapitalize="none"
-                autoComplete="email"
-                editable={!isLoading}
-              />
-            </View>
+              <View style={styles.actionRow}>
+                <TouchableOpacity
+                  style={styles.configButton}
+                  onPress={() => {
+                    setTwoFactorCode("");
+                    cancelTwoFactor();
+                  }}
+                >
+                  <Ionicons name="arrow-back-outline" size={18} color="#64748b" />
+                  <Text style={styles.configButtonText}>Back</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={styles.forgotPassword}
+                  onPress={() => {
+                    setTwoFactorCode("");
+                    setUseRecoveryCode(!useRecoveryCode);
+                  }}
+                >
+                  <Text style={styles.forgotPasswordText}>
+                    {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+                  </Text>
+                </TouchableOpacity>
+              </View>
 
-            <View style={styles.inputContainer}>
-              <Ionicons
-                name="lock-closed-outline"
-                size={20}
-                color="#64748b"
-                style={styles.inputIcon}
-              />
-              <TextInput
-                style={styles.input}
-                placeholder="Password"
-                placeholderTextColor="#94a3b8"
-                value={password}
-                onChangeText={setPassword}
-                secureTextEntry={!showPassword}
-                autoCapitalize="none"
-                autoComplete="password"
-                editable={!isLoading}
-              />
               <TouchableOpacity
-                style={styles.passwordToggle}
-                onPress={() => setShowPassword(!showPassword)}
+                style={[
+                  styles.loginButton,
+                  (authLoading || !twoFactorCode) && styles.disabledButton,
+                ]}
+                onPress={() => verifyTwoFactor(twoFactorCode.trim(), useRecoveryCode)}
+                disabled={authLoading || !twoFactorCode}
               >
+                {authLoading ? (
+                  <ActivityIndicator color="#ffffff" size="small" />
+                ) : (
+                  <Text style={styles.loginButtonText}>Verify</Text>
+                )}
+              </TouchableOpacity>
+            </Animated.View>
+          ) : (
+            <Animated.View
+              entering={FadeInDown.delay(400).springify()}
+              style={styles.formContainer}
+            >
+              <Text style={styles.welcomeText}>Welcome back</Text>
+              <Text style={styles.subtitle}>Log in to your account</Text>
+
+              {error && (
+                <View style={styles.errorContainer}>
+                  <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+                  <Text style={styles.errorText}>{error}</Text>
+                </View>
+              )}
+
+              <View style={styles.inputContainer}>
                 <Ionicons
-                  name={showPassword ? "eye-off-outline" : "eye-outline"}
+                  name="mail-outline"
                   size={20}
                   color="#64748b"
+                  style={styles.inputIcon}
                 />
-              </TouchableOpacity>
-            </View>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Email Address"
+                  placeholderTextColor="#94a3b8"
+                  value={email}
+                  onChangeText={setEmail}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoComplete="email"
+                  editable={!isLoading}
+                />
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Ionicons
+                  name="lock-closed-outline"
+                  size={20}
+                  color="#64748b"
+                  style={styles.inputIcon}
+                />
+                <TextInput
+                  style={styles.input}
+                  placeholder="Password"
+                  placeholderTextColor="#94a3b8"
+                  value={password}
+                  onChangeText={setPassword}
+                  secureTextEntry={!showPassword}
+                  autoCapitalize="none"
+                  autoComplete="password"
+                  editable={!isLoading}
+                />
+                <TouchableOpacity
+                  style={styles.passwordToggle}
+                  onPress={() => setShowPassword(!showPassword)}
+                >
+                  <Ionicons
+                    name={showPassword ? "eye-off-outline" : "eye-outline"}
+                    size={20}
+                    color="#64748b"
+                  />
+                </TouchableOpacity>
+              </View>
+
+              <View style={styles.actionRow}>
+                <TouchableOpacity
+                  style={styles.configButton}
+                  onPress={() => setShowNetworkModal(true)}
+                >
+                  <Ionicons name="settings-outline" size={18} color="#64748b" />
+                  <Text style={styles.configButtonText}>Network Config</Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity
+                  style={styles.forgotPassword}
+                  onPress={() => navigateTo("/forgot-password")}
+                >
+                  <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
+                </TouchableOpacity>
+              </View>
 
-            <View style={styles.actionRow}>
               <TouchableOpacity
-                style={styles.configButton}
-                onPress={() => setShowNetworkModal(true)}
+                style={[
+                  styles.loginButton,
+                  (authLoading || !email || !password) && styles.disabledButton,
+                ]}
+                onPress={handleLogin}
+                disabled={authLoading || !email || !password}
               >
-                <Ionicons name="settings-outline" size={18} color="#64748b" />
-                <Text style={styles.configButtonText}>Network Config</Text>
-              </TouchableOpacity>
-
-              <TouchableOpacity style={styles.forgotPassword}>
-                <Text style={styles.forgotPasswordText}>Forgot Password?</Text>
+                {isLoading ? (
+                  <ActivityIndicator color="#ffffff" size="small" />
+                ) : (
+                  <Text style={styles.loginButtonText}>Log In</Text>
+                )}
               </TouchableOpacity>
-            </View>
-
-            <TouchableOpacity
-              style={[
-                styles.loginButton,
-                (authLoading || !email || !password) && styles.disabledButton,
-              ]}
-              onPress={handleLogin}
-              disabled={authLoading || !email || !password}
-            >
-              {isLoading ? (
-                <ActivityIndicator color="#ffffff" size="small" />
-              ) : (
-                <Text style={styles.loginButtonText}>Log In</Text>
-              )}
-            </TouchableOpacity>
-          </Animated.View>
+            </Animated.View>
+          )}
 
           <Animated.View
             entering={FadeInDown.delay(1000).springify()}
@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  Switch,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { getCurrentProfile, updateMentorProfile } from "./utils/api";
+
+export default function MentorSettingsScreen() {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [isActive, setIsActive] = useState(false);
+  const [headline, setHeadline] = useState("");
+  const [expertise, setExpertise] = useState("");
+  const [rating, setRating] = useState({ average: 0, count: 0 });
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadProfile = async () => {
+      try {
+        const profile = await getCurrentProfile();
+        const mentorProfile = profile.mentorProfile || {};
+        setIsActive(Boolean(mentorProfile.isActive));
+        setHeadline(mentorProfile.headline || "");
+        setExpertise((mentorProfile.expertise || []).join(", "));
+        setRating({ average: mentorProfile.ratingAverage || 0, count: mentorProfile.ratingCount || 0 });
+      } catch (err) {
+        console.error("Failed to load mentor profile:", err);
+        setError("Failed to load mentor profile");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProfile();
+  }, []);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const result = await updateMentorProfile({
+        isActive,
+        headline: headline.trim(),
+        expertise: expertise.split(",").map((area) => area.trim()).filter(Boolean),
+      });
+
+      if (!result.success) {
+        setError(result.message || "Could not save mentor profile");
+        return;
+      }
+
+      Alert.alert("Saved", isActive ? "You are listed in the mentor directory." : "Your mentor profile is hidden.");
+    } catch (err: any) {
+      setError(err.message || "Could not save mentor profile");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        <View style={styles.card}>
+          <View style={styles.switchRow}>
+            <View style={styles.switchLabel}>
+              <Text style={styles.cardTitle}>List me as a mentor</Text>
+              <Text style={styles.cardText}>
+                Mentors appear in the mentor directory. People you complete a session with can
+                rate and review you.
+              </Text>
+            </View>
+            <Switch value={isActive} onValueChange={setIsActive} />
+          </View>
+          {rating.count > 0 && (
+            <View style={styles.ratingRow}>
+              <Ionicons name="star" size={16} color="#f59e0b" />
+              <Text style={styles.ratingText}>
+                {rating.average.toFixed(1)} from {rating.count} review{rating.count === 1 ? "" : "s"}
+              </Text>
+            </View>
+          )}
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.label}>Headline</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="e.g. Senior Frontend Engineer"
+            placeholderTextColor="#94a3b8"
+            value={headline}
+            onChangeText={setHeadline}
+            maxLength={120}
+            editable={!saving}
+          />
+
+          <Text style={styles.label}>Areas of expertise</Text>
+          <TextInput
+            style={styles.input}
+            placeholder="React, System design, Career growth"
+            placeholderTextColor="#94a3b8"
+            value={expertise}
+            onChangeText={setExpertise}
+            editable={!saving}
+          />
+
+          <TouchableOpacity
+            style={[styles.primaryButton, saving && styles.disabledButton]}
+            onPress={handleSave}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator color="#ffffff" size="small" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Save</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: "#64748b",
+    lineHeight: 20,
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  switchLabel: {
+    flex: 1,
+    marginRight: 12,
+  },
+  ratingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 12,
+  },
+  ratingText: {
+    fontSize: 14,
+    color: "#475569",
+    marginLeft: 6,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#475569",
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    height: 52,
+    fontSize: 16,
+    color: "#1e293b",
+    marginBottom: 16,
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 12,
+    height: 50,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,444 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Image,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { useLocalSearchParams } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { formatDistanceToNow } from "date-fns";
+import { getMentor, getMentorReviews, reviewMentor, deleteMentorReview } from "../utils/api";
+
+type Review = {
+  _id: string;
+  reviewer: { _id: string; name: string; avatar?: string };
+  rating: number;
+  text: string;
+  createdAt: string;
+};
+
+type MentorDetails = {
+  mentor: {
+    _id: string;
+    name: string;
+    avatar?: string;
+    bio?: string;
+    location?: string;
+    skills: string[];
+    mentorProfile: {
+      headline: string;
+      expertise: string[];
+      ratingAverage: number;
+      ratingCount: number;
+    };
+  };
+  myReview: Review | null;
+  canReview: boolean;
+};
+
+const DEFAULT_AVATAR = require("../../assets/images/avatars/user.jpeg");
+
+const Stars = ({ rating, size = 16, onSelect }: { rating: number; size?: number; onSelect?: (value: number) => void }) => (
+  <View style={styles.stars}>
+    {[1, 2, 3, 4, 5].map((value) => (
+      <TouchableOpacity key={value} disabled={!onSelect} onPress={() => onSelect && onSelect(value)}>
+        <Ionicons
+          name={value <= Math.round(rating) ? "star" : "star-outline"}
+          size={size}
+          color="#f59e0b"
+        />
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+export default function MentorScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const [details, setDetails] = useState<MentorDetails | null>(null);
+  const [reviews, setReviews] = useState<Review[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [rating, setRating] = useState(0);
+  const [text, setText] = useState("");
+  const [error, setError] = useState<string | null>(null);
+
+  const loadMentor = async () => {
+    try {
+      const [result, reviewPage] = await Promise.all([getMentor(id), getMentorReviews(id)]);
+      if (!result.success) {
+        setError(result.message || "Failed to load mentor");
+        return;
+      }
+
+      setDetails(result.data);
+      if (result.data.myReview) {
+        setRating(result.data.myReview.rating);
+        setText(result.data.myReview.text);
+      }
+      if (reviewPage.success) {
+        setReviews(reviewPage.data);
+        setNextCursor(reviewPage.nextCursor);
+      }
+    } catch (err) {
+      console.error("Failed to load mentor:", err);
+      setError("Failed to load mentor");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadMentor();
+  }, [id]);
+
+  const loadMoreReviews = async () => {
+    if (!nextCursor) return;
+
+    try {
+      const result = await getMentorReviews(id, nextCursor);
+      if (result.success) {
+        setReviews((current) => [...current, ...result.data]);
+        setNextCursor(result.nextCursor);
+      }
+    } catch (err) {
+      console.error("Failed to load more reviews:", err);
+    }
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const result = await reviewMentor(id, rating, text.trim());
+
+      if (!result.success) {
+        setError(result.message || "Could not save your review");
+        return;
+      }
+
+      await loadMentor();
+    } catch (err: any) {
+      setError(err.message || "Could not save your review");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const result = await deleteMentorReview(id);
+
+      if (!result.success) {
+        setError(result.message || "Could not delete your review");
+        return;
+      }
+
+      setRating(0);
+      setText("");
+      await loadMentor();
+    } catch (err: any) {
+      setError(err.message || "Could not delete your review");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!details) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <Text style={styles.emptyText}>{error || "Mentor not found"}</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const { mentor, myReview, canReview } = details;
+  const profile = mentor.mentorProfile;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.headerCard}>
+          <Image source={mentor.avatar ? { uri: mentor.avatar } : DEFAULT_AVATAR} style={styles.avatar} />
+          <Text style={styles.name}>{mentor.name}</Text>
+          <Text style={styles.headline}>{profile.headline}</Text>
+          <View style={styles.ratingRow}>
+            <Stars rating={profile.ratingAverage} />
+            <Text style={styles.ratingText}>
+              {profile.ratingCount > 0
+                ? `${profile.ratingAverage.toFixed(1)} · ${profile.ratingCount} review${profile.ratingCount === 1 ? "" : "s"}`
+                : "No reviews yet"}
+            </Text>
+          </View>
+          <View style={styles.expertiseRow}>
+            {profile.expertise.map((area) => (
+              <View key={area} style={styles.expertiseTag}>
+                <Text style={styles.expertiseText}>{area}</Text>
+              </View>
+            ))}
+          </View>
+          {!!mentor.bio && <Text style={styles.bio}>{mentor.bio}</Text>}
+        </View>
+
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {(canReview || myReview) && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>{myReview ? "Your review" : "Leave a review"}</Text>
+            <Stars rating={rating} size={28} onSelect={setRating} />
+            <TextInput
+              style={styles.reviewInput}
+              placeholder="How was your session?"
+              placeholderTextColor="#94a3b8"
+              value={text}
+              onChangeText={setText}
+              multiline
+              maxLength={1000}
+              editable={!submitting}
+            />
+            <TouchableOpacity
+              style={[styles.primaryButton, (submitting || rating === 0) && styles.disabledButton]}
+              onPress={handleSubmit}
+              disabled={submitting || rating === 0}
+            >
+              {submitting ? (
+                <ActivityIndicator color="#ffffff" size="small" />
+              ) : (
+                <Text style={styles.primaryButtonText}>{myReview ? "Update review" : "Post review"}</Text>
+              )}
+            </TouchableOpacity>
+            {myReview && (
+              <TouchableOpacity onPress={handleDelete} disabled={submitting}>
+                <Text style={styles.deleteText}>Delete review</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        <Text style={styles.sectionTitle}>Reviews</Text>
+        {reviews.length === 0 ? (
+          <Text style={styles.emptyText}>No reviews yet.</Text>
+        ) : (
+          reviews.map((review) => (
+            <View key={review._id} style={styles.reviewRow}>
+              <View style={styles.reviewHeader}>
+                <Text style={styles.reviewerName}>{review.reviewer.name}</Text>
+                <Text style={styles.reviewDate}>
+                  {formatDistanceToNow(new Date(review.createdAt), { addSuffix: true })}
+                </Text>
+              </View>
+              <Stars rating={review.rating} size={14} />
+              {!!review.text && <Text style={styles.reviewText}>{review.text}</Text>}
+            </View>
+          ))
+        )}
+        {nextCursor && (
+          <TouchableOpacity onPress={loadMoreReviews}>
+            <Text style={styles.moreText}>Show more reviews</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  headerCard: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    alignItems: "center",
+  },
+  avatar: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    marginBottom: 12,
+  },
+  name: {
+    fontSize: 20,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  headline: {
+    fontSize: 14,
+    color: "#64748b",
+    marginTop: 4,
+    textAlign: "center",
+  },
+  ratingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  ratingText: {
+    fontSize: 13,
+    color: "#64748b",
+    marginLeft: 6,
+  },
+  stars: {
+    flexDirection: "row",
+  },
+  expertiseRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "center",
+    marginTop: 12,
+  },
+  expertiseTag: {
+    backgroundColor: "#eff6ff",
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  expertiseText: {
+    fontSize: 12,
+    color: "#3b82f6",
+  },
+  bio: {
+    fontSize: 14,
+    color: "#475569",
+    lineHeight: 20,
+    marginTop: 12,
+    textAlign: "center",
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  reviewInput: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 12,
+    padding: 12,
+    minHeight: 90,
+    fontSize: 15,
+    color: "#1e293b",
+    textAlignVertical: "top",
+    marginVertical: 12,
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 12,
+    height: 50,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  deleteText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#ef4444",
+    textAlign: "center",
+    marginTop: 12,
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 12,
+  },
+  reviewRow: {
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+  },
+  reviewHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: 4,
+  },
+  reviewerName: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  reviewDate: {
+    fontSize: 12,
+    color: "#94a3b8",
+  },
+  reviewText: {
+    fontSize: 14,
+    color: "#475569",
+    lineHeight: 20,
+    marginTop: 6,
+  },
+  moreText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3b82f6",
+    textAlign: "center",
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,313 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  Image,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { getMentors } from "../utils/api";
+
+type Mentor = {
+  _id: string;
+  name: string;
+  avatar?: string;
+  location?: string;
+  bio?: string;
+  skills: string[];
+  mentorProfile: {
+    headline: string;
+    expertise: string[];
+    ratingAverage: number;
+    ratingCount: number;
+  };
+};
+
+const SORT_OPTIONS = [
+  { value: "rating", label: "Top rated" },
+  { value: "reviews", label: "Most reviewed" },
+  { value: "newest", label: "Newest" },
+  { value: "name", label: "Name" },
+];
+
+const DEFAULT_AVATAR = require("../../assets/images/avatars/user.jpeg");
+
+export default function MentorsScreen() {
+  const router = useRouter();
+  const [query, setQuery] = useState("");
+  const [sort, setSort] = useState("rating");
+  const [mentors, setMentors] = useState<Mentor[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const buildFilters = (cursor?: string) => ({
+    q: query.trim() || undefined,
+    sort,
+    cursor,
+  });
+
+  const loadMentors = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await getMentors(buildFilters());
+
+      if (!result.success) {
+        setError(result.message || "Failed to load mentors");
+        return;
+      }
+
+      setMentors(result.data);
+      setNextCursor(result.nextCursor);
+    } catch (err: any) {
+      setError(err.message || "Failed to load mentors");
+    } finally {
+      setLoading(false);
+    }
+  }, [query, sort]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadMentors, 300);
+    return () => clearTimeout(timer);
+  }, [loadMentors]);
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore || loading) return;
+
+    try {
+      setLoadingMore(true);
+      const result = await getMentors(buildFilters(nextCursor));
+      if (result.success) {
+        setMentors((current) => [...current, ...result.data]);
+        setNextCursor(result.nextCursor);
+      }
+    } catch (err) {
+      console.error("Failed to load more mentors:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const renderMentor = ({ item }: { item: Mentor }) => (
+    <TouchableOpacity style={styles.mentorRow} onPress={() => router.push(`/mentors/${item._id}`)}>
+      <Image source={item.avatar ? { uri: item.avatar } : DEFAULT_AVATAR} style={styles.avatar} />
+      <View style={styles.mentorInfo}>
+        <Text style={styles.mentorName}>{item.name}</Text>
+        <Text style={styles.headline} numberOfLines={1}>{item.mentorProfile.headline}</Text>
+        <View style={styles.ratingRow}>
+          <Ionicons name="star" size={14} color="#f59e0b" />
+          <Text style={styles.ratingText}>
+            {item.mentorProfile.ratingCount > 0
+              ? `${item.mentorProfile.ratingAverage.toFixed(1)} (${item.mentorProfile.ratingCount})`
+              : "No reviews yet"}
+          </Text>
+        </View>
+        <View style={styles.expertiseRow}>
+          {item.mentorProfile.expertise.slice(0, 3).map((area) => (
+            <View key={area} style={styles.expertiseTag}>
+              <Text style={styles.expertiseText}>{area}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+      <Ionicons name="chevron-forward" size={20} color="#94a3b8" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.searchContainer}>
+        <Ionicons name="search-outline" size={20} color="#64748b" style={styles.searchIcon} />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search mentors"
+          placeholderTextColor="#94a3b8"
+          value={query}
+          onChangeText={setQuery}
+          returnKeyType="search"
+        />
+      </View>
+
+      <View style={styles.sortRow}>
+        {SORT_OPTIONS.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.sortChip, sort === option.value && styles.sortChipSelected]}
+            onPress={() => setSort(option.value)}
+          >
+            <Text style={[styles.sortText, sort === option.value && styles.sortTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {error && (
+        <View style={styles.errorContainer}>
+          <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      {loading && mentors.length === 0 ? (
+        <ActivityIndicator style={styles.loader} size="large" color="#3b82f6" />
+      ) : (
+        <FlatList
+          data={mentors}
+          keyExtractor={(item) => item._id}
+          renderItem={renderMentor}
+          contentContainerStyle={styles.list}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={
+            !loading ? <Text style={styles.emptyText}>No mentors found.</Text> : null
+          }
+          ListFooterComponent={loadingMore ? <ActivityIndicator color="#3b82f6" /> : null}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  searchContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    margin: 16,
+    marginBottom: 12,
+    paddingHorizontal: 12,
+    height: 48,
+  },
+  searchIcon: {
+    marginRight: 8,
+  },
+  searchInput: {
+    flex: 1,
+    height: 48,
+    fontSize: 15,
+    color: "#1e293b",
+  },
+  sortRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    paddingHorizontal: 16,
+    marginBottom: 8,
+  },
+  sortChip: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  sortChipSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  sortText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  sortTextSelected: {
+    color: "#ffffff",
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  mentorRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+  },
+  avatar: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    marginRight: 12,
+  },
+  mentorInfo: {
+    flex: 1,
+  },
+  mentorName: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  headline: {
+    fontSize: 13,
+    color: "#64748b",
+    marginTop: 2,
+  },
+  ratingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  ratingText: {
+    fontSize: 12,
+    color: "#64748b",
+    marginLeft: 4,
+  },
+  expertiseRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 6,
+  },
+  expertiseTag: {
+    backgroundColor: "#eff6ff",
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  expertiseText: {
+    fontSize: 12,
+    color: "#3b82f6",
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+    textAlign: "center",
+    marginTop: 40,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,441 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  Image,
+  Switch,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { searchUsers, searchSkills } from "./utils/api";
+
+type DirectoryUser = {
+  _id: string;
+  name: string;
+  avatar?: string;
+  location?: string;
+  skills: string[];
+  availability: boolean;
+};
+
+const SORT_OPTIONS = [
+  { value: "relevance", label: "Best match" },
+  { value: "name", label: "Name" },
+  { value: "newest", label: "Newest" },
+];
+
+const DEFAULT_AVATAR = require("../assets/images/avatars/user.jpeg");
+
+export default function PeopleScreen() {
+  const router = useRouter();
+  const params = useLocalSearchParams<{ q?: string }>();
+  const [query, setQuery] = useState(params.q || "");
+  const [skills, setSkills] = useState("");
+  const [skillSuggestions, setSkillSuggestions] = useState<string[]>([]);
+  const [matchAll, setMatchAll] = useState(false);
+  const [location, setLocation] = useState("");
+  const [availableOnly, setAvailableOnly] = useState(false);
+  const [sort, setSort] = useState("relevance");
+  const [showFilters, setShowFilters] = useState(false);
+
+  const [users, setUsers] = useState<DirectoryUser[]>([]);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Relevance only makes sense with a search query
+  const effectiveSort = sort === "relevance" && !query.trim() ? "name" : sort;
+
+  const buildFilters = (cursor?: string) => ({
+    q: query.trim() || undefined,
+    skills: skills.trim() || undefined,
+    skillsMatch: matchAll ? "all" : "any",
+    location: location.trim() || undefined,
+    available: availableOnly ? "true" : undefined,
+    sort: effectiveSort,
+    cursor,
+  });
+
+  const runSearch = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await searchUsers(buildFilters());
+
+      if (!result.success) {
+        setError(result.message || "Search failed");
+        return;
+      }
+
+      setUsers(result.data);
+      setNextCursor(result.nextCursor);
+    } catch (err: any) {
+      setError(err.message || "Search failed");
+    } finally {
+      setLoading(false);
+    }
+  }, [query, skills, matchAll, location, availableOnly, effectiveSort]);
+
+  // Search as the user types, once they pause
+  useEffect(() => {
+    const timer = setTimeout(runSearch, 300);
+    return () => clearTimeout(timer);
+  }, [runSearch]);
+
+  // Suggest catalog skills for the one being typed (after the last comma)
+  useEffect(() => {
+    const parts = skills.split(",");
+    const typing = parts[parts.length - 1].trim();
+    if (!typing) {
+      setSkillSuggestions([]);
+      return;
+    }
+
+    const entered = parts.slice(0, -1).map((part) => part.trim().toLowerCase());
+    const timer = setTimeout(async () => {
+      try {
+        const result = await searchSkills(typing, 5);
+        if (result.success) {
+          setSkillSuggestions(
+            result.data
+              .map((skill: { name: string }) => skill.name)
+              .filter((name: string) => !entered.includes(name.toLowerCase()))
+          );
+        }
+      } catch (err) {
+        console.error("Failed to load skill suggestions:", err);
+      }
+    }, 200);
+    return () => clearTimeout(timer);
+  }, [skills]);
+
+  const pickSkill = (name: string) => {
+    const parts = skills.split(",").slice(0, -1).map((part) => part.trim()).filter(Boolean);
+    setSkills([...parts, name].join(", ") + ", ");
+    setSkillSuggestions([]);
+  };
+
+  const loadMore = async () => {
+    if (!nextCursor || loadingMore || loading) return;
+
+    try {
+      setLoadingMore(true);
+      const result = await searchUsers(buildFilters(nextCursor));
+      if (result.success) {
+        setUsers((current) => [...current, ...result.data]);
+        setNextCursor(result.nextCursor);
+      }
+    } catch (err) {
+      console.error("Failed to load more people:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const renderUser = ({ item }: { item: DirectoryUser }) => (
+    <TouchableOpacity style={styles.userRow} onPress={() => router.push(`/users/${item._id}`)}>
+      <Image source={item.avatar ? { uri: item.avatar } : DEFAULT_AVATAR} style={styles.avatar} />
+      <View style={styles.userInfo}>
+        <View style={styles.nameRow}>
+          <Text style={styles.userName}>{item.name}</Text>
+          {item.availability && <View style={styles.availableDot} />}
+        </View>
+        {!!item.location && (
+          <View style={styles.locationRow}>
+            <Ionicons name="location-outline" size={12} color="#64748b" />
+            <Text style={styles.locationText}>{item.location}</Text>
+          </View>
+        )}
+        <View style={styles.skillsRow}>
+          {item.skills.slice(0, 4).map((skill) => (
+            <View key={skill} style={styles.skillTag}>
+              <Text style={styles.skillText}>{skill}</Text>
+            </View>
+          ))}
+        </View>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.searchContainer}>
+        <Ionicons name="search-outline" size={20} color="#64748b" style={styles.searchIcon} />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search by name, bio or skill"
+          placeholderTextColor="#94a3b8"
+          value={query}
+          onChangeText={setQuery}
+          autoCapitalize="none"
+          returnKeyType="search"
+        />
+        <TouchableOpacity style={styles.filterButton} onPress={() => setShowFilters(!showFilters)}>
+          <Ionicons name={showFilters ? "close-outline" : "options-outline"} size={20} color="#3b82f6" />
+        </TouchableOpacity>
+      </View>
+
+      {showFilters && (
+        <View style={styles.filters}>
+          <TextInput
+            style={styles.filterInput}
+            placeholder="Skills, comma separated"
+            placeholderTextColor="#94a3b8"
+            value={skills}
+            onChangeText={setSkills}
+            autoCapitalize="none"
+          />
+          {skillSuggestions.length > 0 && (
+            <View style={styles.suggestionRow}>
+              {skillSuggestions.map((name) => (
+                <TouchableOpacity key={name} style={styles.suggestionChip} onPress={() => pickSkill(name)}>
+                  <Text style={styles.suggestionText}>{name}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          <View style={styles.filterRow}>
+            <Text style={styles.filterLabel}>Must have all skills</Text>
+            <Switch value={matchAll} onValueChange={setMatchAll} />
+          </View>
+          <TextInput
+            style={styles.filterInput}
+            placeholder="Location"
+            placeholderTextColor="#94a3b8"
+            value={location}
+            onChangeText={setLocation}
+          />
+          <View style={styles.filterRow}>
+            <Text style={styles.filterLabel}>Available for collaboration</Text>
+            <Switch value={availableOnly} onValueChange={setAvailableOnly} />
+          </View>
+          <View style={styles.sortRow}>
+            {SORT_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.sortChip, effectiveSort === option.value && styles.sortChipSelected]}
+                onPress={() => setSort(option.value)}
+              >
+                <Text style={[styles.sortText, effectiveSort === option.value && styles.sortTextSelected]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+
+      {error && (
+        <View style={styles.errorContainer}>
+          <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      {loading && users.length === 0 ? (
+        <ActivityIndicator style={styles.loader} size="large" color="#3b82f6" />
+      ) : (
+        <FlatList
+          data={users}
+          keyExtractor={(item) => item._id}
+          renderItem={renderUser}
+          contentContainerStyle={styles.list}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          ListEmptyComponent={
+            !loading ? <Text style={styles.emptyText}>No people match your search.</Text> : null
+          }
+          ListFooterComponent={loadingMore ? <ActivityIndicator color="#3b82f6" /> : null}
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  searchContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    margin: 16,
+    paddingHorizontal: 12,
+    height: 48,
+  },
+  searchIcon: {
+    marginRight: 8,
+  },
+  searchInput: {
+    flex: 1,
+    height: 48,
+    fontSize: 15,
+    color: "#1e293b",
+  },
+  filterButton: {
+    padding: 6,
+  },
+  filters: {
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    marginHorizontal: 16,
+    marginBottom: 16,
+    padding: 12,
+  },
+  filterInput: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 10,
+    paddingHorizontal: 12,
+    height: 44,
+    fontSize: 15,
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  suggestionRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 8,
+  },
+  suggestionChip: {
+    backgroundColor: "#eff6ff",
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  suggestionText: {
+    fontSize: 13,
+    color: "#3b82f6",
+  },
+  filterRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  filterLabel: {
+    fontSize: 14,
+    color: "#475569",
+  },
+  sortRow: {
+    flexDirection: "row",
+  },
+  sortChip: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  sortChipSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  sortText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  sortTextSelected: {
+    color: "#ffffff",
+  },
+  list: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  userRow: {
+    flexDirection: "row",
+    backgroundColor: "#ffffff",
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 10,
+  },
+  avatar: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+    marginRight: 12,
+  },
+  userInfo: {
+    flex: 1,
+  },
+  nameRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  userName: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  availableDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: "#10b981",
+    marginLeft: 6,
+  },
+  locationRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 2,
+  },
+  locationText: {
+    fontSize: 12,
+    color: "#64748b",
+    marginLeft: 2,
+  },
+  skillsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 6,
+  },
+  skillTag: {
+    backgroundColor: "#eff6ff",
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  skillText: {
+    fontSize: 12,
+    color: "#3b82f6",
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+    textAlign: "center",
+    marginTop: 40,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginHorizontal: 16,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { getPrivacySettings, updatePrivacySettings } from "./utils/api";
+
+type PrivacySettings = {
+  profileVisibility: string;
+  locationVisibility: string;
+  emailVisibility: string;
+  messagesFrom: string;
+};
+
+type Setting = keyof PrivacySettings;
+
+const SECTIONS: { setting: Setting; title: string; description: string }[] = [
+  {
+    setting: "profileVisibility",
+    title: "Who can see my profile",
+    description: "Everyone else only sees your name and photo, and you are left out of the people directory.",
+  },
+  {
+    setting: "locationVisibility",
+    title: "Who can see my location",
+    description: "Only public locations can be found through the location filter.",
+  },
+  {
+    setting: "emailVisibility",
+    title: "Who can see my email",
+    description: "Your email is shown on your profile to these people.",
+  },
+  {
+    setting: "messagesFrom",
+    title: "Who can message me",
+    description: "People can always reply to conversations you started.",
+  },
+];
+
+const AUDIENCE_LABELS: Record<string, string> = {
+  everyone: "Everyone",
+  community_members: "Community members",
+  connections: "Connections",
+  only_me: "Only me",
+  nobody: "Nobody",
+};
+
+export default function PrivacyScreen() {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState<Setting | null>(null);
+  const [settings, setSettings] = useState<PrivacySettings | null>(null);
+  const [options, setOptions] = useState<Record<Setting, string[]> | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const result = await getPrivacySettings();
+        if (!result.success) {
+          setError(result.message || "Failed to load privacy settings");
+          return;
+        }
+        setSettings(result.data);
+        setOptions(result.options);
+      } catch (err) {
+        console.error("Failed to load privacy settings:", err);
+        setError("Failed to load privacy settings");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleSelect = async (setting: Setting, value: string) => {
+    if (!settings || settings[setting] === value) return;
+
+    try {
+      setSaving(setting);
+      setError(null);
+      const result = await updatePrivacySettings({ [setting]: value });
+
+      if (!result.success) {
+        setError(result.message || "Could not update privacy settings");
+        return;
+      }
+
+      setSettings(result.data);
+    } catch (err: any) {
+      setError(err.message || "Could not update privacy settings");
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {settings && options && SECTIONS.map(({ setting, title, description }) => (
+          <View key={setting} style={styles.card}>
+            <View style={styles.cardHeader}>
+              <Text style={styles.cardTitle}>{title}</Text>
+              {saving === setting && <ActivityIndicator size="small" color="#3b82f6" />}
+            </View>
+            <Text style={styles.cardText}>{description}</Text>
+            <View style={styles.chips}>
+              {options[setting].map((value) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[styles.chip, settings[setting] === value && styles.chipSelected]}
+                  onPress={() => handleSelect(setting, value)}
+                  disabled={saving !== null}
+                >
+                  <Text style={[styles.chipText, settings[setting] === value && styles.chipTextSelected]}>
+                    {AUDIENCE_LABELS[value] || value}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        ))}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  cardText: {
+    fontSize: 14,
+    color: "#64748b",
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  chipText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  chipTextSelected: {
+    color: "#ffffff",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,645 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Image,
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { format, isPast } from "date-fns";
+import { useAuth } from "../../contexts/AuthContext";
+import socketUtils from "../../utils/socket";
+import {
+  getProject,
+  getProjectBoard,
+  createTask,
+  updateTask,
+  moveTask,
+  deleteTask,
+  updateBoardColumns,
+  getMilestones,
+} from "../../utils/api";
+
+type Priority = "low" | "medium" | "high" | "urgent";
+
+type Task = {
+  _id: string;
+  title: string;
+  description: string;
+  assignee?: { _id: string; name: string; avatar?: string };
+  labels: string[];
+  dueDate?: string;
+  priority: Priority;
+  milestone?: string;
+  column: string;
+  completedAt?: string;
+};
+
+type Milestone = {
+  _id: string;
+  title: string;
+  status: "open" | "reached";
+};
+
+type Column = {
+  _id: string;
+  name: string;
+  done: boolean;
+  tasks: Task[];
+};
+
+const PRIORITY_COLORS: Record<Priority, string> = {
+  low: "#94a3b8",
+  medium: "#3b82f6",
+  high: "#f59e0b",
+  urgent: "#ef4444",
+};
+
+const FILTERS = [
+  { value: "", label: "All tasks" },
+  { value: "me", label: "Assigned to me" },
+];
+
+const DEFAULT_AVATAR = require("../../../assets/images/avatars/user.jpeg");
+
+export default function ProjectBoardScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const router = useRouter();
+  const { user } = useAuth();
+  const [title, setTitle] = useState("");
+  const [myRole, setMyRole] = useState<string | null>(null);
+  const [columns, setColumns] = useState<Column[]>([]);
+  const [milestones, setMilestones] = useState<Milestone[]>([]);
+  const [progress, setProgress] = useState(0);
+  const [assigneeFilter, setAssigneeFilter] = useState("");
+  // New task titles being typed, by column id
+  const [drafts, setDrafts] = useState<Record<string, string>>({});
+  const [newColumn, setNewColumn] = useState("");
+  // Task whose actions are shown
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const canEdit = myRole === "owner" || myRole === "maintainer" || myRole === "contributor";
+  const canConfigure = myRole === "owner" || myRole === "maintainer";
+
+  const loadBoard = async () => {
+    try {
+      const result = await getProjectBoard(id, assigneeFilter ? { assignee: assigneeFilter } : {});
+      if (!result.success) {
+        setError(result.message || "Failed to load board");
+        return;
+      }
+
+      setColumns(result.data.columns);
+      setProgress(result.data.progress);
+
+      const milestonesResult = await getMilestones(id);
+      if (milestonesResult.success) {
+        setMilestones(milestonesResult.data);
+      }
+    } catch (err) {
+      console.error("Failed to load board:", err);
+      setError("Failed to load board");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    const loadProject = async () => {
+      try {
+        const result = await getProject(id);
+        if (result.success) {
+          setTitle(result.data.title);
+          setMyRole(result.membership.role);
+        }
+      } catch (err) {
+        console.error("Failed to load project:", err);
+      }
+    };
+
+    loadProject();
+  }, [id]);
+
+  useEffect(() => {
+    loadBoard();
+  }, [id, assigneeFilter]);
+
+  // Reload whenever someone else changes the board
+  useEffect(() => {
+    let removeListener = () => {};
+
+    const subscribe = async () => {
+      await socketUtils.initializeSocket();
+      socketUtils.joinProjectRoom(id);
+      removeListener = socketUtils.onBoardUpdate((update: { projectId: string }) => {
+        if (update.projectId === id) {
+          loadBoard();
+        }
+      });
+    };
+
+    subscribe();
+    return () => {
+      removeListener();
+      socketUtils.leaveProjectRoom(id);
+    };
+  }, [id, assigneeFilter]);
+
+  // Run a board change, then reload the board
+  const update = async (action: () => Promise<any>) => {
+    try {
+      setUpdating(true);
+      setError(null);
+      const result = await action();
+
+      if (!result.success) {
+        setError(result.message || "Something went wrong");
+        return false;
+      }
+
+      await loadBoard();
+      return true;
+    } catch (err: any) {
+      setError(err.message || "Something went wrong");
+      return false;
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleAddTask = async (column: Column) => {
+    const text = (drafts[column._id] || "").trim();
+    if (!text) return;
+
+    if (await update(() => createTask(id, { title: text, column: column._id }))) {
+      setDrafts((current) => ({ ...current, [column._id]: "" }));
+    }
+  };
+
+  const handleAddColumn = async () => {
+    const name = newColumn.trim();
+    if (!name) return;
+
+    const next = [...columns.map(({ _id, name, done }) => ({ _id, name, done })), { name, done: false }];
+    if (await update(() => updateBoardColumns(id, next))) {
+      setNewColumn("");
+    }
+  };
+
+  // Move a task one column over, to the bottom of that column
+  const handleShift = (task: Task, columnIndex: number, offset: number) =>
+    update(() => moveTask(id, task._id, columns[columnIndex + offset]._id));
+
+  // Move a task up or down within its column
+  const handleReorder = (task: Task, column: Column, taskIndex: number, offset: number) =>
+    update(() => moveTask(id, task._id, column._id, taskIndex + offset));
+
+  const handleToggleAssignee = (task: Task) =>
+    update(() => updateTask(id, task._id, { assignee: task.assignee?._id === user?._id ? null : user?._id }));
+
+  // Tapping the task's current milestone unlinks it
+  const handleSetMilestone = (task: Task, milestone: Milestone) =>
+    update(() => updateTask(id, task._id, { milestone: task.milestone === milestone._id ? null : milestone._id }));
+
+  const handleDelete = (task: Task) =>
+    Alert.alert("Delete task", `Delete "${task.title}"?`, [
+      { text: "Cancel", style: "cancel" },
+      { text: "Delete", style: "destructive", onPress: () => update(() => deleteTask(id, task._id)) },
+    ]);
+
+  const renderTask = (task: Task, column: Column, columnIndex: number, taskIndex: number) => {
+    const overdue = !column.done && task.dueDate && isPast(new Date(task.dueDate));
+
+    return (
+      <TouchableOpacity
+        key={task._id}
+        style={styles.taskCard}
+        onPress={() => setExpanded(expanded === task._id ? null : task._id)}
+        disabled={!canEdit}
+      >
+        <View style={styles.taskHeader}>
+          <View style={[styles.priorityDot, { backgroundColor: PRIORITY_COLORS[task.priority] }]} />
+          <Text style={[styles.taskTitle, column.done && styles.taskTitleDone]}>{task.title}</Text>
+          {task.assignee && (
+            <Image
+              source={task.assignee.avatar ? { uri: task.assignee.avatar } : DEFAULT_AVATAR}
+              style={styles.assigneeAvatar}
+            />
+          )}
+        </View>
+
+        {(task.labels.length > 0 || task.dueDate) && (
+          <View style={styles.taskMeta}>
+            {task.labels.map((label) => (
+              <View key={label} style={styles.label}>
+                <Text style={styles.labelText}>{label}</Text>
+              </View>
+            ))}
+            {task.dueDate && (
+              <Text style={[styles.dueDate, overdue && styles.overdue]}>
+                Due {format(new Date(task.dueDate), "MMM d")}
+              </Text>
+            )}
+          </View>
+        )}
+
+        {expanded === task._id && (
+          <View style={styles.taskActions}>
+            <TouchableOpacity
+              onPress={() => handleShift(task, columnIndex, -1)}
+              disabled={updating || columnIndex === 0}
+            >
+              <Ionicons name="arrow-back" size={18} color={columnIndex === 0 ? "#cbd5e1" : "#475569"} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => handleReorder(task, column, taskIndex, -1)}
+              disabled={updating || taskIndex === 0}
+            >
+              <Ionicons name="arrow-up" size={18} color={taskIndex === 0 ? "#cbd5e1" : "#475569"} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => handleReorder(task, column, taskIndex, 1)}
+              disabled={updating || taskIndex === column.tasks.length - 1}
+            >
+              <Ionicons
+                name="arrow-down"
+                size={18}
+                color={taskIndex === column.tasks.length - 1 ? "#cbd5e1" : "#475569"}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => handleShift(task, columnIndex, 1)}
+              disabled={updating || columnIndex === columns.length - 1}
+            >
+              <Ionicons
+                name="arrow-forward"
+                size={18}
+                color={columnIndex === columns.length - 1 ? "#cbd5e1" : "#475569"}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleToggleAssignee(task)} disabled={updating}>
+              <Text style={styles.actionText}>
+                {task.assignee?._id === user?._id ? "Unassign me" : "Assign to me"}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleDelete(task)} disabled={updating}>
+              <Ionicons name="trash-outline" size={18} color="#ef4444" />
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {expanded === task._id && milestones.length > 0 && (
+          <View style={styles.milestoneChips}>
+            {milestones
+              .filter((milestone) => milestone.status === "open" || milestone._id === task.milestone)
+              .map((milestone) => {
+                const selected = milestone._id === task.milestone;
+                return (
+                  <TouchableOpacity
+                    key={milestone._id}
+                    style={[styles.milestoneChip, selected && styles.chipSelected]}
+                    onPress={() => handleSetMilestone(task, milestone)}
+                    disabled={updating}
+                  >
+                    <Ionicons name="flag-outline" size={12} color={selected ? "#ffffff" : "#475569"} />
+                    <Text style={[styles.milestoneChipText, selected && styles.chipTextSelected]}>
+                      {milestone.title}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+          </View>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <View style={styles.titleRow}>
+          <Text style={styles.title}>{title}</Text>
+          <TouchableOpacity style={styles.roadmapLink} onPress={() => router.push(`/projects/${id}/roadmap`)}>
+            <Ionicons name="flag-outline" size={16} color="#3b82f6" />
+            <Text style={styles.roadmapLinkText}>Roadmap</Text>
+          </TouchableOpacity>
+        </View>
+        <View style={styles.progressContainer}>
+          <View style={styles.progressBarBackground}>
+            <View style={[styles.progressBar, { width: `${progress}%` }]} />
+          </View>
+          <Text style={styles.progressText}>{progress}% done</Text>
+        </View>
+        <View style={styles.filters}>
+          {FILTERS.map((filter) => (
+            <TouchableOpacity
+              key={filter.value}
+              style={[styles.chip, assigneeFilter === filter.value && styles.chipSelected]}
+              onPress={() => setAssigneeFilter(filter.value)}
+            >
+              <Text style={[styles.chipText, assigneeFilter === filter.value && styles.chipTextSelected]}>
+                {filter.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {error && (
+        <View style={styles.errorContainer}>
+          <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+      )}
+
+      <ScrollView horizontal contentContainerStyle={styles.board} showsHorizontalScrollIndicator={false}>
+        {columns.map((column, columnIndex) => (
+          <View key={column._id} style={styles.column}>
+            <View style={styles.columnHeader}>
+              <Text style={styles.columnTitle}>{column.name}</Text>
+              <Text style={styles.columnCount}>{column.tasks.length}</Text>
+            </View>
+            <ScrollView>
+              {column.tasks.map((task, taskIndex) => renderTask(task, column, columnIndex, taskIndex))}
+              {canEdit && (
+                <TextInput
+                  style={styles.newTaskInput}
+                  placeholder="+ Add a task"
+                  placeholderTextColor="#94a3b8"
+                  value={drafts[column._id] || ""}
+                  onChangeText={(text) => setDrafts((current) => ({ ...current, [column._id]: text }))}
+                  onSubmitEditing={() => handleAddTask(column)}
+                  returnKeyType="done"
+                  maxLength={200}
+                  editable={!updating}
+                />
+              )}
+            </ScrollView>
+          </View>
+        ))}
+
+        {canConfigure && (
+          <View style={styles.column}>
+            <Text style={styles.columnTitle}>New column</Text>
+            <TextInput
+              style={styles.newTaskInput}
+              placeholder="Column name"
+              placeholderTextColor="#94a3b8"
+              value={newColumn}
+              onChangeText={setNewColumn}
+              onSubmitEditing={handleAddColumn}
+              returnKeyType="done"
+              maxLength={40}
+              editable={!updating}
+            />
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  header: {
+    padding: 16,
+    paddingBottom: 8,
+  },
+  titleRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  title: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: "bold",
+    color: "#1e293b",
+  },
+  roadmapLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginLeft: 12,
+  },
+  roadmapLinkText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3b82f6",
+    marginLeft: 4,
+  },
+  progressContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 10,
+  },
+  progressBarBackground: {
+    flex: 1,
+    height: 6,
+    backgroundColor: "#e2e8f0",
+    borderRadius: 3,
+    marginRight: 8,
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: "#10b981",
+    borderRadius: 3,
+  },
+  progressText: {
+    fontSize: 12,
+    color: "#64748b",
+  },
+  filters: {
+    flexDirection: "row",
+    marginTop: 12,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  chipSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  chipText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  chipTextSelected: {
+    color: "#ffffff",
+  },
+  board: {
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+  },
+  column: {
+    width: 280,
+    backgroundColor: "#e2e8f0",
+    borderRadius: 12,
+    padding: 10,
+    marginRight: 12,
+    alignSelf: "flex-start",
+  },
+  columnHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  columnTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 4,
+  },
+  columnCount: {
+    fontSize: 13,
+    color: "#64748b",
+  },
+  taskCard: {
+    backgroundColor: "#ffffff",
+    borderRadius: 10,
+    padding: 10,
+    marginBottom: 8,
+  },
+  taskHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  priorityDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginRight: 8,
+  },
+  taskTitle: {
+    flex: 1,
+    fontSize: 14,
+    color: "#1e293b",
+  },
+  taskTitleDone: {
+    color: "#94a3b8",
+    textDecorationLine: "line-through",
+  },
+  assigneeAvatar: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    marginLeft: 8,
+  },
+  taskMeta: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  label: {
+    backgroundColor: "#eff6ff",
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  labelText: {
+    fontSize: 11,
+    color: "#3b82f6",
+  },
+  dueDate: {
+    fontSize: 11,
+    color: "#64748b",
+    marginBottom: 4,
+  },
+  overdue: {
+    color: "#ef4444",
+    fontWeight: "600",
+  },
+  taskActions: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    borderTopWidth: 1,
+    borderTopColor: "#f1f5f9",
+    marginTop: 10,
+    paddingTop: 8,
+  },
+  milestoneChips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 8,
+  },
+  milestoneChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  milestoneChipText: {
+    fontSize: 12,
+    color: "#475569",
+    marginLeft: 4,
+  },
+  actionText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  newTaskInput: {
+    backgroundColor: "#ffffff",
+    borderRadius: 10,
+    padding: 10,
+    fontSize: 14,
+    color: "#1e293b",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginHorizontal: 16,
+    marginBottom: 12,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
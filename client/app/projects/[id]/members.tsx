@@ -0,0 +1,685 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Image,
+  ActivityIndicator,
+  Alert,
+  Share,
+  SafeAreaView,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { formatDistanceToNow } from "date-fns";
+import {
+  getProject,
+  requestToJoinProject,
+  cancelJoinRequest,
+  getJoinRequests,
+  respondToJoinRequest,
+  updateProjectMemberRole,
+  removeProjectMember,
+  transferProjectOwnership,
+  leaveProject,
+  createProjectInviteLink,
+  getProjectInvitations,
+  revokeProjectInvitation,
+} from "../../utils/api";
+
+type Role = "owner" | "maintainer" | "contributor" | "viewer";
+
+type Member = {
+  user: { _id: string; name: string; avatar?: string };
+  role: Role;
+  joinedAt: string;
+};
+
+type JoinRequest = {
+  _id: string;
+  user: { _id: string; name: string; avatar?: string; skills?: string[] };
+  message: string;
+  status: "pending" | "approved" | "rejected";
+  createdAt: string;
+};
+
+type Invitation = {
+  _id: string;
+  type: "user" | "link";
+  role: Role;
+  invitee?: { _id: string; name: string; avatar?: string };
+  useCount: number;
+  maxUses?: number;
+  expiresAt: string;
+};
+
+type Project = {
+  _id: string;
+  title: string;
+  members: Member[];
+};
+
+// Most privileged first, as on the server
+const ROLES: Role[] = ["owner", "maintainer", "contributor", "viewer"];
+
+const ROLE_LABELS: Record<Role, string> = {
+  owner: "Owner",
+  maintainer: "Maintainer",
+  contributor: "Contributor",
+  viewer: "Viewer",
+};
+
+const rankOf = (role: Role) => ROLES.indexOf(role);
+
+// Owners manage everyone else; maintainers manage contributors and viewers
+const canManage = (myRole: Role | null, role: Role) =>
+  myRole === "owner" ? role !== "owner" : myRole === "maintainer" && rankOf(role) > rankOf("maintainer");
+
+// Roles I can give: only owners can make maintainers
+const assignableRoles = (myRole: Role | null) =>
+  ROLES.filter((role) => role !== "owner" && canManage(myRole, role));
+
+const DEFAULT_AVATAR = require("../../../assets/images/avatars/user.jpeg");
+
+export default function ProjectMembersScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const router = useRouter();
+  const [project, setProject] = useState<Project | null>(null);
+  const [myRole, setMyRole] = useState<Role | null>(null);
+  const [myRequest, setMyRequest] = useState<JoinRequest | null>(null);
+  const [requests, setRequests] = useState<JoinRequest[]>([]);
+  const [message, setMessage] = useState("");
+  // Role each pending applicant will join as, by request id
+  const [approveAs, setApproveAs] = useState<Record<string, Role>>({});
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [inviteRole, setInviteRole] = useState<Role>("contributor");
+  // Only shown once, right after the link is created
+  const [inviteUrl, setInviteUrl] = useState<string | null>(null);
+  // Member whose actions are shown
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const isManager = myRole === "owner" || myRole === "maintainer";
+
+  const loadProject = async () => {
+    try {
+      const result = await getProject(id);
+      if (!result.success) {
+        setError(result.message || "Failed to load project");
+        return;
+      }
+
+      setProject(result.data);
+      setMyRole(result.membership.role);
+      setMyRequest(result.membership.joinRequest);
+
+      const role = result.membership.role;
+      if (role === "owner" || role === "maintainer") {
+        const [requestsResult, invitationsResult] = await Promise.all([
+          getJoinRequests(id),
+          getProjectInvitations(id, "pending"),
+        ]);
+        if (requestsResult.success) {
+          setRequests(requestsResult.data);
+        }
+        if (invitationsResult.success) {
+          setInvitations(invitationsResult.data);
+        }
+      }
+    } catch (err) {
+      console.error("Failed to load project:", err);
+      setError("Failed to load project");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadProject();
+  }, [id]);
+
+  // Run a membership change, then reload the project
+  const update = async (action: () => Promise<any>) => {
+    try {
+      setUpdating(true);
+      setError(null);
+      const result = await action();
+
+      if (!result.success) {
+        setError(result.message || "Something went wrong");
+        return false;
+      }
+
+      setExpanded(null);
+      await loadProject();
+      return true;
+    } catch (err: any) {
+      setError(err.message || "Something went wrong");
+      return false;
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleRequestToJoin = async () => {
+    if (await update(() => requestToJoinProject(id, message.trim()))) {
+      setMessage("");
+    }
+  };
+
+  const handleApprove = (request: JoinRequest) =>
+    update(() => respondToJoinRequest(id, request._id, "approve", approveAs[request._id] || "contributor"));
+
+  const handleReject = (request: JoinRequest) =>
+    update(() => respondToJoinRequest(id, request._id, "reject"));
+
+  const handleCreateInviteLink = async () => {
+    try {
+      setUpdating(true);
+      setError(null);
+      const result = await createProjectInviteLink(id, { role: inviteRole });
+
+      if (!result.success) {
+        setError(result.message || "Could not create invite link");
+        return;
+      }
+
+      setInviteUrl(result.data.url);
+      await loadProject();
+    } catch (err: any) {
+      setError(err.message || "Could not create invite link");
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleShareInviteLink = () => {
+    if (!inviteUrl) return;
+    Share.share({ message: `Join ${project?.title} on MetaConnect: ${inviteUrl}` });
+  };
+
+  const handleRevoke = (invitation: Invitation) =>
+    update(() => revokeProjectInvitation(id, invitation._id));
+
+  const handleTransfer = (member: Member) =>
+    Alert.alert(
+      "Transfer ownership",
+      `${member.user.name} will own the project and you will become a maintainer.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Transfer", onPress: () => update(() => transferProjectOwnership(id, member.user._id)) },
+      ]
+    );
+
+  const handleRemove = (member: Member) =>
+    Alert.alert("Remove member", `Remove ${member.user.name} from the project?`, [
+      { text: "Cancel", style: "cancel" },
+      { text: "Remove", style: "destructive", onPress: () => update(() => removeProjectMember(id, member.user._id)) },
+    ]);
+
+  const handleLeave = () =>
+    Alert.alert("Leave project", `Leave ${project?.title}?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Leave",
+        style: "destructive",
+        onPress: async () => {
+          if (await update(() => leaveProject(id))) {
+            router.back();
+          }
+        },
+      },
+    ]);
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {project && (
+          <>
+            <Text style={styles.title}>{project.title}</Text>
+            {myRole && <Text style={styles.subtitle}>You are {ROLE_LABELS[myRole].toLowerCase()} on this project</Text>}
+
+            {!myRole && (
+              <View style={styles.card}>
+                {myRequest?.status === "pending" ? (
+                  <>
+                    <Text style={styles.cardTitle}>Request sent</Text>
+                    <Text style={styles.cardText}>
+                      You asked to join {formatDistanceToNow(new Date(myRequest.createdAt), { addSuffix: true })}. The
+                      maintainers will get back to you.
+                    </Text>
+                    <TouchableOpacity
+                      style={styles.secondaryButton}
+                      onPress={() => update(() => cancelJoinRequest(id))}
+                      disabled={updating}
+                    >
+                      <Text style={styles.secondaryButtonText}>Withdraw request</Text>
+                    </TouchableOpacity>
+                  </>
+                ) : (
+                  <>
+                    <Text style={styles.cardTitle}>Join this project</Text>
+                    {myRequest?.status === "rejected" && (
+                      <Text style={styles.cardText}>Your last request was declined. You can ask again.</Text>
+                    )}
+                    <TextInput
+                      style={styles.messageInput}
+                      placeholder="Tell the maintainers what you'd like to work on"
+                      placeholderTextColor="#94a3b8"
+                      value={message}
+                      onChangeText={setMessage}
+                      maxLength={500}
+                      multiline
+                    />
+                    <TouchableOpacity style={styles.primaryButton} onPress={handleRequestToJoin} disabled={updating}>
+                      <Text style={styles.primaryButtonText}>Request to join</Text>
+                    </TouchableOpacity>
+                  </>
+                )}
+              </View>
+            )}
+
+            {isManager && requests.length > 0 && (
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>Join requests</Text>
+                {requests.map((request) => (
+                  <View key={request._id} style={styles.requestRow}>
+                    <TouchableOpacity style={styles.row} onPress={() => router.push(`/users/${request.user._id}`)}>
+                      <Image
+                        source={request.user.avatar ? { uri: request.user.avatar } : DEFAULT_AVATAR}
+                        style={styles.avatar}
+                      />
+                      <View style={styles.info}>
+                        <Text style={styles.name}>{request.user.name}</Text>
+                        <Text style={styles.meta}>
+                          {formatDistanceToNow(new Date(request.createdAt), { addSuffix: true })}
+                        </Text>
+                      </View>
+                    </TouchableOpacity>
+                    {!!request.message && <Text style={styles.requestMessage}>{request.message}</Text>}
+                    <View style={styles.chips}>
+                      {assignableRoles(myRole).map((role) => {
+                        const selected = (approveAs[request._id] || "contributor") === role;
+                        return (
+                          <TouchableOpacity
+                            key={role}
+                            style={[styles.chip, selected && styles.chipSelected]}
+                            onPress={() => setApproveAs((current) => ({ ...current, [request._id]: role }))}
+                          >
+                            <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                              {ROLE_LABELS[role]}
+                            </Text>
+                          </TouchableOpacity>
+                        );
+                      })}
+                    </View>
+                    <View style={styles.requestActions}>
+                      <TouchableOpacity
+                        style={styles.secondaryButton}
+                        onPress={() => handleReject(request)}
+                        disabled={updating}
+                      >
+                        <Text style={styles.secondaryButtonText}>Decline</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={[styles.primaryButton, styles.approveButton]}
+                        onPress={() => handleApprove(request)}
+                        disabled={updating}
+                      >
+                        <Text style={styles.primaryButtonText}>Approve</Text>
+                      </TouchableOpacity>
+                    </View>
+                  </View>
+                ))}
+              </View>
+            )}
+
+            {isManager && (
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>Invite people</Text>
+                <Text style={styles.cardText}>
+                  Anyone with the link can join as the role you pick. Links expire after 7 days or 10 uses.
+                </Text>
+                <View style={styles.chips}>
+                  {assignableRoles(myRole).map((role) => (
+                    <TouchableOpacity
+                      key={role}
+                      style={[styles.chip, inviteRole === role && styles.chipSelected]}
+                      onPress={() => setInviteRole(role)}
+                    >
+                      <Text style={[styles.chipText, inviteRole === role && styles.chipTextSelected]}>
+                        {ROLE_LABELS[role]}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {inviteUrl ? (
+                  <>
+                    <Text style={styles.inviteUrl} selectable>
+                      {inviteUrl}
+                    </Text>
+                    <TouchableOpacity style={styles.primaryButton} onPress={handleShareInviteLink}>
+                      <Text style={styles.primaryButtonText}>Share link</Text>
+                    </TouchableOpacity>
+                  </>
+                ) : (
+                  <TouchableOpacity style={styles.primaryButton} onPress={handleCreateInviteLink} disabled={updating}>
+                    <Text style={styles.primaryButtonText}>Create invite link</Text>
+                  </TouchableOpacity>
+                )}
+
+                {invitations
+                  .filter((invitation) => canManage(myRole, invitation.role))
+                  .map((invitation) => (
+                    <View key={invitation._id} style={styles.row}>
+                      <Ionicons
+                        name={invitation.type === "link" ? "link-outline" : "mail-outline"}
+                        size={18}
+                        color="#64748b"
+                        style={styles.inviteIcon}
+                      />
+                      <View style={styles.info}>
+                        <Text style={styles.name}>
+                          {invitation.type === "link"
+                            ? `Invite link (${invitation.useCount}/${invitation.maxUses} used)`
+                            : invitation.invitee?.name}
+                        </Text>
+                        <Text style={styles.meta}>
+                          {ROLE_LABELS[invitation.role]} · expires{" "}
+                          {formatDistanceToNow(new Date(invitation.expiresAt), { addSuffix: true })}
+                        </Text>
+                      </View>
+                      <TouchableOpacity
+                        style={[styles.chip, styles.chipDanger]}
+                        onPress={() => handleRevoke(invitation)}
+                        disabled={updating}
+                      >
+                        <Text style={[styles.chipText, styles.chipDangerText]}>Revoke</Text>
+                      </TouchableOpacity>
+                    </View>
+                  ))}
+              </View>
+            )}
+
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Members ({project.members.length})</Text>
+              {[...project.members]
+                .sort((a, b) => rankOf(a.role) - rankOf(b.role))
+                .map((member) => (
+                  <View key={member.user._id}>
+                    <View style={styles.row}>
+                      <TouchableOpacity style={styles.row} onPress={() => router.push(`/users/${member.user._id}`)}>
+                        <Image
+                          source={member.user.avatar ? { uri: member.user.avatar } : DEFAULT_AVATAR}
+                          style={styles.avatar}
+                        />
+                        <View style={styles.info}>
+                          <Text style={styles.name}>{member.user.name}</Text>
+                          <Text style={styles.meta}>{ROLE_LABELS[member.role]}</Text>
+                        </View>
+                      </TouchableOpacity>
+                      {canManage(myRole, member.role) && (
+                        <TouchableOpacity
+                          onPress={() => setExpanded(expanded === member.user._id ? null : member.user._id)}
+                          disabled={updating}
+                        >
+                          <Ionicons
+                            name={expanded === member.user._id ? "close-outline" : "ellipsis-horizontal"}
+                            size={20}
+                            color="#64748b"
+                          />
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                    {expanded === member.user._id && (
+                      <View style={styles.chips}>
+                        {assignableRoles(myRole)
+                          .filter((role) => role !== member.role)
+                          .map((role) => (
+                            <TouchableOpacity
+                              key={role}
+                              style={styles.chip}
+                              onPress={() => update(() => updateProjectMemberRole(id, member.user._id, role))}
+                              disabled={updating}
+                            >
+                              <Text style={styles.chipText}>Make {ROLE_LABELS[role].toLowerCase()}</Text>
+                            </TouchableOpacity>
+                          ))}
+                        {myRole === "owner" && (
+                          <TouchableOpacity style={styles.chip} onPress={() => handleTransfer(member)} disabled={updating}>
+                            <Text style={styles.chipText}>Transfer ownership</Text>
+                          </TouchableOpacity>
+                        )}
+                        <TouchableOpacity
+                          style={[styles.chip, styles.chipDanger]}
+                          onPress={() => handleRemove(member)}
+                          disabled={updating}
+                        >
+                          <Text style={[styles.chipText, styles.chipDangerText]}>Remove</Text>
+                        </TouchableOpacity>
+                      </View>
+                    )}
+                  </View>
+                ))}
+            </View>
+
+            {myRole && myRole !== "owner" && (
+              <TouchableOpacity style={styles.leaveButton} onPress={handleLeave} disabled={updating}>
+                <Text style={styles.leaveText}>Leave project</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: "#1e293b",
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#64748b",
+    marginTop: 4,
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 16,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: "#64748b",
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  messageInput: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 10,
+    padding: 12,
+    minHeight: 80,
+    fontSize: 15,
+    color: "#1e293b",
+    textAlignVertical: "top",
+    marginBottom: 12,
+  },
+  row: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    marginRight: 12,
+  },
+  info: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  meta: {
+    fontSize: 12,
+    color: "#64748b",
+    marginTop: 2,
+  },
+  requestRow: {
+    borderBottomWidth: 1,
+    borderBottomColor: "#f1f5f9",
+    paddingBottom: 12,
+    marginBottom: 12,
+  },
+  requestMessage: {
+    fontSize: 14,
+    color: "#475569",
+    lineHeight: 20,
+    marginVertical: 6,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginTop: 6,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: "#3b82f6",
+    borderColor: "#3b82f6",
+  },
+  chipText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  chipTextSelected: {
+    color: "#ffffff",
+  },
+  chipDanger: {
+    borderColor: "#fecaca",
+  },
+  chipDangerText: {
+    color: "#ef4444",
+  },
+  inviteUrl: {
+    fontSize: 13,
+    color: "#1e293b",
+    backgroundColor: "#f1f5f9",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 12,
+  },
+  inviteIcon: {
+    marginRight: 12,
+  },
+  requestActions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    alignItems: "center",
+  },
+  approveButton: {
+    marginLeft: 8,
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    alignItems: "center",
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  leaveButton: {
+    alignItems: "center",
+    padding: 16,
+  },
+  leaveText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#ef4444",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -0,0 +1,533 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { format } from "date-fns";
+import { getProject, getProjectRoadmap, createMilestone, updateMilestone, deleteMilestone } from "../../utils/api";
+
+type RoadmapTask = {
+  _id: string;
+  title: string;
+  completedAt?: string;
+  assignee?: { _id: string; name: string };
+};
+
+type Milestone = {
+  _id: string;
+  title: string;
+  description: string;
+  targetDate: string;
+  status: "open" | "reached";
+  reachedAt?: string;
+  taskCount: number;
+  completedTasks: number;
+  progress: number;
+  overdue: boolean;
+  daysRemaining: number;
+  tasks: RoadmapTask[];
+};
+
+type Roadmap = {
+  progress: number;
+  summary: {
+    total: number;
+    reached: number;
+    overdue: number;
+    current: string | null;
+    unscheduledTasks: number;
+  };
+  milestones: Milestone[];
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// "in 3 days", "today", "5 days late"
+const describeSchedule = (milestone: Milestone) => {
+  if (milestone.status === "reached") {
+    return `Reached ${format(new Date(milestone.reachedAt || milestone.targetDate), "MMM d")}`;
+  }
+  if (milestone.daysRemaining === 0) return "Due today";
+  if (milestone.daysRemaining > 0) {
+    return `Due in ${milestone.daysRemaining} ${milestone.daysRemaining === 1 ? "day" : "days"}`;
+  }
+  const late = -milestone.daysRemaining;
+  return `${late} ${late === 1 ? "day" : "days"} overdue`;
+};
+
+export default function ProjectRoadmapScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const router = useRouter();
+  const [title, setTitle] = useState("");
+  const [myRole, setMyRole] = useState<string | null>(null);
+  const [roadmap, setRoadmap] = useState<Roadmap | null>(null);
+  const [newTitle, setNewTitle] = useState("");
+  const [newDate, setNewDate] = useState(today());
+  // Milestone whose tasks are shown
+  const [expanded, setExpanded] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const canPlan = myRole === "owner" || myRole === "maintainer";
+
+  const loadRoadmap = async () => {
+    try {
+      const [projectResult, roadmapResult] = await Promise.all([getProject(id), getProjectRoadmap(id)]);
+
+      if (projectResult.success) {
+        setTitle(projectResult.data.title);
+        setMyRole(projectResult.membership.role);
+      }
+
+      if (!roadmapResult.success) {
+        setError(roadmapResult.message || "Failed to load roadmap");
+        return;
+      }
+
+      setRoadmap(roadmapResult.data);
+    } catch (err) {
+      console.error("Failed to load roadmap:", err);
+      setError("Failed to load roadmap");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadRoadmap();
+  }, [id]);
+
+  // Run a milestone change, then reload the roadmap
+  const update = async (action: () => Promise<any>) => {
+    try {
+      setUpdating(true);
+      setError(null);
+      const result = await action();
+
+      if (!result.success) {
+        setError(result.message || "Something went wrong");
+        return false;
+      }
+
+      await loadRoadmap();
+      return true;
+    } catch (err: any) {
+      setError(err.message || "Something went wrong");
+      return false;
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!newTitle.trim()) {
+      setError("Please give the milestone a title");
+      return;
+    }
+
+    if (await update(() => createMilestone(id, { title: newTitle.trim(), targetDate: newDate }))) {
+      setNewTitle("");
+      setNewDate(today());
+    }
+  };
+
+  const handleDelete = (milestone: Milestone) =>
+    Alert.alert("Delete milestone", `Delete "${milestone.title}"? Its tasks stay on the board.`, [
+      { text: "Cancel", style: "cancel" },
+      { text: "Delete", style: "destructive", onPress: () => update(() => deleteMilestone(id, milestone._id)) },
+    ]);
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        <Text style={styles.title}>{title}</Text>
+        {roadmap && (
+          <Text style={styles.subtitle}>
+            {roadmap.summary.reached} of {roadmap.summary.total} milestones reached · {roadmap.progress}% of tasks
+            done
+            {roadmap.summary.overdue > 0 ? ` · ${roadmap.summary.overdue} overdue` : ""}
+          </Text>
+        )}
+
+        <TouchableOpacity style={styles.boardLink} onPress={() => router.push(`/projects/${id}/board`)}>
+          <Ionicons name="albums-outline" size={16} color="#3b82f6" />
+          <Text style={styles.boardLinkText}>Open task board</Text>
+        </TouchableOpacity>
+
+        {roadmap && roadmap.milestones.length === 0 && (
+          <Text style={styles.emptyText}>No milestones planned yet.</Text>
+        )}
+
+        {roadmap?.milestones.map((milestone, index) => {
+          const isCurrent = milestone._id === roadmap.summary.current;
+          const reached = milestone.status === "reached";
+
+          return (
+            <View key={milestone._id} style={styles.timelineRow}>
+              <View style={styles.timelineRail}>
+                <View
+                  style={[
+                    styles.timelineDot,
+                    reached && styles.dotReached,
+                    milestone.overdue && styles.dotOverdue,
+                    isCurrent && !milestone.overdue && styles.dotCurrent,
+                  ]}
+                />
+                {index < roadmap.milestones.length - 1 && <View style={styles.timelineLine} />}
+              </View>
+
+              <TouchableOpacity
+                style={[styles.card, isCurrent && styles.cardCurrent]}
+                onPress={() => setExpanded(expanded === milestone._id ? null : milestone._id)}
+              >
+                <View style={styles.cardHeader}>
+                  <Text style={styles.cardTitle}>{milestone.title}</Text>
+                  <Text style={styles.date}>{format(new Date(milestone.targetDate), "MMM d, yyyy")}</Text>
+                </View>
+                <Text style={[styles.schedule, milestone.overdue && styles.overdue, reached && styles.reached]}>
+                  {describeSchedule(milestone)}
+                </Text>
+                {!!milestone.description && <Text style={styles.description}>{milestone.description}</Text>}
+
+                <View style={styles.progressContainer}>
+                  <View style={styles.progressBarBackground}>
+                    <View
+                      style={[
+                        styles.progressBar,
+                        milestone.overdue && styles.progressOverdue,
+                        { width: `${milestone.progress}%` },
+                      ]}
+                    />
+                  </View>
+                  <Text style={styles.progressText}>
+                    {milestone.completedTasks}/{milestone.taskCount} tasks
+                  </Text>
+                </View>
+
+                {expanded === milestone._id && (
+                  <View style={styles.details}>
+                    {milestone.tasks.length === 0 && (
+                      <Text style={styles.mutedText}>Link tasks to this milestone from the task board.</Text>
+                    )}
+                    {milestone.tasks.map((task) => (
+                      <View key={task._id} style={styles.taskRow}>
+                        <Ionicons
+                          name={task.completedAt ? "checkmark-circle" : "ellipse-outline"}
+                          size={16}
+                          color={task.completedAt ? "#10b981" : "#94a3b8"}
+                        />
+                        <Text style={[styles.taskTitle, !!task.completedAt && styles.taskDone]}>{task.title}</Text>
+                        {task.assignee && <Text style={styles.mutedText}>{task.assignee.name}</Text>}
+                      </View>
+                    ))}
+
+                    {canPlan && (
+                      <View style={styles.actions}>
+                        <TouchableOpacity
+                          style={styles.chip}
+                          onPress={() => update(() => updateMilestone(id, milestone._id, { reached: !reached }))}
+                          disabled={updating}
+                        >
+                          <Text style={styles.chipText}>{reached ? "Reopen" : "Mark reached"}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                          style={[styles.chip, styles.chipDanger]}
+                          onPress={() => handleDelete(milestone)}
+                          disabled={updating}
+                        >
+                          <Text style={[styles.chipText, styles.chipDangerText]}>Delete</Text>
+                        </TouchableOpacity>
+                      </View>
+                    )}
+                  </View>
+                )}
+              </TouchableOpacity>
+            </View>
+          );
+        })}
+
+        {canPlan && (
+          <View style={styles.newCard}>
+            <Text style={styles.cardTitle}>Plan a milestone</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Title, e.g. Public beta"
+              placeholderTextColor="#94a3b8"
+              value={newTitle}
+              onChangeText={setNewTitle}
+              maxLength={100}
+            />
+            <TextInput
+              style={styles.input}
+              placeholder="YYYY-MM-DD"
+              placeholderTextColor="#94a3b8"
+              value={newDate}
+              onChangeText={setNewDate}
+              autoCapitalize="none"
+            />
+            <TouchableOpacity style={styles.primaryButton} onPress={handleCreate} disabled={updating}>
+              <Text style={styles.primaryButtonText}>Add milestone</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: "#1e293b",
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#64748b",
+    marginTop: 4,
+  },
+  boardLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 10,
+    marginBottom: 16,
+  },
+  boardLinkText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#3b82f6",
+    marginLeft: 6,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+    textAlign: "center",
+    marginVertical: 24,
+  },
+  timelineRow: {
+    flexDirection: "row",
+  },
+  timelineRail: {
+    width: 24,
+    alignItems: "center",
+  },
+  timelineDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+    borderColor: "#94a3b8",
+    backgroundColor: "#ffffff",
+    marginTop: 18,
+  },
+  dotReached: {
+    borderColor: "#10b981",
+    backgroundColor: "#10b981",
+  },
+  dotOverdue: {
+    borderColor: "#ef4444",
+  },
+  dotCurrent: {
+    borderColor: "#3b82f6",
+  },
+  timelineLine: {
+    flex: 1,
+    width: 2,
+    backgroundColor: "#cbd5e1",
+  },
+  card: {
+    flex: 1,
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 14,
+    marginLeft: 8,
+    marginBottom: 12,
+  },
+  cardCurrent: {
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+  },
+  cardHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  date: {
+    fontSize: 12,
+    color: "#64748b",
+  },
+  schedule: {
+    fontSize: 12,
+    color: "#3b82f6",
+    marginTop: 4,
+  },
+  overdue: {
+    color: "#ef4444",
+    fontWeight: "600",
+  },
+  reached: {
+    color: "#10b981",
+  },
+  description: {
+    fontSize: 14,
+    color: "#475569",
+    lineHeight: 20,
+    marginTop: 8,
+  },
+  progressContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 10,
+  },
+  progressBarBackground: {
+    flex: 1,
+    height: 6,
+    backgroundColor: "#e2e8f0",
+    borderRadius: 3,
+    marginRight: 8,
+  },
+  progressBar: {
+    height: 6,
+    backgroundColor: "#10b981",
+    borderRadius: 3,
+  },
+  progressOverdue: {
+    backgroundColor: "#ef4444",
+  },
+  progressText: {
+    fontSize: 12,
+    color: "#64748b",
+  },
+  details: {
+    borderTopWidth: 1,
+    borderTopColor: "#f1f5f9",
+    marginTop: 12,
+    paddingTop: 8,
+  },
+  taskRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+  },
+  taskTitle: {
+    flex: 1,
+    fontSize: 14,
+    color: "#1e293b",
+    marginLeft: 8,
+  },
+  taskDone: {
+    color: "#94a3b8",
+    textDecorationLine: "line-through",
+  },
+  mutedText: {
+    fontSize: 12,
+    color: "#64748b",
+  },
+  actions: {
+    flexDirection: "row",
+    marginTop: 10,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    color: "#475569",
+  },
+  chipDanger: {
+    borderColor: "#fecaca",
+  },
+  chipDangerText: {
+    color: "#ef4444",
+  },
+  newCard: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 10,
+    padding: 12,
+    fontSize: 15,
+    color: "#1e293b",
+    marginTop: 10,
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 16,
+    paddingVertical: 10,
+    alignItems: "center",
+    marginTop: 12,
+  },
+  primaryButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
@@ -60,7 +60,8 @@ const SessionScreen = () => {
   }, [id, user._id]);
   
   useEffect(() => {
-    if (!session) return;
+    // The server only admits participants to the session room
+    if (!session || !joinedSession) return;
     
     // Initialize socket connection
     const initSocketConnection = async () => {
@@ -83,7 +84,7 @@ const SessionScreen = () => {
       socketUtils.leaveSessionRoom(id);
       socketUtils.removeAllListeners();
     };
-  }, [session, id]);
+  }, [session, id, joinedSession]);
   
   const handleCodeUpdate = (data) => {
     if (data.sessionId === id && data.codeSnippet !== code) {
@@ -0,0 +1,399 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  SafeAreaView,
+  Alert,
+  Linking,
+  Share,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { fonts } from "./constants/theme";
+import {
+  getCurrentProfile,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "./utils/api";
+
+type Enrollment = {
+  secret: string;
+  otpauthUrl: string;
+};
+
+export default function TwoFactorScreen() {
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [enabled, setEnabled] = useState(false);
+  const [enrollment, setEnrollment] = useState<Enrollment | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      try {
+        const profile = await getCurrentProfile();
+        setEnabled(Boolean(profile.twoFactorEnabled));
+      } catch (err) {
+        console.error("Failed to load two-factor status:", err);
+        setError("Failed to load two-factor status");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadStatus();
+  }, []);
+
+  // Run an API call, surfacing `{ success: false }` responses as errors
+  const submit = async (action: () => Promise<any>, onSuccess: (data: any) => void) => {
+    try {
+      setSubmitting(true);
+      setError(null);
+      const result = await action();
+
+      if (!result.success) {
+        setError(result.message || "Something went wrong");
+        return;
+      }
+
+      setCode("");
+      onSuccess(result.data);
+    } catch (err: any) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () =>
+    submit(setupTwoFactor, (data) => setEnrollment(data));
+
+  const handleEnable = () =>
+    submit(() => enableTwoFactor(code.trim()), (data) => {
+      setEnrollment(null);
+      setEnabled(true);
+      setRecoveryCodes(data.recoveryCodes);
+    });
+
+  const handleDisable = () =>
+    submit(() => disableTwoFactor(password, code.trim()), () => {
+      setPassword("");
+      setEnabled(false);
+      setRecoveryCodes(null);
+      Alert.alert("Two-factor disabled", "Your account is now protected by your password only.");
+    });
+
+  const handleRegenerate = () =>
+    submit(() => regenerateRecoveryCodes(code.trim()), (data) => {
+      setRecoveryCodes(data.recoveryCodes);
+    });
+
+  const openAuthenticator = async () => {
+    if (!enrollment) return;
+
+    const supported = await Linking.canOpenURL(enrollment.otpauthUrl);
+    if (supported) {
+      await Linking.openURL(enrollment.otpauthUrl);
+    } else {
+      Alert.alert(
+        "No authenticator app found",
+        "Add the setup key manually in your authenticator app."
+      );
+    }
+  };
+
+  const shareRecoveryCodes = () => {
+    if (!recoveryCodes) return;
+    Share.share({
+      message: `MetaConnect recovery codes (each can be used once):\n\n${recoveryCodes.join("\n")}`,
+    });
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  const codeInput = (
+    <View style={styles.inputContainer}>
+      <Ionicons name="shield-checkmark-outline" size={20} color="#64748b" style={styles.inputIcon} />
+      <TextInput
+        style={styles.input}
+        placeholder="6-digit code"
+        placeholderTextColor="#94a3b8"
+        value={code}
+        onChangeText={setCode}
+        keyboardType="number-pad"
+        maxLength={6}
+        editable={!submitting}
+      />
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.statusRow}>
+          <Ionicons
+            name={enabled ? "shield-checkmark" : "shield-outline"}
+            size={28}
+            color={enabled ? "#10b981" : "#94a3b8"}
+          />
+          <Text style={styles.statusText}>
+            Two-factor authentication is {enabled ? "on" : "off"}
+          </Text>
+        </View>
+
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {recoveryCodes && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Save your recovery codes</Text>
+            <Text style={styles.cardText}>
+              Each code can be used once if you lose access to your authenticator app.
+              They will not be shown again.
+            </Text>
+            <View style={styles.codesGrid}>
+              {recoveryCodes.map((recoveryCode) => (
+                <Text key={recoveryCode} style={styles.recoveryCode}>{recoveryCode}</Text>
+              ))}
+            </View>
+            <TouchableOpacity style={styles.secondaryButton} onPress={shareRecoveryCodes}>
+              <Text style={styles.secondaryButtonText}>Save or share codes</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {!enabled && !enrollment && (
+          <View style={styles.card}>
+            <Text style={styles.cardText}>
+              Protect your account with a one-time code from an authenticator app
+              every time you log in.
+            </Text>
+            <TouchableOpacity
+              style={[styles.primaryButton, submitting && styles.disabledButton]}
+              onPress={handleStartSetup}
+              disabled={submitting}
+            >
+              <Text style={styles.primaryButtonText}>Set up two-factor</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {!enabled && enrollment && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>1. Add MetaConnect to your authenticator</Text>
+            <TouchableOpacity style={styles.secondaryButton} onPress={openAuthenticator}>
+              <Text style={styles.secondaryButtonText}>Open authenticator app</Text>
+            </TouchableOpacity>
+            <Text style={styles.cardText}>Or enter this setup key manually:</Text>
+            <Text selectable style={styles.secret}>{enrollment.secret}</Text>
+
+            <Text style={styles.cardTitle}>2. Enter the code it shows</Text>
+            {codeInput}
+            <TouchableOpacity
+              style={[styles.primaryButton, (submitting || code.length !== 6) && styles.disabledButton]}
+              onPress={handleEnable}
+              disabled={submitting || code.length !== 6}
+            >
+              <Text style={styles.primaryButtonText}>Turn on</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {enabled && (
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Manage two-factor</Text>
+            <Text style={styles.cardText}>Confirm with a current code from your authenticator app.</Text>
+            {codeInput}
+            <TouchableOpacity
+              style={[styles.secondaryButton, (submitting || code.length !== 6) && styles.disabledButton]}
+              onPress={handleRegenerate}
+              disabled={submitting || code.length !== 6}
+            >
+              <Text style={styles.secondaryButtonText}>Generate new recovery codes</Text>
+            </TouchableOpacity>
+
+            <View style={styles.inputContainer}>
+              <Ionicons name="lock-closed-outline" size={20} color="#64748b" style={styles.inputIcon} />
+              <TextInput
+                style={styles.input}
+                placeholder="Password (to turn off)"
+                placeholderTextColor="#94a3b8"
+                value={password}
+                onChangeText={setPassword}
+                secureTextEntry
+                autoCapitalize="none"
+                editable={!submitting}
+              />
+            </View>
+            <TouchableOpacity
+              style={[styles.dangerButton, (submitting || !password || code.length !== 6) && styles.disabledButton]}
+              onPress={handleDisable}
+              disabled={submitting || !password || code.length !== 6}
+            >
+              <Text style={styles.dangerButtonText}>Turn off two-factor</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  statusRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+  statusText: {
+    fontSize: 17,
+    ...fonts.semiBold,
+    color: "#1e293b",
+    marginLeft: 12,
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 14,
+    color: "#64748b",
+    lineHeight: 20,
+    marginBottom: 12,
+  },
+  secret: {
+    fontFamily: "monospace",
+    fontSize: 15,
+    color: "#1e293b",
+    backgroundColor: "#f1f5f9",
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 16,
+  },
+  codesGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 12,
+  },
+  recoveryCode: {
+    width: "50%",
+    fontFamily: "monospace",
+    fontSize: 15,
+    color: "#1e293b",
+    paddingVertical: 4,
+  },
+  inputContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    height: 52,
+    marginBottom: 12,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    height: 52,
+    fontSize: 16,
+    color: "#1e293b",
+  },
+  primaryButton: {
+    backgroundColor: "#3b82f6",
+    borderRadius: 12,
+    height: 50,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+    borderRadius: 12,
+    height: 46,
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 12,
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  dangerButton: {
+    backgroundColor: "#fff1f2",
+    borderRadius: 12,
+    height: 50,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  dangerButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#ef4444",
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
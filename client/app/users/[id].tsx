@@ -0,0 +1,659 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Image,
+  ActivityIndicator,
+  SafeAreaView,
+  Alert,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { format } from "date-fns";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  getUserById,
+  getRelationship,
+  followUser,
+  unfollowUser,
+  requestConnection,
+  acceptConnection,
+  removeConnection,
+  blockUser,
+  muteUser,
+  unmuteUser,
+  getMutualAvailability,
+  getEndorsements,
+  endorseSkill,
+  withdrawEndorsement,
+} from "../utils/api";
+
+type PublicProfile = {
+  _id: string;
+  name: string;
+  avatar?: string;
+  email?: string;
+  bio?: string;
+  location?: string;
+  skills: string[];
+  availability: boolean;
+  followerCount: number;
+  followingCount: number;
+  connectionCount: number;
+};
+
+type Relationship = {
+  following: boolean;
+  followedBy: boolean;
+  connection: "none" | "pending_sent" | "pending_received" | "connected";
+  blocking: boolean;
+  muted: boolean;
+};
+
+type SkillEndorsements = {
+  skill: string;
+  count: number;
+  endorsedByMe: boolean;
+};
+
+const DEFAULT_AVATAR = require("../../assets/images/avatars/user.jpeg");
+
+export default function UserProfileScreen() {
+  const { id } = useLocalSearchParams<{ id: string }>();
+  const router = useRouter();
+  const { user } = useAuth();
+  const [profile, setProfile] = useState<PublicProfile | null>(null);
+  // Private profiles only come back with name and avatar
+  const [restricted, setRestricted] = useState(false);
+  const [relationship, setRelationship] = useState<Relationship | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [updating, setUpdating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [mutualFree, setMutualFree] = useState<{ start: string; end: string }[] | null>(null);
+  const [loadingMutual, setLoadingMutual] = useState(false);
+  const [endorsements, setEndorsements] = useState<SkillEndorsements[]>([]);
+  // Only people who share a project, community or past session can endorse
+  const [canEndorse, setCanEndorse] = useState(false);
+  const [endorsing, setEndorsing] = useState<string | null>(null);
+
+  const isSelf = user?._id === id;
+
+  const loadProfile = async () => {
+    try {
+      const [profileResult, relationshipResult] = await Promise.all([
+        getUserById(id),
+        isSelf ? null : getRelationship(id),
+      ]);
+
+      if (!profileResult.success) {
+        setError(profileResult.message || "Failed to load profile");
+        return;
+      }
+
+      setProfile(profileResult.data);
+      setRestricted(Boolean(profileResult.restricted));
+      if (relationshipResult && relationshipResult.success) {
+        setRelationship(relationshipResult.data);
+      }
+
+      if (!profileResult.restricted) {
+        const endorsementsResult = await getEndorsements(id);
+        if (endorsementsResult.success) {
+          setEndorsements(endorsementsResult.data);
+          setCanEndorse(endorsementsResult.canEndorse);
+        }
+      }
+    } catch (err) {
+      console.error("Failed to load profile:", err);
+      setError("Failed to load profile");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadProfile();
+  }, [id]);
+
+  // Run a follow/connection change, then reload counts and relationship
+  const update = async (action: () => Promise<any>) => {
+    try {
+      setUpdating(true);
+      setError(null);
+      const result = await action();
+
+      if (!result.success) {
+        setError(result.message || "Something went wrong");
+        return;
+      }
+
+      await loadProfile();
+    } catch (err: any) {
+      setError(err.message || "Something went wrong");
+    } finally {
+      setUpdating(false);
+    }
+  };
+
+  const handleFollow = () =>
+    update(() => (relationship?.following ? unfollowUser(id) : followUser(id)));
+
+  const handleConnection = () => {
+    switch (relationship?.connection) {
+      case "pending_received":
+        return update(() => acceptConnection(id));
+      case "pending_sent":
+        return update(() => removeConnection(id));
+      case "connected":
+        return Alert.alert("Remove connection", `Remove ${profile?.name} from your connections?`, [
+          { text: "Cancel", style: "cancel" },
+          { text: "Remove", style: "destructive", onPress: () => update(() => removeConnection(id)) },
+        ]);
+      default:
+        return update(() => requestConnection(id));
+    }
+  };
+
+  // Times in the next week when both of us are free, for planning a session
+  const loadMutualAvailability = async () => {
+    try {
+      setLoadingMutual(true);
+      setError(null);
+      const result = await getMutualAvailability(id);
+      if (!result.success) {
+        setError(result.message || "Could not load availability");
+        return;
+      }
+      setMutualFree(result.data);
+    } catch (err: any) {
+      setError(err.message || "Could not load availability");
+    } finally {
+      setLoadingMutual(false);
+    }
+  };
+
+  const handleEndorse = async (entry: SkillEndorsements) => {
+    try {
+      setEndorsing(entry.skill);
+      setError(null);
+      const result = entry.endorsedByMe
+        ? await withdrawEndorsement(id, entry.skill)
+        : await endorseSkill(id, entry.skill);
+
+      if (!result.success) {
+        setError(result.message || "Could not update endorsement");
+        return;
+      }
+
+      setEndorsements((current) =>
+        current.map((e) => (e.skill === entry.skill ? { ...e, ...result.data, skill: e.skill } : e))
+      );
+    } catch (err: any) {
+      setError(err.message || "Could not update endorsement");
+    } finally {
+      setEndorsing(null);
+    }
+  };
+
+  const handleMute = () =>
+    update(() => (relationship?.muted ? unmuteUser(id) : muteUser(id)));
+
+  // A blocked profile is hidden from us too, so leave the screen afterwards
+  const handleBlock = () =>
+    Alert.alert(
+      "Block user",
+      `${profile?.name} won't be able to see your profile, message you or join your sessions. Follows and connections between you are removed.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Block",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              setUpdating(true);
+              const result = await blockUser(id);
+              if (!result.success) {
+                setError(result.message || "Could not block user");
+                return;
+              }
+              router.back();
+            } catch (err: any) {
+              setError(err.message || "Could not block user");
+            } finally {
+              setUpdating(false);
+            }
+          },
+        },
+      ]
+    );
+
+  const openList = (list: string) =>
+    router.push({ pathname: "/connections", params: { userId: id, list } });
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <Text style={styles.emptyText}>{error || "User not found"}</Text>
+      </SafeAreaView>
+    );
+  }
+
+  const connectionLabel = {
+    none: "Connect",
+    pending_sent: "Requested",
+    pending_received: "Accept request",
+    connected: "Connected",
+  }[relationship?.connection || "none"];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.headerCard}>
+          <Image source={profile.avatar ? { uri: profile.avatar } : DEFAULT_AVATAR} style={styles.avatar} />
+          <Text style={styles.name}>{profile.name}</Text>
+          {!!profile.location && (
+            <View style={styles.locationRow}>
+              <Ionicons name="location-outline" size={14} color="#64748b" />
+              <Text style={styles.locationText}>{profile.location}</Text>
+            </View>
+          )}
+          {!!profile.email && (
+            <View style={styles.locationRow}>
+              <Ionicons name="mail-outline" size={14} color="#64748b" />
+              <Text style={styles.locationText}>{profile.email}</Text>
+            </View>
+          )}
+          {relationship?.followedBy && <Text style={styles.followsYou}>Follows you</Text>}
+
+          {!restricted && (
+            <View style={styles.countsRow}>
+              <TouchableOpacity style={styles.countItem} onPress={() => openList("followers")}>
+                <Text style={styles.countValue}>{profile.followerCount || 0}</Text>
+                <Text style={styles.countLabel}>Followers</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.countItem} onPress={() => openList("following")}>
+                <Text style={styles.countValue}>{profile.followingCount || 0}</Text>
+                <Text style={styles.countLabel}>Following</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.countItem} onPress={() => openList("connections")}>
+                <Text style={styles.countValue}>{profile.connectionCount || 0}</Text>
+                <Text style={styles.countLabel}>Connections</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {!isSelf && relationship && (
+            <View style={styles.actionsRow}>
+              <TouchableOpacity
+                style={[relationship.following ? styles.secondaryButton : styles.primaryButton, updating && styles.disabledButton]}
+                onPress={handleFollow}
+                disabled={updating}
+              >
+                <Text style={relationship.following ? styles.secondaryButtonText : styles.primaryButtonText}>
+                  {relationship.following ? "Following" : "Follow"}
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.secondaryButton, updating && styles.disabledButton]}
+                onPress={handleConnection}
+                disabled={updating}
+              >
+                <Text style={styles.secondaryButtonText}>{connectionLabel}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+          {relationship?.connection === "pending_received" && (
+            <TouchableOpacity onPress={() => update(() => removeConnection(id))} disabled={updating}>
+              <Text style={styles.declineText}>Decline request</Text>
+            </TouchableOpacity>
+          )}
+          {!isSelf && relationship && (
+            <View style={styles.moderationRow}>
+              <TouchableOpacity onPress={handleMute} disabled={updating}>
+                <Text style={styles.moderationText}>{relationship.muted ? "Unmute" : "Mute"}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={handleBlock} disabled={updating}>
+                <Text style={[styles.moderationText, styles.blockText]}>Block</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+
+        {error && (
+          <View style={styles.errorContainer}>
+            <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {restricted ? (
+          <View style={[styles.card, styles.privateCard]}>
+            <Ionicons name="lock-closed-outline" size={28} color="#94a3b8" />
+            <Text style={styles.privateTitle}>This profile is private</Text>
+            <Text style={styles.privateText}>
+              {profile.name} only shares their profile with their connections or community members.
+            </Text>
+          </View>
+        ) : (
+          <>
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>About</Text>
+              <Text style={styles.bio}>{profile.bio || "No bio added yet."}</Text>
+            </View>
+
+            {!isSelf && (
+              <View style={styles.card}>
+                <Text style={styles.cardTitle}>Find a time</Text>
+                {mutualFree === null ? (
+                  <TouchableOpacity
+                    style={[styles.secondaryButton, styles.findTimeButton, loadingMutual && styles.disabledButton]}
+                    onPress={loadMutualAvailability}
+                    disabled={loadingMutual}
+                  >
+                    {loadingMutual ? (
+                      <ActivityIndicator color="#3b82f6" size="small" />
+                    ) : (
+                      <Text style={styles.secondaryButtonText}>When are we both free?</Text>
+                    )}
+                  </TouchableOpacity>
+                ) : mutualFree.length === 0 ? (
+                  <Text style={styles.emptyText}>No shared free time in the next 7 days.</Text>
+                ) : (
+                  mutualFree.map((slot) => (
+                    <Text key={slot.start} style={styles.bio}>
+                      {format(new Date(slot.start), "EEE MMM d, HH:mm")} – {format(new Date(slot.end), "HH:mm")}
+                    </Text>
+                  ))
+                )}
+              </View>
+            )}
+
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Skills</Text>
+              {profile.skills.length === 0 ? (
+                <Text style={styles.emptyText}>No skills listed.</Text>
+              ) : endorsements.length === 0 ? (
+                <View style={styles.skillsRow}>
+                  {profile.skills.map((skill) => (
+                    <View key={skill} style={styles.skillTag}>
+                      <Text style={styles.skillText}>{skill}</Text>
+                    </View>
+                  ))}
+                </View>
+              ) : (
+                endorsements.map((entry) => (
+                  <View key={entry.skill} style={styles.endorsementRow}>
+                    <Text style={styles.endorsementSkill}>{entry.skill}</Text>
+                    <Text style={styles.endorsementCount}>{entry.count}</Text>
+                    {!isSelf && (canEndorse || entry.endorsedByMe) && (
+                      <TouchableOpacity
+                        style={[styles.endorseButton, entry.endorsedByMe && styles.endorseButtonActive]}
+                        onPress={() => handleEndorse(entry)}
+                        disabled={endorsing !== null}
+                      >
+                        <Ionicons
+                          name={entry.endorsedByMe ? "checkmark" : "add"}
+                          size={14}
+                          color={entry.endorsedByMe ? "#ffffff" : "#3b82f6"}
+                        />
+                        <Text style={[styles.endorseText, entry.endorsedByMe && styles.endorseTextActive]}>
+                          {entry.endorsedByMe ? "Endorsed" : "Endorse"}
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))
+              )}
+            </View>
+          </>
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#f0f4f8",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f0f4f8",
+  },
+  content: {
+    padding: 16,
+  },
+  headerCard: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    alignItems: "center",
+  },
+  avatar: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    marginBottom: 12,
+  },
+  name: {
+    fontSize: 20,
+    fontWeight: "600",
+    color: "#1e293b",
+  },
+  locationRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  locationText: {
+    fontSize: 13,
+    color: "#64748b",
+    marginLeft: 4,
+  },
+  followsYou: {
+    fontSize: 12,
+    color: "#64748b",
+    backgroundColor: "#f1f5f9",
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginTop: 8,
+    overflow: "hidden",
+  },
+  countsRow: {
+    flexDirection: "row",
+    alignSelf: "stretch",
+    marginTop: 16,
+  },
+  countItem: {
+    flex: 1,
+    alignItems: "center",
+  },
+  countValue: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#1e293b",
+  },
+  countLabel: {
+    fontSize: 12,
+    color: "#64748b",
+  },
+  actionsRow: {
+    flexDirection: "row",
+    alignSelf: "stretch",
+    marginTop: 16,
+  },
+  primaryButton: {
+    flex: 1,
+    backgroundColor: "#3b82f6",
+    borderRadius: 12,
+    height: 44,
+    justifyContent: "center",
+    alignItems: "center",
+    marginHorizontal: 4,
+  },
+  primaryButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  secondaryButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+    borderRadius: 12,
+    height: 44,
+    justifyContent: "center",
+    alignItems: "center",
+    marginHorizontal: 4,
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#3b82f6",
+  },
+  disabledButton: {
+    opacity: 0.5,
+  },
+  declineText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#ef4444",
+    marginTop: 12,
+  },
+  findTimeButton: {
+    flex: 0,
+    marginHorizontal: 0,
+  },
+  moderationRow: {
+    flexDirection: "row",
+    marginTop: 16,
+  },
+  moderationText: {
+    fontSize: 13,
+    color: "#64748b",
+    marginHorizontal: 12,
+  },
+  blockText: {
+    color: "#ef4444",
+  },
+  card: {
+    backgroundColor: "#ffffff",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  privateCard: {
+    alignItems: "center",
+    paddingVertical: 24,
+  },
+  privateTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginTop: 8,
+  },
+  privateText: {
+    fontSize: 14,
+    color: "#64748b",
+    textAlign: "center",
+    marginTop: 4,
+  },
+  cardTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1e293b",
+    marginBottom: 8,
+  },
+  bio: {
+    fontSize: 14,
+    color: "#475569",
+    lineHeight: 20,
+  },
+  skillsRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+  },
+  skillTag: {
+    backgroundColor: "#eff6ff",
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  skillText: {
+    fontSize: 12,
+    color: "#3b82f6",
+  },
+  endorsementRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  endorsementSkill: {
+    flex: 1,
+    fontSize: 14,
+    color: "#1e293b",
+  },
+  endorsementCount: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#64748b",
+    marginRight: 10,
+  },
+  endorseButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#3b82f6",
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  endorseButtonActive: {
+    backgroundColor: "#3b82f6",
+  },
+  endorseText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#3b82f6",
+    marginLeft: 4,
+  },
+  endorseTextActive: {
+    color: "#ffffff",
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#64748b",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
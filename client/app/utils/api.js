@@ -64,10 +64,80 @@ api.interceptors.request.use(
   }
 );
 
+// Endpoints that must never trigger a token refresh
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/2fa/verify'];
+
+let refreshPromise = null;
+let authFailureHandler = null;
+
+// Let the auth context know when the session can no longer be refreshed
+export const setAuthFailureHandler = (handler) => {
+  authFailureHandler = handler;
+};
+
+// Exchange the stored refresh token for a new token pair.
+// Concurrent callers share the same in-flight request.
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        return null;
+      }
+
+      const response = await axios.post(
+        `${api.defaults.baseURL}/auth/refresh`,
+        { refreshToken },
+        { timeout: 15000, validateStatus: status => status >= 200 && status < 500 }
+      );
+
+      if (response.status !== 200 || !response.data?.token) {
+        await AsyncStorage.multiRemove(['token', 'refreshToken']);
+        return null;
+      }
+
+      await AsyncStorage.setItem('token', response.data.token);
+      await AsyncStorage.setItem('refreshToken', response.data.refreshToken);
+      return response.data.token;
+    })()
+      .catch((error) => {
+        console.error('Token refresh failed:', error.message);
+        return null;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
 // Response interceptor
 api.interceptors.response.use(
-  (response) => {
+  async (response) => {
     console.log('Response received:', response.status);
+
+    // 4xx responses resolve (see validateStatus), so expired access tokens are handled here
+    const { config } = response;
+    if (
+      response.status === 401 &&
+      config &&
+      !config._retry &&
+      !AUTH_ENDPOINTS.some(endpoint => config.url?.startsWith(endpoint))
+    ) {
+      config._retry = true;
+      const newToken = await refreshAccessToken();
+
+      if (newToken) {
+        config.headers.Authorization = `Bearer ${newToken}`;
+        return api(config);
+      }
+
+      if (authFailureHandler) {
+        authFailureHandler();
+      }
+    }
+
     return response;
   },
   async (error) => {
@@ -113,6 +183,246 @@ api.interceptors.response.use(
 
 export default api;
 
+// Auth session (device) related API calls
+export const getAuthSessions = async () => {
+  try {
+    const response = await api.get('/auth/sessions');
+    return response.data.data;
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const revokeAuthSession = async (sessionId) => {
+  try {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const revokeAllAuthSessions = async () => {
+  try {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
+  } catch (error) {
+    console.error('Error revoking all sessions:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Password related API calls
+export const requestPasswordReset = async (email) => {
+  try {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const resetPassword = async (token, password) => {
+  try {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const changePassword = async (currentPassword, newPassword) => {
+  try {
+    const response = await api.put('/auth/change-password', { currentPassword, newPassword });
+    return response.data;
+  } catch (error) {
+    console.error('Error changing password:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Email verification API calls
+export const verifyEmail = async (token) => {
+  try {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  } catch (error) {
+    console.error('Error verifying email:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const resendVerificationEmail = async () => {
+  try {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Two-factor authentication API calls
+export const setupTwoFactor = async () => {
+  try {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  } catch (error) {
+    console.error('Error starting two-factor setup:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const enableTwoFactor = async (code) => {
+  try {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  } catch (error) {
+    console.error('Error enabling two-factor:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const disableTwoFactor = async (password, code) => {
+  try {
+    const response = await api.post('/auth/2fa/disable', { password, code });
+    return response.data;
+  } catch (error) {
+    console.error('Error disabling two-factor:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const regenerateRecoveryCodes = async (code) => {
+  try {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Personal data and account deletion API calls
+export const exportMyData = async () => {
+  try {
+    const response = await api.get('/profile/export');
+    return response.data;
+  } catch (error) {
+    console.error('Error exporting data:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const requestAccountDeletion = async (password, code) => {
+  try {
+    const response = await api.post('/profile/deletion', { password, code });
+    return response.data;
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const cancelAccountDeletion = async () => {
+  try {
+    const response = await api.delete('/profile/deletion');
+    return response.data;
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Personal access token API calls
+export const getAccessTokens = async () => {
+  try {
+    const response = await api.get('/auth/tokens');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching access tokens:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const createAccessToken = async (name, scopes, expiresInDays) => {
+  try {
+    const response = await api.post('/auth/tokens', { name, scopes, expiresInDays });
+    return response.data;
+  } catch (error) {
+    console.error('Error creating access token:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const revokeAccessToken = async (tokenId) => {
+  try {
+    const response = await api.delete(`/auth/tokens/${tokenId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error revoking access token:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
 // Message related API calls
 export const getConversations = async () => {
   try {
@@ -151,6 +461,10 @@ export const getMessagesWithUser = async (userId) => {
 export const sendMessage = async (userId, text) => {
   try {
     const response = await api.post(`/messages/${userId}`, { text });
+    // e.g. the recipient's privacy settings don't allow the message
+    if (!response.data.success) {
+      throw new Error(response.data.message || 'Failed to send message');
+    }
     return response.data.data;
   } catch (error) {
     console.error('Error sending message:', error);
@@ -427,13 +741,858 @@ export const getUserStats = async () => {
   }
 };
 
-// Collaborate - Projects API calls
-export const getUserProjects = async () => {
+export const getPrivacySettings = async () => {
+  try {
+    const response = await api.get('/profile/privacy');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching privacy settings:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// settings: any of { profileVisibility, locationVisibility, emailVisibility, messagesFrom }
+export const updatePrivacySettings = async (settings) => {
+  try {
+    const response = await api.put('/profile/privacy', settings);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating privacy settings:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getMyAvailability = async () => {
+  try {
+    const response = await api.get('/profile/availability');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching availability:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// schedule: any of { enabled, timeZone, weeklySlots, overrides, vacations }
+export const updateAvailability = async (schedule) => {
+  try {
+    const response = await api.put('/profile/availability', schedule);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating availability:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// When the current user and `userId` are both free over the next `days` days
+export const getMutualAvailability = async (userId, days = 7) => {
+  try {
+    const response = await api.get(`/users/${userId}/availability/mutual`, { params: { days } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching mutual availability:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Skill catalog API calls
+// Suggestions for a partly typed skill, most used first
+export const searchSkills = async (q, limit = 8) => {
+  try {
+    const response = await api.get('/skills', { params: { q, limit } });
+    return response.data;
+  } catch (error) {
+    console.error('Error searching skills:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Skill endorsement API calls
+export const getEndorsements = async (userId) => {
+  try {
+    const response = await api.get(`/users/${userId}/endorsements`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching endorsements:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getTopSkills = async (userId, limit = 5) => {
+  try {
+    const response = await api.get(`/users/${userId}/endorsements/top`, { params: { limit } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching top skills:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const endorseSkill = async (userId, skill) => {
+  try {
+    const response = await api.post(`/users/${userId}/endorsements`, { skill });
+    return response.data;
+  } catch (error) {
+    console.error('Error endorsing skill:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const withdrawEndorsement = async (userId, skill) => {
+  try {
+    const response = await api.delete(`/users/${userId}/endorsements/${encodeURIComponent(skill)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error withdrawing endorsement:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// User directory API calls
+// filters: { q, skills, skillsMatch, location, available, sort, limit, cursor }
+export const searchUsers = async (filters = {}) => {
+  try {
+    const response = await api.get('/users', { params: filters });
+    return response.data;
+  } catch (error) {
+    console.error('Error searching users:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getRecommendations = async (limit = 10) => {
+  try {
+    const response = await api.get('/users/recommendations', { params: { limit } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching recommendations:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getUserById = async (userId) => {
+  try {
+    const response = await api.get(`/users/${userId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Social graph API calls
+export const followUser = async (userId) => {
+  try {
+    const response = await api.post(`/users/${userId}/follow`);
+    return response.data;
+  } catch (error) {
+    console.error('Error following user:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const unfollowUser = async (userId) => {
+  try {
+    const response = await api.delete(`/users/${userId}/follow`);
+    return response.data;
+  } catch (error) {
+    console.error('Error unfollowing user:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getRelationship = async (userId) => {
+  try {
+    const response = await api.get(`/users/${userId}/relationship`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching relationship:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// list: followers, following or connections
+export const getUserList = async (userId, list, cursor) => {
+  try {
+    const response = await api.get(`/users/${userId}/${list}`, { params: { cursor } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching user list:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getConnectionRequests = async (direction = 'incoming', cursor) => {
+  try {
+    const response = await api.get('/users/connection-requests', { params: { direction, cursor } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching connection requests:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const requestConnection = async (userId) => {
+  try {
+    const response = await api.post(`/users/${userId}/connection`);
+    return response.data;
+  } catch (error) {
+    console.error('Error requesting connection:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const acceptConnection = async (userId) => {
+  try {
+    const response = await api.put(`/users/${userId}/connection`);
+    return response.data;
+  } catch (error) {
+    console.error('Error accepting connection:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const removeConnection = async (userId) => {
+  try {
+    const response = await api.delete(`/users/${userId}/connection`);
+    return response.data;
+  } catch (error) {
+    console.error('Error removing connection:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const blockUser = async (userId) => {
+  try {
+    const response = await api.post(`/users/${userId}/block`);
+    return response.data;
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const unblockUser = async (userId) => {
+  try {
+    const response = await api.delete(`/users/${userId}/block`);
+    return response.data;
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const muteUser = async (userId) => {
+  try {
+    const response = await api.post(`/users/${userId}/mute`);
+    return response.data;
+  } catch (error) {
+    console.error('Error muting user:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const unmuteUser = async (userId) => {
+  try {
+    const response = await api.delete(`/users/${userId}/mute`);
+    return response.data;
+  } catch (error) {
+    console.error('Error unmuting user:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// list: 'blocked' | 'muted'
+export const getRestrictedUsers = async (list, cursor) => {
+  try {
+    const response = await api.get(`/users/${list}`, { params: { cursor } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching restricted users:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Mentor API calls
+// filters: { q, expertise, minRating, sort, limit, cursor }
+export const getMentors = async (filters = {}) => {
+  try {
+    const response = await api.get('/mentors', { params: filters });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching mentors:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getMentor = async (mentorId) => {
+  try {
+    const response = await api.get(`/mentors/${mentorId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching mentor:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getMentorReviews = async (mentorId, cursor) => {
+  try {
+    const response = await api.get(`/mentors/${mentorId}/reviews`, { params: { cursor } });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching mentor reviews:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const reviewMentor = async (mentorId, rating, text) => {
+  try {
+    const response = await api.post(`/mentors/${mentorId}/reviews`, { rating, text });
+    return response.data;
+  } catch (error) {
+    console.error('Error reviewing mentor:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const deleteMentorReview = async (mentorId) => {
+  try {
+    const response = await api.delete(`/mentors/${mentorId}/reviews`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting mentor review:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// profile: { isActive, headline, expertise }
+export const updateMentorProfile = async (profile) => {
+  try {
+    const response = await api.put('/mentors/me', profile);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating mentor profile:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Media API calls
+// asset: { uri, mimeType, fileName } from expo-image-picker
+// purpose: avatar, community or event
+export const uploadImage = async (asset, purpose) => {
+  try {
+    const formData = new FormData();
+    formData.append('purpose', purpose);
+    formData.append('file', {
+      uri: asset.uri,
+      name: asset.fileName || `${purpose}.jpg`,
+      type: asset.mimeType || 'image/jpeg'
+    });
+
+    const response = await api.post('/media', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      // Let axios pass the FormData through untouched
+      transformRequest: data => data
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Collaborate - Projects API calls
+// filters: { q, skills, skillsMatch, status, scope (all|mine|joined|recruiting), sort, limit, cursor }
+export const getProjects = async (filters = {}) => {
+  try {
+    const response = await api.get('/projects', { params: filters });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Collaborate - Project membership API calls
+// Includes `membership`: the current user's role and latest join request
+export const getProject = async (projectId) => {
+  try {
+    const response = await api.get(`/projects/${projectId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const requestToJoinProject = async (projectId, message) => {
+  try {
+    const response = await api.post(`/projects/${projectId}/join`, { message });
+    return response.data;
+  } catch (error) {
+    console.error('Error requesting to join project:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const cancelJoinRequest = async (projectId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}/join`);
+    return response.data;
+  } catch (error) {
+    console.error('Error cancelling join request:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getJoinRequests = async (projectId) => {
+  try {
+    const response = await api.get(`/projects/${projectId}/requests`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching join requests:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// action: approve or reject; role applies to approved applicants
+export const respondToJoinRequest = async (projectId, requestId, action, role = 'contributor') => {
+  try {
+    const response = await api.put(`/projects/${projectId}/requests/${requestId}`, { action, role });
+    return response.data;
+  } catch (error) {
+    console.error('Error responding to join request:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const updateProjectMemberRole = async (projectId, userId, role) => {
+  try {
+    const response = await api.put(`/projects/${projectId}/members/${userId}`, { role });
+    return response.data;
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const removeProjectMember = async (projectId, userId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}/members/${userId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error removing project member:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const transferProjectOwnership = async (projectId, userId) => {
+  try {
+    const response = await api.put(`/projects/${projectId}/owner`, { userId });
+    return response.data;
+  } catch (error) {
+    console.error('Error transferring project ownership:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const leaveProject = async (projectId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}/leave`);
+    return response.data;
+  } catch (error) {
+    console.error('Error leaving project:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const inviteToProject = async (projectId, userId, role = 'contributor', message = '') => {
+  try {
+    const response = await api.post(`/projects/${projectId}/invitations`, { userId, role, message });
+    return response.data;
+  } catch (error) {
+    console.error('Error inviting to project:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// The link itself is only returned here, as data.url
+export const createProjectInviteLink = async (projectId, { role = 'contributor', expiresInDays = 7, maxUses = 10 } = {}) => {
+  try {
+    const response = await api.post(`/projects/${projectId}/invite-links`, { role, expiresInDays, maxUses });
+    return response.data;
+  } catch (error) {
+    console.error('Error creating invite link:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getProjectInvitations = async (projectId, status = '') => {
+  try {
+    const response = await api.get(`/projects/${projectId}/invitations${status ? `?status=${status}` : ''}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching project invitations:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const revokeProjectInvitation = async (projectId, invitationId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}/invitations/${invitationId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getMyInvitations = async () => {
+  try {
+    const response = await api.get('/invitations');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const acceptInvitation = async (invitationId) => {
+  try {
+    const response = await api.post(`/invitations/${invitationId}/accept`);
+    return response.data;
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const declineInvitation = async (invitationId) => {
+  try {
+    const response = await api.post(`/invitations/${invitationId}/decline`);
+    return response.data;
+  } catch (error) {
+    console.error('Error declining invitation:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const previewInviteLink = async (token) => {
+  try {
+    const response = await api.get(`/invitations/link/${encodeURIComponent(token)}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching invite link:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const acceptInviteLink = async (token) => {
+  try {
+    const response = await api.post(`/invitations/link/${encodeURIComponent(token)}/accept`);
+    return response.data;
+  } catch (error) {
+    console.error('Error accepting invite link:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Project task boards
+// filters: assignee (user id or "me"), label, priority
+export const getProjectBoard = async (projectId, filters = {}) => {
+  try {
+    const response = await api.get(`/projects/${projectId}/board`, { params: filters });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching task board:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const createTask = async (projectId, taskData) => {
+  try {
+    const response = await api.post(`/projects/${projectId}/tasks`, taskData);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating task:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const updateTask = async (projectId, taskId, taskData) => {
+  try {
+    const response = await api.put(`/projects/${projectId}/tasks/${taskId}`, taskData);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating task:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// index is the position in the target column, counted without the task itself
+export const moveTask = async (projectId, taskId, column, index) => {
+  try {
+    const response = await api.put(`/projects/${projectId}/tasks/${taskId}/move`, { column, index });
+    return response.data;
+  } catch (error) {
+    console.error('Error moving task:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const deleteTask = async (projectId, taskId) => {
+  try {
+    const response = await api.delete(`/projects/${projectId}/tasks/${taskId}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting task:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const updateBoardColumns = async (projectId, columns) => {
+  try {
+    const response = await api.put(`/projects/${projectId}/columns`, { columns });
+    return response.data;
+  } catch (error) {
+    console.error('Error updating board columns:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// Project milestones and roadmap
+export const getProjectRoadmap = async (projectId) => {
+  try {
+    const response = await api.get(`/projects/${projectId}/roadmap`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching roadmap:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const getMilestones = async (projectId) => {
+  try {
+    const response = await api.get(`/projects/${projectId}/milestones`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching milestones:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const createMilestone = async (projectId, milestoneData) => {
+  try {
+    const response = await api.post(`/projects/${projectId}/milestones`, milestoneData);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating milestone:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+// milestoneData.tasks and .activities replace the linked lists; reached marks it done by hand
+export const updateMilestone = async (projectId, milestoneId, milestoneData) => {
+  try {
+    const response = await api.put(`/projects/${projectId}/milestones/${milestoneId}`, milestoneData);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating milestone:', error);
+    if (error.response) {
+      console.error('Server error response:', error.response.data);
+    }
+    throw error;
+  }
+};
+
+export const deleteMilestone = async (projectId, milestoneId) => {
   try {
-    const response = await api.get('/projects');
+    const response = await api.delete(`/projects/${projectId}/milestones/${milestoneId}`);
     return response.data;
   } catch (error) {
-    console.error('Error fetching user projects:', error);
+    console.error('Error deleting milestone:', error);
     if (error.response) {
       console.error('Server error response:', error.response.data);
     }
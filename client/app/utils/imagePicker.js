@@ -0,0 +1,43 @@
+import * as ImagePicker from 'expo-image-picker';
+import { Alert } from 'react-native';
+import { uploadImage } from './api';
+
+// Crop shape offered in the picker for each upload purpose
+const ASPECTS = {
+  avatar: [1, 1],
+  community: [16, 9],
+  event: [16, 9]
+};
+
+// Let the user pick a photo and upload it for `purpose`.
+// Resolves to the uploaded media URL, or null if cancelled or failed.
+export const pickAndUploadImage = async (purpose) => {
+  const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+  if (!permission.granted) {
+    Alert.alert('Permission needed', 'Allow photo access to choose an image.');
+    return null;
+  }
+
+  const picked = await ImagePicker.launchImageLibraryAsync({
+    mediaTypes: ['images'],
+    allowsEditing: true,
+    aspect: ASPECTS[purpose],
+    quality: 0.9
+  });
+
+  if (picked.canceled || !picked.assets || picked.assets.length === 0) {
+    return null;
+  }
+
+  try {
+    const result = await uploadImage(picked.assets[0], purpose);
+    if (!result.success) {
+      Alert.alert('Upload failed', result.message || 'Could not upload the image');
+      return null;
+    }
+    return result.data.url;
+  } catch (error) {
+    Alert.alert('Upload failed', 'Could not upload the image. Please try again.');
+    return null;
+  }
+};
\ No newline at end of file
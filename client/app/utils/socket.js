@@ -2,7 +2,7 @@ import { io } from 'socket.io-client';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform, Alert } from 'react-native';
 import NetInfo from '@react-native-community/netinfo';
-import { API_BASE_URL, getBaseServerUrl } from './api';
+import { API_BASE_URL, getBaseServerUrl, refreshAccessToken } from './api';
 import NetworkDiagnostic from './networkDiagnostic';
 
 let socket = null;
@@ -11,6 +11,7 @@ const MAX_RECONNECTION_ATTEMPTS = 5;
 let reconnectionAbandoned = false;
 let serverDiscoveryInProgress = false;
 let unsubscribeNetInfo = null;
+let authRefreshAttempted = false;
 
 // Enhanced network change handler with profile support
 const setupNetworkListener = () => {
@@ -271,16 +272,14 @@ export const initializeSocket = async () => {
       reconnectionAbandoned = false;
     }
     
-    // Get auth token from storage
-    const token = await AsyncStorage.getItem('token');
-    
     // Try multiple connection strategies to find a working server
     const socketUrl = await tryMultipleConnections();
     console.log(`Attempting to connect to socket at: ${socketUrl}`);
     
     // Initialize new socket with improved config
     socket = io(socketUrl, {
-      auth: token ? { token } : undefined,
+      // Read the token on every (re)connect so refreshed tokens are picked up
+      auth: async (cb) => cb({ token: await AsyncStorage.getItem('token') }),
       // Use both transports, but try polling first for greater compatibility
       transports: ['polling', 'websocket'],
       reconnectionAttempts: MAX_RECONNECTION_ATTEMPTS,
@@ -289,9 +288,6 @@ export const initializeSocket = async () => {
       forceNew: true, 
       autoConnect: true,
       reconnection: true,
-      extraHeaders: {
-        "Authorization": token ? `Bearer ${token}` : undefined
-      },
       withCredentials: true, // Important for CORS
       // Additional Socket.IO options for better reliability
       path: '/socket.io', // Ensure this matches server-side path
@@ -306,11 +302,7 @@ export const initializeSocket = async () => {
       console.log('Socket connected successfully:', socket.id);
       connectionAttempts = 0; // Reset attempts on successful connection
       reconnectionAbandoned = false;
-      
-      // Authenticate socket with user token for direct messaging
-      if (token) {
-        socket.emit('authenticate', token);
-      }
+      authRefreshAttempted = false;
       
       // Save the successful connection IP for future use
       const connectedIP = socketUrl.replace('http://', '').split(':')[0];
@@ -320,7 +312,18 @@ export const initializeSocket = async () => {
       }
     });
     
-    socket.on('connect_error', (error) => {
+    socket.on('connect_error', async (error) => {
+      // The handshake rejects expired access tokens; refresh once and retry
+      if (error.message === 'Authentication failed' && !authRefreshAttempted) {
+        authRefreshAttempted = true;
+        const newToken = await refreshAccessToken();
+        if (newToken && socket) {
+          console.log('Socket token refreshed, reconnecting');
+          socket.connect();
+          return;
+        }
+      }
+
       connectionAttempts++;
       console.error(`Socket connection error (attempt ${connectionAttempts}/${MAX_RECONNECTION_ATTEMPTS}): ${error.message}`);
       
@@ -355,13 +358,9 @@ export const initializeSocket = async () => {
       console.log('Socket disconnected:', reason);
     });
     
-    // Listen for authentication success/failure
-    socket.on('authentication_success', (data) => {
-      console.log('Socket authenticated successfully for user:', data.userId);
-    });
-    
-    socket.on('authentication_error', (error) => {
-      console.error('Socket authentication error:', error.message);
+    // The server drops events sent faster than its per-event limits allow
+    socket.on('rate_limited', ({ event, retryAfter }) => {
+      console.warn(`Socket event ${event} rate limited, retry in ${retryAfter}s`);
     });
     
     // Return the socket without waiting for connection
@@ -429,15 +428,26 @@ export const onMessageRead = (callback) => {
   return safeAddListener('message_read', callback);
 };
 
-export const joinProjectRoom = (projectId) => {
+// Room joins are acknowledged by the server, which only admits members.
+// The optional callback receives { success, message }.
+const joinRoom = (eventName, id, callback) => {
   if (!socket) {
     console.warn('Socket not initialized. Call initializeSocket() first.');
     return;
   }
   
-  socket.emit('join_project', projectId);
+  socket.emit(eventName, id, (response) => {
+    if (!response?.success) {
+      console.warn(`Could not ${eventName.replace('_', ' ')} ${id}:`, response?.message);
+    }
+    if (callback) {
+      callback(response);
+    }
+  });
 };
 
+export const joinProjectRoom = (projectId, callback) => joinRoom('join_project', projectId, callback);
+
 export const leaveProjectRoom = (projectId) => {
   if (!socket) {
     console.warn('Socket not initialized. Call initializeSocket() first.');
@@ -470,14 +480,7 @@ export const sendChatMessage = (projectId, message) => {
 };
 
 // Community related socket functions
-export const joinCommunityRoom = (communityId) => {
-  if (!socket) {
-    console.warn('Socket not initialized. Call initializeSocket() first.');
-    return;
-  }
-  
-  socket.emit('join_community', communityId);
-};
+export const joinCommunityRoom = (communityId, callback) => joinRoom('join_community', communityId, callback);
 
 export const leaveCommunityRoom = (communityId) => {
   if (!socket) {
@@ -526,14 +529,7 @@ export const onEventUpdate = (callback) => {
 };
 
 // Live Session socket functions
-export const joinSessionRoom = (sessionId) => {
-  if (!socket) {
-    console.warn('Socket not initialized. Call initializeSocket() first.');
-    return;
-  }
-  
-  socket.emit('join_session', sessionId);
-};
+export const joinSessionRoom = (sessionId, callback) => joinRoom('join_session', sessionId, callback);
 
 export const leaveSessionRoom = (sessionId) => {
   if (!socket) {
@@ -594,6 +590,11 @@ export const onProjectActivity = (callback) => {
   return safeAddListener('project_activity', callback);
 };
 
+// Task board changes for projects whose room you joined
+export const onBoardUpdate = (callback) => {
+  return safeAddListener('board_update', callback);
+};
+
 // Function to remove all event listeners - safe to call even if socket is null
 export const removeAllListeners = () => {
   if (!socket) {
@@ -613,6 +614,7 @@ export const removeAllListeners = () => {
     'participant_left',
     'session_update', 
     'project_activity',
+    'board_update',
     'authentication_success',
     'authentication_error'
   ];
@@ -676,6 +678,7 @@ const socketUtils = {
   onParticipantLeft,
   onSessionUpdate,
   onProjectActivity,
+  onBoardUpdate,
   removeAllListeners,
   disconnectSocket
 };
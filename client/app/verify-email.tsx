@@ -0,0 +1,194 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+  SafeAreaView,
+} from "react-native";
+import { useRouter, useLocalSearchParams } from "expo-router";
+import { Ionicons } from "@expo/vector-icons";
+import { fonts } from "./constants/theme";
+import { verifyEmail } from "./utils/api";
+
+export default function VerifyEmailScreen() {
+  const router = useRouter();
+  // Opened from the emailed link (metaclient://verify-email?token=...) or by hand
+  const params = useLocalSearchParams<{ token?: string }>();
+  const [token, setToken] = useState(params.token || "");
+  const [isLoading, setIsLoading] = useState(false);
+  const [verified, setVerified] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleVerify = async (code: string) => {
+    if (!code) {
+      setError("Please enter the code from your email");
+      return;
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      const result = await verifyEmail(code.trim());
+
+      if (!result.success) {
+        setError(result.message || "Could not verify email");
+        return;
+      }
+
+      setVerified(true);
+    } catch (err: any) {
+      setError(err.message || "Could not verify email");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Verify straight away when opened from the email link
+  useEffect(() => {
+    if (params.token) {
+      handleVerify(params.token);
+    }
+  }, [params.token]);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      {verified ? (
+        <View style={styles.centered}>
+          <Ionicons name="checkmark-circle-outline" size={64} color="#10b981" />
+          <Text style={styles.title}>Email verified</Text>
+          <Text style={styles.subtitle}>All MetaConnect features are now unlocked.</Text>
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => router.replace("/")}
+          >
+            <Text style={styles.primaryButtonText}>Continue</Text>
+          </TouchableOpacity>
+        </View>
+      ) : (
+        <View>
+          <Text style={styles.title}>Verify your email</Text>
+          <Text style={styles.subtitle}>
+            Enter the code from the verification email we sent you.
+          </Text>
+
+          {error && (
+            <View style={styles.errorContainer}>
+              <Ionicons name="alert-circle-outline" size={18} color="#ef4444" />
+              <Text style={styles.errorText}>{error}</Text>
+            </View>
+          )}
+
+          <View style={styles.inputContainer}>
+            <Ionicons
+              name="key-outline"
+              size={20}
+              color="#64748b"
+              style={styles.inputIcon}
+            />
+            <TextInput
+              style={styles.input}
+              placeholder="Verification code"
+              placeholderTextColor="#94a3b8"
+              value={token}
+              onChangeText={setToken}
+              autoCapitalize="none"
+              autoCorrect={false}
+              editable={!isLoading}
+            />
+          </View>
+
+          <TouchableOpacity
+            style={[styles.primaryButton, isLoading && styles.disabledButton]}
+            onPress={() => handleVerify(token)}
+            disabled={isLoading}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="#ffffff" size="small" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Verify Email</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#ffffff",
+    paddingHorizontal: 24,
+    paddingTop: 32,
+  },
+  centered: {
+    alignItems: "center",
+    paddingTop: 40,
+  },
+  title: {
+    fontSize: 26,
+    ...fonts.bold,
+    color: "#1e293b",
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    ...fonts.regular,
+    color: "#64748b",
+    marginBottom: 24,
+    lineHeight: 22,
+  },
+  inputContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: "#e2e8f0",
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    height: 60,
+    marginBottom: 16,
+  },
+  inputIcon: {
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    height: 60,
+    fontSize: 16,
+    color: "#1e293b",
+  },
+  primaryButton: {
+    alignSelf: "stretch",
+    backgroundColor: "#3b82f6",
+    borderRadius: 16,
+    height: 60,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  disabledButton: {
+    backgroundColor: "#93c5fd",
+  },
+  primaryButtonText: {
+    fontSize: 17,
+    fontWeight: "600",
+    color: "#ffffff",
+  },
+  errorContainer: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fee2e2",
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 14,
+    color: "#ef4444",
+    marginLeft: 8,
+    flex: 1,
+  },
+});
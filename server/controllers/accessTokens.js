@@ -0,0 +1,125 @@
+const AccessToken = require('../models/AccessToken');
+const { generateAccessToken, hashToken } = require('../utils/tokens');
+const { SCOPES } = require('../utils/scopes');
+const { recordAudit } = require('../utils/audit');
+
+// Personal access tokens live for 1 to ACCESS_TOKEN_MAX_DAYS days (default 365)
+const getMaxDays = () => parseInt(process.env.ACCESS_TOKEN_MAX_DAYS) || 365;
+
+// @desc    List the current user's personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+exports.getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: tokens.length,
+      data: tokens,
+      availableScopes: SCOPES
+    });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a personal access token (the token is only returned here)
+// @route   POST /api/auth/tokens
+// @access  Private
+exports.createAccessToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = 30 } = req.body;
+    const days = parseInt(expiresInDays);
+
+    if (!Array.isArray(scopes) || scopes.some(scope => !SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: `Scopes must be a list of: ${SCOPES.join(', ')}`
+      });
+    }
+
+    if (!days || days < 1 || days > getMaxDays()) {
+      return res.status(400).json({
+        success: false,
+        message: `Tokens must expire within 1 to ${getMaxDays()} days`
+      });
+    }
+
+    const token = generateAccessToken();
+    const accessToken = await AccessToken.create({
+      user: req.user.id,
+      name,
+      tokenHash: hashToken(token),
+      tokenPrefix: token.slice(0, 12),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    console.log('Access token created:', { userId: req.user.id, tokenId: accessToken._id });
+    await recordAudit(req, 'access_token.create', {
+      target: { type: 'access_token', id: accessToken._id, label: accessToken.name },
+      metadata: { scopes: accessToken.scopes, expiresAt: accessToken.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...accessToken.toObject(),
+        tokenHash: undefined,
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+exports.revokeAccessToken = async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found'
+      });
+    }
+
+    console.log('Access token revoked:', { userId: req.user.id, tokenId: accessToken._id });
+    await recordAudit(req, 'access_token.revoke', {
+      target: { type: 'access_token', id: accessToken._id, label: accessToken.name }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,212 @@
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Project = require('../models/Project');
+const ProjectJoinRequest = require('../models/ProjectJoinRequest');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const ProjectActivity = require('../models/ProjectActivity');
+const ProjectTask = require('../models/ProjectTask');
+const ProjectMilestone = require('../models/ProjectMilestone');
+const Community = require('../models/Community');
+const Event = require('../models/Event');
+const LiveSession = require('../models/LiveSession');
+const AuthSession = require('../models/AuthSession');
+const AccessToken = require('../models/AccessToken');
+const MentorReview = require('../models/MentorReview');
+const Follow = require('../models/Follow');
+const Connection = require('../models/Connection');
+const Media = require('../models/Media');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const Endorsement = require('../models/Endorsement');
+const { sendMail } = require('../utils/mailer');
+const { getGracePeriodDays } = require('../utils/accountDeletion');
+const { recordAudit } = require('../utils/audit');
+
+// @desc    Download everything we store about the current user as JSON
+// @route   GET /api/profile/export
+// @access  Private
+exports.exportData = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const [
+      profile,
+      messages,
+      projects,
+      projectJoinRequests,
+      projectInvitations,
+      activities,
+      tasks,
+      milestones,
+      communities,
+      events,
+      sessions,
+      devices,
+      accessTokens,
+      mentorReviews,
+      follows,
+      connections,
+      media,
+      blocks,
+      mutes,
+      endorsements
+    ] = await Promise.all([
+      User.findById(userId),
+      Message.find({ $or: [{ sender: userId }, { recipient: userId }] }).sort({ createdAt: 1 }),
+      Project.find({ 'members.user': userId }),
+      ProjectJoinRequest.find({ user: userId }),
+      ProjectInvitation.find({ $or: [{ invitedBy: userId }, { invitee: userId }] }),
+      ProjectActivity.find({ user: userId }).sort({ createdAt: 1 }),
+      ProjectTask.find({ $or: [{ createdBy: userId }, { assignee: userId }] }),
+      ProjectMilestone.find({ createdBy: userId }),
+      Community.find({ $or: [{ owner: userId }, { members: userId }] }).select('-members'),
+      Event.find({ $or: [{ creator: userId }, { attendees: userId }] }).select('-attendees'),
+      LiveSession.find({ $or: [{ host: userId }, { participants: userId }] }),
+      AuthSession.find({ user: userId }),
+      AccessToken.find({ user: userId }),
+      MentorReview.find({ reviewer: userId }),
+      Follow.find({ $or: [{ follower: userId }, { following: userId }] }),
+      Connection.find({ $or: [{ requester: userId }, { recipient: userId }] }),
+      Media.find({ owner: userId }),
+      // Only the user's own choices; who blocked or muted them stays private
+      Block.find({ blocker: userId }),
+      Mute.find({ muter: userId }),
+      Endorsement.find({ $or: [{ user: userId }, { endorser: userId }] })
+    ]);
+
+    const archive = {
+      exportedAt: new Date().toISOString(),
+      profile,
+      messages,
+      projects,
+      projectJoinRequests,
+      projectInvitations,
+      activities,
+      tasks,
+      milestones,
+      communities,
+      events,
+      sessions,
+      devices,
+      accessTokens,
+      mentorReviews,
+      follows,
+      connections,
+      media,
+      blocks,
+      mutes,
+      endorsements
+    };
+
+    console.log('Data export generated:', { userId });
+
+    const fileName = `metaconnect-export-${new Date().toISOString().slice(0, 10)}.json`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.status(200).json(archive);
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while exporting your data'
+    });
+  }
+};
+
+// @desc    Schedule the current user's account for deletion after the grace period
+// @route   POST /api/profile/deletion
+// @access  Private
+exports.requestDeletion = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (user.twoFactorEnabled && !user.verifySecondFactor({ code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    const days = getGracePeriodDays();
+    user.deletionRequestedAt = Date.now();
+    user.deletionScheduledFor = Date.now() + days * 24 * 60 * 60 * 1000;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('Account deletion scheduled:', { userId: user._id, on: user.deletionScheduledFor });
+    await recordAudit(req, 'account.deletion_requested', {
+      target: { type: 'user', id: user._id, label: user.email },
+      metadata: { deletionScheduledFor: user.deletionScheduledFor }
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your MetaConnect account is scheduled for deletion',
+        text: `Hi ${user.name},\n\n` +
+          `Your account will be permanently deleted on ${user.deletionScheduledFor.toDateString()}.\n\n` +
+          'Changed your mind? Log in to the app and cancel the deletion from your profile before then.'
+      });
+    } catch (mailError) {
+      console.error('Failed to send deletion notice:', mailError.message);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted in ${days} days. Log in before then to cancel.`,
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Request deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while scheduling account deletion'
+    });
+  }
+};
+
+// @desc    Cancel a pending account deletion
+// @route   DELETE /api/profile/deletion
+// @access  Private
+exports.cancelDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your account is not scheduled for deletion'
+      });
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('Account deletion cancelled:', { userId: user._id });
+    await recordAudit(req, 'account.deletion_cancelled', {
+      target: { type: 'user', id: user._id, label: user.email }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
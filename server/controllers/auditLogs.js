@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// @desc    Query the audit log
+// @route   GET /api/admin/audit-logs
+// @access  Private (audit:read)
+//
+// Filters: action (exact, or a prefix ending in "." such as "auth."), actor,
+// targetType, targetId, ip, from, to (ISO dates). Paginated with page/limit.
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { action, actor, targetType, targetId, ip, from, to } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    if (page < 1 || limit < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page and limit must be positive'
+      });
+    }
+
+    for (const [name, value] of [['action', action], ['targetType', targetType], ['ip', ip]]) {
+      if (value !== undefined && typeof value !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`
+        });
+      }
+    }
+
+    for (const [name, value] of [['actor', actor], ['targetId', targetId]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`
+        });
+      }
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} date`
+        });
+      }
+    }
+
+    const query = {};
+    if (action) {
+      query.action = action.endsWith('.')
+        ? { $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : action;
+    }
+    if (actor) query.actor = actor;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (ip) query.ipAddress = ip;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email'),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: logs.length,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      data: logs
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,4 +1,18 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const {
+  generateToken,
+  hashToken,
+  getRefreshTokenExpiry,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/tokens');
+const { sendMail, buildClientLink } = require('../utils/mailer');
+const { reset: resetLimit } = require('../utils/rateLimiter');
+const { recordAudit } = require('../utils/audit');
+const { canonicalizeSkills, adjustSkillUsage } = require('../utils/skills');
+const { disconnectSessions, disconnectUser } = require('../utils/sockets');
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
@@ -18,16 +32,26 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Create new user
+    // Create new user. Unknown skills aren't added to the catalog from an
+    // unauthenticated request; they are learned once the profile is saved.
     const user = await User.create({
       name,
       email,
       password,
-      skills: skills || []
+      skills: await canonicalizeSkills(skills || [])
     });
+    await adjustSkillUsage([], user.skills);
 
     console.log('User registered successfully:', { userId: user._id, email: user.email });
-    sendTokenResponse(user, 201, res);
+
+    // The account is usable right away, but restricted until the email is verified
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Error sending verification email:', mailError);
+    }
+
+    await sendTokenResponse(user, 201, req, res);
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({
@@ -55,9 +79,25 @@ exports.login = async (req, res) => {
     }
 
     // Check for user
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select('+password +failedLoginAttempts +lockoutCount +lockUntil');
     if (!user) {
       console.log('Login failed: User not found:', email);
+      await recordAudit(req, 'auth.login_failed', { metadata: { email, reason: 'unknown_email' } });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Locked accounts get the same answer as unknown emails, so the lockout
+    // can't be used to find out which emails are registered. The password
+    // isn't checked, or a locked account would still confirm right guesses.
+    if (user.isLocked()) {
+      console.log('Login failed: Account locked:', email);
+      await recordAudit(req, 'auth.login_failed', {
+        actor: user._id,
+        metadata: { email, reason: 'locked' }
+      });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -68,14 +108,35 @@ exports.login = async (req, res) => {
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
       console.log('Login failed: Invalid password for user:', email);
+      await recordAudit(req, 'auth.login_failed', {
+        actor: user._id,
+        metadata: { email, reason: 'wrong_password' }
+      });
+      await user.registerFailedLogin();
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    // With 2FA on, the password only earns a short-lived challenge token.
+    // Failures are only cleared once the second factor checks out too, so a
+    // leaked password can't be used to reset the lockout.
+    if (user.twoFactorEnabled) {
+      console.log('Two-factor challenge issued for user:', { userId: user._id });
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user._id)
+      });
+    }
+
+    await user.resetLoginFailures();
+    await resetLimit('login_account', email.trim().toLowerCase());
+
     console.log('User logged in successfully:', { userId: user._id, email: user.email });
-    sendTokenResponse(user, 200, res);
+    await recordAudit(req, 'auth.login', { actor: user._id });
+    await sendTokenResponse(user, 200, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -85,6 +146,78 @@ exports.login = async (req, res) => {
   }
 };
 
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires challenge token)
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and a verification code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (jwtError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt has expired. Please login again.'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep +failedLoginAttempts +lockoutCount +lockUntil');
+
+    if (user && user.isLocked()) {
+      return sendLockedResponse(user, res);
+    }
+
+    if (!user || !user.verifySecondFactor({ code, recoveryCode })) {
+      console.log('Two-factor verification failed for user:', decoded.id);
+      await recordAudit(req, 'auth.login_failed', {
+        actor: decoded.id,
+        metadata: { reason: 'wrong_second_factor' }
+      });
+      // Wrong codes count towards the same lockout as wrong passwords
+      if (user) {
+        await user.registerFailedLogin();
+        if (user.isLocked()) {
+          return sendLockedResponse(user, res);
+        }
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+    await user.resetLoginFailures();
+    await resetLimit('login_account', user.email.toLowerCase());
+
+    console.log('User logged in with two-factor:', {
+      userId: user._id,
+      usedRecoveryCode: Boolean(recoveryCode && !code)
+    });
+    await recordAudit(req, 'auth.login', {
+      actor: user._id,
+      metadata: { twoFactor: true, usedRecoveryCode: Boolean(recoveryCode && !code) }
+    });
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during login'
+    });
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -106,21 +239,532 @@ exports.getMe = async (req, res) => {
   }
 };
 
-// Helper function to create and send token
-const sendTokenResponse = (user, statusCode, res) => {
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await AuthSession.findOne({ tokenHash });
+
+    if (!session) {
+      // A rotated-out token being presented again means it has leaked: kill that session
+      const reused = await AuthSession.findOne({ previousTokenHash: tokenHash });
+      if (reused && !reused.revokedAt) {
+        console.log('Refresh token reuse detected, revoking session:', reused._id);
+        reused.revokedAt = new Date();
+        await reused.save();
+        disconnectSessions(req.io, [reused._id]);
+        await recordAudit(req, 'auth.session_revoked', {
+          actor: reused.user,
+          target: { type: 'auth_session', id: reused._id, label: reused.deviceName },
+          metadata: { reason: 'refresh_token_reuse' }
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login session has expired. Please login again.'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User no longer exists'
+      });
+    }
+
+    // Rotate the refresh token
+    const newRefreshToken = generateToken();
+    session.previousTokenHash = tokenHash;
+    session.tokenHash = hashToken(newRefreshToken);
+    session.lastUsedAt = new Date();
+    session.expiresAt = getRefreshTokenExpiry();
+    session.ipAddress = req.ip || session.ipAddress;
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      token: user.getSignedToken(session._id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while refreshing the session'
+    });
+  }
+};
+
+// @desc    Log out the current device
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    if (req.authSession) {
+      req.authSession.revokedAt = new Date();
+      await req.authSession.save();
+      disconnectSessions(req.io, [req.authSession._id]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List the current user's active device sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await AuthSession.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    const currentId = req.authSession ? req.authSession._id.toString() : null;
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === currentId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke a single device session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await AuthSession.findOne({ _id: req.params.id, user: req.user.id })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      session.revokedAt = new Date();
+      await session.save();
+      disconnectSessions(req.io, [session._id]);
+      await recordAudit(req, 'auth.session_revoked', {
+        target: { type: 'auth_session', id: session._id, label: session.deviceName }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Log out everywhere (revoke every session of the current user)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const result = await AuthSession.updateMany(
+      { user: req.user.id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    disconnectUser(req.io, req.user.id);
+
+    console.log(`Revoked ${result.modifiedCount} sessions for user ${req.user.id}`);
+    await recordAudit(req, 'auth.sessions_revoked_all', {
+      target: { type: 'user', id: req.user._id, label: req.user.email },
+      metadata: { revoked: result.modifiedCount }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { revoked: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Verify email address with a verification token
+// @route   POST /api/auth/verify-email
+// @access  Public
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a verification token'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token.trim()),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    console.log('Email verified:', { userId: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while verifying the email'
+    });
+  }
+};
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not send the verification email. Please try again later.'
+    });
+  }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res) => {
+  // Same response whether or not the account exists, to avoid leaking emails
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      console.log('Password reset requested for unknown email:', email);
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetLink = buildClientLink('reset-password', { token: resetToken });
+    const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your MetaConnect password',
+        text: `Hi ${user.name},\n\n` +
+          'We received a request to reset your MetaConnect password.\n\n' +
+          `Open this link to choose a new password:\n${resetLink}\n\n` +
+          `Or enter this reset code in the app: ${resetToken}\n\n` +
+          `The link expires in ${minutes} minutes and can only be used once. ` +
+          'If you did not request a reset you can ignore this email.'
+      });
+    } catch (mailError) {
+      console.error('Error sending password reset email:', mailError);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      // A different response here would tell callers the account exists
+      return res.status(200).json(genericResponse);
+    }
+
+    console.log('Password reset email sent:', { userId: user._id });
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while requesting a password reset'
+    });
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password || typeof token !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reset token and a new password'
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token.trim()),
+      passwordResetExpires: { $gt: Date.now() }
+    }).select('+failedLoginAttempts +lockoutCount +lockUntil');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // Single use: clear the token as part of the password update
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    // Proving ownership of the email also lifts any brute-force lockout
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Anyone holding the old password may still be logged in somewhere
+    await AuthSession.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    disconnectUser(req.io, user._id);
+
+    console.log('Password reset successfully:', { userId: user._id });
+    await recordAudit(req, 'auth.password_reset', { actor: user._id });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while resetting the password'
+    });
+  }
+};
+
+// @desc    Change password of the logged in user
+// @route   PUT /api/auth/change-password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide your current and new password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isMatch = await user.matchPassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device, keep the one that made the change
+    await AuthSession.updateMany(
+      { user: user._id, revokedAt: null, _id: { $ne: req.authSession._id } },
+      { revokedAt: new Date() }
+    );
+    disconnectUser(req.io, user._id, { exceptSession: req.authSession._id });
+
+    console.log('Password changed:', { userId: user._id });
+    await recordAudit(req, 'auth.password_changed');
+
+    res.status(200).json({
+      success: true,
+      message: 'Password updated successfully'
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while changing the password'
+    });
+  }
+};
+
+// Helper function to reject logins while an account is locked out
+const sendLockedResponse = (user, res) => {
+  const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+  res.set('Retry-After', String(retryAfter));
+
+  return res.status(423).json({
+    success: false,
+    message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes or reset your password.`,
+    retryAfter
+  });
+};
+
+// Helper function to issue a verification token and email it
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyLink = buildClientLink('verify-email', { token: verificationToken });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your MetaConnect email',
+    text: `Hi ${user.name},\n\n` +
+      'Please confirm your email address to unlock messaging and community features.\n\n' +
+      `Open this link to verify:\n${verifyLink}\n\n` +
+      `Or enter this code in the app: ${verificationToken}`
+  });
+
+  console.log('Verification email sent:', { userId: user._id });
+};
+
+// Helper function to start a device session and send the token pair
+const sendTokenResponse = async (user, statusCode, req, res) => {
   try {
+    const refreshToken = generateToken();
+
+    const session = await AuthSession.create({
+      user: user._id,
+      tokenHash: hashToken(refreshToken),
+      deviceName: req.body.deviceName || undefined,
+      userAgent: req.get('user-agent') || '',
+      ipAddress: req.ip || '',
+      expiresAt: getRefreshTokenExpiry()
+    });
+
     // Create token
-    const token = user.getSignedToken();
+    const token = user.getSignedToken(session._id);
 
-    // Create response without password
+    // Create response without password or two-factor secrets
     const userData = user.toObject();
     delete userData.password;
+    delete userData.twoFactorSecret;
+    delete userData.twoFactorRecoveryCodes;
+    delete userData.twoFactorLastUsedStep;
 
-    console.log('Token generated for user:', { userId: user._id });
+    console.log('Token generated for user:', { userId: user._id, sessionId: session._id });
 
     res.status(statusCode).json({
       success: true,
       token,
+      refreshToken,
       user: userData
     });
   } catch (error) {
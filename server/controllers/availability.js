@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  validateSchedule,
+  getFreeIntervals,
+  intersectIntervals,
+  isAvailableAt,
+  formatIntervals
+} = require('../utils/availability');
+const { canViewProfile } = require('../utils/privacy');
+const { isBlockedEither } = require('../utils/relationships');
+
+const SCHEDULE_FIELDS = 'name availability availabilitySchedule privacy.profileVisibility';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The window to look at: `days` (1-14, default 7) from now
+const lookahead = (req) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 14);
+  const from = new Date();
+  return { from, to: new Date(from.getTime() + days * DAY_MS) };
+};
+
+// Another user whose availability the current user may see: not deleted,
+// not blocked either way and with a profile visible to the current user
+const findVisibleUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findOne({ _id: req.params.id, deletedAt: null }).select(SCHEDULE_FIELDS)
+    : null;
+
+  if (!user || await isBlockedEither(req.user._id, user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!(await canViewProfile(req.user._id, user))) {
+    res.status(403).json({
+      success: false,
+      message: 'This profile is private'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Summary shared by every availability response
+const describe = (user, now) => ({
+  _id: user._id,
+  name: user.name,
+  timeZone: user.availabilitySchedule.timeZone,
+  scheduled: user.availabilitySchedule.enabled,
+  availableNow: isAvailableAt(user, now)
+});
+
+// @desc    Get the current user's availability schedule
+// @route   GET /api/profile/availability
+// @access  Private
+exports.getMyAvailability = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SCHEDULE_FIELDS);
+    const { from, to } = lookahead(req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...describe(user, from),
+        schedule: user.availabilitySchedule,
+        free: formatIntervals(getFreeIntervals(user, from, to))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching availability:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update the current user's availability schedule
+// @route   PUT /api/profile/availability
+// @access  Private
+//
+// Body: any of enabled, timeZone, weeklySlots [{ day, start, end }],
+// overrides [{ date, slots: [{ start, end }] }], vacations [{ start, end, note }].
+// Lists replace what was stored before.
+exports.updateAvailability = async (req, res) => {
+  try {
+    const { error, changes } = validateSchedule(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(SCHEDULE_FIELDS);
+    Object.entries(changes).forEach(([key, value]) => user.set(`availabilitySchedule.${key}`, value));
+    user.set('availabilitySchedule.updatedAt', new Date());
+
+    // Keep the "available now" flag in step straight away instead of
+    // waiting for the next refresh
+    if (user.availabilitySchedule.enabled) {
+      user.availability = isAvailableAt(user);
+    }
+
+    await user.save({ validateModifiedOnly: true });
+
+    console.log('Availability schedule updated:', { userId: user._id, enabled: user.availabilitySchedule.enabled });
+
+    const { from, to } = lookahead(req);
+    res.status(200).json({
+      success: true,
+      data: {
+        ...describe(user, from),
+        schedule: user.availabilitySchedule,
+        free: formatIntervals(getFreeIntervals(user, from, to))
+      }
+    });
+  } catch (error) {
+    console.error('Error updating availability:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get when a user is free over the next days
+// @route   GET /api/users/:id/availability?days=7
+// @access  Private
+exports.getUserAvailability = async (req, res) => {
+  try {
+    const user = await findVisibleUser(req, res);
+    if (!user) return;
+
+    const { from, to } = lookahead(req);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...describe(user, from),
+        free: formatIntervals(getFreeIntervals(user, from, to))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get when the current user and another user are both free
+// @route   GET /api/users/:id/availability/mutual?days=7&minMinutes=30
+// @access  Private
+exports.getMutualAvailability = async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pick someone else to compare availability with'
+      });
+    }
+
+    const other = await findVisibleUser(req, res);
+    if (!other) return;
+
+    const me = await User.findById(req.user._id).select(SCHEDULE_FIELDS);
+    const { from, to } = lookahead(req);
+    const minMinutes = Math.max(parseInt(req.query.minMinutes) || 30, 1);
+
+    const shared = intersectIntervals(
+      getFreeIntervals(me, from, to),
+      getFreeIntervals(other, from, to)
+    ).filter(({ start, end }) => end - start >= minMinutes * 60 * 1000);
+
+    res.status(200).json({
+      success: true,
+      count: shared.length,
+      users: [describe(me, from), describe(other, from)],
+      data: formatIntervals(shared)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -2,6 +2,9 @@
 const ProjectActivity = require('../../models/ProjectActivity');
 const Project = require('../../models/Project');
 const { validationResult } = require('express-validator');
+const { recordAudit } = require('../../utils/audit');
+const { getHiddenAuthorIds } = require('../../utils/relationships');
+const { hasPermission } = require('../../utils/permissions');
 
 /**
  * Create a new project activity
@@ -21,6 +24,11 @@ exports.createActivity = async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    // Viewers and non-members can read the feed but not post to it
+    if (!hasPermission(req.user, 'project:contribute', project)) {
+      return res.status(403).json({ message: 'Only project contributors can post activity' });
+    }
+
     // Create the activity record
     const activity = new ProjectActivity({
       project: projectId,
@@ -38,7 +46,7 @@ exports.createActivity = async (req, res) => {
 
     // Emit a socket event for the new activity
     if (req.io) {
-      req.io.to(`project_${projectId}`).emit('project_activity', activity);
+      req.io.to(`project:${projectId}`).emit('project_activity', activity);
     }
 
     res.status(201).json(activity);
@@ -64,15 +72,21 @@ exports.getProjectActivities = async (req, res) => {
       return res.status(404).json({ message: 'Project not found' });
     }
 
+    // Leave out activity by people the user blocked, was blocked by or muted
+    const query = {
+      project: projectId,
+      user: { $nin: await getHiddenAuthorIds(req.user.id) }
+    };
+
     // Get the activities for this project
-    const activities = await ProjectActivity.find({ project: projectId })
+    const activities = await ProjectActivity.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .populate('user', 'name avatar')
       .populate('project', 'title');
 
-    const total = await ProjectActivity.countDocuments({ project: projectId });
+    const total = await ProjectActivity.countDocuments(query);
 
     res.json({
       data: activities,
@@ -97,29 +111,26 @@ exports.getAllActivities = async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    // Find all projects the user is part of (as creator or collaborator)
-    const userProjects = await Project.find({
-      $or: [
-        { creator: userId },
-        { collaborators: userId }
-      ]
-    }).select('_id');
+    // Find all projects the user is a member of
+    const userProjects = await Project.find({ 'members.user': userId }).select('_id');
 
     const projectIds = userProjects.map(p => p._id);
 
+    // Leave out activity by people the user blocked, was blocked by or muted
+    const query = {
+      project: { $in: projectIds },
+      user: { $nin: await getHiddenAuthorIds(userId) }
+    };
+
     // Get activities for these projects
-    const activities = await ProjectActivity.find({
-      project: { $in: projectIds }
-    })
+    const activities = await ProjectActivity.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .populate('user', 'name avatar')
       .populate('project', 'title');
 
-    const total = await ProjectActivity.countDocuments({
-      project: { $in: projectIds }
-    });
+    const total = await ProjectActivity.countDocuments(query);
 
     res.json({
       data: activities,
@@ -145,30 +156,25 @@ exports.getUserActivities = async (req, res) => {
     const skip = (page - 1) * limit;
 
     // Find all projects the user is part of to check access rights
-    const userProjects = await Project.find({
-      $or: [
-        { creator: req.user.id },
-        { collaborators: req.user.id }
-      ]
-    }).select('_id');
+    const userProjects = await Project.find({ 'members.user': req.user.id }).select('_id');
     
     const projectIds = userProjects.map(p => p._id);
 
     // Get activities by the specified user, but only for projects the requesting user has access to
-    const activities = await ProjectActivity.find({
-      user: userId,
+    // and never for someone the requesting user blocked, was blocked by or muted
+    const query = {
+      user: { $eq: userId, $nin: await getHiddenAuthorIds(req.user.id) },
       project: { $in: projectIds }
-    })
+    };
+
+    const activities = await ProjectActivity.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .populate('user', 'name avatar')
       .populate('project', 'title');
 
-    const total = await ProjectActivity.countDocuments({
-      user: userId,
-      project: { $in: projectIds }
-    });
+    const total = await ProjectActivity.countDocuments(query);
 
     res.json({
       data: activities,
@@ -185,31 +191,21 @@ exports.getUserActivities = async (req, res) => {
 
 /**
  * Delete a project activity
- * Only the activity creator or project creator can delete
+ * Allowed for the activity author, the project owner and moderators
+ * (checked by authorize('activity:delete'))
  */
 exports.deleteActivity = async (req, res) => {
   try {
-    const { activityId } = req.params;
+    const activity = req.resource;
     
-    const activity = await ProjectActivity.findById(activityId);
+    await activity.deleteOne();
     
-    if (!activity) {
-      return res.status(404).json({ message: 'Activity not found' });
-    }
-    
-    // Check if user is activity creator or project creator
-    const project = await Project.findById(activity.project);
-    
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-    
-    if (activity.user.toString() !== req.user.id && 
-        project.creator.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this activity' });
-    }
-    
-    await activity.remove();
+    await recordAudit(req, 'activity.delete', {
+      target: { type: 'activity', id: activity._id, label: activity.details },
+      // The project is populated for the permission check, and null when it
+      // has been deleted since; the stored id is there either way
+      metadata: { project: activity.populated('project') || activity.project, author: activity.user }
+    });
     
     res.json({ message: 'Activity deleted' });
   } catch (err) {
@@ -4,6 +4,7 @@ const LiveSession = require('../../models/LiveSession');
 const Project = require('../../models/Project');
 const User = require('../../models/User');
 const { validationResult } = require('express-validator');
+const { isBlockedEither } = require('../../utils/relationships');
 
 // @desc    Get all live sessions
 // @route   GET /api/collaborate/sessions
@@ -154,22 +155,7 @@ exports.createSession = async (req, res) => {
     const { title, description, language, projectId, scheduledFor } = req.body;
     const userId = req.user.id;
 
-    // If project is specified, verify it exists and user has access
-    if (projectId) {
-      const project = await Project.findById(projectId);
-      
-      if (!project) {
-        return res.status(404).json({ message: 'Project not found' });
-      }
-      
-      // Check if user is project creator or collaborator
-      const isCreator = project.creator.toString() === userId;
-      const isCollaborator = project.collaborators.some(c => c.toString() === userId);
-      
-      if (!isCreator && !isCollaborator) {
-        return res.status(403).json({ message: 'Not authorized to create sessions for this project' });
-      }
-    }
+    // Access to projectId (when given) is checked by authorize('project:create_session')
 
     // Set session status based on scheduled time
     let status = 'scheduled';
@@ -223,23 +209,14 @@ exports.createSession = async (req, res) => {
 
 // @desc    Update session status (start/end)
 // @route   PUT /api/collaborate/sessions/:id/status
-// @access  Private
+// @access  Private (session:update_status)
 exports.updateSessionStatus = async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const userId = req.user.id;
     const { status } = req.body;
 
-    const session = await LiveSession.findById(sessionId);
-
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-
-    // Only host can update status
-    if (session.host.toString() !== userId) {
-      return res.status(403).json({ message: 'Only the host can update session status' });
-    }
+    // Loaded and permission-checked by authorize
+    const session = req.resource;
 
     // Validate status transition
     if (!['scheduled', 'live', 'ended'].includes(status)) {
@@ -295,23 +272,13 @@ exports.updateSessionStatus = async (req, res) => {
 
 // @desc    Update code snippet
 // @route   PUT /api/collaborate/sessions/:id/code
-// @access  Private
+// @access  Private (session:update_code)
 exports.updateCodeSnippet = async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    const userId = req.user.id;
     const { codeSnippet } = req.body;
 
-    const session = await LiveSession.findById(sessionId);
-
-    if (!session) {
-      return res.status(404).json({ message: 'Session not found' });
-    }
-
-    // Only participants can update code
-    if (!session.participants.some(p => p.toString() === userId)) {
-      return res.status(403).json({ message: 'Only participants can update the code' });
-    }
+    // Loaded and permission-checked by authorize
+    const session = req.resource;
 
     // Cannot update ended sessions
     if (session.status === 'ended') {
@@ -352,6 +319,11 @@ exports.joinSession = async (req, res) => {
       return res.status(400).json({ message: 'Cannot join an ended session' });
     }
 
+    // Hosts don't have to share a session with anyone they blocked (or who blocked them)
+    if (await isBlockedEither(session.host, userId)) {
+      return res.status(403).json({ message: 'You cannot join this session' });
+    }
+
     // Update the status to live if it was scheduled
     if (session.status === 'scheduled') {
       session.status = 'live';
@@ -1,6 +1,9 @@
 const Community = require('../../models/Community');
 const User = require('../../models/User');
 const { validationResult } = require('express-validator');
+const { recordAudit, diffFields } = require('../../utils/audit');
+const { isOwnMediaUrl } = require('../../utils/media');
+const { canonicalizeSkills, adjustSkillUsage } = require('../../utils/skills');
 
 // @desc    Get all communities
 // @route   GET /api/communities
@@ -8,8 +11,8 @@ const { validationResult } = require('express-validator');
 exports.getCommunities = async (req, res) => {
   try {
     const communities = await Community.find()
-      .populate('owner', 'name email avatar')
-      .populate('members', 'name email avatar')
+      .populate('owner', 'name avatar')
+      .populate('members', 'name avatar')
       .sort({ createdAt: -1 });
     
     res.json(communities);
@@ -25,8 +28,8 @@ exports.getCommunities = async (req, res) => {
 exports.getCommunityById = async (req, res) => {
   try {
     const community = await Community.findById(req.params.id)
-      .populate('owner', 'name email avatar')
-      .populate('members', 'name email avatar');
+      .populate('owner', 'name avatar')
+      .populate('members', 'name avatar');
     
     if (!community) {
       return res.status(404).json({ msg: 'Community not found' });
@@ -60,8 +63,15 @@ exports.createCommunity = async (req, res) => {
       return res.status(400).json({ msg: 'Community with this name already exists' });
     }
     
+    // Images must be uploaded through /api/media first
+    if (image && !(await isOwnMediaUrl(req.user.id, image, 'community'))) {
+      return res.status(400).json({ msg: 'Please upload the community image first' });
+    }
+    
+    // Known skills among the tags are stored under their catalog names.
+    // Tags aren't added to the catalog: many aren't skills ("networking").
     // Generate sample tags if none provided
-    let communityTags = tags || [];
+    let communityTags = await canonicalizeSkills(tags || []);
     if (communityTags.length === 0) {
       // Generate default tags based on community name/description
       const sampleTags = ['collaboration', 'learning', 'technology', 'coding', 'design', 
@@ -87,6 +97,7 @@ exports.createCommunity = async (req, res) => {
     });
     
     const community = await newCommunity.save();
+    await adjustSkillUsage([], community.tags);
     
     // Create sample events for this community if it's not explicitly a test community
     if (!name.toLowerCase().includes('test')) {
@@ -143,8 +154,8 @@ exports.createCommunity = async (req, res) => {
       console.log(`Created ${createdEvents.length} sample events for new community: ${name}`);
     }
     
-    await community.populate('owner', 'name email avatar');
-    await community.populate('members', 'name email avatar');
+    await community.populate('owner', 'name avatar');
+    await community.populate('members', 'name avatar');
     
     res.json(community);
   } catch (err) {
@@ -155,7 +166,7 @@ exports.createCommunity = async (req, res) => {
 
 // @desc    Update a community
 // @route   PUT /api/communities/:id
-// @access  Private (owner only)
+// @access  Private (community:update)
 exports.updateCommunity = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -165,16 +176,9 @@ exports.updateCommunity = async (req, res) => {
   const { name, description, tags, image } = req.body;
   
   try {
-    const community = await Community.findById(req.params.id);
-    
-    if (!community) {
-      return res.status(404).json({ msg: 'Community not found' });
-    }
-    
-    // Check if user is the owner
-    if (community.owner.toString() !== req.user.id) {
-      return res.status(401).json({ msg: 'User not authorized to update this community' });
-    }
+    // Loaded and permission-checked by authorize
+    const community = req.resource;
+    const before = community.toObject();
     
     // If name is being changed, check if it already exists
     if (name && name !== community.name) {
@@ -184,18 +188,28 @@ exports.updateCommunity = async (req, res) => {
       }
     }
     
+    if (image && image !== community.image && !(await isOwnMediaUrl(req.user.id, image, 'community'))) {
+      return res.status(400).json({ msg: 'Please upload the community image first' });
+    }
+    
     // Update fields
     if (name) community.name = name;
     if (description) community.description = description;
-    if (tags) community.tags = tags;
+    if (tags) community.tags = await canonicalizeSkills(tags);
     if (image) community.image = image;
     
     community.updatedAt = Date.now();
     
     await community.save();
+    await adjustSkillUsage(before.tags, community.tags);
     
-    await community.populate('owner', 'name email avatar');
-    await community.populate('members', 'name email avatar');
+    await recordAudit(req, 'community.update', {
+      target: { type: 'community', id: community._id, label: community.name },
+      changes: diffFields(before, community.toObject(), ['name', 'description', 'tags', 'image'])
+    });
+    
+    await community.populate('owner', 'name avatar');
+    await community.populate('members', 'name avatar');
     
     res.json(community);
   } catch (err) {
@@ -209,22 +223,18 @@ exports.updateCommunity = async (req, res) => {
 
 // @desc    Delete a community
 // @route   DELETE /api/communities/:id
-// @access  Private (owner only)
+// @access  Private (community:delete)
 exports.deleteCommunity = async (req, res) => {
   try {
-    const community = await Community.findById(req.params.id);
-    
-    if (!community) {
-      return res.status(404).json({ msg: 'Community not found' });
-    }
-    
-    // Check if user is the owner
-    if (community.owner.toString() !== req.user.id) {
-      return res.status(401).json({ msg: 'User not authorized to delete this community' });
-    }
+    // Loaded and permission-checked by authorize
+    const community = req.resource;
     
     await community.deleteOne();
     
+    await recordAudit(req, 'community.delete', {
+      target: { type: 'community', id: community._id, label: community.name }
+    });
+    
     res.json({ msg: 'Community deleted' });
   } catch (err) {
     console.error(err.message);
@@ -256,8 +266,8 @@ exports.joinCommunity = async (req, res) => {
     
     await community.save();
     
-    await community.populate('owner', 'name email avatar');
-    await community.populate('members', 'name email avatar');
+    await community.populate('owner', 'name avatar');
+    await community.populate('members', 'name avatar');
     
     res.json(community);
   } catch (err) {
@@ -299,8 +309,8 @@ exports.leaveCommunity = async (req, res) => {
     
     await community.save();
     
-    await community.populate('owner', 'name email avatar');
-    await community.populate('members', 'name email avatar');
+    await community.populate('owner', 'name avatar');
+    await community.populate('members', 'name avatar');
     
     res.json(community);
   } catch (err) {
@@ -318,8 +328,8 @@ exports.leaveCommunity = async (req, res) => {
 exports.getUserCommunities = async (req, res) => {
   try {
     const communities = await Community.find({ members: req.params.userId })
-      .populate('owner', 'name email avatar')
-      .populate('members', 'name email avatar')
+      .populate('owner', 'name avatar')
+      .populate('members', 'name avatar')
       .sort({ createdAt: -1 });
     
     res.json(communities);
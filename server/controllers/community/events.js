@@ -1,6 +1,8 @@
 const Event = require('../../models/Event');
 const Community = require('../../models/Community');
 const { validationResult } = require('express-validator');
+const { recordAudit, diffFields } = require('../../utils/audit');
+const { isOwnMediaUrl } = require('../../utils/media');
 
 // @desc    Get all events
 // @route   GET /api/events
@@ -8,9 +10,9 @@ const { validationResult } = require('express-validator');
 exports.getEvents = async (req, res) => {
   try {
     const events = await Event.find()
-      .populate('creator', 'name email avatar')
+      .populate('creator', 'name avatar')
       .populate('community', 'name description image')
-      .populate('attendees', 'name email avatar')
+      .populate('attendees', 'name avatar')
       .sort({ startDate: 1 });
     
     res.json(events);
@@ -26,9 +28,9 @@ exports.getEvents = async (req, res) => {
 exports.getEventById = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
-      .populate('creator', 'name email avatar')
+      .populate('creator', 'name avatar')
       .populate('community', 'name description image')
-      .populate('attendees', 'name email avatar');
+      .populate('attendees', 'name avatar');
     
     if (!event) {
       return res.status(404).json({ msg: 'Event not found' });
@@ -85,6 +87,11 @@ exports.createEvent = async (req, res) => {
       return res.status(400).json({ msg: 'End date must be after start date' });
     }
     
+    // Images must be uploaded through /api/media first
+    if (image && !(await isOwnMediaUrl(req.user.id, image, 'event'))) {
+      return res.status(400).json({ msg: 'Please upload the event image first' });
+    }
+    
     // Create new event
     const newEvent = new Event({
       title,
@@ -103,9 +110,9 @@ exports.createEvent = async (req, res) => {
     const event = await newEvent.save();
     
     // Populate references
-    await event.populate('creator', 'name email avatar');
+    await event.populate('creator', 'name avatar');
     await event.populate('community', 'name description image');
-    await event.populate('attendees', 'name email avatar');
+    await event.populate('attendees', 'name avatar');
     
     res.json(event);
   } catch (err) {
@@ -116,7 +123,7 @@ exports.createEvent = async (req, res) => {
 
 // @desc    Update an event
 // @route   PUT /api/events/:id
-// @access  Private (creator only)
+// @access  Private (event:update)
 exports.updateEvent = async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -135,15 +142,12 @@ exports.updateEvent = async (req, res) => {
   } = req.body;
   
   try {
-    const event = await Event.findById(req.params.id);
+    // Loaded and permission-checked by authorize
+    const event = req.resource;
+    const before = event.toObject();
     
-    if (!event) {
-      return res.status(404).json({ msg: 'Event not found' });
-    }
-    
-    // Check if user is the creator
-    if (event.creator.toString() !== req.user.id) {
-      return res.status(401).json({ msg: 'User not authorized to update this event' });
+    if (image && image !== event.image && !(await isOwnMediaUrl(req.user.id, image, 'event'))) {
+      return res.status(400).json({ msg: 'Please upload the event image first' });
     }
     
     // Update fields
@@ -184,10 +188,17 @@ exports.updateEvent = async (req, res) => {
     
     await event.save();
     
+    await recordAudit(req, 'event.update', {
+      target: { type: 'event', id: event._id, label: event.title },
+      changes: diffFields(before, event.toObject(), [
+        'title', 'description', 'startDate', 'endDate', 'location', 'isVirtual', 'meetingLink', 'image'
+      ])
+    });
+    
     // Populate references
-    await event.populate('creator', 'name email avatar');
+    await event.populate('creator', 'name avatar');
     await event.populate('community', 'name description image');
-    await event.populate('attendees', 'name email avatar');
+    await event.populate('attendees', 'name avatar');
     
     res.json(event);
   } catch (err) {
@@ -201,22 +212,19 @@ exports.updateEvent = async (req, res) => {
 
 // @desc    Delete an event
 // @route   DELETE /api/events/:id
-// @access  Private (creator only)
+// @access  Private (event:delete)
 exports.deleteEvent = async (req, res) => {
   try {
-    const event = await Event.findById(req.params.id);
-    
-    if (!event) {
-      return res.status(404).json({ msg: 'Event not found' });
-    }
-    
-    // Check if user is the creator
-    if (event.creator.toString() !== req.user.id) {
-      return res.status(401).json({ msg: 'User not authorized to delete this event' });
-    }
+    // Loaded and permission-checked by authorize
+    const event = req.resource;
     
     await event.deleteOne();
     
+    await recordAudit(req, 'event.delete', {
+      target: { type: 'event', id: event._id, label: event.title },
+      metadata: { community: event.community }
+    });
+    
     res.json({ msg: 'Event deleted' });
   } catch (err) {
     console.error(err.message);
@@ -265,9 +273,9 @@ exports.rsvpEvent = async (req, res) => {
     await event.save();
     
     // Populate references
-    await event.populate('creator', 'name email avatar');
+    await event.populate('creator', 'name avatar');
     await event.populate('community', 'name description image');
-    await event.populate('attendees', 'name email avatar');
+    await event.populate('attendees', 'name avatar');
     
     res.json(event);
   } catch (err) {
@@ -285,9 +293,9 @@ exports.rsvpEvent = async (req, res) => {
 exports.getCommunityEvents = async (req, res) => {
   try {
     const events = await Event.find({ community: req.params.communityId })
-      .populate('creator', 'name email avatar')
+      .populate('creator', 'name avatar')
       .populate('community', 'name description image')
-      .populate('attendees', 'name email avatar')
+      .populate('attendees', 'name avatar')
       .sort({ startDate: 1 });
     
     res.json(events);
@@ -312,9 +320,9 @@ exports.getUserEvents = async (req, res) => {
         { attendees: req.params.userId }
       ]
     })
-      .populate('creator', 'name email avatar')
+      .populate('creator', 'name avatar')
       .populate('community', 'name description image')
-      .populate('attendees', 'name email avatar')
+      .populate('attendees', 'name avatar')
       .sort({ startDate: 1 });
     
     res.json(events);
@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Endorsement = require('../models/Endorsement');
+const { canViewProfile } = require('../utils/privacy');
+const { isBlockedEither, getBlockedIds, findSharedContext } = require('../utils/relationships');
+
+// Endorsers shown next to each skill
+const TOP_ENDORSERS = 3;
+
+// Top endorsers are picked from this many of the most recent ones
+const RECENT_ENDORSERS = 50;
+
+// A user whose profile the current user may see: not deleted, not blocked
+// either way and visible under their privacy settings
+const findProfileOwner = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findOne({ _id: req.params.id, deletedAt: null }).select('name skills privacy.profileVisibility')
+    : null;
+
+  if (!user || await isBlockedEither(req.user._id, user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!(await canViewProfile(req.user._id, user))) {
+    res.status(403).json({
+      success: false,
+      message: 'This profile is private'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Whether `viewerId` can currently see `user`'s profile, without sending a
+// response
+const isProfileVisible = async (viewerId, user) =>
+  !(await isBlockedEither(viewerId, user._id)) && canViewProfile(viewerId, user);
+
+// The listed spelling of `skill` on the user's profile, if they list it
+const findListedSkill = (user, skill) => {
+  const key = Endorsement.keyFor(String(skill || ''));
+  return key ? user.skills.find(listed => Endorsement.keyFor(listed) === key) : undefined;
+};
+
+// Endorsement counts per listed skill, keyed by skillKey
+const countEndorsements = async (user, { recentEndorsers = 0 } = {}) => {
+  const keys = user.skills.map(Endorsement.keyFor);
+
+  const groups = await Endorsement.aggregate([
+    { $match: { user: user._id, skillKey: { $in: keys } } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$skillKey', count: { $sum: 1 }, endorsers: { $push: '$endorser' } } },
+    { $project: { count: 1, endorsers: { $slice: ['$endorsers', recentEndorsers] } } }
+  ]);
+
+  return new Map(groups.map(group => [group._id, group]));
+};
+
+// Skill summary sent back after endorsing or withdrawing
+const skillSummary = async (user, skill, viewerId) => {
+  const skillKey = Endorsement.keyFor(skill);
+  const [count, endorsedByMe] = await Promise.all([
+    Endorsement.countDocuments({ user: user._id, skillKey }),
+    Endorsement.exists({ user: user._id, skillKey, endorser: viewerId })
+  ]);
+  return { skill, count, endorsedByMe: Boolean(endorsedByMe) };
+};
+
+// @desc    Get endorsements for each of a user's skills
+// @route   GET /api/users/:id/endorsements
+// @access  Private
+//
+// Skills keep the order the user listed them in. Top endorsers are the most
+// followed of the recent endorsers.
+exports.getEndorsements = async (req, res) => {
+  try {
+    const user = await findProfileOwner(req, res);
+    if (!user) return;
+
+    const isSelf = user._id.equals(req.user._id);
+
+    const [groups, mine, blockedIds, sharedContext] = await Promise.all([
+      countEndorsements(user, { recentEndorsers: RECENT_ENDORSERS }),
+      Endorsement.find({ user: user._id, endorser: req.user._id }).select('skillKey').lean(),
+      getBlockedIds(req.user._id),
+      isSelf ? null : findSharedContext(req.user._id, user._id)
+    ]);
+
+    const hidden = new Set(blockedIds.map(id => id.toString()));
+    const endorserIds = [...new Set([...groups.values()]
+      .flatMap(group => group.endorsers.map(id => id.toString()))
+      .filter(id => !hidden.has(id)))];
+
+    const endorsers = await User.find({ _id: { $in: endorserIds }, deletedAt: null })
+      .select('name avatar followerCount')
+      .sort({ followerCount: -1 })
+      .lean();
+
+    const endorsedKeys = new Set(mine.map(endorsement => endorsement.skillKey));
+
+    const data = user.skills.map(skill => {
+      const key = Endorsement.keyFor(skill);
+      const group = groups.get(key);
+      const recent = new Set(group ? group.endorsers.map(id => id.toString()) : []);
+
+      return {
+        skill,
+        count: group ? group.count : 0,
+        endorsedByMe: endorsedKeys.has(key),
+        topEndorsers: endorsers
+          .filter(endorser => recent.has(endorser._id.toString()))
+          .slice(0, TOP_ENDORSERS)
+          .map(({ _id, name, avatar }) => ({ _id, name, avatar }))
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      canEndorse: Boolean(sharedContext),
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a user's most endorsed skills
+// @route   GET /api/users/:id/endorsements/top?limit=5
+// @access  Private
+exports.getTopSkills = async (req, res) => {
+  try {
+    const user = await findProfileOwner(req, res);
+    if (!user) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    const groups = await countEndorsements(user);
+
+    const data = user.skills
+      .map(skill => {
+        const group = groups.get(Endorsement.keyFor(skill));
+        return { skill, count: group ? group.count : 0 };
+      })
+      .filter(entry => entry.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Endorse one of a user's skills
+// @route   POST /api/users/:id/endorsements
+// @access  Private
+//
+// Only people who share a project or community with the user, or finished a
+// live session with them, can endorse.
+exports.endorseSkill = async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot endorse your own skills'
+      });
+    }
+
+    const user = await findProfileOwner(req, res);
+    if (!user) return;
+
+    const skill = findListedSkill(user, req.body.skill);
+    if (!skill) {
+      return res.status(400).json({
+        success: false,
+        message: `${user.name} doesn't list this skill`
+      });
+    }
+
+    if (!(await findSharedContext(req.user._id, user._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only endorse people you have worked with in a project, community or live session'
+      });
+    }
+
+    let created = false;
+    try {
+      const result = await Endorsement.updateOne(
+        { user: user._id, skillKey: Endorsement.keyFor(skill), endorser: req.user._id },
+        { $setOnInsert: { skill, createdAt: new Date() } },
+        { upsert: true }
+      );
+      created = result.upsertedCount > 0;
+    } catch (error) {
+      // A concurrent request created the same endorsement first
+      if (error.code !== 11000) throw error;
+    }
+
+    if (created && req.io) {
+      req.io.to(`user:${user._id}`).emit('new_endorsement', {
+        skill,
+        user: { _id: req.user._id, name: req.user.name, avatar: req.user.avatar }
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: await skillSummary(user, skill, req.user._id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Withdraw an endorsement
+// @route   DELETE /api/users/:id/endorsements/:skill
+// @access  Private
+//
+// People can always take back their own endorsements, even once the user
+// has blocked them or hidden their profile. The updated counts are only
+// sent back while the profile is still visible.
+exports.withdrawEndorsement = async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id)
+      ? await Endorsement.deleteOne({
+        user: req.params.id,
+        skillKey: Endorsement.keyFor(req.params.skill),
+        endorser: req.user._id
+      })
+      : null;
+
+    if (!result || result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not endorsed this skill'
+      });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null })
+      .select('name skills privacy.profileVisibility');
+
+    if (!user || !(await isProfileVisible(req.user._id, user))) {
+      return res.status(200).json({
+        success: true,
+        data: { skill: req.params.skill, endorsedByMe: false }
+      });
+    }
+
+    const skill = findListedSkill(user, req.params.skill) || req.params.skill;
+
+    res.status(200).json({
+      success: true,
+      data: await skillSummary(user, skill, req.user._id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const User = require('../models/User');
+const Community = require('../models/Community');
+const Event = require('../models/Event');
+const { storeUpload, removeMedia } = require('../utils/media');
+
+// Whether any avatar or image still points at one of the media's variants
+const isMediaInUse = async (media) => {
+  const urls = media.variants.map(variant => variant.url);
+  const [user, community, event] = await Promise.all([
+    User.exists({ avatar: { $in: urls } }),
+    Community.exists({ image: { $in: urls } }),
+    Event.exists({ image: { $in: urls } })
+  ]);
+  return Boolean(user || community || event);
+};
+
+// @desc    Upload an image (multipart field "file", body field "purpose")
+// @route   POST /api/media
+// @access  Private
+exports.uploadMedia = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose an image to upload'
+      });
+    }
+
+    const media = await storeUpload(req, req.file, req.body.purpose);
+
+    console.log('Media uploaded:', { mediaId: media._id, purpose: media.purpose, userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: media
+    });
+  } catch (error) {
+    if (error.name === 'MediaError') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Media upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while uploading the image'
+    });
+  }
+};
+
+// @desc    Get the current user's uploads
+// @route   GET /api/media
+// @access  Private
+exports.getMyMedia = async (req, res) => {
+  try {
+    const filter = { owner: req.user._id };
+    if (req.query.purpose) {
+      filter.purpose = req.query.purpose;
+    }
+
+    const media = await Media.find(filter).sort({ createdAt: -1 }).limit(100);
+
+    res.status(200).json({
+      success: true,
+      count: media.length,
+      data: media
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete one of the current user's uploads (not while it is in use)
+// @route   DELETE /api/media/:id
+// @access  Private
+exports.deleteMedia = async (req, res) => {
+  try {
+    const media = mongoose.isValidObjectId(req.params.id)
+      ? await Media.findOne({ _id: req.params.id, owner: req.user._id })
+      : null;
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    if (await isMediaInUse(media)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This image is still in use as an avatar or image. Replace it there first.'
+      });
+    }
+
+    await removeMedia(media);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,389 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const MentorReview = require('../models/MentorReview');
+const LiveSession = require('../models/LiveSession');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { listedProfileFilter, toListedProfile, viewProfile } = require('../utils/privacy');
+const { isBlockedEither, getBlockedIds } = require('../utils/relationships');
+
+// Fields returned for a mentor card. Privacy is only read to strip the
+// location and is removed before the card is sent.
+const MENTOR_FIELDS = 'name avatar location skills availability mentorProfile privacy.locationVisibility';
+
+const MENTOR_SORTS = {
+  rating: { field: 'mentorProfile.ratingAverage', direction: -1 },
+  reviews: { field: 'mentorProfile.ratingCount', direction: -1 },
+  newest: { field: 'mentorProfile.since', direction: -1 },
+  name: { field: 'name', direction: 1 }
+};
+
+const MAX_EXPERTISE = 20;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read a dotted path such as "mentorProfile.ratingAverage" from a lean document
+const getPath = (doc, path) => path.split('.').reduce((value, key) => value && value[key], doc);
+
+// Only people who finished a live session together can review each other
+const findCompletedSession = (mentorId, userId) =>
+  LiveSession.findOne({
+    status: 'ended',
+    $or: [
+      { host: mentorId, participants: userId },
+      { host: userId, participants: mentorId }
+    ]
+  })
+    .sort({ endedAt: -1 })
+    .select('_id');
+
+const findMentor = (id, fields) => (mongoose.isValidObjectId(id)
+  ? User.findOne({ _id: id, 'mentorProfile.isActive': true, deletedAt: null }).select(fields)
+  : null);
+
+// An active mentor the current user may see: blocks hide them completely and
+// their profile visibility applies as it does on the profile itself
+const findVisibleMentor = async (req, res, fields) => {
+  const mentor = await findMentor(req.params.id, `${fields} privacy`);
+
+  if (!mentor || await isBlockedEither(req.user._id, mentor._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'Mentor not found'
+    });
+    return null;
+  }
+
+  const { restricted, data } = await viewProfile(req.user._id, mentor);
+
+  if (restricted) {
+    res.status(403).json({
+      success: false,
+      message: 'This profile is private'
+    });
+    return null;
+  }
+
+  return data;
+};
+
+// @desc    Browse mentors
+// @route   GET /api/mentors
+// @access  Private
+//
+// Query: q (name or headline), expertise (comma separated, any match),
+// minRating, sort (rating|reviews|newest|name), limit (max 50), cursor.
+exports.getMentors = async (req, res) => {
+  try {
+    const { q, expertise, minRating } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const sort = req.query.sort || 'rating';
+
+    if (!MENTOR_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(MENTOR_SORTS).join(', ')}`
+      });
+    }
+
+    // Only public profiles are listed, and never anyone the user blocked or
+    // was blocked by
+    const blockedIds = await getBlockedIds(req.user._id);
+    const filters = [
+      { 'mentorProfile.isActive': true },
+      { deletedAt: null },
+      { _id: { $nin: blockedIds } },
+      listedProfileFilter()
+    ];
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filters.push({ $or: [{ name: pattern }, { 'mentorProfile.headline': pattern }] });
+    }
+
+    const expertiseList = (expertise || '').split(',').map(area => area.trim()).filter(Boolean);
+    if (expertiseList.length > 0) {
+      const patterns = expertiseList.map(area => new RegExp(`^${escapeRegex(area)}$`, 'i'));
+      filters.push({ 'mentorProfile.expertise': { $in: patterns } });
+    }
+
+    if (minRating) {
+      filters.push({ 'mentorProfile.ratingAverage': { $gte: Number(minRating) } });
+    }
+
+    const { field, direction } = MENTOR_SORTS[sort];
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor && cursor.id) {
+      filters.push(afterCursor(field, direction, cursor));
+    }
+
+    // Fetch one extra to know whether there is another page
+    const results = await User.find({ $and: filters })
+      .select(MENTOR_FIELDS)
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = results.length > limit;
+    const mentors = results.slice(0, limit);
+    const last = mentors[mentors.length - 1];
+
+    res.status(200).json({
+      success: true,
+      count: mentors.length,
+      nextCursor: hasMore ? encodeCursor({ value: getPath(last, field), id: last._id }) : null,
+      data: mentors.map(toListedProfile)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a mentor with their latest reviews
+// @route   GET /api/mentors/:id
+// @access  Private
+exports.getMentor = async (req, res) => {
+  try {
+    const mentor = await findVisibleMentor(req, res, `${MENTOR_FIELDS} bio`);
+    if (!mentor) return;
+
+    const isSelf = mentor._id.equals(req.user._id);
+
+    // Reviews by anyone blocked either way are left out
+    const blockedIds = await getBlockedIds(req.user._id);
+
+    const [reviews, myReview, completedSession] = await Promise.all([
+      MentorReview.find({ mentor: mentor._id, reviewer: { $nin: blockedIds } })
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(5)
+        .populate('reviewer', 'name avatar'),
+      MentorReview.findOne({ mentor: mentor._id, reviewer: req.user._id }),
+      isSelf ? null : findCompletedSession(mentor._id, req.user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        mentor,
+        reviews,
+        myReview,
+        canReview: Boolean(completedSession)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a mentor's reviews, newest first
+// @route   GET /api/mentors/:id/reviews
+// @access  Private
+exports.getMentorReviews = async (req, res) => {
+  try {
+    const mentor = await findVisibleMentor(req, res, '_id');
+    if (!mentor) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    // Reviews by anyone blocked either way are left out
+    const blockedIds = await getBlockedIds(req.user._id);
+    const filters = [{ mentor: mentor._id }, { reviewer: { $nin: blockedIds } }];
+
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor && cursor.id) {
+      filters.push(afterCursor('createdAt', -1, cursor));
+    }
+
+    const results = await MentorReview.find({ $and: filters })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('reviewer', 'name avatar');
+
+    const hasMore = results.length > limit;
+    const reviews = results.slice(0, limit);
+    const last = reviews[reviews.length - 1];
+
+    res.status(200).json({
+      success: true,
+      count: reviews.length,
+      nextCursor: hasMore ? encodeCursor({ value: last.createdAt, id: last._id }) : null,
+      data: reviews
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Set up or update the current user's mentor profile
+// @route   PUT /api/mentors/me
+// @access  Private
+exports.updateMentorProfile = async (req, res) => {
+  try {
+    const { isActive, headline, expertise } = req.body;
+
+    if (expertise !== undefined && !Array.isArray(expertise)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expertise must be a list of areas'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (headline !== undefined) {
+      user.mentorProfile.headline = headline;
+    }
+
+    if (expertise !== undefined) {
+      const areas = [...new Set(expertise.map(area => String(area).trim()).filter(Boolean))];
+      if (areas.length > MAX_EXPERTISE) {
+        return res.status(400).json({
+          success: false,
+          message: `You can list at most ${MAX_EXPERTISE} areas of expertise`
+        });
+      }
+      user.mentorProfile.expertise = areas;
+    }
+
+    if (isActive !== undefined) {
+      if (isActive && !user.mentorProfile.headline) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please add a headline before listing yourself as a mentor'
+        });
+      }
+      user.mentorProfile.isActive = Boolean(isActive);
+      if (isActive && !user.mentorProfile.since) {
+        user.mentorProfile.since = new Date();
+      }
+    }
+
+    await user.save({ validateModifiedOnly: true });
+
+    console.log('Mentor profile updated:', { userId: user._id, isActive: user.mentorProfile.isActive });
+
+    res.status(200).json({
+      success: true,
+      data: user.mentorProfile
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Review a mentor after a completed session (reviewing again edits the review)
+// @route   POST /api/mentors/:id/reviews
+// @access  Private
+exports.createReview = async (req, res) => {
+  try {
+    const rating = Number(req.body.rating);
+    const text = req.body.text || '';
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be a whole number between 1 and 5'
+      });
+    }
+
+    const mentor = await findMentor(req.params.id, '_id');
+
+    if (!mentor || await isBlockedEither(req.user._id, mentor._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mentor not found'
+      });
+    }
+
+    if (mentor._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot review yourself'
+      });
+    }
+
+    const session = await findCompletedSession(mentor._id, req.user._id);
+
+    if (!session) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review mentors you have completed a session with'
+      });
+    }
+
+    let review = await MentorReview.findOne({ mentor: mentor._id, reviewer: req.user._id });
+    const isNew = !review;
+
+    if (isNew) {
+      review = new MentorReview({ mentor: mentor._id, reviewer: req.user._id });
+    }
+
+    review.set({ rating, text, session: session._id, updatedAt: Date.now() });
+    await review.save();
+    await MentorReview.updateMentorStats(mentor._id);
+
+    await review.populate('reviewer', 'name avatar');
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Withdraw the current user's review of a mentor
+// @route   DELETE /api/mentors/:id/reviews
+// @access  Private
+exports.deleteReview = async (req, res) => {
+  try {
+    const review = mongoose.isValidObjectId(req.params.id)
+      ? await MentorReview.findOneAndDelete({ mentor: req.params.id, reviewer: req.user._id })
+      : null;
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await MentorReview.updateMentorStats(review.mentor);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,6 +1,8 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
 const mongoose = require('mongoose');
+const { canMessage } = require('../utils/privacy');
+const { isBlockedEither } = require('../utils/relationships');
 
 // @desc    Get conversations for a user
 // @route   GET /api/messages/conversations
@@ -190,6 +192,23 @@ exports.sendMessage = async (req, res) => {
       });
     }
     
+    // Nobody can message across a block, in either direction
+    if (await isBlockedEither(senderObjectId, recipientObjectId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot message this user'
+      });
+    }
+    
+    // Respect the recipient's "who can message me" setting
+    const permission = await canMessage(senderObjectId, recipientUser);
+    if (!permission.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: permission.message
+      });
+    }
+    
     // Check for duplicate message (same sender, recipient, and text within the last few seconds)
     const recentMessageExists = await Message.findOne({
       sender: senderObjectId,
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const ProjectMilestone = require('../models/ProjectMilestone');
+const ProjectTask = require('../models/ProjectTask');
+const ProjectActivity = require('../models/ProjectActivity');
+const {
+  countMilestoneTasks,
+  describeMilestone,
+  refreshMilestone,
+  logMilestoneActivity
+} = require('../utils/milestones');
+
+// Why `value` can't be used as a target date, or null if it can
+const targetDateError = (value) =>
+  (!value || isNaN(new Date(value).getTime()) ? 'Please provide a valid target date' : null);
+
+// Why the `tasks` and `activities` lists can't be used, or null if they can.
+// Checked before anything is written.
+const idListsError = (tasks, activities) =>
+  ([tasks, activities].some(list => list != null && !Array.isArray(list))
+    ? 'Tasks and activities must be lists of ids'
+    : null);
+
+// Link the given tasks of `project` to `milestone`, unlinking the ones left
+// out. Resolves to the ids of other milestones that lost tasks.
+const linkTasks = async (project, milestone, taskIds) => {
+  const ids = (taskIds || []).filter(id => mongoose.isValidObjectId(id));
+
+  const moving = await ProjectTask.find({
+    project: project._id,
+    _id: { $in: ids },
+    milestone: { $nin: [null, milestone._id] }
+  }).select('milestone');
+
+  await ProjectTask.updateMany(
+    { milestone: milestone._id, _id: { $nin: ids } },
+    { $unset: { milestone: 1 } }
+  );
+  await ProjectTask.updateMany(
+    { project: project._id, _id: { $in: ids } },
+    { milestone: milestone._id }
+  );
+
+  return [...new Set(moving.map(task => task.milestone.toString()))];
+};
+
+// Only activity from the same project can be linked
+const projectActivityIds = async (project, activityIds) => {
+  const ids = (activityIds || []).filter(id => mongoose.isValidObjectId(id));
+  const activities = await ProjectActivity.find({ project: project._id, _id: { $in: ids } }).select('_id');
+  return activities.map(activity => activity._id);
+};
+
+const describeAll = async (milestones) => {
+  const counts = await countMilestoneTasks(milestones.map(milestone => milestone._id));
+  const now = new Date();
+  return milestones.map(milestone => describeMilestone(milestone, counts, now));
+};
+
+const findMilestone = (project, milestoneId) => (mongoose.isValidObjectId(milestoneId)
+  ? ProjectMilestone.findOne({ _id: milestoneId, project: project._id })
+  : null);
+
+// @desc    List a project's milestones by target date
+// @route   GET /api/projects/:id/milestones
+// @access  Private (project:view_tasks)
+exports.getMilestones = async (req, res) => {
+  try {
+    const milestones = await ProjectMilestone.find({ project: req.resource._id })
+      .sort({ targetDate: 1, createdAt: 1 });
+
+    const data = await describeAll(milestones);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the project roadmap: milestones in timeline order with their
+//          progress and tasks
+// @route   GET /api/projects/:id/roadmap
+// @access  Private (project:view_tasks)
+exports.getRoadmap = async (req, res) => {
+  try {
+    const project = req.resource;
+    const milestones = await ProjectMilestone.find({ project: project._id })
+      .sort({ targetDate: 1, createdAt: 1 })
+      .populate('activities', 'actionType details createdAt');
+
+    const [described, tasks, unscheduled] = await Promise.all([
+      describeAll(milestones),
+      ProjectTask.find({ milestone: { $in: milestones.map(milestone => milestone._id) } })
+        .sort({ completedAt: 1, position: 1 })
+        .select('title milestone assignee dueDate priority completedAt')
+        .populate('assignee', 'name avatar'),
+      ProjectTask.countDocuments({ project: project._id, milestone: null })
+    ]);
+
+    const timeline = described.map(milestone => ({
+      ...milestone,
+      tasks: tasks.filter(task => task.milestone.toString() === milestone._id.toString())
+    }));
+
+    // The first open milestone is the one the team is working towards
+    const current = timeline.find(milestone => milestone.status === 'open');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        progress: project.progress,
+        summary: {
+          total: timeline.length,
+          reached: timeline.filter(milestone => milestone.status === 'reached').length,
+          overdue: timeline.filter(milestone => milestone.overdue).length,
+          current: current ? current._id : null,
+          unscheduledTasks: unscheduled
+        },
+        milestones: timeline
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a milestone
+// @route   POST /api/projects/:id/milestones
+// @access  Private (project:update)
+//
+// Body: { title, description, targetDate, tasks: [taskId], activities: [activityId] }
+exports.createMilestone = async (req, res) => {
+  try {
+    const project = req.resource;
+    const { title, description, targetDate, tasks, activities } = req.body;
+
+    const invalid = targetDateError(targetDate) || idListsError(tasks, activities);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const milestone = await ProjectMilestone.create({
+      project: project._id,
+      title,
+      description,
+      targetDate,
+      activities: await projectActivityIds(project, activities),
+      createdBy: req.user._id
+    });
+
+    if (tasks) {
+      const emptied = await linkTasks(project, milestone, tasks);
+      for (const id of emptied) {
+        await refreshMilestone(req.io, id, req.user._id);
+      }
+    }
+    await refreshMilestone(req.io, milestone._id, req.user._id);
+
+    await logMilestoneActivity(req.io, project._id, req.user._id, milestone,
+      `Planned milestone "${milestone.title}"`, { targetDate: milestone.targetDate });
+
+    const [data] = await describeAll([await ProjectMilestone.findById(milestone._id)]);
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a milestone
+// @route   PUT /api/projects/:id/milestones/:milestoneId
+// @access  Private (project:update)
+//
+// Body: { title, description, targetDate, tasks, activities, reached (true|false) }
+// `tasks` and `activities` replace the linked lists.
+exports.updateMilestone = async (req, res) => {
+  try {
+    const project = req.resource;
+    const milestone = await findMilestone(project, req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    const { title, description, targetDate, tasks, activities, reached } = req.body;
+
+    const invalidLists = idListsError(tasks, activities);
+    if (invalidLists) {
+      return res.status(400).json({
+        success: false,
+        message: invalidLists
+      });
+    }
+
+    if (targetDate !== undefined) {
+      const invalid = targetDateError(targetDate);
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: invalid
+        });
+      }
+    }
+
+    const previousTarget = milestone.targetDate;
+
+    if (title !== undefined) milestone.title = title;
+    if (description !== undefined) milestone.description = description;
+    if (targetDate !== undefined) milestone.targetDate = targetDate;
+    if (activities !== undefined) milestone.activities = await projectActivityIds(project, activities);
+
+    // A milestone that slipped is back on track once moved to a future date
+    const rescheduled = targetDate !== undefined && milestone.targetDate.getTime() !== previousTarget.getTime();
+    if (rescheduled && milestone.slippedAt && milestone.targetDate > new Date()) {
+      milestone.slippedAt = undefined;
+    }
+
+    let reachedChange = null;
+    if (reached === true && milestone.status === 'open') {
+      milestone.status = 'reached';
+      milestone.reachedAt = Date.now();
+      reachedChange = `Reached milestone "${milestone.title}"`;
+    } else if (reached === false && milestone.status === 'reached') {
+      milestone.status = 'open';
+      milestone.reachedAt = undefined;
+      reachedChange = `Reopened milestone "${milestone.title}"`;
+    }
+
+    milestone.updatedAt = Date.now();
+    await milestone.save();
+
+    if (rescheduled) {
+      await logMilestoneActivity(req.io, project._id, req.user._id, milestone,
+        `Moved milestone "${milestone.title}" to ${milestone.targetDate.toDateString()}`,
+        { from: previousTarget, to: milestone.targetDate });
+    }
+    if (reachedChange) {
+      await logMilestoneActivity(req.io, project._id, req.user._id, milestone, reachedChange);
+    }
+
+    if (tasks !== undefined) {
+      const emptied = await linkTasks(project, milestone, tasks);
+      for (const id of emptied) {
+        await refreshMilestone(req.io, id, req.user._id);
+      }
+      // Marking reached or reopened by hand sticks until tasks change
+      if (!reachedChange) {
+        await refreshMilestone(req.io, milestone._id, req.user._id);
+      }
+    }
+
+    const [data] = await describeAll([await ProjectMilestone.findById(milestone._id)]);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a milestone; its tasks stay on the board
+// @route   DELETE /api/projects/:id/milestones/:milestoneId
+// @access  Private (project:update)
+exports.deleteMilestone = async (req, res) => {
+  try {
+    const milestone = await findMilestone(req.resource, req.params.milestoneId);
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found'
+      });
+    }
+
+    await ProjectTask.updateMany({ milestone: milestone._id }, { $unset: { milestone: 1 } });
+    await milestone.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
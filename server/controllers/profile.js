@@ -3,6 +3,18 @@ const User = require('../models/User');
 const Project = require('../models/Project');
 const Community = require('../models/Community');
 const Event = require('../models/Event');
+const { isOwnMediaUrl } = require('../utils/media');
+const { followsSchedule } = require('../utils/availability');
+const { canonicalizeSkills, adjustSkillUsage } = require('../utils/skills');
+const { PROFILE_AUDIENCES, FIELD_AUDIENCES, MESSAGE_AUDIENCES } = require('../utils/privacy');
+
+// Privacy settings that can be changed and the values each accepts
+const PRIVACY_OPTIONS = {
+  profileVisibility: PROFILE_AUDIENCES,
+  locationVisibility: FIELD_AUDIENCES,
+  emailVisibility: FIELD_AUDIENCES,
+  messagesFrom: MESSAGE_AUDIENCES
+};
 
 // @desc    Get current user's profile
 // @route   GET /api/profile/me
@@ -39,15 +51,31 @@ exports.updateProfile = async (req, res) => {
   try {
     const { name, bio, location, skills, availability, avatar } = req.body;
     
+    // Avatars must be uploaded through /api/media first
+    if (avatar && !(await isOwnMediaUrl(req.user.id, avatar, 'avatar'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload your avatar image first'
+      });
+    }
+    
+    if (availability !== undefined && await followsSchedule(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your availability follows your weekly schedule. Turn the schedule off to set it by hand.'
+      });
+    }
+    
     // Build profile object
     const profileFields = {};
     if (name) profileFields.name = name;
     if (bio) profileFields.bio = bio;
     if (location) profileFields.location = location;
+    // Skills are stored under their catalog names
+    let previousSkills;
     if (skills) {
-      profileFields.skills = Array.isArray(skills) 
-        ? skills 
-        : skills.split(',').map(skill => skill.trim());
+      profileFields.skills = await canonicalizeSkills(skills, { learn: true });
+      previousSkills = (await User.findById(req.user.id).select('skills')).skills;
     }
     if (availability !== undefined) profileFields.availability = availability;
     if (avatar) profileFields.avatar = avatar;
@@ -59,6 +87,10 @@ exports.updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (previousSkills) {
+      await adjustSkillUsage(previousSkills, user.skills);
+    }
+
     res.status(200).json({
       success: true,
       data: user
@@ -87,10 +119,15 @@ exports.getDashboard = async (req, res) => {
       });
     }
 
-    // Get user's projects
-    const projects = await Project.find({ members: req.user.id })
+    // Get user's projects, with the role they hold on each
+    const projects = await Project.find({ 'members.user': req.user.id })
       .sort({ updatedAt: -1 })
-      .limit(5);
+      .limit(5)
+      .populate('creator', 'name avatar');
+    const projectsWithRole = projects.map(project => ({
+      ...project.toObject(),
+      role: project.roleOf(req.user.id)
+    }));
 
     // Get user's communities
     const communities = await Community.find({ members: req.user.id })
@@ -110,7 +147,7 @@ exports.getDashboard = async (req, res) => {
       success: true,
       data: {
         user,
-        projects,
+        projects: projectsWithRole,
         communities,
         events
       }
@@ -129,11 +166,20 @@ exports.getDashboard = async (req, res) => {
 // @access  Private
 exports.getUserStats = async (req, res) => {
   try {
-    const projectCount = await Project.countDocuments({ members: req.user.id });
+    const projectCount = await Project.countDocuments({ 'members.user': req.user.id });
     const communityCount = await Community.countDocuments({ members: req.user.id });
     const createdProjectsCount = await Project.countDocuments({ creator: req.user.id });
     const createdCommunitiesCount = await Community.countDocuments({ owner: req.user.id });
     
+    // Projects per role, e.g. { owner: 1, contributor: 3 }
+    const roleCounts = await Project.aggregate([
+      { $match: { 'members.user': req.user._id } },
+      { $unwind: '$members' },
+      { $match: { 'members.user': req.user._id } },
+      { $group: { _id: '$members.role', count: { $sum: 1 } } }
+    ]);
+    const projectRoles = Object.fromEntries(roleCounts.map(({ _id, count }) => [_id, count]));
+    
     // Get upcoming events count
     const today = new Date();
     const upcomingEventsCount = await Event.countDocuments({
@@ -145,6 +191,7 @@ exports.getUserStats = async (req, res) => {
       success: true,
       data: {
         projectCount,
+        projectRoles,
         communityCount,
         createdProjectsCount,
         createdCommunitiesCount,
@@ -158,4 +205,66 @@ exports.getUserStats = async (req, res) => {
       message: 'Server error'
     });
   }
+};
+
+// @desc    Get current user's privacy settings
+// @route   GET /api/profile/privacy
+// @access  Private
+exports.getPrivacySettings = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('privacy');
+
+    res.status(200).json({
+      success: true,
+      data: user.privacy,
+      options: PRIVACY_OPTIONS
+    });
+  } catch (error) {
+    console.error('Error fetching privacy settings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update current user's privacy settings
+// @route   PUT /api/profile/privacy
+// @access  Private
+exports.updatePrivacySettings = async (req, res) => {
+  try {
+    const updates = {};
+
+    for (const [setting, allowed] of Object.entries(PRIVACY_OPTIONS)) {
+      const value = req.body[setting];
+      if (value === undefined) continue;
+
+      if (!allowed.includes(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `${setting} must be one of: ${allowed.join(', ')}`
+        });
+      }
+      updates[`privacy.${setting}`] = value;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select('privacy');
+
+    console.log('Privacy settings updated:', { userId: req.user.id, ...updates });
+
+    res.status(200).json({
+      success: true,
+      data: user.privacy
+    });
+  } catch (error) {
+    console.error('Error updating privacy settings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
 };
\ No newline at end of file
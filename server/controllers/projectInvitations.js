@@ -0,0 +1,548 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const ProjectJoinRequest = require('../models/ProjectJoinRequest');
+const ProjectActivity = require('../models/ProjectActivity');
+const User = require('../models/User');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { buildClientLink } = require('../utils/mailer');
+const { recordAudit } = require('../utils/audit');
+const { isBlockedEither } = require('../utils/relationships');
+const {
+  projectRoleOf,
+  canManageProjectRole,
+  canAssignProjectRole
+} = require('../utils/permissions');
+
+// Invitations to a user expire after PROJECT_INVITATION_DAYS (default 14)
+const getInvitationDays = () => parseInt(process.env.PROJECT_INVITATION_DAYS) || 14;
+
+// Limits for shareable links
+const MAX_LINK_DAYS = 30;
+const MAX_LINK_USES = 100;
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired', 'used_up'];
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+const projectSummary = (project) => ({ _id: project._id, title: project.title });
+
+const notifyUser = (req, userId, event, payload) => {
+  if (req.io) {
+    req.io.to(`user:${userId}`).emit(event, payload);
+  }
+};
+
+// Add the current user to `project` as `role` on the strength of
+// `invitation`: approves any pending join request, logs the join on the
+// project feed and lets the inviter know
+const joinThroughInvitation = async (req, project, role, invitation) => {
+  if (!(await Project.addMember(project._id, req.user._id, role))) {
+    return false;
+  }
+
+  await ProjectJoinRequest.updateOne(
+    { project: project._id, user: req.user._id, status: 'pending' },
+    { status: 'approved', reviewedBy: invitation.invitedBy, reviewedAt: Date.now() }
+  );
+
+  await ProjectActivity.create({
+    project: project._id,
+    user: req.user._id,
+    actionType: 'join',
+    details: `Joined the project as ${role}`,
+    metadata: { invitation: invitation._id, via: invitation.type }
+  });
+
+  console.log('Project invitation used:', { projectId: project._id, userId: req.user._id, invitationId: invitation._id });
+
+  notifyUser(req, invitation.invitedBy, 'project_invitation_accepted', {
+    project: projectSummary(project),
+    user: { _id: req.user._id, name: req.user.name, avatar: req.user.avatar }
+  });
+
+  return true;
+};
+
+// Checks shared by both ways of accepting. Sends the error response and
+// resolves to false when the current user can't join `project`.
+const checkCanJoin = async (req, res, project) => {
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return false;
+  }
+
+  if (project.roleOf(req.user._id)) {
+    res.status(400).json({
+      success: false,
+      message: 'You are already a member of this project'
+    });
+    return false;
+  }
+
+  if (await isBlockedEither(req.user._id, project.creator)) {
+    res.status(403).json({
+      success: false,
+      message: 'You cannot join this project'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// @desc    Invite a user to a project
+// @route   POST /api/projects/:id/invitations
+// @access  Private (project:manage_members)
+//
+// Body: { userId, role (default contributor), message }
+exports.inviteUser = async (req, res) => {
+  try {
+    const project = req.resource;
+    const { userId, role = 'contributor', message } = req.body;
+
+    if (!canAssignProjectRole(projectRoleOf(req.user, project), role)) {
+      return res.status(400).json({
+        success: false,
+        message: `You can't invite members as ${role}`
+      });
+    }
+
+    const invitee = mongoose.isValidObjectId(userId)
+      ? await User.findOne({ _id: userId, deletedAt: null }).select('name')
+      : null;
+
+    if (!invitee || await isBlockedEither(req.user._id, invitee._id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (project.roleOf(invitee._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `${invitee.name} is already a member of this project`
+      });
+    }
+
+    // An expired invitation doesn't stop a new one
+    await ProjectInvitation.deleteMany({
+      project: project._id,
+      invitee: invitee._id,
+      type: 'user',
+      status: 'pending',
+      expiresAt: { $lte: new Date() }
+    });
+
+    let invitation;
+    try {
+      invitation = await ProjectInvitation.create({
+        project: project._id,
+        invitedBy: req.user._id,
+        type: 'user',
+        role,
+        invitee: invitee._id,
+        message,
+        expiresAt: daysFromNow(getInvitationDays())
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(400).json({
+        success: false,
+        message: `${invitee.name} already has a pending invitation`
+      });
+    }
+
+    notifyUser(req, invitee._id, 'project_invitation', {
+      invitationId: invitation._id,
+      project: projectSummary(project),
+      role,
+      invitedBy: { _id: req.user._id, name: req.user.name, avatar: req.user.avatar }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a shareable invite link (the link is only returned here)
+// @route   POST /api/projects/:id/invite-links
+// @access  Private (project:manage_members)
+//
+// Body: { role (default contributor), expiresInDays (default 7), maxUses (default 10) }
+exports.createInviteLink = async (req, res) => {
+  try {
+    const project = req.resource;
+    const { role = 'contributor', expiresInDays = 7, maxUses = 10 } = req.body;
+    const days = parseInt(expiresInDays);
+    const uses = parseInt(maxUses);
+
+    if (!canAssignProjectRole(projectRoleOf(req.user, project), role)) {
+      return res.status(400).json({
+        success: false,
+        message: `You can't invite members as ${role}`
+      });
+    }
+
+    if (!days || days < 1 || days > MAX_LINK_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Invite links must expire within 1 to ${MAX_LINK_DAYS} days`
+      });
+    }
+
+    if (!uses || uses < 1 || uses > MAX_LINK_USES) {
+      return res.status(400).json({
+        success: false,
+        message: `Invite links can be used 1 to ${MAX_LINK_USES} times`
+      });
+    }
+
+    const token = generateToken(24);
+    const invitation = await ProjectInvitation.create({
+      project: project._id,
+      invitedBy: req.user._id,
+      type: 'link',
+      role,
+      tokenHash: hashToken(token),
+      maxUses: uses,
+      expiresAt: daysFromNow(days)
+    });
+
+    await recordAudit(req, 'project.invite_link_create', {
+      target: { type: 'project', id: project._id, label: project.title },
+      metadata: { invitation: invitation._id, role, maxUses: uses, expiresAt: invitation.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...invitation.toJSON(),
+        token,
+        url: buildClientLink('invite', { token })
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List a project's invitations, newest first
+// @route   GET /api/projects/:id/invitations?status=pending
+// @access  Private (project:manage_members)
+exports.getInvitations = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !INVITATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${INVITATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const invitations = await ProjectInvitation.find({ project: req.resource._id })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .populate('invitee', 'name avatar')
+      .populate('invitedBy', 'name avatar')
+      .populate('usedBy.user', 'name avatar');
+
+    // Expired and used up are derived, so filter after loading
+    const data = invitations.filter(invitation => !status || invitation.currentStatus() === status);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Revoke an invitation or invite link
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @access  Private (project:manage_members)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const project = req.resource;
+    const invitation = mongoose.isValidObjectId(req.params.invitationId)
+      ? await ProjectInvitation.findOne({ _id: req.params.invitationId, project: project._id, status: 'pending' })
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    // Maintainers can't revoke what they couldn't have sent
+    if (!canManageProjectRole(projectRoleOf(req.user, project), invitation.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to perform this action'
+      });
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = Date.now();
+    await invitation.save();
+
+    if (invitation.type === 'link') {
+      await recordAudit(req, 'project.invite_link_revoke', {
+        target: { type: 'project', id: project._id, label: project.title },
+        metadata: { invitation: invitation._id }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the current user's pending invitations
+// @route   GET /api/invitations
+// @access  Private
+exports.getMyInvitations = async (req, res) => {
+  try {
+    const invitations = await ProjectInvitation.find({
+      invitee: req.user._id,
+      type: 'user',
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .populate('project', 'title description')
+      .populate('invitedBy', 'name avatar');
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation
+// @route   POST /api/invitations/:invitationId/accept
+// @access  Private
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const invitation = mongoose.isValidObjectId(req.params.invitationId)
+      ? await ProjectInvitation.findOne({ _id: req.params.invitationId, invitee: req.user._id, status: 'pending' })
+      : null;
+
+    if (!invitation || invitation.isExpired()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or has expired'
+      });
+    }
+
+    const project = await Project.findById(invitation.project);
+    if (!(await checkCanJoin(req, res, project))) return;
+
+    // Claim the invitation so a second submit can't accept it again
+    const claimed = await ProjectInvitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', respondedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or has expired'
+      });
+    }
+
+    if (!(await joinThroughInvitation(req, project, claimed.role, claimed))) {
+      await ProjectInvitation.updateOne(
+        { _id: claimed._id },
+        { status: 'pending', $unset: { respondedAt: 1 } }
+      );
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this project'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { project: projectSummary(project), role: invitation.role }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Decline an invitation
+// @route   POST /api/invitations/:invitationId/decline
+// @access  Private
+exports.declineInvitation = async (req, res) => {
+  try {
+    const invitation = mongoose.isValidObjectId(req.params.invitationId)
+      ? await ProjectInvitation.findOneAndUpdate(
+        { _id: req.params.invitationId, invitee: req.user._id, status: 'pending' },
+        { status: 'declined', respondedAt: Date.now() },
+        { new: true }
+      )
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Look at an invite link before accepting it
+// @route   GET /api/invitations/link/:token
+// @access  Private
+exports.previewInviteLink = async (req, res) => {
+  try {
+    const invitation = await ProjectInvitation.findOne({ tokenHash: hashToken(req.params.token), type: 'link' })
+      .populate('project', 'title description skills members')
+      .populate('invitedBy', 'name avatar');
+
+    if (!invitation || !invitation.project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link is invalid'
+      });
+    }
+
+    const { project } = invitation;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        project: {
+          _id: project._id,
+          title: project.title,
+          description: project.description,
+          skills: project.skills,
+          memberCount: project.members.length
+        },
+        role: invitation.role,
+        invitedBy: invitation.invitedBy,
+        status: invitation.currentStatus(),
+        expiresAt: invitation.expiresAt,
+        alreadyMember: Boolean(project.roleOf(req.user._id))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Join a project through an invite link
+// @route   POST /api/invitations/link/:token/accept
+// @access  Private
+exports.acceptInviteLink = async (req, res) => {
+  try {
+    const tokenHash = hashToken(req.params.token);
+    const invitation = await ProjectInvitation.findOne({ tokenHash, type: 'link' });
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link is invalid'
+      });
+    }
+
+    const project = await Project.findById(invitation.project);
+    if (!(await checkCanJoin(req, res, project))) return;
+
+    // Take one use, unless the link was revoked, expired or used up meanwhile
+    const usedAt = new Date();
+    const claimed = await ProjectInvitation.findOneAndUpdate(
+      {
+        _id: invitation._id,
+        status: 'pending',
+        expiresAt: { $gt: new Date() },
+        $expr: { $lt: ['$useCount', '$maxUses'] }
+      },
+      { $inc: { useCount: 1 }, $push: { usedBy: { user: req.user._id, usedAt } } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invite link has expired or has no uses left'
+      });
+    }
+
+    // Joined meanwhile (e.g. a double submit): give the use back
+    if (!(await joinThroughInvitation(req, project, claimed.role, claimed))) {
+      await ProjectInvitation.updateOne(
+        { _id: claimed._id },
+        { $inc: { useCount: -1 }, $pull: { usedBy: { user: req.user._id, usedAt } } }
+      );
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this project'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { project: projectSummary(project), role: claimed.role }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -1,25 +1,195 @@
+const mongoose = require('mongoose');
 const Project = require('../models/Project');
+const ProjectJoinRequest = require('../models/ProjectJoinRequest');
+const ProjectActivity = require('../models/ProjectActivity');
+const ProjectInvitation = require('../models/ProjectInvitation');
 const User = require('../models/User');
+const { recordAudit, diffFields } = require('../utils/audit');
+const { canonicalizeSkills, adjustSkillUsage } = require('../utils/skills');
+const {
+  projectRoleOf,
+  canManageProjectRole,
+  canAssignProjectRole
+} = require('../utils/permissions');
+const { isBlockedEither, getBlockedIds } = require('../utils/relationships');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { unassignTasks } = require('../utils/tasks');
+const { leaveRoom } = require('../utils/sockets');
 
-// @desc    Get all projects
+const MEMBER_FIELDS = 'name avatar';
+
+// Fields a project can be created or edited with. Everything else is set by
+// the membership endpoints or kept up to date by the server (task board
+// progress, listing counters, timestamps).
+const EDITABLE_FIELDS = ['title', 'description', 'skills', 'status'];
+
+const pickEditable = (body) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const isManagerRole = (role) => role === 'owner' || role === 'maintainer';
+
+const managerIds = (project) => project.members
+  .filter(member => isManagerRole(member.role))
+  .map(member => member.user);
+
+// Emit `event` to each user's personal room
+const notifyUsers = (req, userIds, event, payload) => {
+  if (!req.io) return;
+  userIds.forEach(userId => req.io.to(`user:${userId}`).emit(event, payload));
+};
+
+const populateProject = (query) => query
+  .populate({ path: 'creator', select: MEMBER_FIELDS })
+  .populate({ path: 'members.user', select: MEMBER_FIELDS });
+
+// Fields returned by the project listing, enough to render a card
+const LIST_FIELDS = 'title description skills creator status progress memberCount lastActivityAt createdAt members';
+
+const LIST_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  active: { field: 'lastActivityAt', direction: -1 },
+  members: { field: 'memberCount', direction: -1 }
+};
+
+const LIST_SCOPES = ['all', 'mine', 'joined', 'recruiting'];
+
+const PROJECT_STATUSES = Project.schema.path('status').enumValues;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A listed project with the viewer's role instead of the member list
+const toListedProject = (userId) => (project) => {
+  const { members, ...rest } = project;
+  const member = members.find(m => m.user.toString() === userId.toString());
+  return { ...rest, role: member ? member.role : null };
+};
+
+// @desc    Search and list projects
 // @route   GET /api/projects
 // @access  Private
+//
+// Query: q (text search over title, description and skills), skills (comma
+// separated), skillsMatch (any|all, default any), status, scope (all|mine|
+// joined|recruiting, default all), sort (relevance|newest|active|members),
+// limit (max 50), cursor (from nextCursor).
+//
+// Scopes: mine is projects you own, joined is every project you are a
+// member of (owned ones included), recruiting is projects looking for people
+// that you haven't joined.
 exports.getProjects = async (req, res) => {
   try {
-    const projects = await Project.find()
-      .populate({
-        path: 'creator',
-        select: 'name avatar'
-      })
-      .populate({
-        path: 'collaborators',
-        select: 'name avatar'
+    const { q, skills, skillsMatch = 'any', status, scope = 'all' } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const sort = req.query.sort || (q ? 'relevance' : 'newest');
+
+    if (sort !== 'relevance' && !LIST_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sort must be one of: relevance, newest, active, members'
       });
-    
+    }
+
+    if (sort === 'relevance' && !q) {
+      return res.status(400).json({
+        success: false,
+        message: 'Relevance sorting needs a search query'
+      });
+    }
+
+    if (!LIST_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scope must be one of: ${LIST_SCOPES.join(', ')}`
+      });
+    }
+
+    if (status && !PROJECT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${PROJECT_STATUSES.join(', ')}`
+      });
+    }
+
+    // Projects owned by someone the user blocked or was blocked by stay hidden
+    const blockedIds = await getBlockedIds(req.user._id);
+    const filters = [{ creator: { $nin: blockedIds } }];
+
+    if (scope === 'mine') {
+      filters.push({ creator: req.user._id });
+    } else if (scope === 'joined') {
+      filters.push({ 'members.user': req.user._id });
+    } else if (scope === 'recruiting') {
+      filters.push({ status: 'Recruiting', 'members.user': { $ne: req.user._id } });
+    }
+
+    if (status) {
+      filters.push({ status });
+    }
+
+    if (q) {
+      filters.push({ $text: { $search: q } });
+    }
+
+    // Search by catalog name so "reactjs" finds projects that list "React"
+    const skillList = await canonicalizeSkills(skills);
+    if (skillList.length > 0) {
+      const patterns = skillList.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i'));
+      filters.push({ skills: { [skillsMatch === 'all' ? '$all' : '$in']: patterns } });
+    }
+
+    const cursor = decodeCursor(req.query.cursor);
+    // Text scores can't be used as a keyset, so relevance pages by offset
+    const offset = cursor && cursor.offset !== undefined ? cursor.offset : 0;
+    if (sort === 'relevance' && !(Number.isSafeInteger(offset) && offset >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    let query;
+
+    if (sort === 'relevance') {
+      query = Project.find({ $and: filters }, { score: { $meta: 'textScore' } })
+        .select(LIST_FIELDS)
+        .sort({ score: { $meta: 'textScore' }, _id: 1 })
+        .skip(offset);
+    } else {
+      const { field, direction } = LIST_SORTS[sort];
+      if (cursor && cursor.id) {
+        filters.push(afterCursor(field, direction, cursor));
+      }
+      query = Project.find({ $and: filters })
+        .select(LIST_FIELDS)
+        .sort({ [field]: direction, _id: direction });
+    }
+
+    // Fetch one extra to know whether there is another page
+    const results = await query
+      .limit(limit + 1)
+      .populate({ path: 'creator', select: MEMBER_FIELDS })
+      .lean();
+    const hasMore = results.length > limit;
+    const projects = results.slice(0, limit);
+
+    let nextCursor = null;
+    if (hasMore) {
+      const last = projects[projects.length - 1];
+      nextCursor = sort === 'relevance'
+        ? encodeCursor({ offset: offset + limit })
+        : encodeCursor({ value: last[LIST_SORTS[sort].field], id: last._id });
+    }
+
     res.status(200).json({
       success: true,
       count: projects.length,
-      data: projects
+      nextCursor,
+      data: projects.map(toListedProject(req.user._id))
     });
   } catch (error) {
     res.status(500).json({
@@ -32,17 +202,14 @@ exports.getProjects = async (req, res) => {
 // @desc    Get single project
 // @route   GET /api/projects/:id
 // @access  Private
+//
+// Includes the current user's role and, if they asked to join, the state of
+// their latest request.
 exports.getProject = async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id)
-      .populate({
-        path: 'creator',
-        select: 'name avatar'
-      })
-      .populate({
-        path: 'collaborators',
-        select: 'name avatar'
-      });
+    const project = mongoose.isValidObjectId(req.params.id)
+      ? await populateProject(Project.findById(req.params.id))
+      : null;
     
     if (!project) {
       return res.status(404).json({
@@ -51,9 +218,15 @@ exports.getProject = async (req, res) => {
       });
     }
     
+    const role = project.roleOf(req.user.id);
+    const joinRequest = role ? null : await ProjectJoinRequest.findOne({ project: project._id, user: req.user.id })
+      .sort({ createdAt: -1 })
+      .select('status message createdAt reviewedAt');
+    
     res.status(200).json({
       success: true,
-      data: project
+      data: project,
+      membership: { role, joinRequest }
     });
   } catch (error) {
     res.status(500).json({
@@ -68,11 +241,20 @@ exports.getProject = async (req, res) => {
 // @access  Private
 exports.createProject = async (req, res) => {
   try {
-    // Add user to req.body
-    req.body.creator = req.user.id;
+    const fields = pickEditable(req.body);
+
+    // The creator starts out as the owner and only member
+    fields.creator = req.user.id;
+    fields.members = [{ user: req.user.id, role: 'owner' }];
+    
+    // Needed skills are stored under their catalog names
+    if (fields.skills) {
+      fields.skills = await canonicalizeSkills(fields.skills, { learn: true });
+    }
     
     // Create project
-    const project = await Project.create(req.body);
+    const project = await Project.create(fields);
+    await adjustSkillUsage([], project.skills);
     
     res.status(201).json({
       success: true,
@@ -88,36 +270,34 @@ exports.createProject = async (req, res) => {
 
 // @desc    Update project
 // @route   PUT /api/projects/:id
-// @access  Private
+// @access  Private (project:update)
 exports.updateProject = async (req, res) => {
   try {
-    let project = await Project.findById(req.params.id);
-    
-    if (!project) {
-      return res.status(404).json({
-        success: false,
-        message: 'Project not found'
-      });
-    }
-    
-    // Make sure user is project creator
-    if (project.creator.toString() !== req.user.id) {
-      return res.status(401).json({
-        success: false,
-        message: 'Not authorized to update this project'
-      });
+    // Update project (existence and permission checked by authorize)
+    const before = req.resource.toObject();
+    const fields = pickEditable(req.body);
+    if (fields.skills) {
+      fields.skills = await canonicalizeSkills(fields.skills, { learn: true });
     }
     
-    // Update project
-    project = await Project.findByIdAndUpdate(
+    const project = await Project.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      { ...fields, updatedAt: Date.now() },
       {
         new: true,
         runValidators: true
       }
     );
     
+    const changes = diffFields(before, project.toObject(), Object.keys(fields));
+    if (changes.skills) {
+      await adjustSkillUsage(before.skills, project.skills);
+    }
+    await recordAudit(req, 'project.update', {
+      target: { type: 'project', id: project._id, label: project.title },
+      changes
+    });
+    
     res.status(200).json({
       success: true,
       data: project
@@ -130,12 +310,14 @@ exports.updateProject = async (req, res) => {
   }
 };
 
-// @desc    Join a project as collaborator
+// @desc    Ask to join a project
 // @route   POST /api/projects/:id/join
 // @access  Private
-exports.joinProject = async (req, res) => {
+exports.requestToJoin = async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
+    const project = mongoose.isValidObjectId(req.params.id)
+      ? await Project.findById(req.params.id)
+      : null;
     
     if (!project) {
       return res.status(404).json({
@@ -144,18 +326,319 @@ exports.joinProject = async (req, res) => {
       });
     }
     
-    // Check if user is already a collaborator
-    if (project.collaborators.includes(req.user.id)) {
+    if (project.roleOf(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this project'
+      });
+    }
+    
+    if (await isBlockedEither(req.user.id, project.creator)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot join this project'
+      });
+    }
+    
+    let request;
+    try {
+      request = await ProjectJoinRequest.create({
+        project: project._id,
+        user: req.user.id,
+        message: req.body.message
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(400).json({
+        success: false,
+        message: 'You have already asked to join this project'
+      });
+    }
+    
+    notifyUsers(req, managerIds(project), 'project_join_request', {
+      project: { _id: project._id, title: project.title },
+      user: { _id: req.user._id, name: req.user.name, avatar: req.user.avatar },
+      requestId: request._id
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Withdraw a pending join request
+// @route   DELETE /api/projects/:id/join
+// @access  Private
+exports.cancelJoinRequest = async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id)
+      ? await ProjectJoinRequest.deleteOne({ project: req.params.id, user: req.user.id, status: 'pending' })
+      : null;
+    
+    if (!result || result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no pending request for this project'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get pending join requests
+// @route   GET /api/projects/:id/requests
+// @access  Private (project:manage_members)
+exports.getJoinRequests = async (req, res) => {
+  try {
+    const requests = await ProjectJoinRequest.find({ project: req.resource._id, status: 'pending' })
+      .sort({ createdAt: 1 })
+      .populate('user', 'name avatar skills');
+    
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Approve or reject a join request
+// @route   PUT /api/projects/:id/requests/:requestId
+// @access  Private (project:manage_members)
+//
+// Body: { action: 'approve' | 'reject', role } where role (default
+// contributor) is what an approved applicant joins as.
+exports.respondToJoinRequest = async (req, res) => {
+  try {
+    const project = req.resource;
+    const { action, role = 'contributor' } = req.body;
+    
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be approve or reject'
+      });
+    }
+    
+    if (action === 'approve' && !canAssignProjectRole(projectRoleOf(req.user, project), role)) {
+      return res.status(400).json({
+        success: false,
+        message: `You can't add members as ${role}`
+      });
+    }
+    
+    const request = mongoose.isValidObjectId(req.params.requestId)
+      ? await ProjectJoinRequest.findOneAndUpdate(
+        { _id: req.params.requestId, project: project._id, status: 'pending' },
+        {
+          status: action === 'approve' ? 'approved' : 'rejected',
+          reviewedBy: req.user.id,
+          reviewedAt: Date.now()
+        },
+        { new: true }
+      )
+      : null;
+    
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found'
+      });
+    }
+    
+    if (action === 'approve' && await Project.addMember(project._id, request.user, role)) {
+      await ProjectActivity.create({
+        project: project._id,
+        user: request.user,
+        actionType: 'join',
+        details: `Joined the project as ${role}`
+      });
+    }
+    
+    console.log('Project join request decided:', { projectId: project._id, userId: request.user, action });
+    
+    notifyUsers(req, [request.user], 'project_join_response', {
+      project: { _id: project._id, title: project.title },
+      status: request.status,
+      role: action === 'approve' ? role : undefined
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/projects/:id/members/:userId
+// @access  Private (project:manage_members)
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const project = req.resource;
+    const actorRole = projectRoleOf(req.user, project);
+    const member = project.findMember(req.params.userId);
+    const { role } = req.body;
+    
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+    
+    if (!canManageProjectRole(actorRole, member.role) || !canAssignProjectRole(actorRole, role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to perform this action'
+      });
+    }
+    
+    const from = member.role;
+    member.role = role;
+    project.updatedAt = Date.now();
+    await project.save();
+    
+    // Invitations sent while managing members stop working with the demotion
+    if (isManagerRole(from) && !isManagerRole(role)) {
+      await ProjectInvitation.revokeSentBy(project._id, member.user);
+    }
+    
+    await recordAudit(req, 'project.member_role', {
+      target: { type: 'project', id: project._id, label: project.title },
+      changes: { role: { from, to: role } },
+      metadata: { member: member.user }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: member
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Remove a member from a project
+// @route   DELETE /api/projects/:id/members/:userId
+// @access  Private (project:manage_members)
+exports.removeMember = async (req, res) => {
+  try {
+    const project = req.resource;
+    const member = project.findMember(req.params.userId);
+    
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+    
+    if (!canManageProjectRole(projectRoleOf(req.user, project), member.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to perform this action'
+      });
+    }
+    
+    project.members.splice(project.members.indexOf(member), 1);
+    project.updatedAt = Date.now();
+    await project.save();
+    await unassignTasks(project._id, member.user);
+    await ProjectInvitation.revokeSentBy(project._id, member.user);
+    leaveRoom(req.io, member.user, `project:${project._id}`);
+    
+    await recordAudit(req, 'project.member_remove', {
+      target: { type: 'project', id: project._id, label: project.title },
+      metadata: { member: member.user, role: member.role }
+    });
+    
+    notifyUsers(req, [member.user], 'project_removed', {
+      project: { _id: project._id, title: project.title }
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Hand the project over to another member
+// @route   PUT /api/projects/:id/owner
+// @access  Private (project:transfer_ownership)
+//
+// Body: { userId }. The previous owner stays on as a maintainer.
+exports.transferOwnership = async (req, res) => {
+  try {
+    const project = req.resource;
+    const newOwner = req.body.userId && project.findMember(req.body.userId);
+    
+    if (!newOwner) {
+      return res.status(400).json({
+        success: false,
+        message: 'The new owner must already be a member of the project'
+      });
+    }
+    
+    if (newOwner.role === 'owner') {
       return res.status(400).json({
         success: false,
-        message: 'User is already a collaborator on this project'
+        message: 'This member already owns the project'
       });
     }
     
-    // Add user to collaborators
-    project.collaborators.push(req.user.id);
+    const previousOwner = project.creator;
+    const previous = project.findMember(previousOwner);
+    if (previous) previous.role = 'maintainer';
+    newOwner.role = 'owner';
+    project.creator = newOwner.user;
+    project.updatedAt = Date.now();
     await project.save();
     
+    await recordAudit(req, 'project.ownership_transfer', {
+      target: { type: 'project', id: project._id, label: project.title },
+      changes: { creator: { from: previousOwner, to: newOwner.user } }
+    });
+    
+    notifyUsers(req, [newOwner.user], 'project_ownership', {
+      project: { _id: project._id, title: project.title }
+    });
+    
     res.status(200).json({
       success: true,
       data: project
@@ -173,7 +656,9 @@ exports.joinProject = async (req, res) => {
 // @access  Private
 exports.leaveProject = async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
+    const project = mongoose.isValidObjectId(req.params.id)
+      ? await Project.findById(req.params.id)
+      : null;
     
     if (!project) {
       return res.status(404).json({
@@ -182,20 +667,27 @@ exports.leaveProject = async (req, res) => {
       });
     }
     
-    // Check if user is a collaborator
-    if (!project.collaborators.includes(req.user.id)) {
+    const member = project.findMember(req.user.id);
+    if (!member) {
       return res.status(400).json({
         success: false,
-        message: 'User is not a collaborator on this project'
+        message: 'You are not a member of this project'
       });
     }
     
-    // Remove user from collaborators
-    project.collaborators = project.collaborators.filter(
-      collab => collab.toString() !== req.user.id
-    );
+    if (member.role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Transfer ownership to another member before leaving'
+      });
+    }
     
+    project.members.splice(project.members.indexOf(member), 1);
+    project.updatedAt = Date.now();
     await project.save();
+    await unassignTasks(project._id, member.user);
+    await ProjectInvitation.revokeSentBy(project._id, member.user);
+    leaveRoom(req.io, member.user, `project:${project._id}`);
     
     res.status(200).json({
       success: true,
@@ -0,0 +1,669 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const LiveSession = require('../models/LiveSession');
+const {
+  getRelationship,
+  findConnection,
+  isBlockedEither,
+  getBlockedIds,
+  removeRelationshipsBetween
+} = require('../utils/relationships');
+const { canViewProfile, listedProfileFilter, toListedProfile } = require('../utils/privacy');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { leaveRoom } = require('../utils/sockets');
+
+// Fields returned for each person in a follower/connection list. Privacy is
+// only read to strip the location and is removed by toListedProfile.
+const USER_CARD_FIELDS = 'name avatar location skills availability privacy.locationVisibility';
+
+// Another (not deleted) user that the current user can follow or connect with.
+// Blocked users look as if they don't exist, unless `allowBlocked` is set for
+// the block and mute endpoints themselves.
+const findTarget = async (req, res, { allowBlocked = false } = {}) => {
+  if (req.params.id === req.user.id.toString()) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot do that with your own account'
+    });
+    return null;
+  }
+
+  const target = mongoose.isValidObjectId(req.params.id)
+    ? await User.findOne({ _id: req.params.id, deletedAt: null }).select('name')
+    : null;
+
+  if (!target || (!allowBlocked && await isBlockedEither(req.user._id, target._id))) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+  return target;
+};
+
+// A populated user as it appears in a list (null if the account is gone)
+const toCard = (user) => (user ? toListedProfile(user) : null);
+
+// The user whose followers or connections are being listed: not deleted, not
+// blocked either way and visible under their privacy settings
+const findListOwner = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findOne({ _id: req.params.id, deletedAt: null }).select('privacy.profileVisibility')
+    : null;
+
+  if (!user || await isBlockedEither(req.user._id, user._id)) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!(await canViewProfile(req.user._id, user))) {
+    res.status(403).json({
+      success: false,
+      message: 'This profile is private'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Populate filter for people shown in someone else's lists: listed profiles
+// only, leaving out deleted accounts and anyone blocked either way
+const listedUserMatch = async (req) => {
+  const blockedIds = await getBlockedIds(req.user._id);
+  return {
+    $and: [
+      { deletedAt: null, _id: { $nin: blockedIds } },
+      listedProfileFilter()
+    ]
+  };
+};
+
+// A page of relationship documents, newest first by `field`. Populated users
+// that fail `match` come back as null.
+const findPage = async (Model, conditions, field, req, populate, match) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+  const filters = [conditions];
+
+  const cursor = decodeCursor(req.query.cursor);
+  if (cursor && cursor.id) {
+    filters.push(afterCursor(field, -1, cursor));
+  }
+
+  let query = Model.find({ $and: filters })
+    .sort({ [field]: -1, _id: -1 })
+    .limit(limit + 1);
+  populate.forEach(path => {
+    query = query.populate({ path, select: USER_CARD_FIELDS, match });
+  });
+
+  const results = await query.lean();
+  const hasMore = results.length > limit;
+  const page = results.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    page,
+    nextCursor: hasMore ? encodeCursor({ value: last[field], id: last._id }) : null
+  };
+};
+
+const adjustCounts = (ids, field, amount) =>
+  User.updateMany({ _id: { $in: ids } }, { $inc: { [field]: amount } });
+
+// Accept a pending request `requesterId` sent to the current user
+const acceptRequest = async (req, requesterId) => {
+  const connection = await Connection.findOneAndUpdate(
+    {
+      pairKey: Connection.pairKeyFor(req.user._id, requesterId),
+      recipient: req.user._id,
+      status: 'pending'
+    },
+    { status: 'accepted', connectedAt: new Date() },
+    { new: true }
+  );
+
+  if (connection) {
+    await adjustCounts([connection.requester, connection.recipient], 'connectionCount', 1);
+
+    if (req.io) {
+      req.io.to(`user:${connection.requester}`).emit('connection_accepted', {
+        user: { _id: req.user._id, name: req.user.name, avatar: req.user.avatar }
+      });
+    }
+  }
+
+  return connection;
+};
+
+// @desc    Follow a user
+// @route   POST /api/users/:id/follow
+// @access  Private
+exports.followUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    let created = false;
+    try {
+      const result = await Follow.updateOne(
+        { follower: req.user._id, following: target._id },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+      created = result.upsertedCount > 0;
+    } catch (error) {
+      // A concurrent request created the same follow first
+      if (error.code !== 11000) throw error;
+    }
+
+    if (created) {
+      await Promise.all([
+        adjustCounts([req.user._id], 'followingCount', 1),
+        adjustCounts([target._id], 'followerCount', 1)
+      ]);
+
+      if (req.io) {
+        req.io.to(`user:${target._id}`).emit('new_follower', {
+          user: { _id: req.user._id, name: req.user.name, avatar: req.user.avatar }
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { following: true }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unfollow a user
+// @route   DELETE /api/users/:id/follow
+// @access  Private
+exports.unfollowUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    const result = await Follow.deleteOne({ follower: req.user._id, following: target._id });
+
+    if (result.deletedCount > 0) {
+      await Promise.all([
+        adjustCounts([req.user._id], 'followingCount', -1),
+        adjustCounts([target._id], 'followerCount', -1)
+      ]);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { following: false }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the people following a user
+// @route   GET /api/users/:id/followers
+// @access  Private
+exports.getFollowers = async (req, res) => {
+  try {
+    const owner = await findListOwner(req, res);
+    if (!owner) return;
+
+    const { page, nextCursor } = await findPage(
+      Follow, { following: owner._id }, 'createdAt', req, ['follower'], await listedUserMatch(req)
+    );
+    const data = page
+      .filter(follow => follow.follower)
+      .map(follow => ({ user: toListedProfile(follow.follower), followedAt: follow.createdAt }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      nextCursor,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the people a user follows
+// @route   GET /api/users/:id/following
+// @access  Private
+exports.getFollowing = async (req, res) => {
+  try {
+    const owner = await findListOwner(req, res);
+    if (!owner) return;
+
+    const { page, nextCursor } = await findPage(
+      Follow, { follower: owner._id }, 'createdAt', req, ['following'], await listedUserMatch(req)
+    );
+    const data = page
+      .filter(follow => follow.following)
+      .map(follow => ({ user: toListedProfile(follow.following), followedAt: follow.createdAt }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      nextCursor,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get a user's accepted connections
+// @route   GET /api/users/:id/connections
+// @access  Private
+exports.getConnections = async (req, res) => {
+  try {
+    const owner = await findListOwner(req, res);
+    if (!owner) return;
+
+    // Only the other side is matched against the listing filter; the owner
+    // may well have a private profile that the viewer is allowed to open
+    const { page, nextCursor } = await findPage(
+      Connection,
+      { status: 'accepted', $or: [{ requester: owner._id }, { recipient: owner._id }] },
+      'connectedAt',
+      req,
+      ['requester', 'recipient'],
+      { $or: [{ _id: owner._id }, await listedUserMatch(req)] }
+    );
+    const data = page
+      .map(connection => ({
+        user: connection.requester && connection.requester._id.equals(owner._id)
+          ? connection.recipient
+          : connection.requester,
+        connectedAt: connection.connectedAt
+      }))
+      .filter(connection => connection.user)
+      .map(connection => ({ ...connection, user: toListedProfile(connection.user) }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      nextCursor,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the current user's pending connection requests
+// @route   GET /api/users/connection-requests?direction=incoming|outgoing
+// @access  Private
+exports.getConnectionRequests = async (req, res) => {
+  try {
+    const outgoing = req.query.direction === 'outgoing';
+    const { page, nextCursor } = await findPage(
+      Connection,
+      { [outgoing ? 'requester' : 'recipient']: req.user._id, status: 'pending' },
+      'createdAt',
+      req,
+      [outgoing ? 'recipient' : 'requester']
+    );
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      nextCursor,
+      data: page.map(connection => ({
+        _id: connection._id,
+        user: toCard(outgoing ? connection.recipient : connection.requester),
+        createdAt: connection.createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    How the current user relates to another user
+// @route   GET /api/users/:id/relationship
+// @access  Private
+exports.getUserRelationship = async (req, res) => {
+  try {
+    const relationship = await getRelationship(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: relationship
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Ask to connect with a user (accepts straight away if they already asked)
+// @route   POST /api/users/:id/connection
+// @access  Private
+exports.requestConnection = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    const existing = await findConnection(req.user._id, target._id);
+
+    if (existing && existing.status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already connected'
+      });
+    }
+
+    if (existing && existing.requester.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Connection request already sent'
+      });
+    }
+
+    if (existing) {
+      const connection = await acceptRequest(req, target._id);
+      return res.status(200).json({
+        success: true,
+        data: connection
+      });
+    }
+
+    let connection;
+    try {
+      connection = await Connection.create({ requester: req.user._id, recipient: target._id });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Connection request already sent'
+        });
+      }
+      throw error;
+    }
+
+    if (req.io) {
+      req.io.to(`user:${target._id}`).emit('connection_request', {
+        _id: connection._id,
+        user: { _id: req.user._id, name: req.user.name, avatar: req.user.avatar }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: connection
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Accept a user's connection request
+// @route   PUT /api/users/:id/connection
+// @access  Private
+exports.acceptConnection = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    const connection = await acceptRequest(req, target._id);
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending connection request from this user'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: connection
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Cancel, decline or remove a connection
+// @route   DELETE /api/users/:id/connection
+// @access  Private
+exports.removeConnection = async (req, res) => {
+  try {
+    const target = await findTarget(req, res);
+    if (!target) return;
+
+    const connection = await Connection.findOneAndDelete({
+      pairKey: Connection.pairKeyFor(req.user._id, target._id)
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not connected with this user'
+      });
+    }
+
+    if (connection.status === 'accepted') {
+      await adjustCounts([connection.requester, connection.recipient], 'connectionCount', -1);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Block a user (also removes follows, the connection between you and
+//          their place in your upcoming sessions)
+// @route   POST /api/users/:id/block
+// @access  Private
+exports.blockUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res, { allowBlocked: true });
+    if (!target) return;
+
+    try {
+      await Block.updateOne(
+        { blocker: req.user._id, blocked: target._id },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent request created the same block first
+      if (error.code !== 11000) throw error;
+    }
+
+    await removeRelationshipsBetween(req.user._id, target._id);
+
+    // Drop them from any of the user's sessions that haven't ended yet, and
+    // out of those sessions' socket rooms
+    const sessions = await LiveSession.find({
+      host: req.user._id,
+      status: { $ne: 'ended' },
+      participants: target._id
+    }).select('_id');
+    await LiveSession.updateMany(
+      { _id: { $in: sessions.map(session => session._id) } },
+      { $pull: { participants: target._id } }
+    );
+    sessions.forEach(session => leaveRoom(req.io, target._id, `session:${session._id}`));
+
+    console.log('User blocked:', { blocker: req.user._id, blocked: target._id });
+
+    res.status(200).json({
+      success: true,
+      data: { blocking: true }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unblock a user
+// @route   DELETE /api/users/:id/block
+// @access  Private
+exports.unblockUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res, { allowBlocked: true });
+    if (!target) return;
+
+    await Block.deleteOne({ blocker: req.user._id, blocked: target._id });
+
+    res.status(200).json({
+      success: true,
+      data: { blocking: false }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the users the current user has blocked
+// @route   GET /api/users/blocked
+// @access  Private
+exports.getBlockedUsers = async (req, res) => {
+  try {
+    const { page, nextCursor } = await findPage(
+      Block, { blocker: req.user._id }, 'createdAt', req, ['blocked']
+    );
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      nextCursor,
+      data: page.map(block => ({ user: toCard(block.blocked), blockedAt: block.createdAt }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Mute a user
+// @route   POST /api/users/:id/mute
+// @access  Private
+exports.muteUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res, { allowBlocked: true });
+    if (!target) return;
+
+    try {
+      await Mute.updateOne(
+        { muter: req.user._id, muted: target._id },
+        { $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent request created the same mute first
+      if (error.code !== 11000) throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { muted: true }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Unmute a user
+// @route   DELETE /api/users/:id/mute
+// @access  Private
+exports.unmuteUser = async (req, res) => {
+  try {
+    const target = await findTarget(req, res, { allowBlocked: true });
+    if (!target) return;
+
+    await Mute.deleteOne({ muter: req.user._id, muted: target._id });
+
+    res.status(200).json({
+      success: true,
+      data: { muted: false }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Get the users the current user has muted
+// @route   GET /api/users/muted
+// @access  Private
+exports.getMutedUsers = async (req, res) => {
+  try {
+    const { page, nextCursor } = await findPage(
+      Mute, { muter: req.user._id }, 'createdAt', req, ['muted']
+    );
+
+    res.status(200).json({
+      success: true,
+      count: page.length,
+      nextCursor,
+      data: page.map(mute => ({ user: toCard(mute.muted), mutedAt: mute.createdAt }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,86 @@
+const Skill = require('../models/Skill');
+const { SKILL_CATEGORIES, skillKey } = require('../utils/skills');
+
+const SKILL_FIELDS = 'name category usageCount';
+
+// Learned skills are only suggested once this many users, projects and
+// communities list them (SKILL_SUGGEST_MIN_USAGE, default 3), so one-off
+// entries typed by a single account don't show up for everyone
+const suggestableFilter = () => ({
+  $or: [
+    { learned: { $ne: true } },
+    { usageCount: { $gte: parseInt(process.env.SKILL_SUGGEST_MIN_USAGE) || 3 } }
+  ]
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Autocomplete skills from the catalog
+// @route   GET /api/skills?q=rea&category=Frontend&limit=10
+// @access  Public
+//
+// Matches the start of a skill's name or any of its synonyms, so "golang"
+// suggests "Go". Exact matches come first, then the most used skills.
+// Rarely used learned skills are left out.
+exports.searchSkills = async (req, res) => {
+  try {
+    const { q, category } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    if (category && !SKILL_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `Category must be one of: ${SKILL_CATEGORIES.join(', ')}`
+      });
+    }
+
+    const filters = [suggestableFilter()];
+    if (category) {
+      filters.push({ category });
+    }
+
+    const key = q ? skillKey(q) : '';
+    let exact = [];
+
+    if (key) {
+      exact = await Skill.find({ $and: [...filters, { $or: [{ key }, { synonyms: key }] }] })
+        .select(SKILL_FIELDS)
+        .sort({ usageCount: -1 })
+        .lean();
+
+      const prefix = new RegExp(`^${escapeRegex(key)}`);
+      filters.push({ $or: [{ key: prefix }, { synonyms: prefix }] });
+    }
+
+    const matches = await Skill.find({ $and: filters })
+      .select(SKILL_FIELDS)
+      .sort({ usageCount: -1, name: 1 })
+      .limit(limit)
+      .lean();
+
+    const exactIds = new Set(exact.map(skill => skill._id.toString()));
+    const data = [...exact, ...matches.filter(skill => !exactIds.has(skill._id.toString()))]
+      .slice(0, limit);
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    List skill categories
+// @route   GET /api/skills/categories
+// @access  Public
+exports.getCategories = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: SKILL_CATEGORIES
+  });
+};
\ No newline at end of file
@@ -0,0 +1,491 @@
+const mongoose = require('mongoose');
+const ProjectTask = require('../models/ProjectTask');
+const ProjectActivity = require('../models/ProjectActivity');
+const ProjectMilestone = require('../models/ProjectMilestone');
+const { recordAudit } = require('../utils/audit');
+const {
+  MAX_COLUMNS,
+  TASK_PRIORITIES,
+  ensureColumns,
+  findColumn,
+  normalizeLabels,
+  placeTask,
+  refreshProgress
+} = require('../utils/tasks');
+const { refreshMilestone } = require('../utils/milestones');
+
+const ASSIGNEE_FIELDS = 'name avatar';
+
+// Roles that can be given tasks; viewers only watch
+const ASSIGNABLE_ROLES = ['owner', 'maintainer', 'contributor'];
+
+// Tell everyone looking at the board. Clients join `project:<id>` through
+// the join_project socket event.
+const emitBoardUpdate = (req, project, type, payload) => {
+  if (req.io) {
+    req.io.to(`project:${project._id}`).emit('board_update', {
+      projectId: project._id,
+      type,
+      progress: project.progress,
+      ...payload
+    });
+  }
+};
+
+// Record a task change on the project's activity feed
+const logTaskActivity = async (req, project, task, details, metadata = {}) => {
+  const activity = await ProjectActivity.create({
+    project: project._id,
+    user: req.user._id,
+    actionType: 'task',
+    details,
+    metadata: { task: task._id, title: task.title, ...metadata }
+  });
+
+  if (req.io) {
+    await activity.populate('user', 'name avatar');
+    req.io.to(`project:${project._id}`).emit('project_activity', activity);
+  }
+};
+
+// Why `assignee` can't be given tasks on `project`, or null if they can
+const assigneeError = (project, assignee) => {
+  if (!mongoose.isValidObjectId(assignee) || !ASSIGNABLE_ROLES.includes(project.roleOf(assignee))) {
+    return 'Tasks can only be assigned to project contributors';
+  }
+  return null;
+};
+
+// Why the due date in the request can't be used, or null if it can
+const dueDateError = (dueDate) =>
+  (dueDate && isNaN(new Date(dueDate).getTime()) ? 'Due date is not a valid date' : null);
+
+// Why `milestone` can't hold tasks of `project`, or null if it can
+const milestoneError = async (project, milestone) => {
+  const exists = mongoose.isValidObjectId(milestone) &&
+    await ProjectMilestone.exists({ _id: milestone, project: project._id });
+  return exists ? null : 'Milestone not found on this project';
+};
+
+const findTask = (project, taskId) => (mongoose.isValidObjectId(taskId)
+  ? ProjectTask.findOne({ _id: taskId, project: project._id })
+  : null);
+
+// @desc    Get a project's task board: columns in order, each with its tasks
+// @route   GET /api/projects/:id/board
+// @access  Private (project:view_tasks)
+//
+// Query: assignee (user id or "me"), label, priority, milestone
+exports.getBoard = async (req, res) => {
+  try {
+    const project = req.resource;
+    const columns = await ensureColumns(project);
+    const { assignee, label, priority, milestone } = req.query;
+
+    if ((assignee && assignee !== 'me' && !mongoose.isValidObjectId(assignee)) ||
+        (milestone && !mongoose.isValidObjectId(milestone))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assignee and milestone filters must be valid ids'
+      });
+    }
+
+    if (label && typeof label !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Label filter must be text'
+      });
+    }
+
+    if (priority && !TASK_PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: `Priority must be one of: ${TASK_PRIORITIES.join(', ')}`
+      });
+    }
+
+    const query = { project: project._id };
+    if (assignee) {
+      query.assignee = assignee === 'me' ? req.user._id : assignee;
+    }
+    if (label) {
+      query.labels = label;
+    }
+    if (priority) {
+      query.priority = priority;
+    }
+    if (milestone) {
+      query.milestone = milestone;
+    }
+
+    const tasks = await ProjectTask.find(query)
+      .sort({ position: 1, _id: 1 })
+      .populate('assignee', ASSIGNEE_FIELDS);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        progress: project.progress,
+        columns: columns.map(column => ({
+          _id: column._id,
+          name: column.name,
+          done: column.done,
+          tasks: tasks.filter(task => task.column.toString() === column._id.toString())
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Create a task, at the bottom of its column
+// @route   POST /api/projects/:id/tasks
+// @access  Private (project:contribute)
+//
+// Body: { title, description, assignee, labels, dueDate, priority, milestone, column (default first) }
+exports.createTask = async (req, res) => {
+  try {
+    const project = req.resource;
+    const columns = await ensureColumns(project);
+    const { title, description, assignee, labels, dueDate, priority, milestone } = req.body;
+
+    const column = req.body.column ? findColumn(project, req.body.column) : columns[0];
+    if (!column) {
+      return res.status(400).json({
+        success: false,
+        message: 'Column not found on this board'
+      });
+    }
+
+    const invalid = (assignee && assigneeError(project, assignee)) || dueDateError(dueDate) ||
+      (milestone && await milestoneError(project, milestone));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const task = new ProjectTask({
+      project: project._id,
+      title,
+      description,
+      assignee: assignee || undefined,
+      labels: normalizeLabels(labels),
+      dueDate: dueDate || undefined,
+      priority,
+      milestone: milestone || undefined,
+      createdBy: req.user._id,
+      completedAt: column.done ? Date.now() : undefined
+    });
+    await placeTask(task, column._id);
+    await task.save();
+    await task.populate('assignee', ASSIGNEE_FIELDS);
+
+    await refreshProgress(project);
+    await refreshMilestone(req.io, task.milestone, req.user._id);
+    await logTaskActivity(req, project, task, `Created task "${task.title}"`, { column: column.name });
+    emitBoardUpdate(req, project, 'task_created', { task });
+
+    res.status(201).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Update a task's details (use the move endpoint to change its column or order)
+// @route   PUT /api/projects/:id/tasks/:taskId
+// @access  Private (project:contribute)
+exports.updateTask = async (req, res) => {
+  try {
+    const project = req.resource;
+    const task = await findTask(project, req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { title, description, assignee, labels, dueDate, priority, milestone } = req.body;
+
+    const invalid = (assignee && assigneeError(project, assignee)) || dueDateError(dueDate) ||
+      (milestone && await milestoneError(project, milestone));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const previousAssignee = task.assignee ? task.assignee.toString() : null;
+    const previousMilestone = task.milestone;
+
+    if (title !== undefined) task.title = title;
+    if (description !== undefined) task.description = description;
+    if (labels !== undefined) task.labels = normalizeLabels(labels);
+    if (priority !== undefined) task.priority = priority;
+    // null clears the assignee, due date and milestone
+    if (assignee !== undefined) task.assignee = assignee || undefined;
+    if (dueDate !== undefined) task.dueDate = dueDate || undefined;
+    if (milestone !== undefined) task.milestone = milestone || undefined;
+    task.updatedAt = Date.now();
+    await task.save();
+    await task.populate('assignee', ASSIGNEE_FIELDS);
+
+    if (String(previousMilestone) !== String(task.milestone)) {
+      await refreshMilestone(req.io, previousMilestone, req.user._id);
+      await refreshMilestone(req.io, task.milestone, req.user._id);
+    }
+
+    const newAssignee = task.assignee ? task.assignee._id.toString() : null;
+    if (newAssignee !== previousAssignee) {
+      await logTaskActivity(req, project, task,
+        newAssignee ? `Assigned "${task.title}" to ${task.assignee.name}` : `Unassigned "${task.title}"`,
+        { assignee: newAssignee });
+
+      if (newAssignee && newAssignee !== req.user._id.toString() && req.io) {
+        req.io.to(`user:${newAssignee}`).emit('task_assigned', {
+          project: { _id: project._id, title: project.title },
+          task: { _id: task._id, title: task.title },
+          assignedBy: { _id: req.user._id, name: req.user.name }
+        });
+      }
+    } else {
+      await logTaskActivity(req, project, task, `Updated task "${task.title}"`);
+    }
+
+    emitBoardUpdate(req, project, 'task_updated', { task });
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Move a task to another column and/or position (drag and drop)
+// @route   PUT /api/projects/:id/tasks/:taskId/move
+// @access  Private (project:contribute)
+//
+// Body: { column (default the task's current column), index (default the bottom) }
+exports.moveTask = async (req, res) => {
+  try {
+    const project = req.resource;
+    await ensureColumns(project);
+    const task = await findTask(project, req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const from = findColumn(project, task.column);
+    const to = findColumn(project, req.body.column || task.column);
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Column not found on this board'
+      });
+    }
+
+    await placeTask(task, to._id, req.body.index);
+    task.updatedAt = Date.now();
+
+    const changedColumn = !from || from._id.toString() !== to._id.toString();
+    if (changedColumn) {
+      task.completedAt = to.done ? Date.now() : undefined;
+    }
+    await task.save();
+    await task.populate('assignee', ASSIGNEE_FIELDS);
+
+    // Reordering within a column is too noisy for the feed
+    if (changedColumn) {
+      await refreshProgress(project);
+      await refreshMilestone(req.io, task.milestone, req.user._id);
+      await logTaskActivity(req, project, task,
+        to.done ? `Completed "${task.title}"` : `Moved "${task.title}" to ${to.name}`,
+        { from: from ? from.name : null, to: to.name });
+    }
+
+    emitBoardUpdate(req, project, 'task_moved', { task });
+
+    res.status(200).json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Delete a task
+// @route   DELETE /api/projects/:id/tasks/:taskId
+// @access  Private (project:contribute)
+exports.deleteTask = async (req, res) => {
+  try {
+    const project = req.resource;
+    await ensureColumns(project);
+    const task = await findTask(project, req.params.taskId);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    await task.deleteOne();
+
+    await refreshProgress(project);
+    await refreshMilestone(req.io, task.milestone, req.user._id);
+    await logTaskActivity(req, project, task, `Deleted task "${task.title}"`);
+    emitBoardUpdate(req, project, 'task_deleted', { taskId: task._id });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Replace the board's columns (rename, reorder, add, remove)
+// @route   PUT /api/projects/:id/columns
+// @access  Private (project:update)
+//
+// Body: { columns: [{ _id (existing columns only), name, done }] }
+// Columns left out are removed, which is only allowed once they are empty.
+exports.updateColumns = async (req, res) => {
+  try {
+    const project = req.resource;
+    const previous = await ensureColumns(project);
+    const { columns } = req.body;
+
+    if (!Array.isArray(columns) || columns.length === 0 || columns.length > MAX_COLUMNS) {
+      return res.status(400).json({
+        success: false,
+        message: `A board needs between 1 and ${MAX_COLUMNS} columns`
+      });
+    }
+
+    if (columns.some(column => !column || typeof column !== 'object')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each column needs a name'
+      });
+    }
+
+    const submittedIds = columns.filter(column => column._id).map(column => String(column._id));
+    if (new Set(submittedIds).size !== submittedIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'A column can only appear once'
+      });
+    }
+
+    const unknown = columns.find(column => column._id && !findColumn(project, column._id));
+    if (unknown) {
+      return res.status(400).json({
+        success: false,
+        message: 'Column not found on this board'
+      });
+    }
+
+    const removed = previous.filter(column => !submittedIds.includes(column._id.toString()));
+    if (removed.length > 0) {
+      const inUse = await ProjectTask.exists({ project: project._id, column: { $in: removed.map(c => c._id) } });
+      if (inUse) {
+        return res.status(400).json({
+          success: false,
+          message: 'Move the tasks out of a column before removing it'
+        });
+      }
+    }
+
+    const before = previous.map(column => ({ name: column.name, done: column.done }));
+    project.taskColumns = columns.map(column => ({
+      _id: column._id || undefined,
+      name: column.name,
+      done: Boolean(column.done)
+    }));
+    project.updatedAt = Date.now();
+    await project.save();
+
+    // Marking a column done or not done changes which tasks count as completed
+    const doneIds = project.taskColumns.filter(column => column.done).map(column => column._id);
+    await ProjectTask.updateMany(
+      { project: project._id, column: { $in: doneIds }, completedAt: null },
+      { completedAt: Date.now() }
+    );
+    await ProjectTask.updateMany(
+      { project: project._id, column: { $nin: doneIds }, completedAt: { $ne: null } },
+      { $unset: { completedAt: 1 } }
+    );
+    await refreshProgress(project);
+    const milestones = await ProjectMilestone.find({ project: project._id }).select('_id');
+    for (const milestone of milestones) {
+      await refreshMilestone(req.io, milestone._id, req.user._id);
+    }
+
+    await recordAudit(req, 'project.board_columns', {
+      target: { type: 'project', id: project._id, label: project.title },
+      changes: { taskColumns: { from: before, to: columns.map(({ name, done }) => ({ name, done: Boolean(done) })) } }
+    });
+
+    emitBoardUpdate(req, project, 'columns_updated', { columns: project.taskColumns });
+
+    res.status(200).json({
+      success: true,
+      data: project.taskColumns
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
\ No newline at end of file
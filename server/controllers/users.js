@@ -1,16 +1,155 @@
 const User = require('../models/User');
+const { PLATFORM_ROLES } = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { recommendCollaborators } = require('../utils/recommendations');
+const { isOwnMediaUrl } = require('../utils/media');
+const { followsSchedule } = require('../utils/availability');
+const { listedProfileFilter, visibleToEveryone, viewProfile, toListedProfile } = require('../utils/privacy');
+const { isBlockedEither, getBlockedIds } = require('../utils/relationships');
+const { canonicalizeSkills, adjustSkillUsage } = require('../utils/skills');
 
-// @desc    Get all users
+// Fields returned by the directory, enough to render a result row
+const DIRECTORY_FIELDS = 'name avatar location skills availability privacy.locationVisibility';
+
+const DIRECTORY_SORTS = {
+  name: { field: 'name', direction: 1 },
+  newest: { field: 'createdAt', direction: -1 }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Search the user directory
 // @route   GET /api/users
 // @access  Private
+//
+// Query: q (text search over name, bio and skills), skills (comma separated),
+// skillsMatch (any|all, default any), location, available (true|false),
+// sort (relevance|name|newest), limit (max 50), cursor (from nextCursor).
 exports.getUsers = async (req, res) => {
   try {
-    const users = await User.find().select('-password');
-    
+    const { q, skills, skillsMatch = 'any', location, available } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const sort = req.query.sort || (q ? 'relevance' : 'name');
+
+    if (sort !== 'relevance' && !DIRECTORY_SORTS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sort must be one of: relevance, name, newest'
+      });
+    }
+
+    if ((q !== undefined && typeof q !== 'string') || (location !== undefined && typeof location !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query and location must be text'
+      });
+    }
+
+    if (sort === 'relevance' && !q) {
+      return res.status(400).json({
+        success: false,
+        message: 'Relevance sorting needs a search query'
+      });
+    }
+
+    // Deleted accounts are kept as anonymous tombstones, don't list them.
+    // Only public profiles are listed, and never anyone the user blocked or
+    // was blocked by.
+    const blockedIds = await getBlockedIds(req.user._id);
+    const filters = [
+      { deletedAt: null },
+      { _id: { $nin: [req.user._id, ...blockedIds] } },
+      listedProfileFilter()
+    ];
+
+    if (q) {
+      filters.push({ $text: { $search: q } });
+    }
+
+    // Search by catalog name so "reactjs" finds people who list "React"
+    const skillList = await canonicalizeSkills(skills);
+    if (skillList.length > 0) {
+      const patterns = skillList.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i'));
+      filters.push({ skills: { [skillsMatch === 'all' ? '$all' : '$in']: patterns } });
+    }
+
+    // Hidden locations must not be discoverable by filtering on them either
+    if (location) {
+      filters.push({ location: new RegExp(escapeRegex(location), 'i') });
+      filters.push(visibleToEveryone('privacy.locationVisibility'));
+    }
+
+    if (available !== undefined) {
+      filters.push({ availability: available === 'true' });
+    }
+
+    const cursor = decodeCursor(req.query.cursor);
+    // Text scores can't be used as a keyset, so relevance pages by offset
+    const offset = cursor && cursor.offset !== undefined ? cursor.offset : 0;
+    if (sort === 'relevance' && !(Number.isSafeInteger(offset) && offset >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    let query;
+
+    if (sort === 'relevance') {
+      query = User.find({ $and: filters }, { score: { $meta: 'textScore' } })
+        .select(DIRECTORY_FIELDS)
+        .sort({ score: { $meta: 'textScore' }, _id: 1 })
+        .skip(offset);
+    } else {
+      const { field, direction } = DIRECTORY_SORTS[sort];
+      if (cursor && cursor.id) {
+        filters.push(afterCursor(field, direction, cursor));
+      }
+      query = User.find({ $and: filters })
+        .select(`${DIRECTORY_FIELDS} ${field}`)
+        .sort({ [field]: direction, _id: direction });
+    }
+
+    // Fetch one extra to know whether there is another page
+    const results = await query.limit(limit + 1).lean();
+    const hasMore = results.length > limit;
+    const users = results.slice(0, limit);
+
+    let nextCursor = null;
+    if (hasMore) {
+      const last = users[users.length - 1];
+      nextCursor = sort === 'relevance'
+        ? encodeCursor({ offset: offset + limit })
+        : encodeCursor({ value: last[DIRECTORY_SORTS[sort].field], id: last._id });
+    }
+
     res.status(200).json({
       success: true,
       count: users.length,
-      data: users
+      nextCursor,
+      data: users.map(toListedProfile)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Recommend collaborators for the current user
+// @route   GET /api/users/recommendations
+// @access  Private
+exports.getRecommendations = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const matches = await recommendCollaborators(req.user._id, { limit });
+
+    res.status(200).json({
+      success: true,
+      count: matches.length,
+      data: matches
     });
   } catch (error) {
     res.status(500).json({
@@ -23,20 +162,28 @@ exports.getUsers = async (req, res) => {
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private
+//
+// Applies the user's privacy settings: a profile the viewer may not see comes
+// back restricted to name and avatar, and hidden fields are left out.
+// Blocks hide the profile completely.
 exports.getUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
     
-    if (!user) {
+    // Blocked users look as if they don't exist, whoever blocked whom
+    if (!user || await isBlockedEither(req.user._id, user._id)) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
     
+    const { restricted, data } = await viewProfile(req.user._id, user);
+    
     res.status(200).json({
       success: true,
-      data: user
+      restricted,
+      data
     });
   } catch (error) {
     res.status(500).json({
@@ -59,13 +206,27 @@ exports.updateUser = async (req, res) => {
       });
     }
 
+    if (req.body.avatar && !(await isOwnMediaUrl(req.user.id, req.body.avatar, 'avatar'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload your avatar image first'
+      });
+    }
+
+    if (req.body.availability !== undefined && await followsSchedule(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your availability follows your weekly schedule. Turn the schedule off to set it by hand.'
+      });
+    }
+
     // Fields to update
     const fieldsToUpdate = {
       name: req.body.name,
       bio: req.body.bio,
       location: req.body.location,
       availability: req.body.availability,
-      skills: req.body.skills,
+      skills: req.body.skills && await canonicalizeSkills(req.body.skills, { learn: true }),
       avatar: req.body.avatar
     };
     
@@ -74,6 +235,7 @@ exports.updateUser = async (req, res) => {
       fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
     );
     
+    const previous = await User.findById(req.params.id).select('skills');
     const user = await User.findByIdAndUpdate(
       req.params.id,
       fieldsToUpdate,
@@ -90,6 +252,67 @@ exports.updateUser = async (req, res) => {
       });
     }
     
+    if (fieldsToUpdate.skills) {
+      await adjustSkillUsage(previous.skills, user.skills);
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// @desc    Change a user's platform role
+// @route   PUT /api/users/:id/role
+// @access  Private (users:manage_roles)
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!PLATFORM_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${PLATFORM_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Never leave the platform without an admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last admin'
+        });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateModifiedOnly: true });
+
+    await recordAudit(req, 'user.role_change', {
+      target: { type: 'user', id: user._id, label: user.email },
+      changes: { role: { from: previousRole, to: role } }
+    });
+
+    console.log(`User ${user._id} role set to ${role} by ${req.user.id}`);
+
     res.status(200).json({
       success: true,
       data: user
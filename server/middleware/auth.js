@@ -1,5 +1,11 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const AccessToken = require('../models/AccessToken');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { ACCESS_TOKEN_PREFIX, hashToken } = require('../utils/tokens');
+const { getRequiredScope, hasScope } = require('../utils/scopes');
 
 exports.protect = async (req, res, next) => {
   console.log('Auth middleware - Headers:', req.headers);
@@ -40,11 +46,25 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (token.startsWith(ACCESS_TOKEN_PREFIX)) {
+      return await authenticateAccessToken(token, req, res, next);
+    }
+
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       console.log('Token verified successfully for user:', decoded.id);
 
+      // Access tokens are bound to a device session that can be revoked
+      const session = decoded.sid ? await AuthSession.findById(decoded.sid) : null;
+      if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+        console.log('Session revoked or expired for token:', decoded.sid);
+        return res.status(401).json({
+          success: false,
+          message: 'Your login session has expired. Please login again.'
+        });
+      }
+
       // Find user by id
       const user = await User.findById(decoded.id);
       if (!user) {
@@ -55,8 +75,9 @@ exports.protect = async (req, res, next) => {
         });
       }
 
-      // Attach user to request object
+      // Attach user and device session to request object
       req.user = user;
+      req.authSession = session;
       next();
     } catch (jwtError) {
       console.error('JWT verification failed:', jwtError);
@@ -80,4 +101,136 @@ exports.protect = async (req, res, next) => {
       message: 'Internal server error in authentication'
     });
   }
-};
\ No newline at end of file
+};
+
+// Authenticate a personal access token and enforce its scopes
+const authenticateAccessToken = async (token, req, res, next) => {
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!accessToken || accessToken.isExpired()) {
+    console.log('Access token invalid or expired');
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired access token'
+    });
+  }
+
+  const requiredScope = getRequiredScope(req);
+  if (!hasScope(accessToken.scopes, requiredScope)) {
+    console.log(`Access token ${accessToken._id} lacks scope:`, requiredScope || req.originalUrl);
+    return res.status(403).json({
+      success: false,
+      message: requiredScope
+        ? `This access token is missing the ${requiredScope} scope`
+        : 'Access tokens cannot be used for this resource'
+    });
+  }
+
+  const user = await User.findById(accessToken.user);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'User no longer exists'
+    });
+  }
+
+  // Only touch lastUsedAt about once a minute to keep busy scripts cheap
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt > 60 * 1000) {
+    await AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: new Date() });
+  }
+
+  req.user = user;
+  req.accessToken = accessToken;
+  next();
+};
+
+// Actions that accounts with an unverified email may not perform.
+// Configure with UNVERIFIED_USER_RESTRICTIONS (comma separated, empty to allow everything).
+const getUnverifiedRestrictions = () => {
+  const setting = process.env.UNVERIFIED_USER_RESTRICTIONS;
+  return (setting === undefined ? 'direct_messages,create_community' : setting)
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean);
+};
+
+exports.canPerformUnverified = (user, action) =>
+  Boolean(user && user.emailVerified) || !getUnverifiedRestrictions().includes(action);
+
+// Block an action for users who have not verified their email yet
+exports.requireVerifiedEmail = (action) => (req, res, next) => {
+  if (exports.canPerformUnverified(req.user, action)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address to use this feature'
+  });
+};
+
+
+// How `authorize` loads the resource a permission is scoped to
+const RESOURCE_LOADERS = {
+  project: { label: 'Project', load: id => mongoose.model('Project').findById(id) },
+  community: { label: 'Community', load: id => mongoose.model('Community').findById(id) },
+  event: { label: 'Event', load: id => mongoose.model('Event').findById(id) },
+  session: { label: 'Session', load: id => mongoose.model('LiveSession').findById(id) },
+  activity: {
+    label: 'Activity',
+    load: id => mongoose.model('ProjectActivity').findById(id).populate('project', 'creator')
+  }
+};
+
+// Require a permission (see utils/permissions.js). For resource-scoped
+// permissions the resource is loaded from req.params.id (or `param`, or
+// `getId(req)`) and exposed as req.resource for the controller.
+// With `optional: true` the check is skipped when no id is supplied.
+exports.authorize = (permission, options = {}) => {
+  const definition = PERMISSIONS[permission];
+  if (!definition) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      let resource;
+
+      if (definition.resource) {
+        const loader = RESOURCE_LOADERS[definition.resource];
+        const id = options.getId ? options.getId(req) : req.params[options.param || 'id'];
+
+        if (!id && options.optional) {
+          return next();
+        }
+
+        resource = mongoose.isValidObjectId(id) ? await loader.load(id) : null;
+        if (!resource) {
+          return res.status(404).json({
+            success: false,
+            message: `${loader.label} not found`
+          });
+        }
+
+        req.resource = resource;
+      }
+
+      if (!hasPermission(req.user, permission, resource)) {
+        console.log(`Permission ${permission} denied for user:`, req.user && req.user.id);
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to perform this action'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error in authorization'
+      });
+    }
+  };
+};
@@ -0,0 +1,73 @@
+const { consume } = require('../utils/rateLimiter');
+
+const KEY_GETTERS = {
+  ip: req => req.ip,
+  user: req => (req.user ? req.user.id : req.ip),
+  // Account-scoped limits are keyed by the submitted email, whether or not it exists
+  email: req => (typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : null)
+};
+
+// Limit requests against a named limit from utils/rateLimiter.js.
+// `keyBy` is "ip" (default), "user" (use after protect), "email" or a function of req.
+// `skip(req)` lets a shared limiter ignore some requests.
+exports.rateLimit = (name, options = {}) => {
+  const getKey = typeof options.keyBy === 'function' ? options.keyBy : KEY_GETTERS[options.keyBy || 'ip'];
+
+  return async (req, res, next) => {
+    try {
+      if (options.skip && options.skip(req)) {
+        return next();
+      }
+
+      const key = getKey(req);
+      if (!key) {
+        return next();
+      }
+
+      const result = await consume(name, key);
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        console.log(`Rate limit ${name} exceeded for key:`, key);
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: 'Too many requests, please try again later',
+          retryAfter: result.retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Fail open so a store outage doesn't take the API down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
+
+// Socket.IO packet middleware limiting the given events per user (or per
+// connection address before authentication). Use with socket.use().
+// Limits are named socket_<event>, e.g. socket_direct_message.
+exports.socketRateLimit = (socket, events) => async ([event], next) => {
+  if (!events.includes(event)) {
+    return next();
+  }
+
+  try {
+    const key = socket.data.userId || socket.handshake.address;
+    const result = await consume(`socket_${event}`, key);
+
+    if (!result.allowed) {
+      console.log(`Socket rate limit exceeded for ${event}:`, key);
+      // Drop the event and tell the client when it may try again
+      socket.emit('rate_limited', { event, retryAfter: result.retryAfter });
+      return;
+    }
+  } catch (error) {
+    console.error('Socket rate limit error:', error);
+  }
+
+  next();
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthSession = require('../models/AuthSession');
+const { getResourceRoles } = require('../utils/permissions');
+const { authSessionRoom } = require('../utils/sockets');
+
+// Socket.IO handshake middleware (io.use). Verifies the access token sent as
+// `auth: { token }` (or a Bearer Authorization header), with the same session
+// checks as `protect`, and joins the user's personal room and a room for its
+// login session so the socket can be dropped when the session is revoked.
+exports.authenticateSocket = async (socket, next) => {
+  try {
+    const header = socket.handshake.headers.authorization;
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+      (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+    if (!token) {
+      throw new Error('No token provided for socket authentication');
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = decoded.sid ? await AuthSession.findById(decoded.sid) : null;
+    if (!session || !session.isActive() || session.user.toString() !== decoded.id) {
+      throw new Error('Session revoked or expired');
+    }
+
+    const user = await User.findById(decoded.id).select('_id');
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    socket.data.userId = decoded.id;
+    socket.data.sessionId = decoded.sid;
+    socket.join([`user:${decoded.id}`, authSessionRoom(decoded.sid)]);
+    console.log(`User ${decoded.id} authenticated socket ${socket.id}`);
+    next();
+  } catch (error) {
+    console.error('Socket authentication error:', error.message);
+    // The client sees this message in its connect_error handler
+    next(new Error('Authentication failed'));
+  }
+};
+
+// Rooms a socket may join, and who counts as a member of each
+const ROOM_TYPES = {
+  project: { model: 'Project', label: 'Project' },
+  community: { model: 'Community', label: 'Community' },
+  session: { model: 'LiveSession', label: 'Session' }
+};
+
+// Join `<type>:<id>` if the socket's user is a member of it.
+// Resolves to the acknowledgement sent back to the client.
+exports.joinRoom = async (socket, type, id) => {
+  const { model, label } = ROOM_TYPES[type];
+
+  try {
+    const resource = mongoose.isValidObjectId(id) ? await mongoose.model(model).findById(id) : null;
+    if (!resource) {
+      return { success: false, message: `${label} not found` };
+    }
+
+    // Project members, community owner/members, session host/participants
+    if (getResourceRoles(type, resource, socket.data.userId).length === 0) {
+      console.log(`User ${socket.data.userId} denied joining ${type}:${id}`);
+      return { success: false, message: `You are not a member of this ${type}` };
+    }
+
+    socket.join(`${type}:${id}`);
+    console.log(`User ${socket.data.userId} joined ${type}:${id}`);
+    return { success: true, room: `${type}:${id}` };
+  } catch (error) {
+    console.error(`Error joining ${type} room:`, error.message);
+    return { success: false, message: `Failed to join ${type}` };
+  }
+};
+
+// Only let sockets broadcast to rooms they have joined
+exports.inRoom = (socket, type, id) => socket.rooms.has(`${type}:${id}`);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const multer = require('multer');
+const { ALLOWED_MIME_TYPES, getMaxUploadBytes } = require('../utils/media');
+
+// Accept a single image in multipart field `field`, kept in memory as
+// req.file for utils/media.js to validate and resize
+exports.uploadImage = (field) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxUploadBytes(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', field));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `Images must be smaller than ${Math.round(getMaxUploadBytes() / (1024 * 1024))} MB`
+        });
+      }
+
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: `Upload a single JPEG, PNG, WebP or GIF image in the "${field}" field`
+        });
+      }
+
+      next(error);
+    });
+  };
+};
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { SCOPES } = require('../utils/scopes');
+
+// A personal access token for scripts and integrations.
+// Only the hash is stored; the token itself is shown once at creation.
+const AccessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a token name'],
+    trim: true,
+    maxlength: [100, 'Token name cannot be more than 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'Please select at least one scope'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AccessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+AccessTokenSchema.index({ user: 1, createdAt: -1 });
+
+AccessTokenSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+module.exports = mongoose.model('AccessToken', AccessTokenSchema);
\ No newline at end of file
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A security or administrative action, recorded by utils/audit.js.
+// Actions are named "<area>.<verb>", e.g. "auth.login_failed" or "community.delete".
+const AuditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Who did it. Empty for anonymous actions such as a failed login for an unknown email
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  target: {
+    type: {
+      type: String,
+      trim: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Human readable name, kept so deleted targets stay identifiable
+    label: {
+      type: String,
+      default: ''
+    }
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  // Changed fields as { field: { from, to } }
+  changes: {
+    type: Object,
+    default: {}
+  },
+  metadata: {
+    type: Object,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
\ No newline at end of file
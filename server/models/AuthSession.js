@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. Holds the (hashed) rotating refresh token for that device.
+const AuthSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ipAddress: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+AuthSessionSchema.index({ tokenHash: 1 }, { unique: true });
+AuthSessionSchema.index({ previousTokenHash: 1 }, { sparse: true });
+AuthSessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up expired sessions
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+AuthSessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('AuthSession', AuthSessionSchema);
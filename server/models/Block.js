@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// `blocker` has blocked `blocked`. Blocks work both ways: neither user can
+// see the other's profile, message them or show up in their feeds.
+const BlockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+BlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+BlockSchema.index({ blocker: 1, createdAt: -1, _id: -1 });
+BlockSchema.index({ blocked: 1 });
+
+module.exports = mongoose.model('Block', BlockSchema);
\ No newline at end of file
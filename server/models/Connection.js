@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A mutual connection. `requester` asks, `recipient` accepts; until then the
+// connection is pending. Declined or cancelled requests are deleted.
+const ConnectionSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Both user ids in sorted order, so a pair can only be connected once
+  // whoever sent the request
+  pairKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted'],
+    default: 'pending'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  connectedAt: {
+    type: Date
+  }
+});
+
+ConnectionSchema.index({ recipient: 1, status: 1, createdAt: -1, _id: -1 });
+ConnectionSchema.index({ requester: 1, status: 1, createdAt: -1, _id: -1 });
+
+ConnectionSchema.statics.pairKeyFor = (a, b) => [a.toString(), b.toString()].sort().join(':');
+
+ConnectionSchema.pre('validate', function(next) {
+  if (this.requester && this.recipient) {
+    this.pairKey = this.constructor.pairKeyFor(this.requester, this.recipient);
+  }
+  next();
+});
+
+// The other side of the connection from `userId`'s point of view
+ConnectionSchema.methods.otherUser = function(userId) {
+  return this.requester.equals(userId) ? this.recipient : this.requester;
+};
+
+module.exports = mongoose.model('Connection', ConnectionSchema);
\ No newline at end of file
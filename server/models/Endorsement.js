@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { skillKey } = require('../utils/skills');
+
+// `endorser` vouches for one of `user`'s skills. `skillKey` is the catalog
+// match key (utils/skills.js) so "Node.js" and "NodeJS" count as the same
+// skill; `skill` keeps the spelling the user listed.
+const EndorsementSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  endorser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  skill: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  skillKey: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+EndorsementSchema.statics.keyFor = (skill) => skillKey(skill);
+
+EndorsementSchema.pre('validate', function(next) {
+  if (this.skill) {
+    this.skillKey = this.constructor.keyFor(this.skill);
+  }
+  next();
+});
+
+EndorsementSchema.index({ user: 1, skillKey: 1, endorser: 1 }, { unique: true });
+EndorsementSchema.index({ user: 1, skillKey: 1, createdAt: -1 });
+EndorsementSchema.index({ endorser: 1 });
+
+module.exports = mongoose.model('Endorsement', EndorsementSchema);
\ No newline at end of file
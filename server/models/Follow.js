@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// `follower` follows `following`. One-way, no approval needed.
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+FollowSchema.index({ following: 1, createdAt: -1, _id: -1 });
+FollowSchema.index({ follower: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('Follow', FollowSchema);
\ No newline at end of file
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { MEDIA_PURPOSES } = require('../utils/media');
+
+const VariantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  size: Number
+}, { _id: false });
+
+// An uploaded image. Only the resized variants are stored, never the
+// original file.
+const MediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: Object.keys(MEDIA_PURPOSES),
+    required: true
+  },
+  originalName: {
+    type: String,
+    default: ''
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // URL of the default variant, what gets stored on avatars and images
+  url: {
+    type: String,
+    required: true
+  },
+  variants: [VariantSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MediaSchema.index({ owner: 1, createdAt: -1 });
+MediaSchema.index({ 'variants.key': 1 });
+
+module.exports = mongoose.model('Media', MediaSchema);
\ No newline at end of file
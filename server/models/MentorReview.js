@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const MentorReviewSchema = new mongoose.Schema({
+  mentor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The completed session that made the reviewer eligible
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LiveSession'
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Review cannot be more than 1000 characters'],
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One review per mentor and reviewer; reviewing again edits it
+MentorReviewSchema.index({ mentor: 1, reviewer: 1 }, { unique: true });
+MentorReviewSchema.index({ mentor: 1, createdAt: -1, _id: -1 });
+
+// Recalculate the rating stats stored on the mentor's profile
+MentorReviewSchema.statics.updateMentorStats = async function(mentorId) {
+  const [stats] = await this.aggregate([
+    { $match: { mentor: new mongoose.Types.ObjectId(mentorId) } },
+    { $group: { _id: '$mentor', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('User').updateOne(
+    { _id: mentorId },
+    {
+      'mentorProfile.ratingAverage': stats ? Math.round(stats.average * 10) / 10 : 0,
+      'mentorProfile.ratingCount': stats ? stats.count : 0
+    }
+  );
+};
+
+module.exports = mongoose.model('MentorReview', MentorReviewSchema);
\ No newline at end of file
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// `muter` has muted `muted`: their community chat messages and activities
+// are hidden from the muter. One-way, and the muted user is not told.
+const MuteSchema = new mongoose.Schema({
+  muter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  muted: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MuteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+MuteSchema.index({ muter: 1, createdAt: -1, _id: -1 });
+MuteSchema.index({ muted: 1 });
+
+module.exports = mongoose.model('Mute', MuteSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PROJECT_ROLES } = require('../utils/permissions');
 
 const ProjectSchema = new mongoose.Schema({
   title: {
@@ -16,30 +17,117 @@ const ProjectSchema = new mongoose.Schema({
     type: [String],
     default: []
   },
+  // The current owner. Starts as whoever created the project and changes
+  // on ownership transfer; always matches the member with the owner role.
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  collaborators: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User'
+  // Everyone on the project, the owner included
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: PROJECT_ROLES,
+      default: 'contributor'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Columns of the task board, in display order. Tasks in a `done` column
+  // count as completed. Set up with the defaults on first use.
+  taskColumns: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [40, 'Column names cannot be more than 40 characters']
+    },
+    done: {
+      type: Boolean,
+      default: false
+    }
   }],
+  // Always members.length; stored so listings can sort by it
+  memberCount: {
+    type: Number,
+    default: 0
+  },
   status: {
     type: String,
     enum: ['Active', 'Recruiting', 'Completed', 'On Hold'],
     default: 'Recruiting'
   },
+  // Share of tasks that are done, kept up to date by the task board
   progress: {
     type: Number,
     min: 0,
     max: 100,
     default: 0
   },
+  // When the latest ProjectActivity entry was logged
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
+ProjectSchema.index({ 'members.user': 1 });
+
+// Project listing: text search, skill/status filters and keyset sorting
+ProjectSchema.index(
+  { title: 'text', description: 'text', skills: 'text' },
+  { name: 'project_listing_text', weights: { title: 10, skills: 5, description: 1 } }
+);
+ProjectSchema.index({ skills: 1 });
+ProjectSchema.index({ createdAt: -1, _id: -1 });
+ProjectSchema.index({ lastActivityAt: -1, _id: -1 });
+ProjectSchema.index({ memberCount: -1, _id: -1 });
+ProjectSchema.index({ status: 1, createdAt: -1, _id: -1 });
+ProjectSchema.index({ creator: 1, createdAt: -1, _id: -1 });
+
+ProjectSchema.pre('save', function(next) {
+  this.memberCount = this.members.length;
+  next();
+});
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+// The member entry for `userId`, if they are on the project
+ProjectSchema.methods.findMember = function(userId) {
+  return this.members.find(member => idOf(member.user).toString() === userId.toString());
+};
+
+// The role `userId` holds on the project, or null
+ProjectSchema.methods.roleOf = function(userId) {
+  const member = this.findMember(userId);
+  return member ? member.role : null;
+};
+
+// Add `userId` as a member unless they already are one. Resolves to whether
+// they were added.
+ProjectSchema.statics.addMember = async function(projectId, userId, role) {
+  const result = await this.updateOne(
+    { _id: projectId, 'members.user': { $ne: userId } },
+    { $push: { members: { user: userId, role } }, $inc: { memberCount: 1 }, updatedAt: Date.now() }
+  );
+  return result.modifiedCount > 0;
+};
+
 module.exports = mongoose.model('Project', ProjectSchema);
\ No newline at end of file
@@ -15,7 +15,7 @@ const ProjectActivitySchema = new Schema({
   },
   actionType: {
     type: String,
-    enum: ['commit', 'comment', 'pull_request', 'merge', 'issue', 'join', 'update', 'other'],
+    enum: ['commit', 'comment', 'pull_request', 'merge', 'issue', 'join', 'update', 'task', 'milestone', 'other'],
     required: true
   },
   details: {
@@ -35,4 +35,12 @@ const ProjectActivitySchema = new Schema({
 ProjectActivitySchema.index({ project: 1, createdAt: -1 });
 ProjectActivitySchema.index({ user: 1, createdAt: -1 });
 
+// Keep the project's lastActivityAt current for "most active" sorting
+ProjectActivitySchema.post('save', async function() {
+  await mongoose.model('Project').updateOne(
+    { _id: this.project, lastActivityAt: { $lt: this.createdAt } },
+    { lastActivityAt: this.createdAt }
+  );
+});
+
 module.exports = mongoose.model('ProjectActivity', ProjectActivitySchema);
\ No newline at end of file
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const { PROJECT_ROLES } = require('../utils/permissions');
+
+// An invitation to join a project with a preassigned role. Either addressed
+// to one user (`invitee`), who accepts or declines it, or a shareable link
+// that anyone can use until it expires or runs out of uses. For links only
+// the hash of the token is stored; the link itself is shown once.
+const ProjectInvitationSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['user', 'link'],
+    required: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES.filter(role => role !== 'owner'),
+    default: 'contributor'
+  },
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters'],
+    default: ''
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+  // People who joined through a link
+  usedBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Links stay pending until revoked; expiry and use-up are derived
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProjectInvitationSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+ProjectInvitationSchema.index(
+  { project: 1, invitee: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', type: 'user' } }
+);
+ProjectInvitationSchema.index({ project: 1, createdAt: -1 });
+ProjectInvitationSchema.index({ invitee: 1, status: 1, createdAt: -1 });
+
+// Revoke the pending invitations and links `userId` sent for a project, for
+// when they lose the right to add members
+ProjectInvitationSchema.statics.revokeSentBy = function(projectId, userId) {
+  return this.updateMany(
+    { project: projectId, invitedBy: userId, status: 'pending' },
+    { status: 'revoked', respondedAt: new Date() }
+  );
+};
+
+ProjectInvitationSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+// Status including the derived states: 'expired' for pending invitations
+// past their expiry and 'used_up' for links with no uses left
+ProjectInvitationSchema.methods.currentStatus = function() {
+  if (this.status !== 'pending') return this.status;
+  if (this.isExpired()) return 'expired';
+  if (this.type === 'link' && this.useCount >= this.maxUses) return 'used_up';
+  return 'pending';
+};
+
+ProjectInvitationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    if (typeof doc.currentStatus === 'function') {
+      ret.status = doc.currentStatus();
+    }
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ProjectInvitation', ProjectInvitationSchema);
\ No newline at end of file
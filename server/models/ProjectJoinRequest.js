@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A request to join a project. Maintainers approve (adding the applicant as
+// a member) or reject it; decided requests are kept so applicants can see
+// the outcome. A user can only have one pending request per project.
+const ProjectJoinRequestSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot be more than 500 characters'],
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProjectJoinRequestSchema.index(
+  { project: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+ProjectJoinRequestSchema.index({ project: 1, status: 1, createdAt: 1 });
+ProjectJoinRequestSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ProjectJoinRequest', ProjectJoinRequestSchema);
\ No newline at end of file
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ProjectMilestoneSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a milestone title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot be more than 2000 characters'],
+    default: ''
+  },
+  targetDate: {
+    type: Date,
+    required: [true, 'Please provide a target date']
+  },
+  // Activity feed entries that belong to this phase. Tasks link themselves
+  // through ProjectTask.milestone.
+  activities: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProjectActivity'
+  }],
+  // Reached once all of its tasks are done, or when marked as reached
+  status: {
+    type: String,
+    enum: ['open', 'reached'],
+    default: 'open'
+  },
+  reachedAt: Date,
+  // When the target date passed with the milestone still open. Cleared when
+  // it is rescheduled.
+  slippedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProjectMilestoneSchema.index({ project: 1, targetDate: 1 });
+ProjectMilestoneSchema.index({ status: 1, slippedAt: 1, targetDate: 1 });
+
+// Past its target date without being reached
+ProjectMilestoneSchema.methods.isOverdue = function(now = new Date()) {
+  return this.status === 'open' && this.targetDate < now;
+};
+
+module.exports = mongoose.model('ProjectMilestone', ProjectMilestoneSchema);
\ No newline at end of file
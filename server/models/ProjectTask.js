@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { TASK_PRIORITIES } = require('../utils/tasks');
+
+const ProjectTaskSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a task title'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Description cannot be more than 5000 characters'],
+    default: ''
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  labels: {
+    type: [String],
+    default: []
+  },
+  dueDate: Date,
+  priority: {
+    type: String,
+    enum: TASK_PRIORITIES,
+    default: 'medium'
+  },
+  // The milestone this task counts towards, if any
+  milestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ProjectMilestone'
+  },
+  // One of the project's taskColumns
+  column: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Ordering key within the column, lowest first. Moving a task only
+  // rewrites its own key unless the column needs renumbering.
+  position: {
+    type: Number,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set while the task sits in a done column
+  completedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProjectTaskSchema.index({ project: 1, column: 1, position: 1 });
+ProjectTaskSchema.index({ assignee: 1, completedAt: 1 });
+ProjectTaskSchema.index({ milestone: 1 });
+
+module.exports = mongoose.model('ProjectTask', ProjectTaskSchema);
\ No newline at end of file
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One recorded request for the MongoDB rate limit store (utils/rateLimiter.js).
+// Hits are counted per key over a sliding window and expire on their own.
+const RateLimitHitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RateLimitHitSchema.index({ key: 1, createdAt: 1 });
+// Let MongoDB clean up hits once they fall out of their window
+RateLimitHitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitHit', RateLimitHitSchema);
\ No newline at end of file
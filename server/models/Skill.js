@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// An entry in the skill catalog. `name` is the canonical spelling stored on
+// users, projects and communities; `key` and `synonyms` are match keys (see
+// utils/skills.js) so "React", "react.js" and "ReactJS" all resolve to one
+// skill. `usageCount` is how many users, projects and communities list it.
+// `learned` entries were typed in by users rather than seeded; they match
+// like any other entry but are only suggested once enough people use them.
+const SkillSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  synonyms: {
+    type: [String],
+    default: []
+  },
+  category: {
+    type: String,
+    default: 'Other'
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  learned: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SkillSchema.index({ synonyms: 1 });
+SkillSchema.index({ usageCount: -1, name: 1 });
+SkillSchema.index({ category: 1, usageCount: -1 });
+
+module.exports = mongoose.model('Skill', SkillSchema);
\ No newline at end of file
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { generateToken, hashToken, normalizeRecoveryCode } = require('../utils/tokens');
+const { verifyTOTP } = require('../utils/totp');
+const { PLATFORM_ROLES } = require('../utils/permissions');
+const { PROFILE_AUDIENCES, FIELD_AUDIENCES, MESSAGE_AUDIENCES } = require('../utils/privacy');
 
 const UserSchema = new mongoose.Schema({
   name: {
@@ -20,6 +24,23 @@ const UserSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  role: {
+    type: String,
+    enum: PLATFORM_ROLES,
+    default: 'user'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
@@ -38,20 +59,201 @@ const UserSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // "Available now". Set by hand when there is no schedule, otherwise derived
+  // from availabilitySchedule by utils/availability.js
   availability: {
     type: Boolean,
     default: true
   },
+  // Weekly availability in the user's own time zone, see utils/availability.js
+  availabilitySchedule: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    timeZone: {
+      type: String,
+      default: 'UTC'
+    },
+    // day: 0 (Sunday) to 6, start/end: local HH:MM
+    weeklySlots: [{
+      _id: false,
+      day: { type: Number, min: 0, max: 6, required: true },
+      start: { type: String, required: true },
+      end: { type: String, required: true }
+    }],
+    // Replace the weekly slots on a local date; no slots means unavailable
+    overrides: [{
+      _id: false,
+      date: { type: String, required: true },
+      slots: [{
+        _id: false,
+        start: { type: String, required: true },
+        end: { type: String, required: true }
+      }]
+    }],
+    // Inclusive local date ranges
+    vacations: [{
+      _id: false,
+      start: { type: String, required: true },
+      end: { type: String, required: true },
+      note: { type: String, default: '' }
+    }],
+    updatedAt: {
+      type: Date
+    }
+  },
   avatar: {
     type: String,
     default: ''
   },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during enrollment, promoted once the first code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Brute-force lockout state, see registerFailedLogin()
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  // Social graph counters, kept in step by controllers/relationships.js
+  followerCount: {
+    type: Number,
+    default: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0
+  },
+  connectionCount: {
+    type: Number,
+    default: 0
+  },
+  // Opt-in mentor profile. Rating stats are maintained by MentorReview.
+  mentorProfile: {
+    isActive: {
+      type: Boolean,
+      default: false
+    },
+    headline: {
+      type: String,
+      trim: true,
+      maxlength: [120, 'Headline cannot be more than 120 characters'],
+      default: ''
+    },
+    expertise: {
+      type: [String],
+      default: []
+    },
+    since: {
+      type: Date
+    },
+    ratingAverage: {
+      type: Number,
+      default: 0
+    },
+    ratingCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Who can see the profile and message the user, enforced by utils/privacy.js
+  privacy: {
+    profileVisibility: {
+      type: String,
+      enum: PROFILE_AUDIENCES,
+      default: 'everyone'
+    },
+    locationVisibility: {
+      type: String,
+      enum: FIELD_AUDIENCES,
+      default: 'everyone'
+    },
+    emailVisibility: {
+      type: String,
+      enum: FIELD_AUDIENCES,
+      default: 'only_me'
+    },
+    messagesFrom: {
+      type: String,
+      enum: MESSAGE_AUDIENCES,
+      default: 'everyone'
+    }
+  },
+  // Account deletion workflow, see utils/accountDeletion.js
+  deletionRequestedAt: {
+    type: Date
+  },
+  deletionScheduledFor: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Accounts waiting for their deletion grace period to end
+UserSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+// User directory: text search, skill/location filters and keyset sorting
+UserSchema.index(
+  { name: 'text', bio: 'text', skills: 'text' },
+  { name: 'user_directory_text', weights: { name: 10, skills: 5, bio: 1 } }
+);
+UserSchema.index({ skills: 1 });
+UserSchema.index({ availability: 1, name: 1, _id: 1 });
+UserSchema.index({ name: 1, _id: 1 });
+UserSchema.index({ createdAt: -1, _id: -1 });
+
+// Derived availability refresh only walks users with a schedule
+UserSchema.index({ 'availabilitySchedule.enabled': 1 }, { partialFilterExpression: { 'availabilitySchedule.enabled': true } });
+
+// Mentor directory: expertise filter and keyset sorting
+UserSchema.index({ 'mentorProfile.expertise': 1 });
+UserSchema.index({ 'mentorProfile.isActive': 1, 'mentorProfile.ratingAverage': -1, _id: -1 });
+UserSchema.index({ 'mentorProfile.isActive': 1, 'mentorProfile.ratingCount': -1, _id: -1 });
+UserSchema.index({ 'mentorProfile.isActive': 1, 'mentorProfile.since': -1, _id: -1 });
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -63,12 +265,12 @@ UserSchema.pre('save', async function(next) {
   next();
 });
 
-// Sign JWT token
-UserSchema.methods.getSignedToken = function() {
+// Sign a short-lived access token bound to a device session
+UserSchema.methods.getSignedToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
@@ -77,4 +279,92 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a single-use password reset token (only the hash is stored)
+UserSchema.methods.createPasswordResetToken = function() {
+  const resetToken = generateToken(32);
+  const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = Date.now() + minutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Check a TOTP code or one-time recovery code.
+// Needs +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep selected;
+// marks the code as used, so the caller must save the user afterwards.
+UserSchema.methods.verifySecondFactor = function({ code, recoveryCode }) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyTOTP(this.twoFactorSecret, code);
+    if (step === null || (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep)) {
+      return false;
+    }
+    this.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = (this.twoFactorRecoveryCodes || []).indexOf(codeHash);
+    if (index === -1) {
+      return false;
+    }
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Generate an email verification token (only the hash is stored)
+UserSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = generateToken(32);
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = Date.now() + hours * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+// Lockout helpers need +failedLoginAttempts +lockoutCount +lockUntil selected
+UserSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed login. After LOGIN_MAX_FAILURES failures the account is
+// locked; each consecutive lockout lasts twice as long as the previous one.
+UserSchema.methods.registerFailedLogin = async function() {
+  const maxFailures = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+  const maxMinutes = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+
+  if (this.failedLoginAttempts >= maxFailures) {
+    this.lockoutCount = (this.lockoutCount || 0) + 1;
+    const minutes = Math.min(baseMinutes * 2 ** (this.lockoutCount - 1), maxMinutes);
+    this.lockUntil = Date.now() + minutes * 60 * 1000;
+    this.failedLoginAttempts = 0;
+  }
+
+  await this.save({ validateBeforeSave: false });
+};
+
+// Clear lockout state after a successful login or password reset
+UserSchema.methods.resetLoginFailures = async function() {
+  if (!this.failedLoginAttempts && !this.lockoutCount && !this.lockUntil) {
+    return;
+  }
+
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
+  await this.save({ validateBeforeSave: false });
+};
+
 module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
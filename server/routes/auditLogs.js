@@ -0,0 +1,12 @@
+const express = require('express');
+const { getAuditLogs } = require('../controllers/auditLogs');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Admins only
+router.use(protect, authorize('audit:read'));
+
+router.get('/', getAuditLogs);
+
+module.exports = router;
\ No newline at end of file
@@ -1,12 +1,70 @@
 const express = require('express');
-const { register, login, getMe } = require('../controllers/auth');
+const {
+  register,
+  login,
+  getMe,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin
+} = require('../controllers/auth');
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactor');
+const {
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken
+} = require('../controllers/accessTokens');
 const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Brute-force protection for public endpoints: per IP, plus per account email
+const authLimit = rateLimit('auth');
+const accountLimit = rateLimit('login_account', { keyBy: 'email' });
+
 // Routes
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', authLimit, rateLimit('register'), register);
+router.post('/login', authLimit, accountLimit, login);
+router.post('/refresh', refreshToken);
+router.post('/logout', protect, logout);
 router.get('/me', protect, getMe);
 
+router.post('/forgot-password', authLimit, accountLimit, forgotPassword);
+router.post('/reset-password', authLimit, resetPassword);
+router.put('/change-password', protect, changePassword);
+
+router.post('/verify-email', authLimit, verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+
+// Two-factor authentication
+router.post('/2fa/verify', authLimit, verifyTwoFactorLogin);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
+
+router.route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession);
+
+// Personal access tokens
+router.route('/tokens')
+  .get(protect, getAccessTokens)
+  .post(protect, createAccessToken);
+router.delete('/tokens/:id', protect, revokeAccessToken);
+
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
-const { protect } = require('../../middleware/auth');
+const { protect, authorize } = require('../../middleware/auth');
 const activitiesController = require('../../controllers/collaborate/activities');
 
 // @route   GET /api/collaborate/activities
@@ -37,6 +37,6 @@ router.post('/',
 // @route   DELETE /api/collaborate/activities/:activityId
 // @desc    Delete a project activity
 // @access  Private
-router.delete('/:activityId', protect, activitiesController.deleteActivity);
+router.delete('/:activityId', protect, authorize('activity:delete', { param: 'activityId' }), activitiesController.deleteActivity);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
-const { protect } = require('../../middleware/auth');
+const { protect, authorize } = require('../../middleware/auth');
 const sessionsController = require('../../controllers/collaborate/sessions');
 
 // @route   GET /api/collaborate/sessions
@@ -24,6 +24,7 @@ router.get('/:sessionId', protect, sessionsController.getSessionById);
 // @access  Private
 router.post('/', 
   protect,
+  authorize('project:create_session', { getId: req => req.body.projectId, optional: true }),
   [
     check('title', 'Title is required').not().isEmpty(),
     check('description', 'Description is required').not().isEmpty(),
@@ -44,9 +45,10 @@ router.put('/:sessionId/leave', protect, sessionsController.leaveSession);
 
 // @route   PUT /api/collaborate/sessions/:sessionId/status
 // @desc    Update session status (host only)
-// @access  Private
+// @access  Private (session:update_status)
 router.put('/:sessionId/status',
   protect,
+  authorize('session:update_status', { param: 'sessionId' }),
   [
     check('status', 'Status must be scheduled, live, or ended').isIn(['scheduled', 'live', 'ended'])
   ],
@@ -55,9 +57,10 @@ router.put('/:sessionId/status',
 
 // @route   PUT /api/collaborate/sessions/:sessionId/code
 // @desc    Update the code snippet for a session
-// @access  Private
+// @access  Private (session:update_code)
 router.put('/:sessionId/code',
   protect,
+  authorize('session:update_code', { param: 'sessionId' }),
   [
     check('codeSnippet', 'Code snippet is required').not().isEmpty()
   ],
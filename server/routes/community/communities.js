@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
-const { protect } = require('../../middleware/auth');
+const { protect, requireVerifiedEmail, authorize } = require('../../middleware/auth');
 const communitiesController = require('../../controllers/community/communities');
 
 // @route   GET /api/communities
@@ -24,6 +24,7 @@ router.get('/:id', communitiesController.getCommunityById);
 // @access  Private
 router.post('/', [
   protect, 
+  requireVerifiedEmail('create_community'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('description', 'Description is required').not().isEmpty()
@@ -32,9 +33,10 @@ router.post('/', [
 
 // @route   PUT /api/communities/:id
 // @desc    Update a community
-// @access  Private (owner only)
+// @access  Private (community:update)
 router.put('/:id', [
   protect,
+  authorize('community:update'),
   [
     check('name', 'Name is required if provided').optional(),
     check('description', 'Description is required if provided').optional()
@@ -43,8 +45,8 @@ router.put('/:id', [
 
 // @route   DELETE /api/communities/:id
 // @desc    Delete a community
-// @access  Private (owner only)
-router.delete('/:id', protect, communitiesController.deleteCommunity);
+// @access  Private (community:delete)
+router.delete('/:id', protect, authorize('community:delete'), communitiesController.deleteCommunity);
 
 // @route   PUT /api/communities/:id/join
 // @desc    Join a community
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { check } = require('express-validator');
-const { protect } = require('../../middleware/auth');
+const { protect, authorize } = require('../../middleware/auth');
 const eventsController = require('../../controllers/community/events');
 
 // @route   GET /api/events
@@ -41,9 +41,10 @@ router.post('/', [
 
 // @route   PUT /api/events/:id
 // @desc    Update an event
-// @access  Private (creator only)
+// @access  Private (event:update)
 router.put('/:id', [
   protect,
+  authorize('event:update'),
   [
     check('title', 'Title is required if provided').optional(),
     check('description', 'Description is required if provided').optional(),
@@ -55,8 +56,8 @@ router.put('/:id', [
 
 // @route   DELETE /api/events/:id
 // @desc    Delete an event
-// @access  Private (creator only)
-router.delete('/:id', protect, eventsController.deleteEvent);
+// @access  Private (event:delete)
+router.delete('/:id', protect, authorize('event:delete'), eventsController.deleteEvent);
 
 // @route   PUT /api/events/:id/rsvp
 // @desc    RSVP to an event (attend/unattend)
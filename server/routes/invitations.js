@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  previewInviteLink,
+  acceptInviteLink
+} = require('../controllers/projectInvitations');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Invitations sent to the current user
+router.get('/', getMyInvitations);
+router.post('/:invitationId/accept', acceptInvitation);
+router.post('/:invitationId/decline', declineInvitation);
+
+// Shareable invite links
+router.get('/link/:token', previewInviteLink);
+router.post('/link/:token/accept', acceptInviteLink);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+const express = require('express');
+const { uploadMedia, getMyMedia, deleteMedia } = require('../controllers/media');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { uploadImage } = require('../middleware/upload');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.route('/')
+  .get(getMyMedia)
+  .post(rateLimit('uploads', { keyBy: 'user' }), uploadImage('file'), uploadMedia);
+router.delete('/:id', deleteMedia);
+
+module.exports = router;
\ No newline at end of file
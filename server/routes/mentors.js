@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getMentors,
+  getMentor,
+  getMentorReviews,
+  updateMentorProfile,
+  createReview,
+  deleteReview
+} = require('../controllers/mentors');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+router.get('/', getMentors);
+router.put('/me', updateMentorProfile);
+router.get('/:id', getMentor);
+router.route('/:id/reviews')
+  .get(getMentorReviews)
+  .post(createReview)
+  .delete(deleteReview);
+
+module.exports = router;
\ No newline at end of file
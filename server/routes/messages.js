@@ -4,7 +4,8 @@ const {
   getMessages, 
   sendMessage 
 } = require('../controllers/messages');
-const { protect } = require('../middleware/auth');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
@@ -17,6 +18,6 @@ router.get('/conversations', getConversations);
 // Get and send messages between current user and another user
 router.route('/:userId')
   .get(getMessages)
-  .post(sendMessage);
+  .post(requireVerifiedEmail('direct_messages'), rateLimit('messages', { keyBy: 'user' }), sendMessage);
 
 module.exports = router;
\ No newline at end of file
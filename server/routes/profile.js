@@ -4,8 +4,12 @@ const {
   getCurrentProfile, 
   updateProfile, 
   getDashboard, 
-  getUserStats 
+  getUserStats,
+  getPrivacySettings,
+  updatePrivacySettings
 } = require('../controllers/profile');
+const { exportData, requestDeletion, cancelDeletion } = require('../controllers/account');
+const { getMyAvailability, updateAvailability } = require('../controllers/availability');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -25,4 +29,22 @@ router.get('/dashboard', getDashboard);
 // Get user stats
 router.get('/stats', getUserStats);
 
+// Who can see the profile and send messages
+router.route('/privacy')
+  .get(getPrivacySettings)
+  .put(updatePrivacySettings);
+
+// Weekly availability schedule
+router.route('/availability')
+  .get(getMyAvailability)
+  .put(updateAvailability);
+
+// Download a copy of all personal data
+router.get('/export', exportData);
+
+// Schedule or cancel account deletion
+router.route('/deletion')
+  .post(requestDeletion)
+  .delete(cancelDeletion);
+
 module.exports = router;
\ No newline at end of file
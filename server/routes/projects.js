@@ -4,10 +4,37 @@ const {
   getProject,
   createProject,
   updateProject,
-  joinProject,
+  requestToJoin,
+  cancelJoinRequest,
+  getJoinRequests,
+  respondToJoinRequest,
+  updateMemberRole,
+  removeMember,
+  transferOwnership,
   leaveProject
 } = require('../controllers/projects');
-const { protect } = require('../middleware/auth');
+const {
+  inviteUser,
+  createInviteLink,
+  getInvitations,
+  revokeInvitation
+} = require('../controllers/projectInvitations');
+const {
+  getBoard,
+  createTask,
+  updateTask,
+  moveTask,
+  deleteTask,
+  updateColumns
+} = require('../controllers/tasks');
+const {
+  getMilestones,
+  getRoadmap,
+  createMilestone,
+  updateMilestone,
+  deleteMilestone
+} = require('../controllers/milestones');
+const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -21,9 +48,43 @@ router.route('/')
 
 router.route('/:id')
   .get(getProject)
-  .put(updateProject);
+  .put(authorize('project:update'), updateProject);
 
-router.post('/:id/join', joinProject);
+// Membership
+router.route('/:id/join')
+  .post(requestToJoin)
+  .delete(cancelJoinRequest);
 router.delete('/:id/leave', leaveProject);
+router.get('/:id/requests', authorize('project:manage_members'), getJoinRequests);
+router.put('/:id/requests/:requestId', authorize('project:manage_members'), respondToJoinRequest);
+router.route('/:id/members/:userId')
+  .put(authorize('project:manage_members'), updateMemberRole)
+  .delete(authorize('project:manage_members'), removeMember);
+router.put('/:id/owner', authorize('project:transfer_ownership'), transferOwnership);
+
+// Invitations
+router.route('/:id/invitations')
+  .get(authorize('project:manage_members'), getInvitations)
+  .post(authorize('project:manage_members'), inviteUser);
+router.post('/:id/invite-links', authorize('project:manage_members'), createInviteLink);
+router.delete('/:id/invitations/:invitationId', authorize('project:manage_members'), revokeInvitation);
+
+// Task board
+router.get('/:id/board', authorize('project:view_tasks'), getBoard);
+router.put('/:id/columns', authorize('project:update'), updateColumns);
+router.post('/:id/tasks', authorize('project:contribute'), createTask);
+router.route('/:id/tasks/:taskId')
+  .put(authorize('project:contribute'), updateTask)
+  .delete(authorize('project:contribute'), deleteTask);
+router.put('/:id/tasks/:taskId/move', authorize('project:contribute'), moveTask);
+
+// Milestones and roadmap
+router.get('/:id/roadmap', authorize('project:view_tasks'), getRoadmap);
+router.route('/:id/milestones')
+  .get(authorize('project:view_tasks'), getMilestones)
+  .post(authorize('project:update'), createMilestone);
+router.route('/:id/milestones/:milestoneId')
+  .put(authorize('project:update'), updateMilestone)
+  .delete(authorize('project:update'), deleteMilestone);
 
 module.exports = router;
\ No newline at end of file
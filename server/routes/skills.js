@@ -0,0 +1,10 @@
+const express = require('express');
+const { searchSkills, getCategories } = require('../controllers/skills');
+
+const router = express.Router();
+
+// Public so the sign up screen can suggest skills
+router.get('/', searchSkills);
+router.get('/categories', getCategories);
+
+module.exports = router;
\ No newline at end of file
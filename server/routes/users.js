@@ -1,6 +1,31 @@
 const express = require('express');
-const { getUsers, getUser, updateUser } = require('../controllers/users');
-const { protect } = require('../middleware/auth');
+const { getUsers, getRecommendations, getUser, updateUser, updateUserRole } = require('../controllers/users');
+const {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getConnections,
+  getConnectionRequests,
+  getUserRelationship,
+  requestConnection,
+  acceptConnection,
+  removeConnection,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  muteUser,
+  unmuteUser,
+  getMutedUsers
+} = require('../controllers/relationships');
+const { getUserAvailability, getMutualAvailability } = require('../controllers/availability');
+const {
+  getEndorsements,
+  getTopSkills,
+  endorseSkill,
+  withdrawEndorsement
+} = require('../controllers/endorsements');
+const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -9,7 +34,44 @@ router.use(protect);
 
 // Routes
 router.get('/', getUsers);
+router.get('/recommendations', getRecommendations);
+router.get('/connection-requests', getConnectionRequests);
+router.get('/blocked', getBlockedUsers);
+router.get('/muted', getMutedUsers);
 router.get('/:id', getUser);
 router.put('/:id', updateUser);
+router.put('/:id/role', authorize('users:manage_roles'), updateUserRole);
+
+// Social graph
+router.route('/:id/follow')
+  .post(followUser)
+  .delete(unfollowUser);
+router.get('/:id/followers', getFollowers);
+router.get('/:id/following', getFollowing);
+router.get('/:id/connections', getConnections);
+router.get('/:id/relationship', getUserRelationship);
+router.route('/:id/connection')
+  .post(requestConnection)
+  .put(acceptConnection)
+  .delete(removeConnection);
+
+// Availability, for scheduling sessions and mentoring
+router.get('/:id/availability', getUserAvailability);
+router.get('/:id/availability/mutual', getMutualAvailability);
+
+// Skill endorsements
+router.route('/:id/endorsements')
+  .get(getEndorsements)
+  .post(endorseSkill);
+router.get('/:id/endorsements/top', getTopSkills);
+router.delete('/:id/endorsements/:skill', withdrawEndorsement);
+
+// Blocking and muting
+router.route('/:id/block')
+  .post(blockUser)
+  .delete(unblockUser);
+router.route('/:id/mute')
+  .post(muteUser)
+  .delete(unmuteUser);
 
 module.exports = router;
\ No newline at end of file
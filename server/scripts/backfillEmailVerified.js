@@ -0,0 +1,32 @@
+// One-off migration: mark accounts created before email verification existed
+// as verified. Mongoose fills in the `emailVerified: false` default when it
+// loads them, which would otherwise lock these users out of the actions
+// reserved for verified accounts. Only documents without the field are
+// touched, so new unverified sign-ups stay unverified. Safe to run again.
+//
+//   npm run migrate:email-verified
+
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const User = require('../models/User');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  const result = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Email verification migration failed:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
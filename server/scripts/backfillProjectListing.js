@@ -0,0 +1,48 @@
+// One-off migration: fill in the fields the project listing sorts on,
+// `memberCount` and `lastActivityAt`, for projects created before they
+// existed. Safe to run again.
+//
+//   npm run migrate:project-listing
+
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const Project = require('../models/Project');
+const ProjectActivity = require('../models/ProjectActivity');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  const counted = await Project.updateMany({}, [
+    { $set: { memberCount: { $size: { $ifNull: ['$members', []] } } } }
+  ]);
+  console.log(`Counted members on ${counted.modifiedCount} projects`);
+
+  // Latest activity per project, falling back to when the project last changed
+  const latest = await ProjectActivity.aggregate([
+    { $group: { _id: '$project', lastActivityAt: { $max: '$createdAt' } } }
+  ]);
+  const latestByProject = new Map(latest.map(({ _id, lastActivityAt }) => [_id.toString(), lastActivityAt]));
+
+  const projects = Project.find().select('createdAt updatedAt lastActivityAt').lean().cursor();
+  let updated = 0;
+
+  for await (const project of projects) {
+    const lastActivityAt = latestByProject.get(project._id.toString()) ||
+      project.updatedAt || project.createdAt || new Date();
+
+    await Project.updateOne({ _id: project._id }, { lastActivityAt });
+    updated++;
+  }
+
+  console.log(`Set last activity on ${updated} projects`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Project listing migration failed:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
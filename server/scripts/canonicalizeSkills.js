@@ -0,0 +1,80 @@
+// One-off migration: seed the skill catalog, rewrite every user's skills,
+// project's skills, community's tags and endorsement to their catalog names,
+// then recount skill usage. Safe to run again.
+//
+//   npm run migrate:skills
+
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Community = require('../models/Community');
+const Endorsement = require('../models/Endorsement');
+const { seedSkillCatalog, canonicalizeSkills, recountSkillUsage } = require('../utils/skills');
+
+// Rewrite `field` on every document of `Model`; returns how many changed
+const canonicalizeField = async (Model, field, options) => {
+  let changed = 0;
+
+  for await (const doc of Model.find({ [`${field}.0`]: { $exists: true } }).select(field).lean().cursor()) {
+    const canonical = await canonicalizeSkills(doc[field], options);
+    if (JSON.stringify(canonical) === JSON.stringify(doc[field])) continue;
+
+    await Model.updateOne({ _id: doc._id }, { [field]: canonical });
+    changed++;
+  }
+
+  return changed;
+};
+
+// Point endorsements at the renamed skills so they stay attached to them,
+// and rekey the ones stored under an older match key
+const canonicalizeEndorsements = async () => {
+  let changed = 0;
+
+  for await (const endorsement of Endorsement.find().cursor()) {
+    const [skill] = await canonicalizeSkills([endorsement.skill]);
+    if (skill === endorsement.skill && endorsement.skillKey === Endorsement.keyFor(skill)) continue;
+
+    endorsement.skill = skill;
+    try {
+      await endorsement.save();
+    } catch (error) {
+      // The endorser also endorsed the canonical spelling; keep that one
+      if (error.code !== 11000) throw error;
+      await endorsement.deleteOne();
+    }
+    changed++;
+  }
+
+  return changed;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  const merged = await seedSkillCatalog();
+  console.log(`Skill catalog seeded (${merged} learned entries merged into seed skills)`);
+
+  // Community tags aren't all skills, so they don't add catalog entries
+  const users = await canonicalizeField(User, 'skills', { learn: true });
+  const projects = await canonicalizeField(Project, 'skills', { learn: true });
+  const communities = await canonicalizeField(Community, 'tags');
+  const endorsements = await canonicalizeEndorsements();
+
+  console.log(`Updated ${users} users, ${projects} projects, ${communities} communities and ${endorsements} endorsements`);
+
+  const skills = await recountSkillUsage();
+  console.log(`Recounted usage for ${skills} skills`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Skill migration failed:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
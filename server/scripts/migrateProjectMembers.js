@@ -0,0 +1,48 @@
+// One-off migration: turn each project's `creator` and `collaborators` into
+// `members` with roles (the creator as owner, collaborators as contributors)
+// and drop the old `collaborators` array. Safe to run again.
+//
+//   npm run migrate:project-members
+
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const Project = require('../models/Project');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  // `collaborators` is no longer in the schema, so read the raw documents
+  const projects = Project.collection.find({ collaborators: { $exists: true } });
+  let migrated = 0;
+
+  for await (const project of projects) {
+    const joinedAt = project.createdAt || new Date();
+    const members = [{ user: project.creator, role: 'owner', joinedAt }];
+
+    for (const userId of project.collaborators || []) {
+      if (members.some(member => member.user.equals(userId))) continue;
+      members.push({ user: userId, role: 'contributor', joinedAt });
+    }
+
+    await Project.collection.updateOne(
+      { _id: project._id },
+      {
+        $set: { members, updatedAt: project.updatedAt || joinedAt },
+        $unset: { collaborators: '' }
+      }
+    );
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} projects`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Project member migration failed:', error.message);
+  process.exit(1);
+});
\ No newline at end of file
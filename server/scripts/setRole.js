@@ -0,0 +1,45 @@
+// Set a user's platform role from the command line.
+// Used to bootstrap the first admin, since PUT /api/users/:id/role
+// already requires an admin.
+//
+//   npm run set-role -- <email> <user|moderator|admin>
+
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const User = require('../models/User');
+const { PLATFORM_ROLES } = require('../utils/permissions');
+
+const [email, role] = process.argv.slice(2);
+
+if (!email || !PLATFORM_ROLES.includes(role)) {
+  console.error(`Usage: npm run set-role -- <email> <${PLATFORM_ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true, runValidators: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.email} is now ${user.role}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Failed to set role:', error.message);
+  process.exit(1);
+});
@@ -4,8 +4,17 @@ const socketIo = require('socket.io');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const jwt = require('jsonwebtoken');
 const os = require('os');
+const { canPerformUnverified } = require('./middleware/auth');
+const { rateLimit, socketRateLimit } = require('./middleware/rateLimit');
+const { authenticateSocket, joinRoom, inRoom } = require('./middleware/socketAuth');
+const { startDeletionSweeper } = require('./utils/accountDeletion');
+const { mountMediaRoutes } = require('./utils/storage');
+const { startAvailabilitySweeper } = require('./utils/availability');
+const { startMilestoneSweeper } = require('./utils/milestones');
+const { seedSkillCatalog } = require('./utils/skills');
+const { canMessage } = require('./utils/privacy');
+const { isBlockedEither, getHiddenAudienceIds } = require('./utils/relationships');
 
 // Load environment variables
 dotenv.config();
@@ -13,6 +22,7 @@ dotenv.config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const mentorRoutes = require('./routes/mentors');
 const projectRoutes = require('./routes/projects');
 const messageRoutes = require('./routes/messages');
 const profileRoutes = require('./routes/profile');
@@ -20,6 +30,10 @@ const communityRoutes = require('./routes/community/communities');
 const eventRoutes = require('./routes/community/events');
 const activitiesRoutes = require('./routes/collaborate/activities');
 const sessionsRoutes = require('./routes/collaborate/sessions');
+const auditLogRoutes = require('./routes/auditLogs');
+const mediaRoutes = require('./routes/media');
+const skillRoutes = require('./routes/skills');
+const invitationRoutes = require('./routes/invitations');
 
 // Initialize app
 const app = express();
@@ -79,10 +93,20 @@ app.get('/health', (req, res) => {
   res.status(200).json(healthData);
 });
 
+// Uploaded images (served from here when stored on local disk)
+mountMediaRoutes(app);
+
 // Routes with version prefix
 const API_PREFIX = '/api';
+
+// Cap writes per IP across the whole API (stricter limits live on the routes)
+app.use(API_PREFIX, rateLimit('write', {
+  skip: req => ['GET', 'HEAD', 'OPTIONS'].includes(req.method)
+}));
+
 app.use(`${API_PREFIX}/auth`, authRoutes);
 app.use(`${API_PREFIX}/users`, userRoutes);
+app.use(`${API_PREFIX}/mentors`, mentorRoutes);
 app.use(`${API_PREFIX}/projects`, projectRoutes);
 app.use(`${API_PREFIX}/messages`, messageRoutes);
 app.use(`${API_PREFIX}/profile`, profileRoutes);
@@ -90,6 +114,10 @@ app.use(`${API_PREFIX}/communities`, communityRoutes);
 app.use(`${API_PREFIX}/events`, eventRoutes);
 app.use(`${API_PREFIX}/collaborate/activities`, activitiesRoutes);
 app.use(`${API_PREFIX}/collaborate/sessions`, sessionsRoutes);
+app.use(`${API_PREFIX}/admin/audit-logs`, auditLogRoutes);
+app.use(`${API_PREFIX}/media`, mediaRoutes);
+app.use(`${API_PREFIX}/skills`, skillRoutes);
+app.use(`${API_PREFIX}/invitations`, invitationRoutes);
 
 // 404 handler
 app.use((req, res, next) => {
@@ -126,60 +154,57 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Every socket must present a valid access token in the handshake
+io.use(authenticateSocket);
+
+// Call a client acknowledgement callback if one was passed
+const acknowledge = (ack, response) => {
+  if (typeof ack === 'function') {
+    ack(response);
+  }
+};
+
 // Socket.IO connection handler with enhanced error handling
 io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
+  console.log('New client connected:', socket.id, 'user:', socket.data.userId);
   
   // Handle socket connection errors
   socket.on('error', (error) => {
     console.error('Socket error for client', socket.id, ':', error);
   });
+
+  // Throttle chatty events per user
+  socket.use(socketRateLimit(socket, ['direct_message', 'code_update', 'community_message']));
   
-  // Authenticate socket connection and join user's personal room
-  socket.on('authenticate', async (token) => {
-    try {
-      if (!token) {
-        throw new Error('No token provided for socket authentication');
-      }
-      
-      // Verify the token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const userId = decoded.id;
-      
-      // Join user's personal room for direct messages
-      socket.join(`user:${userId}`);
-      console.log(`User ${userId} authenticated and joined personal room`);
-      
-      // Store user ID in socket data
-      socket.data.userId = userId;
-      
-      // Send acknowledgment back to client
-      socket.emit('authentication_success', { userId });
-    } catch (error) {
-      console.error('Socket authentication error:', error);
-      socket.emit('authentication_error', { message: 'Authentication failed' });
-    }
+  // Handle joining a project room (project members only)
+  socket.on('join_project', async (projectId, ack) => {
+    acknowledge(ack, await joinRoom(socket, 'project', projectId));
   });
-  
-  // Handle joining a project room
-  socket.on('join_project', (projectId) => {
-    socket.join(`project:${projectId}`);
-    console.log(`User joined project: ${projectId}`);
+
+  socket.on('leave_project', (projectId, ack) => {
+    socket.leave(`project:${projectId}`);
+    acknowledge(ack, { success: true });
   });
   
-  // Handle joining a community room
-  socket.on('join_community', (communityId) => {
-    socket.join(`community:${communityId}`);
-    console.log(`User joined community room: ${communityId}`);
+  // Handle joining a community room (owner and members only)
+  socket.on('join_community', async (communityId, ack) => {
+    acknowledge(ack, await joinRoom(socket, 'community', communityId));
+  });
+
+  socket.on('leave_community', (communityId, ack) => {
+    socket.leave(`community:${communityId}`);
+    acknowledge(ack, { success: true });
   });
   
   // Handle real-time collaboration messages
   socket.on('collaboration_update', (data) => {
+    if (!inRoom(socket, 'project', data.projectId)) return;
     socket.to(`project:${data.projectId}`).emit('collaboration_update', data);
   });
   
   // Handle project chat messages
   socket.on('chat_message', (data) => {
+    if (!inRoom(socket, 'project', data.projectId)) return;
     io.to(`project:${data.projectId}`).emit('chat_message', {
       ...data,
       timestamp: new Date()
@@ -191,12 +216,34 @@ io.on('connection', (socket) => {
     const { recipientId, text } = data;
     const senderId = socket.data.userId;
     
-    if (!senderId) {
-      console.log('User not authenticated for sending direct messages');
-      return;
-    }
-    
     try {
+      const sender = await mongoose.model('User').findById(senderId).select('emailVerified');
+      if (!canPerformUnverified(sender, 'direct_messages')) {
+        socket.emit('message_error', { error: 'Please verify your email address to send messages' });
+        return;
+      }
+      
+      const recipient = mongoose.isValidObjectId(recipientId) && recipientId !== senderId
+        ? await mongoose.model('User').findOne({ _id: recipientId, deletedAt: null }).select('name privacy')
+        : null;
+      if (!recipient) {
+        socket.emit('message_error', { error: 'Recipient not found' });
+        return;
+      }
+      
+      // Nobody can message across a block, in either direction
+      if (await isBlockedEither(senderId, recipient._id)) {
+        socket.emit('message_error', { error: 'You cannot message this user' });
+        return;
+      }
+      
+      // Respect the recipient's "who can message me" setting
+      const permission = await canMessage(senderId, recipient);
+      if (!permission.allowed) {
+        socket.emit('message_error', { error: permission.message });
+        return;
+      }
+      
       // Create a message in the database
       const Message = mongoose.model('Message');
       const newMessage = await Message.create({
@@ -223,16 +270,28 @@ io.on('connection', (socket) => {
   });
   
   // Handle community chat messages
-  socket.on('community_message', (data) => {
-    io.to(`community:${data.communityId}`).emit('community_message', {
-      ...data,
-      timestamp: new Date()
-    });
-    console.log(`Community message sent to ${data.communityId}`);
+  // Members who blocked, were blocked by or muted the sender don't get it
+  socket.on('community_message', async (data) => {
+    if (!inRoom(socket, 'community', data.communityId)) return;
+    
+    try {
+      const hiddenFrom = await getHiddenAudienceIds(socket.data.userId);
+      io.to(`community:${data.communityId}`)
+        .except(hiddenFrom.map(id => `user:${id}`))
+        .emit('community_message', {
+          ...data,
+          timestamp: new Date()
+        });
+      console.log(`Community message sent to ${data.communityId}`);
+    } catch (error) {
+      console.error('Error sending community message:', error.message);
+      socket.emit('message_error', { error: 'Failed to send message' });
+    }
   });
 
   // Handle event updates (RSVPs, changes, etc.)
   socket.on('event_update', (data) => {
+    if (!inRoom(socket, 'community', data.communityId)) return;
     io.to(`community:${data.communityId}`).emit('event_update', {
       ...data,
       timestamp: new Date()
@@ -240,12 +299,12 @@ io.on('connection', (socket) => {
     console.log(`Event update sent to community ${data.communityId}`);
   });
   
-  // Handle message read status updates
+  // Handle message read status updates (recipient only)
   socket.on('mark_read', async (messageId) => {
     try {
       const Message = mongoose.model('Message');
-      const message = await Message.findByIdAndUpdate(
-        messageId, 
+      const message = await Message.findOneAndUpdate(
+        { _id: messageId, recipient: socket.data.userId },
         { read: true },
         { new: true }
       );
@@ -258,16 +317,22 @@ io.on('connection', (socket) => {
     }
   });
 
-  // Handle joining a session room
-  socket.on('join_session', (sessionId) => {
-    socket.join(`session:${sessionId}`);
-    console.log(`User joined live coding session: ${sessionId}`);
+  // Handle joining a session room (host and participants only)
+  socket.on('join_session', async (sessionId, ack) => {
+    acknowledge(ack, await joinRoom(socket, 'session', sessionId));
+  });
+
+  socket.on('leave_session', (sessionId, ack) => {
+    socket.leave(`session:${sessionId}`);
+    acknowledge(ack, { success: true });
   });
   
   // Handle live coding updates
   socket.on('code_update', (data) => {
+    if (!inRoom(socket, 'session', data.sessionId)) return;
     // Broadcast to all users in the session except the sender
     socket.to(`session:${data.sessionId}`).emit('code_update', {
+      sessionId: data.sessionId,
       codeSnippet: data.codeSnippet,
       updatedBy: socket.data.userId,
       timestamp: new Date()
@@ -277,15 +342,10 @@ io.on('connection', (socket) => {
   // Handle session chat messages
   socket.on('session_message', (data) => {
     const { sessionId, message } = data;
-    const userId = socket.data.userId;
-    
-    if (!userId) {
-      console.log('User not authenticated for sending session messages');
-      return;
-    }
+    if (!inRoom(socket, 'session', sessionId)) return;
     
     io.to(`session:${sessionId}`).emit('session_message', {
-      userId,
+      userId: socket.data.userId,
       message,
       timestamp: new Date()
     });
@@ -307,6 +367,10 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  startDeletionSweeper();
+  startAvailabilitySweeper();
+  startMilestoneSweeper(io);
+  seedSkillCatalog().catch(error => console.error('Skill catalog seed failed:', error.message));
   const PORT = process.env.PORT || 50002;
   
   // Listen on all interfaces
@@ -0,0 +1,177 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getFreeIntervals,
+  intersectIntervals,
+  isAvailableAt,
+  formatIntervals,
+  validateSchedule
+} = require('../utils/availability');
+
+const scheduled = (timeZone, schedule) => ({
+  availabilitySchedule: { enabled: true, timeZone, ...schedule }
+});
+
+const freeBetween = (user, from, to) =>
+  formatIntervals(getFreeIntervals(user, new Date(from), new Date(to)));
+
+describe('getFreeIntervals', () => {
+  it('uses the manual flag without a schedule', () => {
+    const from = new Date('2024-05-01T00:00:00Z');
+    const to = new Date('2024-05-02T00:00:00Z');
+    assert.deepEqual(getFreeIntervals({ availability: true }, from, to),
+      [{ start: from.getTime(), end: to.getTime() }]);
+    assert.deepEqual(getFreeIntervals({ availability: false }, from, to), []);
+  });
+
+  it('turns weekly slots into UTC intervals', () => {
+    const user = scheduled('Europe/Berlin', { weeklySlots: [{ day: 3, start: '09:00', end: '12:00' }] });
+    assert.deepEqual(freeBetween(user, '2024-05-01T00:00:00Z', '2024-05-02T00:00:00Z'), [
+      { start: '2024-05-01T07:00:00.000Z', end: '2024-05-01T10:00:00.000Z' }
+    ]);
+  });
+
+  it('clips slots to the requested range', () => {
+    const user = scheduled('UTC', { weeklySlots: [{ day: 3, start: '09:00', end: '12:00' }] });
+    assert.deepEqual(freeBetween(user, '2024-05-01T10:00:00Z', '2024-05-01T11:00:00Z'), [
+      { start: '2024-05-01T10:00:00.000Z', end: '2024-05-01T11:00:00.000Z' }
+    ]);
+  });
+
+  it('merges slots that run into the next day', () => {
+    const user = scheduled('UTC', {
+      weeklySlots: [
+        { day: 3, start: '20:00', end: '24:00' },
+        { day: 4, start: '00:00', end: '02:00' }
+      ]
+    });
+    assert.deepEqual(freeBetween(user, '2024-05-01T00:00:00Z', '2024-05-03T00:00:00Z'), [
+      { start: '2024-05-01T20:00:00.000Z', end: '2024-05-02T02:00:00.000Z' }
+    ]);
+  });
+
+  it('lets overrides and vacations replace weekly slots', () => {
+    const user = scheduled('UTC', {
+      weeklySlots: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, start: '09:00', end: '10:00' })),
+      overrides: [
+        { date: '2024-05-01', slots: [{ start: '14:00', end: '15:00' }] },
+        { date: '2024-05-02', slots: [] }
+      ],
+      vacations: [{ start: '2024-05-04', end: '2024-05-05' }]
+    });
+    assert.deepEqual(freeBetween(user, '2024-05-01T00:00:00Z', '2024-05-06T00:00:00Z'), [
+      { start: '2024-05-01T14:00:00.000Z', end: '2024-05-01T15:00:00.000Z' },
+      { start: '2024-05-03T09:00:00.000Z', end: '2024-05-03T10:00:00.000Z' }
+    ]);
+  });
+
+  describe('across DST changes', () => {
+    it('shortens a slot over the spring forward gap', () => {
+      const user = scheduled('America/New_York', { weeklySlots: [{ day: 0, start: '01:00', end: '04:00' }] });
+      assert.deepEqual(freeBetween(user, '2024-03-10T00:00:00Z', '2024-03-11T00:00:00Z'), [
+        { start: '2024-03-10T06:00:00.000Z', end: '2024-03-10T08:00:00.000Z' }
+      ]);
+    });
+
+    it('starts a slot inside the gap just after it', () => {
+      const user = scheduled('America/New_York', { weeklySlots: [{ day: 0, start: '02:30', end: '04:00' }] });
+      assert.deepEqual(freeBetween(user, '2024-03-10T00:00:00Z', '2024-03-11T00:00:00Z'), [
+        { start: '2024-03-10T07:30:00.000Z', end: '2024-03-10T08:00:00.000Z' }
+      ]);
+    });
+
+    it('lengthens a slot over the fall back hour', () => {
+      const user = scheduled('America/New_York', { weeklySlots: [{ day: 0, start: '01:00', end: '04:00' }] });
+      assert.deepEqual(freeBetween(user, '2024-11-03T00:00:00Z', '2024-11-04T00:00:00Z'), [
+        { start: '2024-11-03T05:00:00.000Z', end: '2024-11-03T09:00:00.000Z' }
+      ]);
+    });
+
+    it('makes the changeover day 23 and 25 hours long', () => {
+      const user = scheduled('America/New_York', { weeklySlots: [{ day: 0, start: '00:00', end: '24:00' }] });
+      assert.deepEqual(freeBetween(user, '2024-03-09T00:00:00Z', '2024-03-12T00:00:00Z'), [
+        { start: '2024-03-10T05:00:00.000Z', end: '2024-03-11T04:00:00.000Z' }
+      ]);
+      assert.deepEqual(freeBetween(user, '2024-11-02T00:00:00Z', '2024-11-05T00:00:00Z'), [
+        { start: '2024-11-03T04:00:00.000Z', end: '2024-11-04T05:00:00.000Z' }
+      ]);
+    });
+
+    it('handles zones ahead of UTC', () => {
+      const user = scheduled('Europe/Berlin', { weeklySlots: [{ day: 0, start: '02:30', end: '04:00' }] });
+      assert.deepEqual(freeBetween(user, '2024-03-30T00:00:00Z', '2024-04-01T00:00:00Z'), [
+        { start: '2024-03-31T01:30:00.000Z', end: '2024-03-31T02:00:00.000Z' }
+      ]);
+    });
+  });
+});
+
+describe('intersectIntervals', () => {
+  const interval = (start, end) => ({ start, end });
+
+  it('keeps only the overlapping parts', () => {
+    assert.deepEqual(
+      intersectIntervals([interval(0, 10), interval(20, 30)], [interval(5, 25)]),
+      [interval(5, 10), interval(20, 25)]
+    );
+  });
+
+  it('drops intervals that only touch', () => {
+    assert.deepEqual(intersectIntervals([interval(0, 10)], [interval(10, 20)]), []);
+  });
+
+  it('returns nothing when either side is empty', () => {
+    assert.deepEqual(intersectIntervals([], [interval(0, 10)]), []);
+    assert.deepEqual(intersectIntervals([interval(0, 10)], []), []);
+  });
+
+  it('handles one interval covering several', () => {
+    assert.deepEqual(
+      intersectIntervals([interval(0, 100)], [interval(10, 20), interval(30, 40), interval(90, 120)]),
+      [interval(10, 20), interval(30, 40), interval(90, 100)]
+    );
+  });
+});
+
+describe('isAvailableAt', () => {
+  const user = scheduled('America/New_York', { weeklySlots: [{ day: 0, start: '01:00', end: '02:00' }] });
+
+  it('reads the slot in local time', () => {
+    assert.equal(isAvailableAt(user, new Date('2024-11-03T05:30:00Z')), true);
+    assert.equal(isAvailableAt(user, new Date('2024-11-03T04:30:00Z')), false);
+  });
+
+  it('counts both passes through the repeated hour', () => {
+    assert.equal(isAvailableAt(user, new Date('2024-11-03T06:30:00Z')), true);
+  });
+});
+
+describe('validateSchedule', () => {
+  it('rejects unknown time zones', () => {
+    assert.ok(validateSchedule({ timeZone: 'Mars/Olympus' }).error);
+  });
+
+  it('rejects slots that end before they start', () => {
+    assert.ok(validateSchedule({ weeklySlots: [{ day: 1, start: '10:00', end: '09:00' }] }).error);
+  });
+
+  it('rejects impossible dates', () => {
+    assert.ok(validateSchedule({ overrides: [{ date: '2024-02-30', slots: [] }] }).error);
+  });
+
+  it('sorts slots and keeps the last override per date', () => {
+    const { changes } = validateSchedule({
+      weeklySlots: [{ day: 2, start: '09:00', end: '10:00' }, { day: 1, start: '13:00', end: '14:00' }],
+      overrides: [
+        { date: '2024-05-02', slots: [] },
+        { date: '2024-05-01', slots: [] },
+        { date: '2024-05-02', slots: [{ start: '08:00', end: '09:00' }] }
+      ]
+    });
+    assert.deepEqual(changes.weeklySlots.map(slot => slot.day), [1, 2]);
+    assert.deepEqual(changes.overrides, [
+      { date: '2024-05-01', slots: [] },
+      { date: '2024-05-02', slots: [{ start: '08:00', end: '09:00' }] }
+    ]);
+  });
+});
\ No newline at end of file
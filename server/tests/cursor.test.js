@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+
+describe('cursor encoding', () => {
+  it('round trips the last item of a page', () => {
+    const data = { value: '2024-05-01T10:00:00.000Z', id: '663200000000000000000001' };
+    assert.deepEqual(decodeCursor(encodeCursor(data)), data);
+  });
+
+  it('produces URL safe cursors', () => {
+    assert.match(encodeCursor({ value: '??>>', id: '~~~' }), /^[A-Za-z0-9_-]+$/);
+  });
+
+  it('returns null for missing or malformed cursors', () => {
+    assert.equal(decodeCursor(undefined), null);
+    assert.equal(decodeCursor(''), null);
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(Buffer.from('{"value":').toString('base64url')), null);
+  });
+});
+
+describe('afterCursor', () => {
+  it('continues after the pair when sorting descending', () => {
+    assert.deepEqual(afterCursor('createdAt', -1, { value: 5, id: 'b' }), {
+      $or: [
+        { createdAt: { $lt: 5 } },
+        { createdAt: 5, _id: { $lt: 'b' } }
+      ]
+    });
+  });
+
+  it('continues after the pair when sorting ascending', () => {
+    assert.deepEqual(afterCursor('name', 1, { value: 'ann', id: 'b' }), {
+      $or: [
+        { name: { $gt: 'ann' } },
+        { name: 'ann', _id: { $gt: 'b' } }
+      ]
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCOPES, getRequiredScope, hasScope } = require('../utils/scopes');
+
+const request = (method, baseUrl, path = '/') => ({ method, baseUrl, path });
+
+describe('getRequiredScope', () => {
+  it('needs read scopes for GET and HEAD', () => {
+    assert.equal(getRequiredScope(request('GET', '/api/projects')), 'read:projects');
+    assert.equal(getRequiredScope(request('HEAD', '/api/messages', '/abc')), 'read:messages');
+  });
+
+  it('needs write scopes for everything else', () => {
+    for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+      assert.equal(getRequiredScope(request(method, '/api/communities')), 'write:communities');
+    }
+  });
+
+  it('tells nested collaborate areas apart', () => {
+    assert.equal(getRequiredScope(request('GET', '/api/collaborate/sessions')), 'read:sessions');
+    assert.equal(getRequiredScope(request('GET', '/api/collaborate/activities')), 'read:activities');
+  });
+
+  it('returns null for areas tokens may not use', () => {
+    assert.equal(getRequiredScope(request('GET', '/api/auth', '/me')), null);
+    assert.equal(getRequiredScope(request('GET', '/api/access-tokens')), null);
+  });
+
+  it('keeps the data export and account deletion login-only', () => {
+    assert.equal(getRequiredScope(request('GET', '/api/profile', '/export')), null);
+    assert.equal(getRequiredScope(request('GET', '/api/profile', '/export/')), null);
+    assert.equal(getRequiredScope(request('POST', '/api/profile', '/deletion')), null);
+    assert.equal(getRequiredScope(request('DELETE', '/api/profile', '/deletion')), null);
+    assert.equal(getRequiredScope(request('GET', '/api/profile', '/me')), 'read:profile');
+  });
+});
+
+describe('hasScope', () => {
+  it('accepts the exact scope', () => {
+    assert.equal(hasScope(['read:projects'], 'read:projects'), true);
+  });
+
+  it('lets write scopes read', () => {
+    assert.equal(hasScope(['write:projects'], 'read:projects'), true);
+  });
+
+  it("doesn't let read scopes write", () => {
+    assert.equal(hasScope(['read:projects'], 'write:projects'), false);
+  });
+
+  it("doesn't carry over between areas", () => {
+    assert.equal(hasScope(['write:profile'], 'read:messages'), false);
+  });
+
+  it('refuses requests that need a login', () => {
+    assert.equal(hasScope(SCOPES, null), false);
+  });
+});
+
+describe('SCOPES', () => {
+  it('has a read and a write scope per area', () => {
+    const reads = SCOPES.filter(scope => scope.startsWith('read:'));
+    const writes = SCOPES.filter(scope => scope.startsWith('write:'));
+    assert.equal(reads.length, writes.length);
+    assert.deepEqual(reads.map(scope => scope.slice(5)), writes.map(scope => scope.slice(6)));
+  });
+});
\ No newline at end of file
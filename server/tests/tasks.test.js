@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { positionAt, normalizeLabels, MAX_LABELS } = require('../utils/tasks');
+
+describe('positionAt', () => {
+  it('starts an empty column at one step', () => {
+    assert.equal(positionAt([], 0), 1024);
+  });
+
+  it('goes one step past the ends of the column', () => {
+    assert.equal(positionAt([1024, 2048], 0), 0);
+    assert.equal(positionAt([1024, 2048], 2), 3072);
+  });
+
+  it('goes halfway between two neighbours', () => {
+    assert.equal(positionAt([1024, 2048, 4096], 1), 1536);
+    assert.equal(positionAt([1024, 2048, 4096], 2), 3072);
+  });
+
+  it('keeps fitting keys in after repeated moves to the same spot', () => {
+    const positions = [0, 1024];
+    for (let i = 0; i < 40; i++) {
+      const position = positionAt(positions, 1);
+      assert.ok(position > positions[0] && position < positions[1]);
+      positions.splice(1, 0, position);
+      positions.shift();
+    }
+  });
+
+  it('returns null when nothing fits between the neighbours', () => {
+    assert.equal(positionAt([1, 1 + Number.EPSILON], 1), null);
+    assert.equal(positionAt([512, 512], 1), null);
+  });
+});
+
+describe('normalizeLabels', () => {
+  it('splits comma separated strings', () => {
+    assert.deepEqual(normalizeLabels('bug, ui ,,docs'), ['bug', 'ui', 'docs']);
+  });
+
+  it('drops duplicates regardless of case', () => {
+    assert.deepEqual(normalizeLabels(['Bug', 'bug', 'BUG', 'ui']), ['Bug', 'ui']);
+  });
+
+  it('caps the length and number of labels', () => {
+    assert.equal(normalizeLabels(['x'.repeat(50)])[0].length, 30);
+    const many = Array.from({ length: 20 }, (_, i) => `label ${i}`);
+    assert.equal(normalizeLabels(many).length, MAX_LABELS);
+  });
+
+  it('treats missing labels as none', () => {
+    assert.deepEqual(normalizeLabels(undefined), []);
+    assert.deepEqual(normalizeLabels(null), []);
+  });
+});
\ No newline at end of file
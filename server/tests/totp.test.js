@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSecret, generateTOTP, verifyTOTP, getTimeStep, buildOtpAuthUri } = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 rows. The RFC lists 8 digit codes; ours are the
+// last 6 digits of the same values. The secret is ASCII "12345678901234567890".
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('generateTOTP', () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`matches the RFC 6238 vector at T=${seconds}`, () => {
+      assert.equal(generateTOTP(RFC_SECRET, seconds * 1000), code);
+    });
+  }
+
+  it('accepts lowercase and padded secrets', () => {
+    assert.equal(generateTOTP(`${RFC_SECRET.toLowerCase()}====`, 59 * 1000), '287082');
+  });
+});
+
+describe('verifyTOTP', () => {
+  const time = 1111111111 * 1000;
+
+  it('returns the matching time step', () => {
+    assert.equal(verifyTOTP(RFC_SECRET, '050471', 1, time), getTimeStep(time));
+  });
+
+  it('allows one step of clock drift either way by default', () => {
+    const previous = generateTOTP(RFC_SECRET, time - 30 * 1000);
+    const next = generateTOTP(RFC_SECRET, time + 30 * 1000);
+    assert.equal(verifyTOTP(RFC_SECRET, previous, 1, time), getTimeStep(time) - 1);
+    assert.equal(verifyTOTP(RFC_SECRET, next, 1, time), getTimeStep(time) + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    const old = generateTOTP(RFC_SECRET, time - 90 * 1000);
+    assert.equal(verifyTOTP(RFC_SECRET, old, 1, time), null);
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    assert.equal(verifyTOTP(RFC_SECRET, '050 471', 1, time), getTimeStep(time));
+    assert.equal(verifyTOTP(RFC_SECRET, '05047', 1, time), null);
+    assert.equal(verifyTOTP(RFC_SECRET, 'abcdef', 1, time), null);
+    assert.equal(verifyTOTP(RFC_SECRET, undefined, 1, time), null);
+  });
+});
+
+describe('generateSecret', () => {
+  it('returns 160 bits of base32 that codes can be made from', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.match(generateTOTP(secret), /^\d{6}$/);
+  });
+});
+
+describe('buildOtpAuthUri', () => {
+  it('labels the account with the issuer', () => {
+    const uri = buildOtpAuthUri(RFC_SECRET, 'ada@example.com');
+    const [path, query] = uri.split('?');
+    assert.equal(decodeURIComponent(path), 'otpauth://totp/MetaConnect:ada@example.com');
+
+    const params = new URLSearchParams(query);
+    assert.equal(params.get('secret'), RFC_SECRET);
+    assert.equal(params.get('issuer'), 'MetaConnect');
+    assert.equal(params.get('digits'), '6');
+    assert.equal(params.get('period'), '30');
+  });
+});
\ No newline at end of file
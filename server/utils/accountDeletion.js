@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { generateToken } = require('./tokens');
+const { recordAudit } = require('./audit');
+const { removeAllRelationships } = require('./relationships');
+const { removeMedia } = require('./media');
+const { adjustSkillUsage } = require('./skills');
+
+// Deleted accounts are kept as anonymous tombstones so that messages,
+// activities and other authored content stay readable ("Deleted User")
+// without pointing at anyone. Everything personal on the account is wiped and
+// the user is removed from every membership list.
+
+// Days between requesting deletion and it taking effect (ACCOUNT_DELETION_GRACE_DAYS)
+exports.getGracePeriodDays = () => parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Membership arrays that reference users, as [model, field]. Project
+// members are handled separately since they carry roles.
+const MEMBERSHIP_FIELDS = [
+  ['Community', 'members'],
+  ['Event', 'attendees'],
+  ['LiveSession', 'participants']
+];
+
+// Drop the user from every project. Projects they own pass to the longest
+// standing maintainer, or failing that the longest standing member; with no
+// one left the project keeps the tombstone as its owner.
+const leaveProjects = async (userId) => {
+  const Project = mongoose.model('Project');
+
+  const owned = await Project.find({ creator: userId });
+  for (const project of owned) {
+    const others = project.members
+      .filter(member => member.role !== 'owner')
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+    const successor = others.find(member => member.role === 'maintainer') || others[0];
+    if (!successor) continue;
+
+    successor.role = 'owner';
+    project.creator = successor.user;
+    await project.save();
+  }
+
+  await Project.updateMany(
+    { 'members.user': userId, creator: { $ne: userId } },
+    { $pull: { members: { user: userId } }, $inc: { memberCount: -1 } }
+  );
+};
+
+exports.anonymizeUser = async (userId) => {
+  const User = mongoose.model('User');
+
+  for (const [model, field] of MEMBERSHIP_FIELDS) {
+    await mongoose.model(model).updateMany({ [field]: userId }, { $pull: { [field]: userId } });
+  }
+
+  await leaveProjects(userId);
+  await mongoose.model('ProjectTask').updateMany({ assignee: userId }, { $unset: { assignee: 1 } });
+  await mongoose.model('ProjectJoinRequest').deleteMany({ user: userId });
+
+  // Invitations to the user go; links and invitations they sent stop working
+  const ProjectInvitation = mongoose.model('ProjectInvitation');
+  await ProjectInvitation.deleteMany({ invitee: userId });
+  await ProjectInvitation.updateMany(
+    { invitedBy: userId, status: 'pending' },
+    { status: 'revoked', respondedAt: new Date() }
+  );
+
+  // Nobody is left to run sessions this user was hosting
+  await mongoose.model('LiveSession').updateMany(
+    { host: userId, status: { $ne: 'ended' } },
+    { status: 'ended', endedAt: new Date() }
+  );
+
+  await removeAllRelationships(userId);
+
+  // Profile pictures go with the profile; community and event images stay
+  const avatars = await mongoose.model('Media').find({ owner: userId, purpose: 'avatar' });
+  for (const media of avatars) {
+    await removeMedia(media);
+  }
+
+  // Sign the account out everywhere and drop its credentials
+  await mongoose.model('AuthSession').deleteMany({ user: userId });
+  await mongoose.model('AccessToken').deleteMany({ user: userId });
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return;
+  }
+
+  await adjustSkillUsage(user.skills, []);
+
+  user.set({
+    name: 'Deleted User',
+    email: `deleted-${user._id}@deleted.metaconnect.invalid`,
+    password: generateToken(32),
+    role: 'user',
+    bio: '',
+    location: '',
+    skills: [],
+    avatar: '',
+    availability: false,
+    availabilitySchedule: { enabled: false, timeZone: 'UTC', weeklySlots: [], overrides: [], vacations: [] },
+    mentorProfile: { isActive: false, headline: '', expertise: [] },
+    emailVerified: false,
+    emailVerificationToken: undefined,
+    emailVerificationExpires: undefined,
+    passwordResetToken: undefined,
+    passwordResetExpires: undefined,
+    twoFactorEnabled: false,
+    twoFactorSecret: undefined,
+    twoFactorPendingSecret: undefined,
+    twoFactorRecoveryCodes: [],
+    twoFactorLastUsedStep: undefined,
+    deletionRequestedAt: undefined,
+    deletionScheduledFor: undefined,
+    deletedAt: new Date()
+  });
+  await user.save({ validateBeforeSave: false });
+
+  console.log('Account deleted and anonymized:', { userId });
+  await recordAudit(null, 'account.deleted', {
+    actor: user._id,
+    target: { type: 'user', id: user._id }
+  });
+};
+
+// Anonymize every account whose grace period has run out
+exports.processScheduledDeletions = async () => {
+  const User = mongoose.model('User');
+  const due = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null
+  }).select('_id');
+
+  for (const user of due) {
+    try {
+      await exports.anonymizeUser(user._id);
+    } catch (error) {
+      console.error('Failed to delete account:', user._id, error.message);
+    }
+  }
+
+  return due.length;
+};
+
+// Check for due deletions every ACCOUNT_DELETION_SWEEP_MINUTES (default 60)
+exports.startDeletionSweeper = () => {
+  const minutes = parseInt(process.env.ACCOUNT_DELETION_SWEEP_MINUTES) || 60;
+
+  const sweep = () => exports.processScheduledDeletions()
+    .then(count => count && console.log(`Processed ${count} scheduled account deletions`))
+    .catch(error => console.error('Account deletion sweep failed:', error.message));
+
+  sweep();
+  setInterval(sweep, minutes * 60 * 1000).unref();
+};
\ No newline at end of file
@@ -0,0 +1,36 @@
+const AuditLog = require('../models/AuditLog');
+
+// Record an audit log entry. Never throws: a failed write is logged and the
+// request carries on, so auditing can't break the action being audited.
+//
+//   recordAudit(req, 'community.delete', {
+//     target: { type: 'community', id: community._id, label: community.name }
+//   });
+//
+// `actor` defaults to the authenticated user; pass `req` as null outside a request.
+exports.recordAudit = async (req, action, { actor, target, changes, metadata } = {}) => {
+  try {
+    await AuditLog.create({
+      action,
+      actor: actor !== undefined ? actor : (req && req.user ? req.user._id : undefined),
+      target,
+      ipAddress: req ? req.ip : '',
+      userAgent: req ? req.get('user-agent') || '' : '',
+      changes,
+      metadata
+    });
+  } catch (error) {
+    console.error(`Failed to record audit log ${action}:`, error.message);
+  }
+};
+
+// Compare two plain objects on the given fields, as { field: { from, to } }
+exports.diffFields = (before, after, fields) => fields.reduce((changes, field) => {
+  const from = before ? before[field] : undefined;
+  const to = after ? after[field] : undefined;
+
+  if (JSON.stringify(from) !== JSON.stringify(to)) {
+    changes[field] = { from, to };
+  }
+  return changes;
+}, {});
\ No newline at end of file
@@ -0,0 +1,326 @@
+const User = require('../models/User');
+
+// Weekly availability schedules (User.availabilitySchedule).
+//
+// A schedule is kept in the user's own time zone: recurring weekly slots,
+// per-date overrides that replace the weekly slots for that day (an override
+// with no slots means "not available that day") and vacation ranges. Dates
+// are local calendar dates (YYYY-MM-DD), times are local HH:MM with 24:00
+// allowed as the end of the day. Free time is turned into UTC intervals so
+// schedules in different zones can be compared.
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIMITS = {
+  weeklySlots: 50,
+  overrides: 100,
+  slotsPerOverride: 10,
+  vacations: 20
+};
+
+const formatters = new Map();
+
+// Intl formatters are expensive to build, keep one per zone
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+exports.isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidDate = (date) => {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === date;
+};
+
+// Wall clock parts of `date` in `timeZone`
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    utc: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+      Number(parts.hour), Number(parts.minute))
+  };
+};
+
+// The instant a local date and time happens in `timeZone`. Local times that
+// don't exist (skipped by a DST change) resolve to just after the gap.
+const zonedTimeToUtc = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = zonedParts(new Date(guess), timeZone).utc - guess;
+  let result = guess - offset;
+
+  const correctedOffset = zonedParts(new Date(result), timeZone).utc - result;
+  if (correctedOffset !== offset) {
+    const corrected = guess - correctedOffset;
+    // Still off after correcting means the time is in the gap, where the
+    // smaller offset is the one from before the change
+    result = zonedParts(new Date(corrected), timeZone).utc - corrected === correctedOffset
+      ? corrected
+      : guess - Math.min(offset, correctedOffset);
+  }
+  return result;
+};
+
+const addDays = (date, days) =>
+  new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Local slots (minutes from midnight) the schedule has for one date
+const slotsForDate = (schedule, date) => {
+  const onVacation = (schedule.vacations || []).some(vacation =>
+    vacation.start <= date && date <= vacation.end);
+  if (onVacation) return [];
+
+  const override = (schedule.overrides || []).find(entry => entry.date === date);
+  const slots = override
+    ? override.slots
+    : (schedule.weeklySlots || []).filter(slot => slot.day === weekdayOf(date));
+
+  return slots.map(slot => ({ start: toMinutes(slot.start), end: toMinutes(slot.end) }));
+};
+
+// Sort and merge overlapping or touching [start, end) intervals (ms)
+const mergeIntervals = (intervals) => intervals
+  .filter(interval => interval.end > interval.start)
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, interval) => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+    return merged;
+  }, []);
+
+// Whether the user has a schedule, rather than the old manual toggle
+const hasSchedule = (user) =>
+  Boolean(user.availabilitySchedule && user.availabilitySchedule.enabled);
+
+// Whether a user's availability flag is derived, so it can't be set by hand
+exports.followsSchedule = async (userId) =>
+  Boolean(await User.exists({ _id: userId, 'availabilitySchedule.enabled': true }));
+
+// UTC intervals between `from` and `to` when the user is free. Without a
+// schedule, the manual availability flag means free for the whole range.
+exports.getFreeIntervals = (user, from, to) => {
+  const start = from.getTime();
+  const end = to.getTime();
+
+  if (!hasSchedule(user)) {
+    return user.availability ? [{ start, end }] : [];
+  }
+
+  const schedule = user.availabilitySchedule;
+  const timeZone = schedule.timeZone || 'UTC';
+
+  // Local dates can start up to a day either side of the UTC range
+  const lastDate = addDays(zonedParts(to, timeZone).date, 1);
+  const intervals = [];
+
+  for (let date = addDays(zonedParts(from, timeZone).date, -1); date <= lastDate; date = addDays(date, 1)) {
+    slotsForDate(schedule, date).forEach(slot => {
+      intervals.push({
+        start: Math.max(zonedTimeToUtc(date, slot.start, timeZone), start),
+        end: Math.min(zonedTimeToUtc(date, slot.end, timeZone), end)
+      });
+    });
+  }
+
+  return mergeIntervals(intervals);
+};
+
+// Intervals present in both sorted, merged lists
+exports.intersectIntervals = (first, second) => {
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < first.length && j < second.length) {
+    const start = Math.max(first[i].start, second[j].start);
+    const end = Math.min(first[i].end, second[j].end);
+    if (end > start) {
+      result.push({ start, end });
+    }
+    if (first[i].end < second[j].end) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return result;
+};
+
+exports.isAvailableAt = (user, date = new Date()) => {
+  if (!hasSchedule(user)) {
+    return Boolean(user.availability);
+  }
+  const { timeZone = 'UTC' } = user.availabilitySchedule;
+  const local = zonedParts(date, timeZone);
+  return slotsForDate(user.availabilitySchedule, local.date)
+    .some(slot => slot.start <= local.minutes && local.minutes < slot.end);
+};
+
+// Intervals as ISO strings for API responses
+exports.formatIntervals = (intervals) => intervals.map(({ start, end }) => ({
+  start: new Date(start).toISOString(),
+  end: new Date(end).toISOString()
+}));
+
+const checkSlot = (slot, label) => {
+  if (!slot || !TIME_PATTERN.test(slot.start) || !TIME_PATTERN.test(slot.end)) {
+    return `${label} needs start and end times as HH:MM`;
+  }
+  if (toMinutes(slot.start) >= toMinutes(slot.end)) {
+    return `${label} must end after it starts`;
+  }
+  return null;
+};
+
+// Validate a schedule update. Only the keys present in `input` are
+// replaced. Returns { error } or { changes } ready to be applied.
+exports.validateSchedule = (input) => {
+  const changes = {};
+  const { enabled, timeZone, weeklySlots, overrides, vacations } = input;
+
+  if (enabled !== undefined) {
+    changes.enabled = Boolean(enabled);
+  }
+
+  if (timeZone !== undefined) {
+    if (!exports.isValidTimeZone(timeZone)) {
+      return { error: 'Time zone must be an IANA zone name such as Europe/Berlin' };
+    }
+    changes.timeZone = timeZone;
+  }
+
+  if (weeklySlots !== undefined) {
+    if (!Array.isArray(weeklySlots) || weeklySlots.length > LIMITS.weeklySlots) {
+      return { error: `Weekly slots must be a list of at most ${LIMITS.weeklySlots} slots` };
+    }
+    for (const slot of weeklySlots) {
+      if (!slot || !Number.isInteger(slot.day) || slot.day < 0 || slot.day > 6) {
+        return { error: 'Each weekly slot needs a day from 0 (Sunday) to 6 (Saturday)' };
+      }
+      const error = checkSlot(slot, 'Each weekly slot');
+      if (error) return { error };
+    }
+    changes.weeklySlots = weeklySlots
+      .map(({ day, start, end }) => ({ day, start, end }))
+      .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start));
+  }
+
+  if (overrides !== undefined) {
+    if (!Array.isArray(overrides) || overrides.length > LIMITS.overrides) {
+      return { error: `Overrides must be a list of at most ${LIMITS.overrides} dates` };
+    }
+    const byDate = new Map();
+    for (const override of overrides) {
+      if (!override || !isValidDate(override.date)) {
+        return { error: 'Each override needs a date as YYYY-MM-DD' };
+      }
+      const slots = override.slots || [];
+      if (!Array.isArray(slots) || slots.length > LIMITS.slotsPerOverride) {
+        return { error: `An override can have at most ${LIMITS.slotsPerOverride} slots` };
+      }
+      for (const slot of slots) {
+        const error = checkSlot(slot, `The slot on ${override.date}`);
+        if (error) return { error };
+      }
+      byDate.set(override.date, slots.map(({ start, end }) => ({ start, end })));
+    }
+    changes.overrides = [...byDate.entries()]
+      .map(([date, slots]) => ({ date, slots }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  if (vacations !== undefined) {
+    if (!Array.isArray(vacations) || vacations.length > LIMITS.vacations) {
+      return { error: `Vacations must be a list of at most ${LIMITS.vacations} ranges` };
+    }
+    for (const vacation of vacations) {
+      if (!vacation || !isValidDate(vacation.start) || !isValidDate(vacation.end)) {
+        return { error: 'Each vacation needs start and end dates as YYYY-MM-DD' };
+      }
+      if (vacation.start > vacation.end) {
+        return { error: 'A vacation must end on or after the day it starts' };
+      }
+    }
+    changes.vacations = vacations
+      .map(({ start, end, note }) => ({ start, end, note: note ? String(note).slice(0, 100) : '' }))
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  return { changes };
+};
+
+// Bring the derived `availability` flag of every scheduled user up to date.
+// Resolves to the number of users whose flag changed.
+exports.refreshAvailability = async (now = new Date()) => {
+  const users = User.find({ 'availabilitySchedule.enabled': true, deletedAt: null })
+    .select('availability availabilitySchedule')
+    .cursor();
+
+  const updates = [];
+  for await (const user of users) {
+    const available = exports.isAvailableAt(user, now);
+    if (available !== user.availability) {
+      updates.push({ updateOne: { filter: { _id: user._id }, update: { availability: available } } });
+    }
+  }
+
+  if (updates.length > 0) {
+    await User.bulkWrite(updates);
+  }
+  return updates.length;
+};
+
+// Refresh derived availability every AVAILABILITY_REFRESH_MINUTES (default 15)
+exports.startAvailabilitySweeper = () => {
+  const minutes = parseInt(process.env.AVAILABILITY_REFRESH_MINUTES) || 15;
+
+  const sweep = () => exports.refreshAvailability()
+    .then(count => count && console.log(`Updated availability for ${count} users`))
+    .catch(error => console.error('Availability refresh failed:', error.message));
+
+  sweep();
+  setInterval(sweep, minutes * 60 * 1000).unref();
+};
\ No newline at end of file
@@ -0,0 +1,31 @@
+// Opaque cursors for keyset pagination.
+//
+// A cursor records the sort value and _id of the last item on a page. The next
+// page continues strictly after that pair, so results stay stable while new
+// documents are added (unlike skip/limit).
+
+exports.encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+// Returns null for a missing or malformed cursor
+exports.decodeCursor = (cursor) => {
+  if (!cursor) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query condition for documents after `{ value, id }` when sorting by
+// `field` (direction 1 or -1) with _id as the tie breaker
+exports.afterCursor = (field, direction, { value, id }) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+
+// Transports receive a normalized message ({ from, to, subject, text, html })
+// and deliver it. Select one with MAIL_TRANSPORT; register real providers
+// (SMTP, SES, ...) at startup with registerTransport().
+const transports = {
+  // Print mail to the server log - default for local development
+  console: async (message) => {
+    console.log('\n--- Outgoing email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('--- End of email ---\n');
+  },
+
+  // Write each mail as a JSON file in MAIL_FILE_DIR so tests/tools can read it
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    console.log(`Email to ${message.to} written to ${path.join(dir, fileName)}`);
+  }
+};
+
+exports.registerTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = send;
+};
+
+exports.sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || 'MetaConnect <no-reply@metaconnect.app>',
+    to,
+    subject,
+    text,
+    html: html || text
+  });
+};
+
+// Build a link that opens the mobile app (or CLIENT_URL when set) on a given screen
+exports.buildClientLink = (screen, params = {}) => {
+  const base = process.env.CLIENT_URL || 'metaclient://';
+  const query = new URLSearchParams(params).toString();
+  return `${base.replace(/\/?$/, '/')}${screen}${query ? `?${query}` : ''}`;
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { getStorage, getPublicUrl, keyFromPublicUrl } = require('./storage');
+
+// Image uploads. Every upload is decoded, re-encoded as WebP and resized into
+// the variants its purpose needs; the original bytes are never stored, which
+// also drops EXIF data such as GPS location.
+
+// Variants per purpose. `fit: cover` crops to exactly width x height,
+// `fit: inside` keeps the aspect ratio within the box. `default` names the
+// variant whose URL is stored on the owning document.
+const MEDIA_PURPOSES = {
+  avatar: {
+    default: 'medium',
+    variants: {
+      thumb: { width: 64, height: 64, fit: 'cover' },
+      medium: { width: 256, height: 256, fit: 'cover' },
+      large: { width: 512, height: 512, fit: 'cover' }
+    }
+  },
+  community: {
+    default: 'medium',
+    variants: {
+      thumb: { width: 160, height: 160, fit: 'cover' },
+      medium: { width: 640, height: 640, fit: 'inside' },
+      large: { width: 1280, height: 1280, fit: 'inside' }
+    }
+  },
+  event: {
+    default: 'medium',
+    variants: {
+      thumb: { width: 160, height: 160, fit: 'cover' },
+      medium: { width: 640, height: 640, fit: 'inside' },
+      large: { width: 1280, height: 1280, fit: 'inside' }
+    }
+  }
+};
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Formats sharp must detect in the file itself; the client's MIME type is only a hint
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+// Refuse images that would decode to more pixels than this (decompression bombs)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+exports.MEDIA_PURPOSES = MEDIA_PURPOSES;
+exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
+
+// Largest accepted upload (MEDIA_MAX_UPLOAD_MB, default 5)
+exports.getMaxUploadBytes = () => (parseFloat(process.env.MEDIA_MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+class MediaError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'MediaError';
+    this.statusCode = statusCode;
+  }
+}
+
+exports.MediaError = MediaError;
+
+// Resize an uploaded file into its variants, store them and record the Media
+exports.storeUpload = async (req, file, purpose) => {
+  const config = MEDIA_PURPOSES[purpose];
+  if (!config) {
+    throw new MediaError(`Purpose must be one of: ${Object.keys(MEDIA_PURPOSES).join(', ')}`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new MediaError('The file is not a readable image');
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new MediaError('Only JPEG, PNG, WebP and GIF images can be uploaded');
+  }
+
+  const storage = getStorage();
+  const id = new mongoose.Types.ObjectId();
+  const folder = `${purpose}/${id}-${crypto.randomBytes(4).toString('hex')}`;
+  const variants = [];
+
+  try {
+    for (const [name, size] of Object.entries(config.variants)) {
+      const { data, info } = await sharp(file.buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width: size.width, height: size.height, fit: size.fit, withoutEnlargement: size.fit === 'inside' })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+
+      const key = `${folder}/${name}.webp`;
+      await storage.save(key, data, 'image/webp');
+      variants.push({ name, key, url: getPublicUrl(key), width: info.width, height: info.height, size: info.size });
+    }
+
+    return await mongoose.model('Media').create({
+      _id: id,
+      owner: req.user._id,
+      purpose,
+      originalName: file.originalname || '',
+      mimeType: file.mimetype,
+      size: file.size,
+      url: variants.find(variant => variant.name === config.default).url,
+      variants
+    });
+  } catch (error) {
+    // Don't leave files behind for an upload that never got recorded
+    await Promise.all(variants.map(variant => storage.remove(variant.key).catch(() => {})));
+    throw error;
+  }
+};
+
+// Delete a Media record and its stored files
+exports.removeMedia = async (media) => {
+  const storage = getStorage();
+  await Promise.all(media.variants.map(variant => storage.remove(variant.key)));
+  await media.deleteOne();
+};
+
+// Whether `url` points at an image the user uploaded for `purpose`. Image
+// fields only accept the user's own uploads, not arbitrary URLs: the URL has
+// to sit under the configured media base and name one of their stored keys.
+exports.isOwnMediaUrl = async (userId, url, purpose) => {
+  const key = keyFromPublicUrl(url);
+  if (!key) return false;
+  return Boolean(await mongoose.model('Media').exists({ owner: userId, purpose, 'variants.key': key }));
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Milestone progress, reached/slipped transitions and the sweeper that
+// notices slipped milestones. Models are looked up lazily, as in utils/tasks.js.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Record a milestone change on the project's activity feed and push it to
+// the project room
+const logMilestoneActivity = async (io, projectId, userId, milestone, details, metadata = {}) => {
+  const activity = await mongoose.model('ProjectActivity').create({
+    project: projectId,
+    user: userId,
+    actionType: 'milestone',
+    details,
+    metadata: { milestone: milestone._id, title: milestone.title, ...metadata }
+  });
+
+  if (io) {
+    await activity.populate('user', 'name avatar');
+    io.to(`project:${projectId}`).emit('project_activity', activity);
+  }
+  return activity;
+};
+
+exports.logMilestoneActivity = logMilestoneActivity;
+
+// Task counts per milestone, as a Map of milestone id to { total, done }
+exports.countMilestoneTasks = async (milestoneIds) => {
+  const counts = await mongoose.model('ProjectTask').aggregate([
+    { $match: { milestone: { $in: milestoneIds } } },
+    {
+      $group: {
+        _id: '$milestone',
+        total: { $sum: 1 },
+        done: { $sum: { $cond: [{ $ifNull: ['$completedAt', false] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(counts.map(({ _id, total, done }) => [_id.toString(), { total, done }]));
+};
+
+// A milestone as the API returns it, with its progress and schedule
+exports.describeMilestone = (milestone, counts, now = new Date()) => {
+  const { total, done } = counts.get(milestone._id.toString()) || { total: 0, done: 0 };
+  let progress = total > 0 ? Math.round((done / total) * 100) : 0;
+  if (milestone.status === 'reached') {
+    progress = 100;
+  }
+
+  return {
+    ...milestone.toJSON(),
+    taskCount: total,
+    completedTasks: done,
+    progress,
+    overdue: milestone.isOverdue(now),
+    // Negative once the target date has passed
+    daysRemaining: Math.ceil((milestone.targetDate - now) / DAY)
+  };
+};
+
+// Mark a milestone reached once all of its tasks are done, and reopen one
+// that was reached that way if tasks are added or reopened. Milestones
+// without tasks only change by hand. `userId` is who made the change.
+exports.refreshMilestone = async (io, milestoneId, userId) => {
+  if (!milestoneId) return null;
+
+  const milestone = await mongoose.model('ProjectMilestone').findById(milestoneId);
+  if (!milestone) return null;
+
+  const counts = await exports.countMilestoneTasks([milestone._id]);
+  const { total, done } = counts.get(milestone._id.toString()) || { total: 0, done: 0 };
+  if (total === 0) return milestone;
+
+  if (milestone.status === 'open' && done === total) {
+    milestone.status = 'reached';
+    milestone.reachedAt = Date.now();
+    await milestone.save();
+    await logMilestoneActivity(io, milestone.project, userId, milestone, `Reached milestone "${milestone.title}"`, {
+      onTime: milestone.reachedAt <= milestone.targetDate
+    });
+  } else if (milestone.status === 'reached' && done < total) {
+    milestone.status = 'open';
+    milestone.reachedAt = undefined;
+    await milestone.save();
+    await logMilestoneActivity(io, milestone.project, userId, milestone, `Reopened milestone "${milestone.title}"`);
+  }
+
+  return milestone;
+};
+
+// Log every open milestone whose target date has passed since the last
+// sweep. The entry is attributed to the project owner. Resolves to the
+// number of milestones that slipped.
+exports.markSlippedMilestones = async (io, now = new Date()) => {
+  const ProjectMilestone = mongoose.model('ProjectMilestone');
+  const slipped = await ProjectMilestone.find({ status: 'open', slippedAt: null, targetDate: { $lt: now } })
+    .populate('project', 'creator');
+
+  for (const milestone of slipped) {
+    // Claim it first so overlapping sweeps don't log it twice
+    const claimed = await ProjectMilestone.updateOne(
+      { _id: milestone._id, slippedAt: null },
+      { slippedAt: now }
+    );
+    if (claimed.modifiedCount === 0 || !milestone.project) continue;
+
+    await logMilestoneActivity(io, milestone.project._id, milestone.project.creator, milestone,
+      `Milestone "${milestone.title}" slipped past its target date`,
+      { targetDate: milestone.targetDate, automatic: true });
+  }
+
+  return slipped.length;
+};
+
+// Check for slipped milestones every MILESTONE_SWEEP_MINUTES (default 60)
+exports.startMilestoneSweeper = (io) => {
+  const minutes = parseInt(process.env.MILESTONE_SWEEP_MINUTES) || 60;
+
+  const sweep = () => exports.markSlippedMilestones(io)
+    .then(count => count && console.log(`Marked ${count} milestones as slipped`))
+    .catch(error => console.error('Milestone sweep failed:', error.message));
+
+  sweep();
+  setInterval(sweep, minutes * 60 * 1000).unref();
+};
\ No newline at end of file
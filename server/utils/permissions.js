@@ -0,0 +1,121 @@
+// Central permission table.
+//
+// A permission is granted when the user either has one of the listed platform
+// roles (User.role) or holds one of the listed roles on the resource itself
+// (e.g. the owner of a community). Platform admins hold every permission.
+
+const PLATFORM_ROLES = ['user', 'moderator', 'admin'];
+
+// Roles a member can hold on a project, most privileged first
+const PROJECT_ROLES = ['owner', 'maintainer', 'contributor', 'viewer'];
+
+const PERMISSIONS = {
+  // Projects
+  'project:update': { resource: 'project', roles: ['owner', 'maintainer'], platform: [] },
+  'project:contribute': { resource: 'project', roles: ['owner', 'maintainer', 'contributor'], platform: [] },
+  'project:create_session': { resource: 'project', roles: ['owner', 'maintainer', 'contributor'], platform: [] },
+  'project:manage_members': { resource: 'project', roles: ['owner', 'maintainer'], platform: [] },
+  'project:transfer_ownership': { resource: 'project', roles: ['owner'], platform: [] },
+  'project:view_tasks': { resource: 'project', roles: PROJECT_ROLES, platform: [] },
+
+  // Communities and their events
+  'community:update': { resource: 'community', roles: ['owner'], platform: ['moderator'] },
+  'community:delete': { resource: 'community', roles: ['owner'], platform: ['moderator'] },
+  'event:update': { resource: 'event', roles: ['organizer'], platform: ['moderator'] },
+  'event:delete': { resource: 'event', roles: ['organizer'], platform: ['moderator'] },
+
+  // Live sessions
+  'session:update_status': { resource: 'session', roles: ['host'], platform: ['moderator'] },
+  'session:update_code': { resource: 'session', roles: ['participant'], platform: [] },
+
+  // Project activity feed
+  'activity:delete': { resource: 'activity', roles: ['author', 'project_owner'], platform: ['moderator'] },
+
+  // Platform administration
+  'users:manage_roles': { platform: [] },
+  'audit:read': { platform: [] }
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+const sameId = (a, b) => Boolean(a) && Boolean(b) && idOf(a).toString() === idOf(b).toString();
+const includesId = (list, id) => (list || []).some(item => sameId(item, id));
+
+// Roles a user holds on a specific resource document
+const RESOURCE_ROLES = {
+  project: (project, userId) => {
+    const member = (project.members || []).find(m => sameId(m.user, userId));
+    return member ? [member.role] : [];
+  },
+  community: (community, userId) => {
+    const roles = [];
+    if (sameId(community.owner, userId)) roles.push('owner');
+    if (includesId(community.members, userId)) roles.push('member');
+    return roles;
+  },
+  event: (event, userId) => (sameId(event.creator, userId) ? ['organizer'] : []),
+  session: (session, userId) => {
+    const roles = [];
+    if (sameId(session.host, userId)) roles.push('host');
+    if (includesId(session.participants, userId)) roles.push('participant');
+    return roles;
+  },
+  // Expects `project` to be populated with at least `creator`
+  activity: (activity, userId) => {
+    const roles = [];
+    if (sameId(activity.user, userId)) roles.push('author');
+    if (activity.project && sameId(activity.project.creator, userId)) roles.push('project_owner');
+    return roles;
+  }
+};
+
+exports.PLATFORM_ROLES = PLATFORM_ROLES;
+exports.PROJECT_ROLES = PROJECT_ROLES;
+exports.PERMISSIONS = PERMISSIONS;
+
+exports.getResourceRoles = (type, resource, userId) => {
+  const resolver = RESOURCE_ROLES[type];
+  return resolver && resource ? resolver(resource, userId) : [];
+};
+
+// The role `user` acts with on a project; platform admins act as owners
+exports.projectRoleOf = (user, project) => {
+  if (user.role === 'admin') return 'owner';
+  const [role] = exports.getResourceRoles('project', project, user._id || user.id);
+  return role || null;
+};
+
+// Owners manage every other member; maintainers manage contributors and
+// viewers. Ownership itself only moves by transfer.
+exports.canManageProjectRole = (actorRole, targetRole) => {
+  if (!PROJECT_ROLES.includes(targetRole) || targetRole === 'owner') return false;
+  if (actorRole === 'owner') return true;
+  return actorRole === 'maintainer' && PROJECT_ROLES.indexOf(targetRole) > PROJECT_ROLES.indexOf('maintainer');
+};
+
+// Roles `actorRole` may give a member are the ones it manages, so only
+// owners can make maintainers
+exports.canAssignProjectRole = (actorRole, role) => exports.canManageProjectRole(actorRole, role);
+
+// Check whether `user` holds `permission`, optionally on a loaded resource
+exports.hasPermission = (user, permission, resource) => {
+  const definition = PERMISSIONS[permission];
+  if (!definition) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  if (!user) {
+    return false;
+  }
+
+  if (user.role === 'admin' || definition.platform.includes(user.role)) {
+    return true;
+  }
+
+  if (!definition.resource || !resource) {
+    return false;
+  }
+
+  const userId = user._id || user.id;
+  const roles = exports.getResourceRoles(definition.resource, resource, userId);
+  return roles.some(role => definition.roles.includes(role));
+};
@@ -0,0 +1,165 @@
+const Connection = require('../models/Connection');
+const Community = require('../models/Community');
+const Message = require('../models/Message');
+
+// Privacy settings (User.privacy) and the checks that enforce them.
+//
+// An audience says who may see or do something. "connections" means accepted
+// connections; "community_members" also lets in anyone who shares a community
+// with the user. Users always pass their own checks.
+
+const PROFILE_AUDIENCES = ['everyone', 'community_members', 'connections'];
+const FIELD_AUDIENCES = ['everyone', 'community_members', 'connections', 'only_me'];
+const MESSAGE_AUDIENCES = ['everyone', 'community_members', 'connections', 'nobody'];
+
+exports.PROFILE_AUDIENCES = PROFILE_AUDIENCES;
+exports.FIELD_AUDIENCES = FIELD_AUDIENCES;
+exports.MESSAGE_AUDIENCES = MESSAGE_AUDIENCES;
+
+// What a viewer still sees of a profile they are not allowed to open
+const RESTRICTED_PROFILE_FIELDS = ['_id', 'name', 'avatar'];
+
+// What other people see of a profile they may open. Location and email are
+// further limited by their own settings. Account internals (role, 2FA,
+// deletion schedule, ...) and the availability schedule are never included;
+// availability is shared through its own endpoints as free intervals only.
+const PUBLIC_PROFILE_FIELDS = [
+  '_id',
+  'name',
+  'avatar',
+  'bio',
+  'skills',
+  'location',
+  'email',
+  'availability',
+  'followerCount',
+  'followingCount',
+  'connectionCount',
+  'mentorProfile',
+  'createdAt'
+];
+
+const pickFields = (profile, fields) => {
+  const data = {};
+  fields.forEach(field => {
+    if (profile[field] !== undefined) data[field] = profile[field];
+  });
+  return data;
+};
+
+// Documents created before privacy settings existed have no privacy
+// subdocument in the database, so "missing" has to count as the default.
+exports.visibleToEveryone = (path) => ({ [path]: { $in: ['everyone', null] } });
+
+// Filter for profiles that may appear in listings such as the directory
+exports.listedProfileFilter = () => exports.visibleToEveryone('privacy.profileVisibility');
+
+const idString = (id) => (id && id._id ? id._id : id).toString();
+
+// Resolves audiences for one viewer and one owner, looking each relation up
+// at most once however many settings are checked.
+exports.audienceResolver = (viewerId, ownerId) => {
+  const self = Boolean(viewerId) && idString(viewerId) === idString(ownerId);
+  let connected;
+  let sharedCommunity;
+
+  const isConnected = () => {
+    if (!connected) {
+      connected = Connection.exists({
+        pairKey: Connection.pairKeyFor(viewerId, ownerId),
+        status: 'accepted'
+      }).then(Boolean);
+    }
+    return connected;
+  };
+
+  const sharesCommunity = () => {
+    if (!sharedCommunity) {
+      sharedCommunity = Community.exists({ members: { $all: [viewerId, ownerId] } }).then(Boolean);
+    }
+    return sharedCommunity;
+  };
+
+  return async (audience = 'everyone') => {
+    if (self || audience === 'everyone') return true;
+    if (!viewerId) return false;
+
+    switch (audience) {
+      case 'connections':
+        return isConnected();
+      case 'community_members':
+        return (await isConnected()) || sharesCommunity();
+      default:
+        return false;
+    }
+  };
+};
+
+const settingsOf = (user) => user.privacy || {};
+
+// Whether `viewerId` may open `user`'s profile (or anything hanging off it)
+exports.canViewProfile = (viewerId, user) =>
+  exports.audienceResolver(viewerId, user._id)(settingsOf(user).profileVisibility);
+
+// The profile `viewerId` is allowed to see. Returns { restricted, data }:
+// a restricted profile only carries the fields needed to recognise the
+// person and ask to connect.
+exports.viewProfile = async (viewerId, user) => {
+  const profile = typeof user.toObject === 'function' ? user.toObject() : { ...user };
+  const settings = settingsOf(profile);
+  const inAudience = exports.audienceResolver(viewerId, profile._id);
+
+  if (!(await inAudience(settings.profileVisibility))) {
+    return { restricted: true, data: pickFields(profile, RESTRICTED_PROFILE_FIELDS) };
+  }
+
+  // People see their own profile in full
+  if (viewerId && idString(viewerId) === idString(profile._id)) {
+    return { restricted: false, data: profile };
+  }
+
+  const [showLocation, showEmail] = await Promise.all([
+    inAudience(settings.locationVisibility),
+    inAudience(settings.emailVisibility || 'only_me')
+  ]);
+
+  const data = pickFields(profile, PUBLIC_PROFILE_FIELDS);
+  if (!showLocation) delete data.location;
+  if (!showEmail) delete data.email;
+
+  return { restricted: false, data };
+};
+
+// Strip fields from a listing row that are not visible to everyone
+exports.toListedProfile = (user) => {
+  const { privacy, ...profile } = user;
+  if (privacy && privacy.locationVisibility && privacy.locationVisibility !== 'everyone') {
+    delete profile.location;
+  }
+  return profile;
+};
+
+// Whether `senderId` may start or continue a conversation with `recipient`
+// (a user document with its privacy settings). People can always reply to a
+// conversation the recipient started. Returns { allowed, message }.
+exports.canMessage = async (senderId, recipient) => {
+  const audience = settingsOf(recipient).messagesFrom || 'everyone';
+  const inAudience = exports.audienceResolver(senderId, recipient._id);
+
+  if (await inAudience(audience)) {
+    return { allowed: true };
+  }
+
+  const isReply = await Message.exists({ sender: recipient._id, recipient: senderId });
+  if (isReply) {
+    return { allowed: true };
+  }
+
+  const messages = {
+    connections: `${recipient.name} only accepts messages from connections`,
+    community_members: `${recipient.name} only accepts messages from connections and community members`,
+    nobody: `${recipient.name} is not accepting new messages`
+  };
+
+  return { allowed: false, message: messages[audience] };
+};
\ No newline at end of file
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// Sliding-window rate limiting.
+//
+// Every named limit allows `max` hits per key (an IP, an account email, a user
+// id, ...) within the trailing `windowMs`. Limits are defined below and can be
+// overridden per deployment with RATE_LIMIT_<NAME>=<max>/<window>, e.g.
+// RATE_LIMIT_AUTH=50/15m. The store is chosen with RATE_LIMIT_STORE
+// ("memory" by default, or "mongo" to share limits between server instances).
+
+const DEFAULT_LIMITS = {
+  // Public auth endpoints, per IP
+  auth: '30/15m',
+  register: '5/1h',
+  // Login and password reset attempts, per account email
+  login_account: '10/15m',
+  // Any API write (POST/PUT/DELETE), per IP
+  write: '120/1m',
+  // Direct messages over HTTP, per user
+  messages: '30/1m',
+  // Image uploads, per user
+  uploads: '30/1h',
+  // Socket.IO events, per user
+  socket_direct_message: '30/1m',
+  socket_code_update: '600/1m',
+  socket_community_message: '30/1m'
+};
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse "<max>/<window>" where window is e.g. "30s", "15m", "1h"
+const parseLimit = (value) => {
+  const match = /^(\d+)\/(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid rate limit "${value}", expected <max>/<window> like 10/15m`);
+  }
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * UNIT_MS[match[3]] };
+};
+
+const getLimit = (name) => {
+  const configured = process.env[`RATE_LIMIT_${name.toUpperCase()}`] || DEFAULT_LIMITS[name];
+  if (!configured) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+  return parseLimit(configured);
+};
+
+// Stores record hits and answer "is this key still under its limit?".
+// hit() only records allowed hits, so a flood of rejected requests
+// cannot grow the store.
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    // Drop keys whose hits have all expired
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.expiresAt <= now) {
+          this.hits.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async hit(key, { max, windowMs }) {
+    const now = Date.now();
+    const entry = this.hits.get(key) || { timestamps: [], expiresAt: 0 };
+    entry.timestamps = entry.timestamps.filter(time => time > now - windowMs);
+
+    const allowed = entry.timestamps.length < max;
+    if (allowed) {
+      entry.timestamps.push(now);
+      entry.expiresAt = now + windowMs;
+    }
+    this.hits.set(key, entry);
+
+    return {
+      allowed,
+      remaining: Math.max(max - entry.timestamps.length, 0),
+      resetAt: new Date(entry.timestamps[0] + windowMs)
+    };
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+class MongoStore {
+  async hit(key, { max, windowMs }) {
+    const RateLimitHit = mongoose.model('RateLimitHit');
+    const now = Date.now();
+    const windowStart = new Date(now - windowMs);
+
+    const count = await RateLimitHit.countDocuments({ key, createdAt: { $gt: windowStart } });
+    const allowed = count < max;
+    if (allowed) {
+      await RateLimitHit.create({ key, createdAt: new Date(now), expiresAt: new Date(now + windowMs) });
+    }
+
+    const oldest = await RateLimitHit.findOne({ key, createdAt: { $gt: windowStart } })
+      .sort({ createdAt: 1 })
+      .select('createdAt');
+
+    return {
+      allowed,
+      remaining: Math.max(max - count - (allowed ? 1 : 0), 0),
+      resetAt: new Date((oldest ? oldest.createdAt.getTime() : now) + windowMs)
+    };
+  }
+
+  async reset(key) {
+    await mongoose.model('RateLimitHit').deleteMany({ key });
+  }
+}
+
+const storeFactories = {
+  memory: () => new MemoryStore(),
+  mongo: () => {
+    require('../models/RateLimitHit');
+    return new MongoStore();
+  }
+};
+
+let store;
+const getStore = () => {
+  if (!store) {
+    const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+    const factory = storeFactories[storeName];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${storeName}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+exports.MemoryStore = MemoryStore;
+exports.MongoStore = MongoStore;
+exports.getLimit = getLimit;
+
+exports.registerStore = (name, factory) => {
+  if (typeof factory !== 'function') {
+    throw new Error(`Rate limit store "${name}" must be a factory function`);
+  }
+  storeFactories[name] = factory;
+};
+
+// Record a hit for `key` against the named limit.
+// Resolves to { allowed, remaining, resetAt, retryAfter } (retryAfter in seconds).
+exports.consume = async (name, key) => {
+  const limit = getLimit(name);
+  const result = await getStore().hit(`${name}:${key}`, limit);
+  return {
+    ...result,
+    limit: limit.max,
+    retryAfter: Math.max(Math.ceil((result.resetAt.getTime() - Date.now()) / 1000), 1)
+  };
+};
+
+// Clear the hits for `key`, e.g. after a successful login
+exports.reset = async (name, key) => {
+  await getStore().reset(`${name}:${key}`);
+};
\ No newline at end of file
@@ -0,0 +1,154 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Community = require('../models/Community');
+const { listedProfileFilter, toListedProfile } = require('./privacy');
+const { getBlockedIds } = require('./relationships');
+
+// Collaborator recommendations. Candidates are gathered from people who share
+// a skill, have a skill one of the user's projects needs, or already meet the
+// user in a community or project, then scored on those signals. Every signal
+// that contributes to the score also produces a human readable reason.
+
+const WEIGHTS = {
+  sharedSkill: 3,
+  complementarySkill: 4,
+  sharedCommunity: 2,
+  sharedProject: 1,
+  available: 2
+};
+
+// Stop a single signal (e.g. a huge shared community list) drowning the rest
+const MAX_COUNTED = 3;
+
+// Upper bound on candidates pulled from each source before scoring
+const CANDIDATE_POOL = 200;
+
+const CANDIDATE_FIELDS = 'name avatar location skills availability privacy.locationVisibility';
+
+const normalize = (skill) => skill.trim().toLowerCase();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const idsExcept = (ids, excludeId) =>
+  ids.map(id => id.toString()).filter(id => id !== excludeId);
+
+const pluralize = (count, singular, plural = `${singular}s`) =>
+  `${count} ${count === 1 ? singular : plural}`;
+
+const listSkills = (skills) => skills.slice(0, MAX_COUNTED).join(', ');
+
+// Score one candidate against the user's context
+const scoreCandidate = (candidate, context) => {
+  const reasons = [];
+  let score = 0;
+
+  const candidateSkills = candidate.skills || [];
+  const sharedSkills = candidateSkills.filter(skill => context.skills.has(normalize(skill)));
+  const complementarySkills = candidateSkills.filter(skill =>
+    context.neededSkills.has(normalize(skill)) && !context.skills.has(normalize(skill))
+  );
+
+  if (sharedSkills.length > 0) {
+    score += Math.min(sharedSkills.length, MAX_COUNTED) * WEIGHTS.sharedSkill;
+    reasons.push(`Also works with ${listSkills(sharedSkills)}`);
+  }
+
+  if (complementarySkills.length > 0) {
+    score += Math.min(complementarySkills.length, MAX_COUNTED) * WEIGHTS.complementarySkill;
+    reasons.push(`Knows ${listSkills(complementarySkills)}, which your projects need`);
+  }
+
+  const id = candidate._id.toString();
+  const sharedCommunities = context.communityMembers.get(id) || 0;
+  const sharedProjects = context.projectMembers.get(id) || 0;
+
+  if (sharedCommunities > 0) {
+    score += Math.min(sharedCommunities, MAX_COUNTED) * WEIGHTS.sharedCommunity;
+    reasons.push(`In ${pluralize(sharedCommunities, 'community', 'communities')} with you`);
+  }
+
+  if (sharedProjects > 0) {
+    score += Math.min(sharedProjects, MAX_COUNTED) * WEIGHTS.sharedProject;
+    reasons.push(`Worked with you on ${pluralize(sharedProjects, 'project')}`);
+  }
+
+  // Availability only breaks ties between otherwise relevant people
+  if (score > 0 && candidate.availability) {
+    score += WEIGHTS.available;
+    reasons.push('Available for collaboration');
+  }
+
+  return { score, reasons, sharedSkills, complementarySkills };
+};
+
+// Count how many of the user's groups each other member shares
+const countMembers = (groups, field, userId) => {
+  const counts = new Map();
+  groups.forEach(group => {
+    idsExcept(group[field], userId).forEach(id => {
+      counts.set(id, (counts.get(id) || 0) + 1);
+    });
+  });
+  return counts;
+};
+
+exports.recommendCollaborators = async (userId, { limit = 10 } = {}) => {
+  const user = await User.findById(userId).select('skills');
+  if (!user) {
+    return [];
+  }
+
+  const id = user._id.toString();
+
+  const [projects, communities, blockedIds] = await Promise.all([
+    Project.find({ 'members.user': user._id })
+      .select('members skills')
+      .lean(),
+    Community.find({ members: user._id }).select('members').lean(),
+    getBlockedIds(user._id)
+  ]);
+
+  // Count people whatever their role on the project
+  projects.forEach(project => {
+    project.members = project.members.map(member => member.user);
+  });
+
+  const context = {
+    skills: new Set((user.skills || []).map(normalize)),
+    neededSkills: new Set(projects.flatMap(project => project.skills || []).map(normalize)),
+    communityMembers: countMembers(communities, 'members', id),
+    projectMembers: countMembers(projects, 'members', id)
+  };
+
+  const wantedSkills = [...new Set([...context.skills, ...context.neededSkills])];
+  const knownIds = [...new Set([...context.communityMembers.keys(), ...context.projectMembers.keys()])];
+
+  const sources = [];
+  if (wantedSkills.length > 0) {
+    const patterns = wantedSkills.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i'));
+    sources.push({ skills: { $in: patterns } });
+  }
+  if (knownIds.length > 0) {
+    sources.push({ _id: { $in: knownIds.slice(0, CANDIDATE_POOL) } });
+  }
+
+  if (sources.length === 0) {
+    return [];
+  }
+
+  const candidates = await User.find({
+    $or: sources,
+    _id: { $nin: [user._id, ...blockedIds] },
+    deletedAt: null,
+    ...listedProfileFilter()
+  })
+    .select(CANDIDATE_FIELDS)
+    .limit(CANDIDATE_POOL * sources.length)
+    .lean();
+
+  return candidates
+    .map(candidate => ({ user: toListedProfile(candidate), ...scoreCandidate(candidate, context) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score || a.user.name.localeCompare(b.user.name))
+    .slice(0, limit);
+};
\ No newline at end of file
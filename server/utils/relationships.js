@@ -0,0 +1,169 @@
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const Mute = require('../models/Mute');
+const Project = require('../models/Project');
+const Community = require('../models/Community');
+const LiveSession = require('../models/LiveSession');
+const Endorsement = require('../models/Endorsement');
+
+// Checks for how two users are related, for features that depend on the
+// social graph (feeds, privacy rules, messaging permissions, ...).
+
+exports.isFollowing = async (followerId, followingId) =>
+  Boolean(await Follow.exists({ follower: followerId, following: followingId }));
+
+exports.findConnection = (userId, otherId) =>
+  Connection.findOne({ pairKey: Connection.pairKeyFor(userId, otherId) });
+
+exports.areConnected = async (userId, otherId) =>
+  Boolean(await Connection.exists({
+    pairKey: Connection.pairKeyFor(userId, otherId),
+    status: 'accepted'
+  }));
+
+// Where two users have worked together: 'project', 'community' or 'session'
+// (a live session that has ended), or null if they never have
+exports.findSharedContext = async (userId, otherId) => {
+  const [project, community, session] = await Promise.all([
+    Project.exists({ 'members.user': { $all: [userId, otherId] } }),
+    Community.exists({ members: { $all: [userId, otherId] } }),
+    LiveSession.exists({
+      status: 'ended',
+      $or: [
+        { host: userId, participants: otherId },
+        { host: otherId, participants: userId },
+        { participants: { $all: [userId, otherId] } }
+      ]
+    })
+  ]);
+
+  if (project) return 'project';
+  if (community) return 'community';
+  if (session) return 'session';
+  return null;
+};
+
+// Whether either user has blocked the other
+exports.isBlockedEither = async (userId, otherId) =>
+  Boolean(await Block.exists({
+    $or: [
+      { blocker: userId, blocked: otherId },
+      { blocker: otherId, blocked: userId }
+    ]
+  }));
+
+// Everyone the user has blocked or been blocked by
+exports.getBlockedIds = async (userId) => {
+  const blocks = await Block.find({ $or: [{ blocker: userId }, { blocked: userId }] })
+    .select('blocker blocked')
+    .lean();
+  return blocks.map(block => (block.blocker.equals(userId) ? block.blocked : block.blocker));
+};
+
+// Authors whose content should be left out of the user's feeds: blocks in
+// either direction plus the people the user muted
+exports.getHiddenAuthorIds = async (userId) => {
+  const [blockedIds, mutes] = await Promise.all([
+    exports.getBlockedIds(userId),
+    Mute.find({ muter: userId }).select('muted').lean()
+  ]);
+  return [...blockedIds, ...mutes.map(mute => mute.muted)];
+};
+
+// The reverse of getHiddenAuthorIds: who should not see content by `authorId`
+exports.getHiddenAudienceIds = async (authorId) => {
+  const [blockedIds, mutes] = await Promise.all([
+    exports.getBlockedIds(authorId),
+    Mute.find({ muted: authorId }).select('muter').lean()
+  ]);
+  return [...blockedIds, ...mutes.map(mute => mute.muter)];
+};
+
+// How `viewerId` relates to `targetId`. connection is one of
+// none, pending_sent, pending_received or connected. blocking and muted
+// only describe the viewer's own choices; being blocked is never revealed.
+exports.getRelationship = async (viewerId, targetId) => {
+  const [following, followedBy, connection, blocking, muted] = await Promise.all([
+    exports.isFollowing(viewerId, targetId),
+    exports.isFollowing(targetId, viewerId),
+    exports.findConnection(viewerId, targetId),
+    Block.exists({ blocker: viewerId, blocked: targetId }),
+    Mute.exists({ muter: viewerId, muted: targetId })
+  ]);
+
+  let connectionStatus = 'none';
+  if (connection && connection.status === 'accepted') {
+    connectionStatus = 'connected';
+  } else if (connection) {
+    connectionStatus = connection.requester.equals(viewerId) ? 'pending_sent' : 'pending_received';
+  }
+
+  return {
+    following,
+    followedBy,
+    connection: connectionStatus,
+    blocking: Boolean(blocking),
+    muted: Boolean(muted)
+  };
+};
+
+// Drop the follows, connection and endorsements between two users, keeping
+// counters in step. Used when one of them blocks the other.
+exports.removeRelationshipsBetween = async (userId, otherId) => {
+  const [follows, connection] = await Promise.all([
+    Follow.find({
+      $or: [
+        { follower: userId, following: otherId },
+        { follower: otherId, following: userId }
+      ]
+    }),
+    Connection.findOneAndDelete({ pairKey: Connection.pairKeyFor(userId, otherId) }),
+    Endorsement.deleteMany({
+      $or: [
+        { user: userId, endorser: otherId },
+        { user: otherId, endorser: userId }
+      ]
+    })
+  ]);
+
+  await Promise.all(follows.map(follow => Promise.all([
+    follow.deleteOne(),
+    User.updateOne({ _id: follow.follower }, { $inc: { followingCount: -1 } }),
+    User.updateOne({ _id: follow.following }, { $inc: { followerCount: -1 } })
+  ])));
+
+  if (connection && connection.status === 'accepted') {
+    await User.updateMany({ _id: { $in: [userId, otherId] } }, { $inc: { connectionCount: -1 } });
+  }
+};
+
+// Drop every follow, connection, block, mute and endorsement involving a user,
+// keeping the other side's counters in step. Used when an account is deleted.
+exports.removeAllRelationships = async (userId) => {
+  const [followers, following, connections] = await Promise.all([
+    Follow.find({ following: userId }).select('follower'),
+    Follow.find({ follower: userId }).select('following'),
+    Connection.find({ $or: [{ requester: userId }, { recipient: userId }], status: 'accepted' })
+  ]);
+
+  await Promise.all([
+    User.updateMany({ _id: { $in: followers.map(f => f.follower) } }, { $inc: { followingCount: -1 } }),
+    User.updateMany({ _id: { $in: following.map(f => f.following) } }, { $inc: { followerCount: -1 } }),
+    User.updateMany(
+      { _id: { $in: connections.map(c => c.otherUser(userId)) } },
+      { $inc: { connectionCount: -1 } }
+    )
+  ]);
+
+  await Promise.all([
+    Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] }),
+    Connection.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] }),
+    Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+    Mute.deleteMany({ $or: [{ muter: userId }, { muted: userId }] }),
+    Endorsement.deleteMany({ $or: [{ user: userId }, { endorser: userId }] })
+  ]);
+
+  await User.updateOne({ _id: userId }, { followerCount: 0, followingCount: 0, connectionCount: 0 });
+};
\ No newline at end of file
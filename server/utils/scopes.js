@@ -0,0 +1,53 @@
+// Scopes for personal access tokens.
+//
+// A token's scopes are checked against the API area a request targets:
+// GET requests need read:<area>, anything else needs write:<area>.
+// write:<area> implies read:<area>. Areas not listed here (auth, token
+// management, ...) can only be used with a normal login.
+
+const SCOPE_AREAS = {
+  '/api/projects': 'projects',
+  '/api/collaborate/activities': 'activities',
+  '/api/collaborate/sessions': 'sessions',
+  '/api/communities': 'communities',
+  '/api/events': 'events',
+  '/api/messages': 'messages',
+  '/api/users': 'users',
+  '/api/mentors': 'mentors',
+  '/api/profile': 'profile',
+  '/api/media': 'media'
+};
+
+// Routes inside a scoped area that still need a normal login: the data
+// export holds messages, sessions and tokens from every area, and account
+// deletion shouldn't be possible with a token
+const LOGIN_ONLY_PATHS = {
+  '/api/profile': ['/export', '/deletion']
+};
+
+const SCOPES = Object.values(SCOPE_AREAS).flatMap(area => [`read:${area}`, `write:${area}`]);
+
+exports.SCOPES = SCOPES;
+
+// Scope needed for a request, or null when tokens may not be used for it
+exports.getRequiredScope = (req) => {
+  const area = SCOPE_AREAS[req.baseUrl];
+  if (!area) {
+    return null;
+  }
+  const path = req.path.replace(/\/+$/, '') || '/';
+  if ((LOGIN_ONLY_PATHS[req.baseUrl] || []).includes(path)) {
+    return null;
+  }
+  return `${['GET', 'HEAD'].includes(req.method) ? 'read' : 'write'}:${area}`;
+};
+
+exports.hasScope = (scopes, required) => {
+  if (!required) {
+    return false;
+  }
+  if (scopes.includes(required)) {
+    return true;
+  }
+  return required.startsWith('read:') && scopes.includes(required.replace(/^read:/, 'write:'));
+};
\ No newline at end of file
@@ -0,0 +1,229 @@
+const Skill = require('../models/Skill');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Community = require('../models/Community');
+
+// The skill catalog. Skills are typed freely on profiles, projects and
+// community tags; everything goes through canonicalizeSkills so spellings of
+// the same skill ("React", "react.js", "ReactJS") are stored as one name.
+
+exports.SKILL_CATEGORIES = [
+  'Languages',
+  'Frontend',
+  'Backend',
+  'Mobile',
+  'Data & AI',
+  'DevOps & Cloud',
+  'Design',
+  'Product & Business',
+  'Other'
+];
+
+// Seed entries: canonical name, category and common alternative spellings.
+// Spellings that only differ in case, spaces, dots, dashes or underscores
+// don't need listing; skillKey already folds them together.
+const CATALOG = [
+  { name: 'JavaScript', category: 'Languages', synonyms: ['JS', 'ECMAScript', 'ES6'] },
+  { name: 'TypeScript', category: 'Languages', synonyms: ['TS'] },
+  { name: 'Python', category: 'Languages', synonyms: ['Python3', 'Py'] },
+  { name: 'Java', category: 'Languages', synonyms: [] },
+  { name: 'Kotlin', category: 'Languages', synonyms: [] },
+  { name: 'Swift', category: 'Languages', synonyms: [] },
+  { name: 'Go', category: 'Languages', synonyms: ['Golang'] },
+  { name: 'Rust', category: 'Languages', synonyms: [] },
+  { name: 'C', category: 'Languages', synonyms: [] },
+  { name: 'C++', category: 'Languages', synonyms: ['CPP'] },
+  { name: 'C#', category: 'Languages', synonyms: ['CSharp'] },
+  { name: 'PHP', category: 'Languages', synonyms: [] },
+  { name: 'Ruby', category: 'Languages', synonyms: [] },
+  { name: 'Dart', category: 'Languages', synonyms: [] },
+  { name: 'SQL', category: 'Languages', synonyms: [] },
+  { name: 'HTML', category: 'Frontend', synonyms: ['HTML5'] },
+  { name: 'CSS', category: 'Frontend', synonyms: ['CSS3'] },
+  { name: 'React', category: 'Frontend', synonyms: ['ReactJS'] },
+  { name: 'Vue', category: 'Frontend', synonyms: ['VueJS'] },
+  { name: 'Angular', category: 'Frontend', synonyms: ['AngularJS'] },
+  { name: 'Svelte', category: 'Frontend', synonyms: ['SvelteKit'] },
+  { name: 'Next.js', category: 'Frontend', synonyms: ['Next'] },
+  { name: 'Tailwind CSS', category: 'Frontend', synonyms: ['Tailwind'] },
+  { name: 'Node.js', category: 'Backend', synonyms: ['Node', 'NodeJS'] },
+  { name: 'Express', category: 'Backend', synonyms: ['ExpressJS'] },
+  { name: 'Django', category: 'Backend', synonyms: [] },
+  { name: 'Flask', category: 'Backend', synonyms: [] },
+  { name: 'Spring', category: 'Backend', synonyms: ['Spring Boot'] },
+  { name: 'Ruby on Rails', category: 'Backend', synonyms: ['Rails', 'RoR'] },
+  { name: 'GraphQL', category: 'Backend', synonyms: [] },
+  { name: 'REST APIs', category: 'Backend', synonyms: ['REST', 'RESTful APIs', 'REST API'] },
+  { name: 'MongoDB', category: 'Backend', synonyms: ['Mongo'] },
+  { name: 'PostgreSQL', category: 'Backend', synonyms: ['Postgres'] },
+  { name: 'MySQL', category: 'Backend', synonyms: [] },
+  { name: 'Redis', category: 'Backend', synonyms: [] },
+  { name: 'React Native', category: 'Mobile', synonyms: ['RN'] },
+  { name: 'Flutter', category: 'Mobile', synonyms: [] },
+  { name: 'Expo', category: 'Mobile', synonyms: [] },
+  { name: 'iOS Development', category: 'Mobile', synonyms: ['iOS'] },
+  { name: 'Android Development', category: 'Mobile', synonyms: ['Android'] },
+  { name: 'Machine Learning', category: 'Data & AI', synonyms: ['ML'] },
+  { name: 'Deep Learning', category: 'Data & AI', synonyms: ['DL'] },
+  { name: 'Data Science', category: 'Data & AI', synonyms: [] },
+  { name: 'Data Analysis', category: 'Data & AI', synonyms: ['Data Analytics'] },
+  { name: 'TensorFlow', category: 'Data & AI', synonyms: ['TF'] },
+  { name: 'PyTorch', category: 'Data & AI', synonyms: ['Torch'] },
+  { name: 'Pandas', category: 'Data & AI', synonyms: [] },
+  { name: 'DevOps', category: 'DevOps & Cloud', synonyms: [] },
+  { name: 'AWS', category: 'DevOps & Cloud', synonyms: ['Amazon Web Services'] },
+  { name: 'Google Cloud', category: 'DevOps & Cloud', synonyms: ['GCP', 'Google Cloud Platform'] },
+  { name: 'Azure', category: 'DevOps & Cloud', synonyms: ['Microsoft Azure'] },
+  { name: 'Docker', category: 'DevOps & Cloud', synonyms: [] },
+  { name: 'Kubernetes', category: 'DevOps & Cloud', synonyms: ['K8s'] },
+  { name: 'CI/CD', category: 'DevOps & Cloud', synonyms: ['Continuous Integration'] },
+  { name: 'Git', category: 'DevOps & Cloud', synonyms: ['GitHub'] },
+  { name: 'Linux', category: 'DevOps & Cloud', synonyms: [] },
+  { name: 'UI/UX Design', category: 'Design', synonyms: ['UI/UX', 'UX/UI', 'UX Design', 'UI Design', 'UX', 'UI'] },
+  { name: 'Figma', category: 'Design', synonyms: [] },
+  { name: 'Graphic Design', category: 'Design', synonyms: [] },
+  { name: 'Product Management', category: 'Product & Business', synonyms: ['PM'] },
+  { name: 'Project Management', category: 'Product & Business', synonyms: [] },
+  { name: 'Agile', category: 'Product & Business', synonyms: ['Scrum'] },
+  { name: 'Marketing', category: 'Product & Business', synonyms: ['Digital Marketing'] },
+  { name: 'Technical Writing', category: 'Product & Business', synonyms: ['Documentation'] }
+];
+
+// Match key for a skill name: case, whitespace, dots, dashes and underscores
+// are ignored, symbols such as + and # are kept ("C++" isn't "C")
+const skillKey = exports.skillKey = (name) =>
+  String(name).trim().toLowerCase().replace(/[\s._-]+/g, '');
+
+// Accept an array or a comma separated string, drop blanks
+const toList = (skills) => {
+  const list = Array.isArray(skills) ? skills : String(skills || '').split(',');
+  return list.map(skill => String(skill).trim()).filter(Boolean);
+};
+
+// Catalog entries for the given keys, by key and by synonym
+const lookup = async (keys) => {
+  const entries = await Skill.find({ $or: [{ key: { $in: keys } }, { synonyms: { $in: keys } }] })
+    .select('name key synonyms')
+    .lean();
+
+  const byKey = new Map();
+  for (const entry of entries) {
+    entry.synonyms.forEach(synonym => byKey.set(synonym, entry.name));
+  }
+  // A skill's own key wins over another skill's synonym
+  entries.forEach(entry => byKey.set(entry.key, entry.name));
+  return byKey;
+};
+
+// Map skills to their catalog names, dropping duplicates and keeping the
+// order given. Unknown skills keep their spelling; with `learn` they are
+// added to the catalog (uncategorized, marked learned) so later spellings
+// match them.
+exports.canonicalizeSkills = async (skills, { learn = false } = {}) => {
+  const list = toList(skills);
+  if (list.length === 0) return [];
+
+  const byKey = await lookup([...new Set(list.map(skillKey))]);
+
+  const result = [];
+  const seen = new Set();
+  const unknown = [];
+
+  for (const skill of list) {
+    const key = skillKey(skill);
+    const name = byKey.get(key) || skill;
+    if (seen.has(skillKey(name))) continue;
+
+    seen.add(skillKey(name));
+    result.push(name);
+    if (!byKey.has(key)) unknown.push({ name, key });
+  }
+
+  if (learn && unknown.length > 0) {
+    await Skill.bulkWrite(unknown.map(({ name, key }) => ({
+      updateOne: {
+        filter: { key },
+        update: { $setOnInsert: { name, learned: true } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  return result;
+};
+
+// Keep usage counts in step when a skill list changes from `before` to
+// `after`. Both lists hold canonical names.
+exports.adjustSkillUsage = async (before = [], after = []) => {
+  const beforeKeys = new Set(before.map(skillKey));
+  const afterKeys = new Set(after.map(skillKey));
+  const added = [...afterKeys].filter(key => !beforeKeys.has(key));
+  const removed = [...beforeKeys].filter(key => !afterKeys.has(key));
+
+  await Promise.all([
+    added.length > 0 &&
+      Skill.updateMany({ key: { $in: added } }, { $inc: { usageCount: 1 } }),
+    removed.length > 0 &&
+      Skill.updateMany({ key: { $in: removed }, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } })
+  ]);
+};
+
+// Recompute every usage count from users, projects and communities. The
+// incremental updates can drift (e.g. when projects are deleted), so the
+// migration script runs this at the end.
+exports.recountSkillUsage = async () => {
+  const count = (Model, field, match = {}) => Model.aggregate([
+    { $match: match },
+    { $unwind: `$${field}` },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+  ]);
+
+  const groups = (await Promise.all([
+    count(User, 'skills', { deletedAt: null }),
+    count(Project, 'skills'),
+    count(Community, 'tags')
+  ])).flat();
+
+  const totals = new Map();
+  for (const group of groups) {
+    const key = skillKey(group._id);
+    totals.set(key, (totals.get(key) || 0) + group.count);
+  }
+
+  await Skill.updateMany({}, { usageCount: 0 });
+  if (totals.size > 0) {
+    await Skill.bulkWrite([...totals].map(([key, usageCount]) => ({
+      updateOne: { filter: { key }, update: { usageCount } }
+    })), { ordered: false });
+  }
+
+  return totals.size;
+};
+
+// Make sure the seed entries exist. Safe to run on every start: existing
+// entries keep their usage counts and any synonyms added since. A learned
+// entry whose key is now a seed becomes that seed, and learned entries whose
+// key is now a seed synonym are merged away.
+exports.seedSkillCatalog = async () => {
+  const seeds = CATALOG.map(({ name, category, synonyms }) => ({
+    name,
+    key: skillKey(name),
+    category,
+    synonyms: [...new Set(synonyms.map(skillKey))]
+  }));
+
+  await Skill.bulkWrite(seeds.map(({ name, key, category, synonyms }) => ({
+    updateOne: {
+      filter: { key },
+      update: {
+        $set: { name, category, learned: false },
+        $addToSet: { synonyms: { $each: synonyms } }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  const synonymKeys = seeds.flatMap(seed => seed.synonyms);
+  const merged = await Skill.deleteMany({ key: { $in: synonymKeys } });
+  return merged.deletedCount;
+};
\ No newline at end of file
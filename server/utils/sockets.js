@@ -0,0 +1,28 @@
+// Sockets are only authenticated at the handshake, so whatever takes access
+// away (revoked sessions, removed members, blocks) has to evict them here.
+// All helpers accept a missing `io` (e.g. in scripts) and do nothing.
+
+// Room holding every socket opened with one login session
+exports.authSessionRoom = (sessionId) => `auth_session:${sessionId}`;
+
+// Disconnect the sockets of the given login sessions
+exports.disconnectSessions = (io, sessionIds) => {
+  if (!io) return;
+  sessionIds.forEach(sessionId => io.in(exports.authSessionRoom(sessionId)).disconnectSockets(true));
+};
+
+// Disconnect all of a user's sockets, optionally keeping one login session's
+exports.disconnectUser = (io, userId, { exceptSession } = {}) => {
+  if (!io) return;
+  let sockets = io.in(`user:${userId}`);
+  if (exceptSession) {
+    sockets = sockets.except(exports.authSessionRoom(exceptSession));
+  }
+  sockets.disconnectSockets(true);
+};
+
+// Take all of a user's sockets out of `room`
+exports.leaveRoom = (io, userId, room) => {
+  if (!io) return;
+  io.in(`user:${userId}`).socketsLeave(room);
+};
\ No newline at end of file
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+// Storage backends for uploaded media. A backend stores and removes files by
+// key ("avatars/<id>/medium.webp") and knows the public URL of a key. Select
+// one with MEDIA_STORAGE; register others (S3, GCS, ...) at startup with
+// registerStorage().
+
+// Files on local disk under MEDIA_ROOT, served by the API server at /media
+class LocalDiskStorage {
+  constructor() {
+    this.root = process.env.MEDIA_ROOT || path.join(__dirname, '..', 'uploads');
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  // Keys contain a fresh id for every upload, so files never change and can
+  // be cached for a long time
+  mount(app) {
+    app.use('/media', express.static(this.root, {
+      immutable: true,
+      maxAge: '30d',
+      index: false,
+      dotfiles: 'deny'
+    }));
+  }
+}
+
+const backends = {
+  local: () => new LocalDiskStorage()
+};
+
+let instance = null;
+
+exports.registerStorage = (name, create) => {
+  if (typeof create !== 'function') {
+    throw new Error(`Media storage "${name}" must be a factory function`);
+  }
+  backends[name] = create;
+};
+
+exports.getStorage = () => {
+  if (!instance) {
+    const name = process.env.MEDIA_STORAGE || 'local';
+    if (!backends[name]) {
+      throw new Error(`Unknown media storage: ${name}`);
+    }
+    instance = backends[name]();
+  }
+  return instance;
+};
+
+// Serve stored files from this server when the backend supports it
+exports.mountMediaRoutes = (app) => {
+  // Fail at startup rather than on the first upload
+  exports.getPublicBaseUrl();
+
+  const storage = exports.getStorage();
+  if (typeof storage.mount === 'function') {
+    storage.mount(app);
+  }
+};
+
+// Base URL clients load media from: MEDIA_PUBLIC_URL (a CDN or the API
+// server's public address plus /media). Only development falls back to this
+// server on localhost; request headers are never used, since the Host header
+// is whatever the client sends.
+exports.getPublicBaseUrl = () => {
+  const configured = process.env.MEDIA_PUBLIC_URL;
+
+  if (!configured) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('MEDIA_PUBLIC_URL must be set in production');
+    }
+    return `http://localhost:${process.env.PORT || 50002}/media`;
+  }
+
+  let url;
+  try {
+    url = new URL(configured);
+  } catch (error) {
+    throw new Error(`MEDIA_PUBLIC_URL is not a valid URL: ${configured}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('MEDIA_PUBLIC_URL must be an http(s) URL');
+  }
+  return configured.replace(/\/$/, '');
+};
+
+// Public URL of a stored key
+exports.getPublicUrl = (key) => `${exports.getPublicBaseUrl()}/${key}`;
+
+// The key a public URL points at, or null for URLs outside the media base
+exports.keyFromPublicUrl = (url) => {
+  const prefix = `${exports.getPublicBaseUrl()}/`;
+  if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+  const key = url.slice(prefix.length);
+  return key && !key.split('/').includes('..') ? key : null;
+};
+
+exports.LocalDiskStorage = LocalDiskStorage;
\ No newline at end of file
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// Task boards. Models are looked up lazily because models/ProjectTask.js
+// requires this file for its enums.
+
+exports.TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Columns every board starts with
+exports.DEFAULT_COLUMNS = [
+  { name: 'To Do', done: false },
+  { name: 'In Progress', done: false },
+  { name: 'Done', done: true }
+];
+
+exports.MAX_COLUMNS = 10;
+exports.MAX_LABELS = 10;
+
+// Gap left between ordering keys, so most moves fit between two neighbours
+const POSITION_STEP = 1024;
+
+// Give `project` the default columns if its board hasn't been used yet.
+// Resolves to the columns either way.
+exports.ensureColumns = async (project) => {
+  if (project.taskColumns.length > 0) {
+    return project.taskColumns;
+  }
+
+  const Project = mongoose.model('Project');
+  const updated = await Project.findOneAndUpdate(
+    { _id: project._id, 'taskColumns.0': { $exists: false } },
+    { taskColumns: exports.DEFAULT_COLUMNS },
+    { new: true }
+  ).select('taskColumns');
+
+  // Someone else set the board up at the same time
+  const { taskColumns } = updated || await Project.findById(project._id).select('taskColumns');
+  project.taskColumns = taskColumns;
+  return project.taskColumns;
+};
+
+exports.findColumn = (project, columnId) =>
+  project.taskColumns.find(column => column._id.toString() === String(columnId));
+
+// Trimmed, de-duplicated labels, at most MAX_LABELS of up to 30 characters
+exports.normalizeLabels = (labels) => {
+  const list = Array.isArray(labels) ? labels : String(labels || '').split(',');
+  const seen = new Set();
+
+  return list
+    .map(label => String(label).trim().slice(0, 30))
+    .filter(label => {
+      const key = label.toLowerCase();
+      if (!label || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, exports.MAX_LABELS);
+};
+
+// The ordering key for slotting a task in at `index` among `positions`
+// (sorted, without the task itself). Null when the neighbours are too close
+// together to fit another key between them.
+exports.positionAt = (positions, index) => {
+  const before = index > 0 ? positions[index - 1] : null;
+  const after = index < positions.length ? positions[index] : null;
+
+  if (before === null && after === null) return POSITION_STEP;
+  if (before === null) return after - POSITION_STEP;
+  if (after === null) return before + POSITION_STEP;
+
+  const middle = (before + after) / 2;
+  return middle > before && middle < after ? middle : null;
+};
+
+// Set `task`'s column and position so it lands at `index` in that column,
+// or at the bottom without an index. Renumbers the column if it has to.
+// The caller saves the task.
+exports.placeTask = async (task, columnId, index) => {
+  const ProjectTask = mongoose.model('ProjectTask');
+  const siblings = await ProjectTask.find({
+    project: task.project,
+    column: columnId,
+    _id: { $ne: task._id }
+  })
+    .sort({ position: 1, _id: 1 })
+    .select('position');
+
+  const target = index === undefined || index === null
+    ? siblings.length
+    : Math.max(0, Math.min(parseInt(index) || 0, siblings.length));
+
+  let position = exports.positionAt(siblings.map(sibling => sibling.position), target);
+
+  if (position === null) {
+    await ProjectTask.bulkWrite(siblings.map((sibling, i) => ({
+      updateOne: {
+        filter: { _id: sibling._id },
+        update: { position: (i < target ? i : i + 1) * POSITION_STEP }
+      }
+    })));
+    position = target * POSITION_STEP;
+  }
+
+  task.column = columnId;
+  task.position = position;
+  return task;
+};
+
+// Recalculate the project's progress as the share of tasks in done columns
+exports.refreshProgress = async (project) => {
+  const ProjectTask = mongoose.model('ProjectTask');
+  const doneColumns = project.taskColumns.filter(column => column.done).map(column => column._id);
+
+  const [total, done] = await Promise.all([
+    ProjectTask.countDocuments({ project: project._id }),
+    ProjectTask.countDocuments({ project: project._id, column: { $in: doneColumns } })
+  ]);
+
+  const progress = total > 0 ? Math.round((done / total) * 100) : 0;
+  await mongoose.model('Project').updateOne({ _id: project._id }, { progress, updatedAt: Date.now() });
+  project.progress = progress;
+  return progress;
+};
+
+// Take a former member's name off the project's tasks
+exports.unassignTasks = (projectId, userId) =>
+  mongoose.model('ProjectTask').updateMany(
+    { project: projectId, assignee: userId },
+    { $unset: { assignee: 1 } }
+  );
\ No newline at end of file
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Generate an opaque random token (refresh tokens, reset links, etc.)
+exports.generateToken = (bytes = 40) => crypto.randomBytes(bytes).toString('hex');
+
+// Personal access tokens carry a recognizable prefix so `protect` can tell them from JWTs
+exports.ACCESS_TOKEN_PREFIX = 'mcp_';
+
+exports.generateAccessToken = () => `${exports.ACCESS_TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+// Tokens are only ever stored as a SHA-256 digest
+exports.hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Challenge tokens use their own secret so they can never pass as access tokens
+const getChallengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+// Short-lived token proving the password step of a two-factor login succeeded
+exports.signChallengeToken = (userId) => jwt.sign(
+  { id: userId },
+  getChallengeSecret(),
+  { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+);
+
+exports.verifyChallengeToken = (token) => jwt.verify(token, getChallengeSecret());
+
+// Human friendly one-time recovery codes, e.g. "4f9a-c21e"
+exports.generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+  const code = crypto.randomBytes(4).toString('hex');
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+});
+
+exports.normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+// Refresh tokens live for REFRESH_TOKEN_EXPIRE_DAYS (default 30 days)
+exports.getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};